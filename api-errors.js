@@ -0,0 +1,13 @@
+// Reading error responses from the app's HTTP API. Shared by main.js (and the Web UI it serves)
+// and the desktop window, which loads this file with a plain <script> tag before renderer.js.
+
+// Message from an API response body: error is the text on /api routes, { code, message } on /api/v2
+function getApiErrorMessage(body, fallback = 'Request failed') {
+  const error = body && body.error;
+  if (!error) return fallback;
+  return typeof error === 'string' ? error : (error.message || fallback);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { getApiErrorMessage };
+}
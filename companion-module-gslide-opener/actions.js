@@ -1,7 +1,14 @@
+// Go-to-slide answers once the slide is confirmed: up to 15s for a deck that is still loading,
+// then up to 2.5s for each of its two ways of jumping
+const GO_TO_SLIDE_TIMEOUT_MS = 25000
+
 module.exports = function (self) {
 	console.log('[gslide-opener] actions.js - Setting up action definitions')
 	self.log('info', '=== Setting up action definitions ===')
 	
+	// Preset library fetched from the app (see refreshPresets in main.js)
+	const presetChoices = (self.presets || []).map((preset) => ({ id: preset.id, label: preset.name }))
+
 	const actionDefinitions = {
 		open_presentation: {
 			name: 'Open Presentation',
@@ -55,9 +62,39 @@ module.exports = function (self) {
 			},
 		},
 
+		open_preset: {
+			name: 'Open Preset',
+			description: 'Open a preset from the app\'s preset library (uses its start slide and notes setting)',
+			options: [
+				{
+					id: 'preset',
+					type: 'dropdown',
+					label: 'Preset',
+					default: presetChoices.length > 0 ? presetChoices[0].id : '',
+					choices: presetChoices,
+					allowCustom: true,
+					tooltip: 'Pick a preset, or type a preset name',
+				},
+			],
+			callback: async (event) => {
+				try {
+					const ref = await self.parseVariablesInString(String(event.options.preset || ''))
+					if (!ref) {
+						self.log('error', 'No preset selected')
+						return
+					}
+					self.log('info', `Opening preset: ${ref}`)
+					const response = await self.apiRequest('POST', '/api/open-preset', { preset: ref })
+					self.log('info', response.message || 'Preset opened')
+				} catch (error) {
+					self.log('error', `Failed to open preset: ${error.message}`)
+				}
+			},
+		},
+
 		open_preset_1: {
-			name: 'Open Presentation 1',
-			description: 'Open the preset presentation configured as "Presentation 1"',
+			name: 'Open Presentation 1 (legacy)',
+			description: 'Open the first preset in the list (use "Open Preset" for new buttons)',
 			options: [],
 			callback: async () => {
 				try {
@@ -71,8 +108,8 @@ module.exports = function (self) {
 		},
 
 		open_preset_2: {
-			name: 'Open Presentation 2',
-			description: 'Open the preset presentation configured as "Presentation 2"',
+			name: 'Open Presentation 2 (legacy)',
+			description: 'Open the second preset in the list (use "Open Preset" for new buttons)',
 			options: [],
 			callback: async () => {
 				try {
@@ -86,8 +123,8 @@ module.exports = function (self) {
 		},
 
 		open_preset_3: {
-			name: 'Open Presentation 3',
-			description: 'Open the preset presentation configured as "Presentation 3"',
+			name: 'Open Presentation 3 (legacy)',
+			description: 'Open the third preset in the list (use "Open Preset" for new buttons)',
 			options: [],
 			callback: async () => {
 				try {
@@ -100,6 +137,158 @@ module.exports = function (self) {
 			},
 		},
 
+		cue_preset: {
+			name: 'Cue Preset (Standby)',
+			description: 'Preload a preset in the background so "Take" switches to it instantly',
+			options: [
+				{
+					id: 'preset',
+					type: 'dropdown',
+					label: 'Preset',
+					default: presetChoices.length > 0 ? presetChoices[0].id : '',
+					choices: presetChoices,
+					allowCustom: true,
+					tooltip: 'Pick a preset, or type a preset name',
+				},
+			],
+			callback: async (event) => {
+				try {
+					const ref = await self.parseVariablesInString(String(event.options.preset || ''))
+					if (!ref) {
+						self.log('error', 'No preset selected')
+						return
+					}
+					self.log('info', `Cueing preset: ${ref}`)
+					const response = await self.apiRequest('POST', '/api/cue', { preset: ref })
+					self.log('info', response.message || 'Preset cued')
+				} catch (error) {
+					self.log('error', `Failed to cue preset: ${error.message}`)
+				}
+			},
+		},
+
+		cue_presentation: {
+			name: 'Cue Presentation URL (Standby)',
+			description: 'Preload a presentation URL in the background',
+			options: [
+				{
+					id: 'url',
+					type: 'textinput',
+					label: 'Google Slides URL',
+					default: '',
+					required: true,
+					useVariables: true,
+				},
+				{
+					id: 'withNotes',
+					type: 'checkbox',
+					label: 'Start speaker notes on Take',
+					default: false,
+				},
+			],
+			callback: async (event) => {
+				try {
+					const url = await self.parseVariablesInString(event.options.url)
+					self.log('info', `Cueing presentation: ${url}`)
+					const response = await self.apiRequest('POST', '/api/cue', { url, withNotes: event.options.withNotes === true })
+					self.log('info', response.message || 'Presentation cued')
+				} catch (error) {
+					self.log('error', `Failed to cue presentation: ${error.message}`)
+				}
+			},
+		},
+
+		take: {
+			name: 'Take Cued Deck',
+			description: 'Switch the presentation display to the cued deck',
+			options: [],
+			callback: async () => {
+				try {
+					self.log('info', 'Taking cued deck')
+					const response = await self.apiRequest('POST', '/api/take', {})
+					self.log('info', response.message || 'Cued deck taken')
+				} catch (error) {
+					self.log('error', `Failed to take cued deck: ${error.message}`)
+				}
+			},
+		},
+
+		clear_cue: {
+			name: 'Clear Cued Deck',
+			options: [],
+			callback: async () => {
+				try {
+					self.log('info', 'Clearing cued deck')
+					const response = await self.apiRequest('POST', '/api/clear-cue', {})
+					self.log('debug', response.message || 'Cue cleared')
+				} catch (error) {
+					self.log('error', `Failed to clear cue: ${error.message}`)
+				}
+			},
+		},
+
+		rundown_next: {
+			name: 'Rundown: Next Deck',
+			description: 'Load the next deck in the app\'s show rundown',
+			options: [],
+			callback: async () => {
+				try {
+					self.log('info', 'Loading next rundown deck')
+					const response = await self.apiRequest('POST', '/api/rundown/next', {})
+					self.log('info', response.message || 'Next deck loaded')
+				} catch (error) {
+					self.log('error', `Failed to load next deck: ${error.message}`)
+				}
+			},
+		},
+
+		rundown_previous: {
+			name: 'Rundown: Previous Deck',
+			description: 'Load the previous deck in the app\'s show rundown',
+			options: [],
+			callback: async () => {
+				try {
+					self.log('info', 'Loading previous rundown deck')
+					const response = await self.apiRequest('POST', '/api/rundown/previous', {})
+					self.log('info', response.message || 'Previous deck loaded')
+				} catch (error) {
+					self.log('error', `Failed to load previous deck: ${error.message}`)
+				}
+			},
+		},
+
+		promote_to_primary: {
+			name: 'Failover: Promote to Primary',
+			description: 'Make this (backup) machine the primary, e.g. after its primary went down',
+			options: [],
+			callback: async () => {
+				try {
+					self.log('warn', 'Promoting this machine to primary')
+					await self.apiRequest('POST', '/api/failover/promote', {})
+					self.log('info', 'Promoted to primary')
+					self.updateState()
+				} catch (error) {
+					self.log('error', `Failed to promote: ${error.message}`)
+				}
+			},
+		},
+
+		demote_to_backup: {
+			name: 'Failover: Return to Backup',
+			description: 'Switch a machine that was promoted by failover back to backup mode',
+			options: [],
+			callback: async () => {
+				try {
+					self.log('info', 'Returning this machine to backup mode')
+					await self.apiRequest('POST', '/api/failover/demote', {})
+					self.log('info', 'Back in backup mode')
+					self.updateState()
+				} catch (error) {
+					self.log('error', `Failed to demote: ${error.message}`)
+				}
+			},
+		},
+
 		close_presentation: {
 			name: 'Close Current Presentation',
 			options: [],
@@ -166,7 +355,7 @@ module.exports = function (self) {
 					}
 
 					self.log('info', `Navigating to slide ${slide}`)
-					const response = await self.apiRequest('POST', '/api/go-to-slide', { slide })
+					const response = await self.apiRequest('POST', '/api/go-to-slide', { slide }, { timeout: GO_TO_SLIDE_TIMEOUT_MS })
 					self.log('info', response.message || `Navigated to slide ${slide}`)
 				} catch (error) {
 					self.log('error', `Failed to go to slide: ${error.message}`)
@@ -174,6 +363,47 @@ module.exports = function (self) {
 			},
 		},
 
+		go_to_slide_by_name: {
+			name: 'Go to Slide by Title or Page ID',
+			description: 'Jumps to a slide by its title/first text or Google Slides page ID, so cues survive slides being inserted or reordered',
+			options: [
+				{
+					id: 'match',
+					type: 'dropdown',
+					label: 'Match By',
+					default: 'title',
+					choices: [
+						{ id: 'title', label: 'Slide title / first text' },
+						{ id: 'pageId', label: 'Page ID (from #slide=id.…)' },
+					],
+				},
+				{
+					id: 'value',
+					type: 'textinput',
+					label: 'Title or Page ID',
+					default: '',
+					required: true,
+					useVariables: true,
+				},
+			],
+			callback: async (event) => {
+				try {
+					const value = (await self.parseVariablesInString(String(event.options.value || ''))).trim()
+					if (!value) {
+						self.log('error', 'Slide title or page ID is required')
+						return
+					}
+
+					const body = event.options.match === 'pageId' ? { pageId: value } : { title: value }
+					self.log('info', `Navigating to slide ${event.options.match === 'pageId' ? 'page' : 'titled'} "${value}"`)
+					const response = await self.apiRequest('POST', '/api/go-to-slide', body, { timeout: GO_TO_SLIDE_TIMEOUT_MS })
+					self.log('info', response.message || `Navigated to "${value}"`)
+				} catch (error) {
+					self.log('error', `Failed to go to slide: ${error.message}`)
+				}
+			},
+		},
+
 		reload_presentation: {
 			name: 'Reload Presentation',
 			description: 'Closes and reopens the current presentation, returning to the same slide',
@@ -189,6 +419,154 @@ module.exports = function (self) {
 			},
 		},
 
+		set_output_cover: {
+			name: 'Output Cover (Blackout / Whiteout / Freeze / Slate)',
+			description: 'Covers the audience display without closing the presentation',
+			options: [
+				{
+					id: 'mode',
+					type: 'dropdown',
+					label: 'Cover',
+					default: 'blackout',
+					choices: [
+						{ id: 'blackout', label: 'Blackout' },
+						{ id: 'whiteout', label: 'Whiteout' },
+						{ id: 'freeze', label: 'Freeze (hold the current frame)' },
+						{ id: 'slate', label: 'Slate (holding image / text)' },
+					],
+				},
+				{
+					id: 'state',
+					type: 'dropdown',
+					label: 'State',
+					default: 'toggle',
+					choices: [
+						{ id: 'toggle', label: 'Toggle' },
+						{ id: 'on', label: 'On' },
+						{ id: 'off', label: 'Off' },
+					],
+				},
+			],
+			callback: async (event) => {
+				const mode = event.options.mode
+				try {
+					const body = event.options.state === 'toggle' ? {} : { on: event.options.state === 'on' }
+					self.log('info', `Setting ${mode} (${event.options.state})`)
+					const response = await self.apiRequest('POST', `/api/${mode}`, body)
+					self.log('info', response.message || `Output is ${response.outputMode}`)
+				} catch (error) {
+					self.log('error', `Failed to set ${mode}: ${error.message}`)
+				}
+			},
+		},
+
+		clear_output_cover: {
+			name: 'Clear Output Cover',
+			description: 'Removes any blackout, whiteout, freeze or slate so the presentation is live again',
+			options: [],
+			callback: async () => {
+				try {
+					self.log('info', 'Clearing output cover')
+					const response = await self.apiRequest('POST', '/api/output', { mode: 'live' })
+					self.log('info', response.message || 'Output is live')
+				} catch (error) {
+					self.log('error', `Failed to clear output cover: ${error.message}`)
+				}
+			},
+		},
+
+		send_message: {
+			name: 'Send Message to Presenter',
+			description: 'Shows a message on the Web UI Remote tab, the confidence monitor and over the speaker notes',
+			options: [
+				{
+					id: 'preset',
+					type: 'dropdown',
+					label: 'Message',
+					default: 'Wrap up',
+					choices: [
+						{ id: 'Wrap up', label: 'Wrap up' },
+						{ id: '5 minutes left', label: '5 minutes left' },
+						{ id: '1 minute left', label: '1 minute left' },
+						{ id: 'Skip to Q&A', label: 'Skip to Q&A' },
+						{ id: 'Slow down', label: 'Slow down' },
+						{ id: 'Speak up', label: 'Speak up' },
+						{ id: 'custom', label: 'Custom text' },
+					],
+				},
+				{
+					id: 'text',
+					type: 'textinput',
+					label: 'Custom Text',
+					default: '',
+					useVariables: true,
+					isVisible: (options) => options.preset === 'custom',
+				},
+				{
+					id: 'color',
+					type: 'dropdown',
+					label: 'Color',
+					default: 'yellow',
+					choices: [
+						{ id: 'white', label: 'White' },
+						{ id: 'green', label: 'Green' },
+						{ id: 'yellow', label: 'Yellow' },
+						{ id: 'red', label: 'Red' },
+					],
+				},
+				{
+					id: 'flash',
+					type: 'checkbox',
+					label: 'Flash',
+					default: false,
+				},
+				{
+					id: 'duration',
+					type: 'number',
+					label: 'Hide After (seconds, 0 = until cleared or acknowledged)',
+					default: 0,
+					min: 0,
+					max: 3600,
+				},
+			],
+			callback: async (event) => {
+				try {
+					const text = event.options.preset === 'custom'
+						? (await self.parseVariablesInString(String(event.options.text || ''))).trim()
+						: event.options.preset
+					if (!text) {
+						self.log('error', 'Message text is required')
+						return
+					}
+
+					self.log('info', `Sending message to presenter: ${text}`)
+					const response = await self.apiRequest('POST', '/api/message', {
+						text,
+						color: event.options.color,
+						flash: event.options.flash === true,
+						duration: Number(event.options.duration) || 0,
+					})
+					self.log('info', response.message || 'Message sent')
+				} catch (error) {
+					self.log('error', `Failed to send message: ${error.message}`)
+				}
+			},
+		},
+
+		clear_message: {
+			name: 'Clear Message to Presenter',
+			options: [],
+			callback: async () => {
+				try {
+					self.log('info', 'Clearing presenter message')
+					const response = await self.apiRequest('POST', '/api/message/clear', {})
+					self.log('info', response.message || 'Message cleared')
+				} catch (error) {
+					self.log('error', `Failed to clear message: ${error.message}`)
+				}
+			},
+		},
+
 		toggle_video: {
 			name: 'Toggle Video Playback',
 			options: [],
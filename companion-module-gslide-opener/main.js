@@ -1,6 +1,10 @@
 const { InstanceBase, runEntrypoint, combineRgb } = require('@companion-module/base')
 const UpdateActions = require('./actions.js')
 
+// The app sends a keep-alive comment every 15s; silence for longer means the connection is gone
+// (e.g. half-open after a Wi-Fi drop, which never errors or closes)
+const EVENT_STREAM_IDLE_MS = 45000
+
 class GoogleSlidesOpenerInstance extends InstanceBase {
 	constructor(internal) {
 		super(internal)
@@ -24,11 +28,33 @@ class GoogleSlidesOpenerInstance extends InstanceBase {
 			presentationDisplayId: null,
 			notesDisplayId: null,
 			loginState: false,
-			loggedInUser: null
+			loggedInUser: null,
+			slideSource: null,
+			slideConfidence: null,
+			rundownCurrentTitle: null,
+			rundownNextTitle: null,
+			rundownPosition: null,
+			cuedTitle: null,
+			cuedReady: false,
+			machineRole: null,
+			machineLive: false,
+			failoverState: null,
+			outputMode: 'live',
+			presenterMessage: null,
+			presenterMessageState: null
 		}
 		
-		// Polling interval
+		// Preset library from the app (drives the "Open Preset" dropdown)
+		this.presets = []
+
+		// Polling interval (fallback when the event stream is unavailable)
 		this.pollInterval = null
+
+		// Event stream (GET /api/events)
+		this.eventStreamReq = null
+		this.eventStreamConnected = false
+		this.eventStreamRetryTimer = null
+		this.eventStreamIdleTimer = null
 	}
 
 	async init(config) {
@@ -37,11 +63,7 @@ class GoogleSlidesOpenerInstance extends InstanceBase {
 		this.log('info', `Raw config received: ${JSON.stringify(config)}`)
 		
 		// Merge config with defaults
-		this.config = {
-			host: '127.0.0.1',
-			port: '9595',
-			...config
-		}
+		this.config = this.mergeConfig(config)
 
 		console.log('[gslide-opener] Merged config:', JSON.stringify(this.config))
 		this.log('info', `Merged config: host=${this.config.host}, port=${this.config.port}`)
@@ -71,8 +93,8 @@ class GoogleSlidesOpenerInstance extends InstanceBase {
 			this.log('warn', `Connection test failed during init: ${error.message}`)
 		})
 
-		// Start polling for state updates
-		this.startPolling()
+		// Subscribe to pushed state updates (falls back to polling if the stream is unavailable)
+		this.startEventStream()
 
 		this.log('info', '=== Module initialization completed ===')
 		console.log('[gslide-opener] init() completed')
@@ -82,12 +104,8 @@ class GoogleSlidesOpenerInstance extends InstanceBase {
 		console.log('[gslide-opener] destroy() called')
 		this.log('info', '=== destroy() called ===')
 		
-		// Stop polling
-		if (this.pollInterval) {
-			clearInterval(this.pollInterval)
-			this.pollInterval = null
-			this.log('info', 'Polling stopped')
-		}
+		this.stopEventStream()
+		this.stopPolling()
 	}
 
 	async configUpdated(config) {
@@ -96,15 +114,33 @@ class GoogleSlidesOpenerInstance extends InstanceBase {
 		this.log('info', `New config received: ${JSON.stringify(config)}`)
 		
 		// Merge config with defaults
-		this.config = {
-			host: '127.0.0.1',
-			port: '9595',
-			...config
-		}
+		this.config = this.mergeConfig(config)
 		
 		console.log('[gslide-opener] Merged updated config:', JSON.stringify(this.config))
 		this.log('info', `Updated merged config: host=${this.config.host}, port=${this.config.port}`)
 		await this.testConnection()
+
+		// Reconnect the event stream to the new host/port
+		this.stopEventStream()
+		this.stopPolling()
+		this.startEventStream()
+	}
+
+	// Defaults, with host/port taken from the discovered machine when one is picked
+	mergeConfig(config) {
+		const merged = {
+			host: '127.0.0.1',
+			port: '9595',
+			...config
+		}
+		if (merged.bonjourHost) {
+			// Companion gives "address:port"
+			const value = String(merged.bonjourHost)
+			const sep = value.lastIndexOf(':')
+			merged.host = sep > 0 ? value.slice(0, sep) : value
+			merged.port = sep > 0 ? value.slice(sep + 1) : merged.port
+		}
+		return merged
 	}
 
 	getConfigFields() {
@@ -119,12 +155,20 @@ class GoogleSlidesOpenerInstance extends InstanceBase {
 				label: 'Information',
 				value: 'This module controls the Google Slides Opener Electron app. Make sure the app is running on the same computer.',
 			},
+			{
+				type: 'bonjour-device',
+				id: 'bonjourHost',
+				label: 'Discovered Machine',
+				width: 12,
+				tooltip: 'Google Slides Opener instances found on the network. Pick one, or leave empty to enter a host and port.',
+			},
 			{
 				type: 'textinput',
 				id: 'host',
 				label: 'Host',
 				width: 6,
 				default: '127.0.0.1',
+				isVisible: (options) => !options['bonjourHost'],
 			},
 			{
 				type: 'number',
@@ -134,6 +178,15 @@ class GoogleSlidesOpenerInstance extends InstanceBase {
 				min: 1,
 				max: 65535,
 				default: 9595,
+				isVisible: (options) => !options['bonjourHost'],
+			},
+			{
+				type: 'textinput',
+				id: 'token',
+				label: 'API Token (optional)',
+				width: 12,
+				default: '',
+				tooltip: 'Only needed when API tokens are set up in the app. The token needs the "read" and "control" scopes.',
 			},
 		]
 		
@@ -163,6 +216,7 @@ class GoogleSlidesOpenerInstance extends InstanceBase {
 			
 			// Update state immediately on successful connection
 			await this.updateState()
+			await this.refreshPresets()
 		} catch (error) {
 			console.log('[gslide-opener] Connection failed:', error)
 			this.log('error', `Failed to connect to Google Slides Opener: ${error.message}`)
@@ -170,8 +224,14 @@ class GoogleSlidesOpenerInstance extends InstanceBase {
 		}
 	}
 
-	// Make API requests
-	async apiRequest(method, endpoint, data = null) {
+	// Authorization header when an API token is configured
+	authHeaders() {
+		const token = String(this.config.token || '').trim()
+		return token ? { Authorization: `Bearer ${token}` } : {}
+	}
+
+	// Make API requests (timeout in ms; most routes answer at once)
+	async apiRequest(method, endpoint, data = null, { timeout = 5000 } = {}) {
 		const http = require('http')
 
 		console.log(`[gslide-opener] API Request: ${method} ${endpoint}`)
@@ -185,11 +245,12 @@ class GoogleSlidesOpenerInstance extends InstanceBase {
 				method: method,
 				headers: {
 					'Content-Type': 'application/json',
+					...this.authHeaders(),
 				},
-				timeout: 5000,
+				timeout,
 			}
 			
-			console.log('[gslide-opener] Request options:', JSON.stringify(options))
+			console.log('[gslide-opener] Request options:', JSON.stringify({ ...options, headers: undefined }))
 
 			const req = http.request(options, (res) => {
 				let responseData = ''
@@ -199,10 +260,14 @@ class GoogleSlidesOpenerInstance extends InstanceBase {
 				res.on('end', () => {
 					try {
 						const response = JSON.parse(responseData)
-						if (res.statusCode === 200) {
+						if (res.statusCode >= 200 && res.statusCode < 300) {
 							resolve(response)
 						} else {
-							reject(new Error(response.error || 'Request failed'))
+							// error is the message, with the code in errorCode (/api/v2 sends { code, message })
+							const error = response.error || {}
+							const err = new Error(typeof error === 'string' ? error : error.message || 'Request failed')
+							err.code = response.errorCode || error.code
+							reject(err)
 						}
 					} catch (error) {
 						reject(error)
@@ -292,6 +357,58 @@ class GoogleSlidesOpenerInstance extends InstanceBase {
 			{
 				variableId: 'logged_in_user',
 				name: 'Logged In User (Email)'
+			},
+			{
+				variableId: 'slide_source',
+				name: 'Slide Number Source (presenter-view, presentation, url-fragment, command)'
+			},
+			{
+				variableId: 'slide_confidence',
+				name: 'Slide Number Confidence (high, medium, low, none)'
+			},
+			{
+				variableId: 'rundown_current_title',
+				name: 'Rundown: Current Deck Title'
+			},
+			{
+				variableId: 'rundown_next_title',
+				name: 'Rundown: Next Deck Title'
+			},
+			{
+				variableId: 'rundown_position',
+				name: 'Rundown: Position (e.g. 2 / 5)'
+			},
+			{
+				variableId: 'cued_title',
+				name: 'Standby: Cued Deck Title'
+			},
+			{
+				variableId: 'cued_ready',
+				name: 'Standby: Cued Deck Loaded (Yes/No)'
+			},
+			{
+				variableId: 'machine_role',
+				name: 'Failover: Role (primary/backup/standalone)'
+			},
+			{
+				variableId: 'machine_live',
+				name: 'Failover: This Machine is Live (Yes/No)'
+			},
+			{
+				variableId: 'failover_state',
+				name: 'Failover: State (following, primary-lost, promoted, ...)'
+			},
+			{
+				variableId: 'output_mode',
+				name: 'Output Cover (live, blackout, whiteout, freeze, slate)'
+			},
+			{
+				variableId: 'presenter_message',
+				name: 'Presenter Message: Last Text Sent'
+			},
+			{
+				variableId: 'presenter_message_state',
+				name: 'Presenter Message: State (showing, acknowledged, expired, cleared, replaced)'
 			}
 		]
 		
@@ -394,6 +511,113 @@ class GoogleSlidesOpenerInstance extends InstanceBase {
 					return this.state.loginState === true
 				},
 				showInvert: true
+			},
+			deck_cued: {
+				type: 'boolean',
+				name: 'Deck is Cued',
+				description: 'Indicates when a deck is preloaded on standby (ready to Take)',
+				defaultStyle: {
+					color: combineRgb(0, 0, 0),
+					bgcolor: combineRgb(255, 191, 0)
+				},
+				options: [
+					{
+						id: 'readyOnly',
+						type: 'checkbox',
+						label: 'Only when fully loaded',
+						default: true
+					}
+				],
+				callback: (feedback) => {
+					if (!this.state.cuedTitle) return false
+					return feedback.options.readyOnly ? this.state.cuedReady === true : true
+				},
+				showInvert: true
+			},
+			machine_live: {
+				type: 'boolean',
+				name: 'Machine is Live',
+				description: 'Indicates when this machine is driving the show (primary or standalone, including a promoted backup). Add one connection per machine to see which one is live.',
+				defaultStyle: {
+					color: combineRgb(255, 255, 255),
+					bgcolor: combineRgb(220, 0, 0)
+				},
+				options: [],
+				callback: (feedback) => {
+					return this.state.machineLive === true
+				},
+				showInvert: true
+			},
+			primary_lost: {
+				type: 'boolean',
+				name: 'Primary Lost (Promotion Offered)',
+				description: 'Indicates when this backup has lost its primary and is waiting to be promoted',
+				defaultStyle: {
+					color: combineRgb(0, 0, 0),
+					bgcolor: combineRgb(255, 150, 0)
+				},
+				options: [],
+				callback: (feedback) => {
+					return this.state.failoverState === 'primary-lost'
+				},
+				showInvert: true
+			},
+			output_covered: {
+				type: 'boolean',
+				name: 'Output Covered',
+				description: 'Indicates when the audience display is covered (blackout, whiteout, freeze or slate)',
+				defaultStyle: {
+					color: combineRgb(255, 255, 255),
+					bgcolor: combineRgb(220, 0, 0)
+				},
+				options: [
+					{
+						id: 'mode',
+						type: 'dropdown',
+						label: 'Cover',
+						default: 'any',
+						choices: [
+							{ id: 'any', label: 'Any cover' },
+							{ id: 'blackout', label: 'Blackout' },
+							{ id: 'whiteout', label: 'Whiteout' },
+							{ id: 'freeze', label: 'Freeze' },
+							{ id: 'slate', label: 'Slate' }
+						]
+					}
+				],
+				callback: (feedback) => {
+					if (feedback.options.mode === 'any') return this.state.outputMode !== 'live'
+					return this.state.outputMode === feedback.options.mode
+				},
+				showInvert: true
+			},
+			message_showing: {
+				type: 'boolean',
+				name: 'Presenter Message Showing',
+				description: 'Indicates while a message is shown to the presenter (not yet acknowledged, cleared or expired)',
+				defaultStyle: {
+					color: combineRgb(0, 0, 0),
+					bgcolor: combineRgb(255, 191, 0)
+				},
+				options: [],
+				callback: (feedback) => {
+					return this.state.presenterMessageState === 'showing'
+				},
+				showInvert: true
+			},
+			message_acknowledged: {
+				type: 'boolean',
+				name: 'Presenter Message Acknowledged',
+				description: 'Indicates when the presenter has acknowledged the last message sent',
+				defaultStyle: {
+					color: combineRgb(255, 255, 255),
+					bgcolor: combineRgb(0, 153, 0)
+				},
+				options: [],
+				callback: (feedback) => {
+					return this.state.presenterMessageState === 'acknowledged'
+				},
+				showInvert: true
 			}
 		}
 		
@@ -403,6 +627,9 @@ class GoogleSlidesOpenerInstance extends InstanceBase {
 
 	// Start polling for state updates
 	startPolling() {
+		if (this.pollInterval) {
+			return
+		}
 		// Poll immediately, then every 1 second
 		this.updateState()
 		this.pollInterval = setInterval(() => {
@@ -411,13 +638,275 @@ class GoogleSlidesOpenerInstance extends InstanceBase {
 		this.log('info', 'Started polling for state updates (1s interval)')
 	}
 
+	stopPolling() {
+		if (this.pollInterval) {
+			clearInterval(this.pollInterval)
+			this.pollInterval = null
+			this.log('info', 'Polling stopped')
+		}
+	}
+
+	// Subscribe to GET /api/events (Server-Sent Events). Events are applied to the state as they
+	// arrive; while the stream is down (or silent) we poll and retry the stream every 10s.
+	startEventStream() {
+		const http = require('http')
+
+		if (this.eventStreamReq) {
+			return
+		}
+		if (this.eventStreamRetryTimer) {
+			clearTimeout(this.eventStreamRetryTimer)
+			this.eventStreamRetryTimer = null
+		}
+
+		const req = http.request(
+			{
+				hostname: this.config.host || '127.0.0.1',
+				port: this.config.port || 9595,
+				path: '/api/events',
+				method: 'GET',
+				headers: {
+					Accept: 'text/event-stream',
+					...this.authHeaders(),
+				},
+			},
+			(res) => {
+				if (res.statusCode !== 200 || !String(res.headers['content-type'] || '').includes('text/event-stream')) {
+					res.resume()
+					this.handleEventStreamDown(`unexpected response (HTTP ${res.statusCode})`)
+					return
+				}
+
+				this.eventStreamConnected = true
+				this.stopPolling()
+				this.log('info', 'Event stream connected; using pushed updates')
+				this.updateState()
+				this.refreshPresets()
+
+				let buffer = ''
+				res.setEncoding('utf8')
+				this.resetEventStreamIdleTimer()
+				res.on('data', (chunk) => {
+					this.resetEventStreamIdleTimer()
+					buffer += chunk
+					let idx
+					while ((idx = buffer.indexOf('\n\n')) !== -1) {
+						const block = buffer.slice(0, idx)
+						buffer = buffer.slice(idx + 2)
+						this.handleEventStreamMessage(block)
+					}
+				})
+				res.on('end', () => this.handleEventStreamDown('stream ended'))
+				res.on('error', (error) => this.handleEventStreamDown(error.message))
+			}
+		)
+
+		req.on('error', (error) => this.handleEventStreamDown(error.message))
+		req.end()
+		this.eventStreamReq = req
+	}
+
+	// Any chunk (event or keep-alive) proves the connection is alive
+	resetEventStreamIdleTimer() {
+		clearTimeout(this.eventStreamIdleTimer)
+		this.eventStreamIdleTimer = setTimeout(() => {
+			this.eventStreamIdleTimer = null
+			this.handleEventStreamDown(`no data for ${EVENT_STREAM_IDLE_MS / 1000}s`)
+		}, EVENT_STREAM_IDLE_MS)
+	}
+
+	stopEventStream() {
+		if (this.eventStreamRetryTimer) {
+			clearTimeout(this.eventStreamRetryTimer)
+			this.eventStreamRetryTimer = null
+		}
+		clearTimeout(this.eventStreamIdleTimer)
+		this.eventStreamIdleTimer = null
+		if (this.eventStreamReq) {
+			const req = this.eventStreamReq
+			this.eventStreamReq = null
+			req.removeAllListeners('error')
+			req.on('error', () => {})
+			req.destroy()
+		}
+		this.eventStreamConnected = false
+	}
+
+	handleEventStreamDown(reason) {
+		// Ignore late callbacks from a request we already tore down
+		if (!this.eventStreamReq) {
+			return
+		}
+		clearTimeout(this.eventStreamIdleTimer)
+		this.eventStreamIdleTimer = null
+		if (this.eventStreamConnected) {
+			this.log('warn', `Event stream disconnected (${reason}); falling back to polling`)
+		} else {
+			this.log('debug', `Event stream unavailable (${reason}); using polling`)
+		}
+		this.eventStreamReq.destroy()
+		this.eventStreamReq = null
+		this.eventStreamConnected = false
+		this.startPolling()
+
+		if (!this.eventStreamRetryTimer) {
+			this.eventStreamRetryTimer = setTimeout(() => {
+				this.eventStreamRetryTimer = null
+				this.startEventStream()
+			}, 10000)
+		}
+	}
+
+	// Parse one SSE block ("event: x\ndata: {...}") and react to it
+	handleEventStreamMessage(block) {
+		let type = 'message'
+		const dataLines = []
+		for (const line of block.split('\n')) {
+			if (line.startsWith(':')) continue
+			if (line.startsWith('event:')) {
+				type = line.slice(6).trim()
+			} else if (line.startsWith('data:')) {
+				dataLines.push(line.slice(5).trim())
+			}
+		}
+		if (dataLines.length === 0) {
+			return
+		}
+
+		let evt
+		try {
+			evt = JSON.parse(dataLines.join('\n'))
+		} catch (error) {
+			this.log('debug', `Ignoring malformed ${type} event`)
+			return
+		}
+
+		this.log('debug', `Event received: ${type}`)
+		this.applyEvent(type, evt.data || {})
+	}
+
+	// Update the state from an event's payload. Only a newly opened deck or notes window needs
+	// /api/status, for the title and timer read from the presenter view.
+	applyEvent(type, data) {
+		const next = { ...this.state }
+		switch (type) {
+			case 'slide-changed':
+				Object.assign(next, this.slideFields(data.currentSlide, data.totalSlides))
+				next.slideSource = data.source || null
+				next.slideConfidence = data.confidence || null
+				break
+			case 'presentation-opened':
+			case 'notes-opened':
+				this.updateState()
+				return
+			case 'presentation-closed':
+				next.presentationOpen = false
+				break
+			case 'notes-closed':
+				next.notesOpen = false
+				next.presentationTitle = null
+				next.timerElapsed = null
+				break
+			case 'login-changed':
+				next.loginState = data.loginState === true
+				next.loggedInUser = data.loggedInUser || null
+				break
+			case 'rundown-changed':
+				Object.assign(next, this.rundownFields(data))
+				break
+			case 'cue-changed':
+				Object.assign(next, this.cueFields(data.cued))
+				break
+			case 'failover-changed':
+				Object.assign(next, this.failoverFields(data.failover))
+				break
+			case 'output-changed':
+				next.outputMode = data.mode || 'live'
+				break
+			case 'message-changed':
+				if (data.current) {
+					next.presenterMessage = data.current.text
+					next.presenterMessageState = 'showing'
+				} else if (next.presenterMessage !== null) {
+					next.presenterMessageState = data.reason || null
+				}
+				break
+			case 'presets-changed':
+				this.refreshPresets()
+				return
+			default:
+				return
+		}
+		this.applyState(next)
+	}
+
+	// currentSlide/totalSlides plus the values /api/status derives from them
+	slideFields(currentSlide, totalSlides) {
+		const current = currentSlide !== null && currentSlide !== undefined ? currentSlide : null
+		const total = totalSlides !== null && totalSlides !== undefined ? totalSlides : null
+		if (current === null) {
+			return { currentSlide: null, totalSlides: total, slideInfo: null, isFirstSlide: false, isLastSlide: false, nextSlide: null, previousSlide: null }
+		}
+		return {
+			currentSlide: current,
+			totalSlides: total,
+			slideInfo: total ? `${current} / ${total}` : String(current),
+			isFirstSlide: current === 1,
+			isLastSlide: !!total && current === total,
+			nextSlide: total && current >= total ? null : current + 1,
+			previousSlide: current > 1 ? current - 1 : null
+		}
+	}
+
+	rundownFields(rundown) {
+		return {
+			rundownCurrentTitle: (rundown && rundown.currentTitle) || null,
+			rundownNextTitle: (rundown && rundown.nextTitle) || null,
+			rundownPosition: rundown && rundown.count > 0 && rundown.currentIndex >= 0
+				? `${rundown.currentIndex + 1} / ${rundown.count}`
+				: null
+		}
+	}
+
+	cueFields(cued) {
+		return {
+			cuedTitle: cued ? (cued.title || cued.url || null) : null,
+			cuedReady: !!(cued && cued.ready)
+		}
+	}
+
+	failoverFields(failover) {
+		return {
+			machineRole: (failover && failover.role) || null,
+			machineLive: !!(failover && failover.live),
+			failoverState: (failover && failover.state) || null
+		}
+	}
+
+	// Fetch the preset library and rebuild actions when it changed
+	async refreshPresets() {
+		try {
+			const response = await this.apiRequest('GET', '/api/presets')
+			const presets = Array.isArray(response.presets)
+				? response.presets.map((preset) => ({ id: preset.id, name: preset.name }))
+				: []
+			if (JSON.stringify(presets) !== JSON.stringify(this.presets)) {
+				this.presets = presets
+				this.log('info', `Preset library updated (${presets.length} presets)`)
+				this.updateActions()
+			}
+		} catch (error) {
+			this.log('debug', `Failed to load presets: ${error.message}`)
+		}
+	}
+
 	// Update state from API and refresh variables/feedbacks
 	async updateState() {
 		try {
 			const response = await this.apiRequest('GET', '/api/status')
 			
 		// Update internal state with all available fields
-		const newState = {
+		this.applyState({
 			presentationOpen: response.presentationOpen === true,
 			notesOpen: response.notesOpen === true,
 			currentSlide: response.currentSlide !== null && response.currentSlide !== undefined ? response.currentSlide : null,
@@ -433,9 +922,35 @@ class GoogleSlidesOpenerInstance extends InstanceBase {
 			presentationDisplayId: response.presentationDisplayId !== null && response.presentationDisplayId !== undefined ? response.presentationDisplayId : null,
 			notesDisplayId: response.notesDisplayId !== null && response.notesDisplayId !== undefined ? response.notesDisplayId : null,
 			loginState: response.loginState === true,
-			loggedInUser: response.loggedInUser || null
+			loggedInUser: response.loggedInUser || null,
+			slideSource: (response.slideTracking && response.slideTracking.source) || null,
+			slideConfidence: (response.slideTracking && response.slideTracking.confidence) || null,
+			...this.rundownFields(response.rundown),
+			...this.cueFields(response.cued),
+			...this.failoverFields(response.failover),
+			outputMode: response.outputMode || 'live',
+			presenterMessage: response.presenterMessage ? response.presenterMessage.text : null,
+			presenterMessageState: response.presenterMessage
+				? (response.presenterMessage.endedAt ? response.presenterMessage.endReason : 'showing')
+				: null
+		})
+		} catch (error) {
+			// Silently fail - connection might be down, don't spam logs
+			// Only log if we previously had a connection
+			if (this.state.presentationOpen || this.state.notesOpen) {
+				this.log('debug', `Failed to update state: ${error.message}`)
+			}
+			// An unreachable machine isn't live, whatever it last reported
+			if (this.state.machineLive) {
+				this.state.machineLive = false
+				this.setVariableValues({ machine_live: 'No' })
+				this.checkFeedbacks('machine_live')
+			}
 		}
-		
+	}
+
+	// Refresh variables/feedbacks when anything in newState differs from the current state
+	applyState(newState) {
 		// Check if state changed (compare all fields)
 		const stateChanged = 
 			this.state.presentationOpen !== newState.presentationOpen ||
@@ -447,6 +962,19 @@ class GoogleSlidesOpenerInstance extends InstanceBase {
 			this.state.isFirstSlide !== newState.isFirstSlide ||
 			this.state.loginState !== newState.loginState ||
 			this.state.loggedInUser !== newState.loggedInUser ||
+			this.state.slideSource !== newState.slideSource ||
+			this.state.slideConfidence !== newState.slideConfidence ||
+			this.state.rundownCurrentTitle !== newState.rundownCurrentTitle ||
+			this.state.rundownNextTitle !== newState.rundownNextTitle ||
+			this.state.rundownPosition !== newState.rundownPosition ||
+			this.state.cuedTitle !== newState.cuedTitle ||
+			this.state.cuedReady !== newState.cuedReady ||
+			this.state.machineRole !== newState.machineRole ||
+			this.state.machineLive !== newState.machineLive ||
+			this.state.failoverState !== newState.failoverState ||
+			this.state.outputMode !== newState.outputMode ||
+			this.state.presenterMessage !== newState.presenterMessage ||
+			this.state.presenterMessageState !== newState.presenterMessageState ||
 			this.state.isLastSlide !== newState.isLastSlide ||
 			this.state.nextSlide !== newState.nextSlide ||
 			this.state.previousSlide !== newState.previousSlide ||
@@ -475,21 +1003,27 @@ class GoogleSlidesOpenerInstance extends InstanceBase {
 				presentation_display_id: this.state.presentationDisplayId !== null ? String(this.state.presentationDisplayId) : '',
 				notes_display_id: this.state.notesDisplayId !== null ? String(this.state.notesDisplayId) : '',
 				login_state: this.state.loginState ? 'Yes' : 'No',
-				logged_in_user: this.state.loggedInUser || ''
+				logged_in_user: this.state.loggedInUser || '',
+				slide_source: this.state.slideSource || '',
+				slide_confidence: this.state.slideConfidence || '',
+				rundown_current_title: this.state.rundownCurrentTitle || '',
+				rundown_next_title: this.state.rundownNextTitle || '',
+				rundown_position: this.state.rundownPosition || '',
+				cued_title: this.state.cuedTitle || '',
+				cued_ready: this.state.cuedReady ? 'Yes' : 'No',
+				machine_role: this.state.machineRole || '',
+				machine_live: this.state.machineLive ? 'Yes' : 'No',
+				failover_state: this.state.failoverState || '',
+				output_mode: this.state.outputMode,
+				presenter_message: this.state.presenterMessage || '',
+				presenter_message_state: this.state.presenterMessageState || ''
 			})
 			
 			// Trigger feedback updates
-			this.checkFeedbacks('presentation_open', 'notes_open', 'on_slide', 'is_first_slide', 'is_last_slide', 'login_state')
+			this.checkFeedbacks('presentation_open', 'notes_open', 'on_slide', 'is_first_slide', 'is_last_slide', 'login_state', 'deck_cued', 'machine_live', 'primary_lost', 'output_covered', 'message_showing', 'message_acknowledged')
 			
 			this.log('debug', `State updated: presentation=${this.state.presentationOpen}, notes=${this.state.notesOpen}, slide=${this.state.currentSlide}/${this.state.totalSlides}, title=${this.state.presentationTitle || 'N/A'}`)
 		}
-		} catch (error) {
-			// Silently fail - connection might be down, don't spam logs
-			// Only log if we previously had a connection
-			if (this.state.presentationOpen || this.state.notesOpen) {
-				this.log('debug', `Failed to update state: ${error.message}`)
-			}
-		}
 	}
 }
 
@@ -8,12 +8,19 @@
  * Licensed under the MIT License
  */
 
-const { app, BrowserWindow, ipcMain, screen, session, dialog, nativeImage } = require('electron');
+const { app, BrowserWindow, ipcMain, screen, session, dialog, nativeImage, globalShortcut } = require('electron');
 const path = require('path');
 const fs = require('fs');
 const http = require('http');
+const https = require('https');
 const os = require('os');
 const util = require('util');
+const crypto = require('crypto');
+const dns = require('dns');
+const dgram = require('dgram');
+const net = require('net');
+const { PassThrough } = require('stream');
+const { getApiErrorMessage } = require('./api-errors');
 
 // ----------------------------
 // Logging helpers (secure by default)
@@ -28,7 +35,7 @@ const VERBOSE_ENV_ENABLED =
 let verboseLoggingEnabled = VERBOSE_ENV_ENABLED;
 
 // Redact common secret fields in ANY logs (even verbose).
-const SECRET_KEY_RE = /(api[\-_]?key|token|secret|password|passphrase|authorization)/i;
+const SECRET_KEY_RE = /(api[\-_]?key|pairing[\-_]?key|token|secret|password|passphrase|authorization|signature)/i;
 
 function safeStringify(value, space = 0) {
   try {
@@ -193,10 +200,26 @@ try {
 let mainWindow;
 let presentationWindow = null;
 let notesWindow = null;
-let currentSlide = null; // best-effort: we track on our next/prev; DOM can override when notes window has aria-posinset/aria-setsize
+let currentSlide = null; // only written via the slide tracking helpers below (observed DOM/URL state wins over our own key presses)
 let lastPresentationUrl = null; // Store the last-opened presentation URL for reload functionality
+let cuedWindow = null; // Hidden, preloaded deck waiting for /api/take
+let cuedPresentation = null; // { url, title, withNotes, startSlide, ready, error, cuedAt }
+// Set while we construct our own windows (output covers) so the notes popup watchers skip them
+let creatingOwnWindow = false;
+
+function createOwnWindow(options) {
+  creatingOwnWindow = true;
+  try {
+    return new BrowserWindow(options);
+  } finally {
+    creatingOwnWindow = false;
+  }
+}
 
 function toPresentUrl(inputUrl) {
+  const mock = parseMockDeckUrl(inputUrl);
+  if (mock) return getMockDeckUrl(mock, 'present');
+
   try {
     const u = new URL(inputUrl);
 
@@ -213,6 +236,849 @@ function toPresentUrl(inputUrl) {
   }
 }
 
+// ----------------------------
+// Mock decks (offline testing)
+// ----------------------------
+// "mock:<id>" (optionally "mock:<id>?slides=25") opens a local stand-in for a Google Slides deck,
+// served by the API server. It mimics the bits of present mode and presenter view the app drives
+// (arrow keys, number + Enter, #slide=id.<pageId>, "s" for speaker notes, aria-posinset/setsize,
+// punch-viewer-speakernotes-*, zoom buttons, current/next previews) so the API, Web UI and backup
+// sync can be exercised without network or a Google login.
+const MOCK_DECK_DEFAULT_SLIDES = 10;
+const MOCK_DECK_MAX_SLIDES = 200;
+const MOCK_DECK_TITLES = ['Welcome', 'Agenda', 'Keynote', 'Sponsor reel', 'Product demo', 'Roadmap', 'Panel discussion', 'Q&A', 'Thank you', 'Break'];
+const MOCK_DECK_COLORS = ['#1a73e8', '#188038', '#d93025', '#f9ab00', '#9334e6', '#12b5cb', '#e8710a', '#3c4043'];
+
+// Returns { id, slides } for mock:<id>[?slides=N] or a served /mock/presentation/d/<id>/... URL, else null
+function parseMockDeckUrl(inputUrl) {
+  const value = String(inputUrl || '').trim();
+  let m = value.match(/^mock:([A-Za-z0-9_-]+)(?:\?(.*))?$/i);
+  if (!m) {
+    m = value.match(/^http:\/\/127\.0\.0\.1:\d+\/mock\/presentation\/d\/([A-Za-z0-9_-]+)\/[a-z]+(?:\?([^#]*))?/);
+  }
+  if (!m) return null;
+  const params = new URLSearchParams(m[2] || '');
+  const slides = parseInt(params.get('slides'), 10);
+  return {
+    id: m[1],
+    slides: Number.isInteger(slides) ? Math.min(Math.max(slides, 1), MOCK_DECK_MAX_SLIDES) : MOCK_DECK_DEFAULT_SLIDES
+  };
+}
+
+function isMockDeckUrl(url) {
+  return !!parseMockDeckUrl(url);
+}
+
+// view: 'present' | 'presenter'
+function getMockDeckUrl({ id, slides }, view = 'present') {
+  const address = httpServer && httpServer.listening ? httpServer.address() : null;
+  const port = address && address.port ? address.port : (loadPreferences().apiPort || DEFAULT_API_PORT);
+  return `http://127.0.0.1:${port}/mock/presentation/d/${id}/${view}?slides=${slides}`;
+}
+
+function escapeMockHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function buildMockDeck({ id, slides }) {
+  const deck = { id, title: `Mock deck ${id}`, slides: [] };
+  for (let n = 1; n <= slides; n++) {
+    const title = n <= MOCK_DECK_TITLES.length ? MOCK_DECK_TITLES[n - 1] : `Slide ${n}`;
+    const color = MOCK_DECK_COLORS[(n - 1) % MOCK_DECK_COLORS.length];
+    const notes = [`Speaker notes for slide ${n}: ${title}.`];
+    // Enough paragraphs that the notes pane scrolls (scroll-notes-up/down need something to move)
+    for (let p = 1; p <= 8; p++) {
+      notes.push(`Talking point ${p} for "${title}". This is placeholder text from the offline mock deck so notes scraping, zoom and scrolling can be tested.`);
+    }
+    deck.slides.push({
+      slide: n,
+      pageId: `mock_${n}`,
+      title,
+      notes: notes.join('\n\n'),
+      svg: `<svg viewBox="0 0 1600 900" xmlns="http://www.w3.org/2000/svg" preserveAspectRatio="xMidYMid meet">` +
+        `<rect width="1600" height="900" fill="${color}"/>` +
+        `<text x="120" y="380" font-family="Arial, sans-serif" font-size="120" font-weight="bold" fill="#fff">${escapeMockHtml(title)}</text>` +
+        `<text x="120" y="500" font-family="Arial, sans-serif" font-size="56" fill="#fff" fill-opacity="0.85">${escapeMockHtml(deck.title)}</text>` +
+        `<text x="1480" y="840" text-anchor="end" font-family="Arial, sans-serif" font-size="48" fill="#fff">${n} / ${slides}</text>` +
+        `</svg>`
+    });
+  }
+  return deck;
+}
+
+// JSON that is safe to drop inside an inline <script>
+function toMockScriptJson(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+function renderMockPresentPage(deck) {
+  const config = { deck, presenterUrl: getMockDeckUrl({ id: deck.id, slides: deck.slides.length }, 'presenter') };
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeMockHtml(deck.title)} - Google Slides</title>
+  <style>
+    html, body { margin: 0; height: 100%; background: #000; overflow: hidden; font-family: Arial, sans-serif; }
+    .punch-viewer-container { position: absolute; inset: 0; display: flex; align-items: center; justify-content: center; }
+    .punch-viewer-container svg { width: 100%; height: 100%; }
+    #position { position: absolute; left: -9999px; }
+    #video { position: absolute; right: 24px; bottom: 24px; padding: 8px 14px; border-radius: 6px; background: rgba(0,0,0,0.6); color: #fff; font-size: 18px; display: none; }
+  </style>
+</head>
+<body>
+  <div class="punch-viewer-container" id="stage"></div>
+  <div id="position" role="option" aria-selected="true"></div>
+  <div id="video">&#9654; Video playing</div>
+  <script>
+    (function(){
+      var config = ${toMockScriptJson(config)};
+      var slides = config.deck.slides;
+      var index = 0;
+      var typed = '';
+      var video = false;
+      var presenter = null;
+
+      function indexOfPage(pageId) {
+        for (var i = 0; i < slides.length; i++) {
+          if (slides[i].pageId === pageId) return i;
+        }
+        return -1;
+      }
+      function notifyPresenter() {
+        if (presenter && !presenter.closed) {
+          presenter.postMessage({ type: 'gso-mock-state', index: index, video: video }, '*');
+        }
+      }
+      function render() {
+        var s = slides[index];
+        document.getElementById('stage').innerHTML = s.svg;
+        var pos = document.getElementById('position');
+        pos.setAttribute('aria-posinset', String(s.slide));
+        pos.setAttribute('aria-setsize', String(slides.length));
+        pos.setAttribute('aria-label', 'Slide ' + s.slide + ': ' + s.title);
+        pos.setAttribute('data-page-id', s.pageId);
+        document.getElementById('video').style.display = video ? 'block' : 'none';
+        if (location.hash !== '#slide=id.' + s.pageId) location.replace('#slide=id.' + s.pageId);
+        notifyPresenter();
+      }
+      function go(i) {
+        var next = Math.max(0, Math.min(slides.length - 1, i));
+        if (next === index) return;
+        index = next;
+        video = false;
+        render();
+      }
+      function openPresenter() {
+        if (presenter && !presenter.closed) {
+          presenter.focus();
+          return;
+        }
+        presenter = window.open(config.presenterUrl + '#slide=id.' + slides[index].pageId, 'gso-mock-presenter', 'width=1280,height=800');
+      }
+
+      window.addEventListener('hashchange', function(){
+        var m = String(location.hash).match(/slide=id\\.([^&]+)/);
+        var i = m ? indexOfPage(decodeURIComponent(m[1])) : -1;
+        if (i !== -1) go(i);
+      });
+      window.addEventListener('message', function(e){
+        var msg = e.data || {};
+        if (msg.type === 'gso-mock-go') go(msg.index);
+        if (msg.type === 'gso-mock-hello') notifyPresenter();
+      });
+      document.addEventListener('keydown', function(e){
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        var key = e.key;
+        if (/^[0-9]$/.test(key)) {
+          typed += key;
+          return;
+        }
+        if (key === 'Enter' && typed) {
+          go(parseInt(typed, 10) - 1);
+          typed = '';
+          return;
+        }
+        typed = '';
+        if (key === 'ArrowRight' || key === 'ArrowDown' || key === 'PageDown' || key === ' ' || key === 'n') go(index + 1);
+        else if (key === 'ArrowLeft' || key === 'ArrowUp' || key === 'PageUp' || key === 'p') go(index - 1);
+        else if (key === 'Home') go(0);
+        else if (key === 'End') go(slides.length - 1);
+        else if (key === 's' || key === 'S') openPresenter();
+        else if (key === 'k' || key === 'K') {
+          video = !video;
+          render();
+        }
+      });
+
+      var start = String(location.hash).match(/slide=id\\.([^&]+)/);
+      if (start && indexOfPage(decodeURIComponent(start[1])) !== -1) index = indexOfPage(decodeURIComponent(start[1]));
+      render();
+    })();
+  </script>
+</body>
+</html>`;
+}
+
+function renderMockPresenterPage(deck) {
+  const config = { deck };
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <title>Presenter view - ${escapeMockHtml(deck.title)} - Google Slides</title>
+  <style>
+    html, body { margin: 0; height: 100%; overflow: hidden; background: #202124; color: #e8eaed; font-family: Arial, sans-serif; }
+    .header { height: 64px; display: flex; align-items: center; gap: 12px; padding: 0 20px; background: #2d2e30; box-sizing: border-box; }
+    .header button, .controls button { background: #3c4043; color: #e8eaed; border: 0; border-radius: 4px; padding: 8px 14px; font-size: 14px; cursor: pointer; }
+    .punch-viewer-speakernotes-timer { font-size: 22px; font-variant-numeric: tabular-nums; }
+    #position { margin-left: auto; font-size: 16px; }
+    .main { position: absolute; top: 80px; left: 20px; right: 20px; bottom: 20px; display: flex; gap: 20px; }
+    .previews { width: 55%; display: flex; flex-direction: column; gap: 12px; }
+    .current svg { width: 100%; height: auto; display: block; }
+    .next-label { font-size: 14px; color: #9aa0a6; }
+    .next svg { width: 60%; height: auto; display: block; }
+    .side { flex: 1; display: flex; flex-direction: column; gap: 12px; min-width: 0; }
+    .zoom { display: flex; gap: 8px; }
+    table.punch-viewer-speakernotes { width: 100%; border-collapse: collapse; flex: 1; }
+    table.punch-viewer-speakernotes td { vertical-align: top; padding: 0; }
+    .punch-viewer-speakernotes-text-body-scrollable { height: calc(100vh - 330px); overflow-y: auto; white-space: pre-wrap; line-height: 1.4; font-size: 20px; padding-right: 8px; }
+    .controls { display: flex; gap: 8px; }
+    .picker { display: flex; gap: 6px; overflow-x: auto; padding-bottom: 4px; }
+    .picker [role="option"] { flex: 0 0 auto; padding: 6px 10px; border-radius: 4px; background: #3c4043; font-size: 13px; cursor: pointer; }
+    .picker [aria-selected="true"] { background: #1a73e8; }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <span class="punch-viewer-speakernotes-timer" id="timer">00:00:00</span>
+    <button type="button" aria-label="Pause timer" id="timer-pause">Pause</button>
+    <button type="button" aria-label="Reset timer" id="timer-reset">Reset</button>
+    <span id="position" aria-selected="true"></span>
+  </div>
+  <div class="main">
+    <div class="previews">
+      <div class="current" aria-label="Current slide" id="current"></div>
+      <div class="next-label">Next</div>
+      <div class="next" aria-label="Next slide" id="next"></div>
+    </div>
+    <div class="side">
+      <div class="zoom">
+        <button type="button" title="Zoom out" id="zoom-out">A-</button>
+        <button type="button" title="Zoom in" id="zoom-in">A+</button>
+      </div>
+      <table class="punch-viewer-speakernotes"><tr><td>
+        <div class="punch-viewer-speakernotes-text-body-scrollable" id="notes"></div>
+      </td></tr></table>
+      <div class="controls">
+        <button type="button" aria-label="Previous" id="prev">Previous</button>
+        <button type="button" aria-label="Next" id="advance">Next</button>
+      </div>
+      <div class="picker" role="listbox" id="picker"></div>
+    </div>
+  </div>
+  <script>
+    (function(){
+      var config = ${toMockScriptJson(config)};
+      var slides = config.deck.slides;
+      var index = 0;
+      var fontSize = 20;
+      var timerStart = Date.now();
+      var timerPausedAt = null;
+
+      function pad(n) { return (n < 10 ? '0' : '') + n; }
+      function tick() {
+        var elapsed = Math.floor(((timerPausedAt || Date.now()) - timerStart) / 1000);
+        document.getElementById('timer').textContent =
+          pad(Math.floor(elapsed / 3600)) + ':' + pad(Math.floor(elapsed / 60) % 60) + ':' + pad(elapsed % 60);
+      }
+      function send(msg) {
+        if (window.opener && !window.opener.closed) window.opener.postMessage(msg, '*');
+      }
+      function render() {
+        var s = slides[index];
+        var next = slides[index + 1];
+        var pos = document.getElementById('position');
+        pos.setAttribute('aria-posinset', String(s.slide));
+        pos.setAttribute('aria-setsize', String(slides.length));
+        pos.setAttribute('aria-label', 'Slide ' + s.slide + ': ' + s.title);
+        pos.setAttribute('data-page-id', s.pageId);
+        pos.textContent = 'Slide ' + s.slide + ' of ' + slides.length;
+        document.getElementById('current').innerHTML = s.svg;
+        document.getElementById('next').innerHTML = next ? next.svg : '';
+        document.getElementById('notes').textContent = s.notes;
+        document.getElementById('notes').scrollTop = 0;
+        var items = document.getElementById('picker').children;
+        for (var i = 0; i < items.length; i++) {
+          items[i].setAttribute('aria-selected', i === index ? 'true' : 'false');
+        }
+        if (location.hash !== '#slide=id.' + s.pageId) location.replace('#slide=id.' + s.pageId);
+      }
+      function go(i) {
+        send({ type: 'gso-mock-go', index: Math.max(0, Math.min(slides.length - 1, i)) });
+      }
+      function zoom(delta) {
+        fontSize = Math.max(10, Math.min(48, fontSize + delta));
+        document.getElementById('notes').style.fontSize = fontSize + 'px';
+      }
+
+      slides.forEach(function(s, i){
+        var item = document.createElement('div');
+        item.setAttribute('role', 'option');
+        item.setAttribute('aria-posinset', String(s.slide));
+        item.setAttribute('aria-setsize', String(slides.length));
+        item.setAttribute('aria-label', 'Slide ' + s.slide + ': ' + s.title);
+        item.setAttribute('data-page-id', s.pageId);
+        item.textContent = s.slide + '. ' + s.title;
+        item.addEventListener('click', function(){ go(i); });
+        document.getElementById('picker').appendChild(item);
+      });
+
+      window.addEventListener('message', function(e){
+        var msg = e.data || {};
+        if (msg.type !== 'gso-mock-state') return;
+        index = msg.index;
+        render();
+      });
+      document.getElementById('prev').addEventListener('click', function(){ go(index - 1); });
+      document.getElementById('advance').addEventListener('click', function(){ go(index + 1); });
+      document.getElementById('zoom-in').addEventListener('click', function(){ zoom(2); });
+      document.getElementById('zoom-out').addEventListener('click', function(){ zoom(-2); });
+      document.getElementById('timer-pause').addEventListener('click', function(){
+        if (timerPausedAt) {
+          timerStart += Date.now() - timerPausedAt;
+          timerPausedAt = null;
+        } else {
+          timerPausedAt = Date.now();
+        }
+        tick();
+      });
+      document.getElementById('timer-reset').addEventListener('click', function(){
+        timerStart = Date.now();
+        if (timerPausedAt) timerPausedAt = timerStart;
+        tick();
+      });
+      document.addEventListener('keydown', function(e){
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        if (e.key === 'ArrowRight' || e.key === 'ArrowDown' || e.key === 'PageDown' || e.key === ' ') go(index + 1);
+        else if (e.key === 'ArrowLeft' || e.key === 'ArrowUp' || e.key === 'PageUp') go(index - 1);
+      });
+
+      var start = String(location.hash).match(/slide=id\\.([^&]+)/);
+      for (var i = 0; start && i < slides.length; i++) {
+        if (slides[i].pageId === decodeURIComponent(start[1])) index = i;
+      }
+      render();
+      tick();
+      setInterval(tick, 1000);
+      send({ type: 'gso-mock-hello' });
+    })();
+  </script>
+</body>
+</html>`;
+}
+
+// GET /mock/presentation/d/<id>/present|presenter. Only served to this machine: the pages are
+// loaded by our own windows, which can't present API tokens.
+function handleMockDeckRequest(req, res) {
+  if (!isLocalhostAddress(normalizeRemoteAddress(req?.socket?.remoteAddress))) {
+    res.writeHead(403, { 'Content-Type': 'text/plain' });
+    res.end('Mock decks are only served to this machine');
+    return;
+  }
+  const m = req.url.match(/^\/mock\/presentation\/d\/([A-Za-z0-9_-]+)\/(present|presenter)(?:\?|$)/);
+  const mock = m ? parseMockDeckUrl(`http://127.0.0.1:0${req.url}`) : null;
+  if (!mock) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not found');
+    return;
+  }
+  const deck = buildMockDeck(mock);
+  res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(m[2] === 'presenter' ? renderMockPresenterPage(deck) : renderMockPresentPage(deck));
+}
+
+// ----------------------------
+// Slide tracking
+// ----------------------------
+// currentSlide is the single source of truth for "which slide is showing". It is fed by an
+// observer injected into the presentation + presenter view pages (aria-posinset/aria-setsize and
+// the #slide=id.<pageId> fragment). Our own next/prev/go-to bookkeeping is only an assumption and
+// is ignored once a page has actually reported its position.
+const SLIDE_OBSERVER_MARKER = '__GSO_SLIDE_STATE__';
+// Logged by the operator message banner in the presenter view when the presenter taps it
+const MESSAGE_ACK_MARKER = '__GSO_MESSAGE_ACK__';
+const SLIDE_SOURCE_CONFIDENCE = {
+  'presenter-view': 'high',
+  presentation: 'high',
+  'url-fragment': 'medium',
+  command: 'low'
+};
+
+let slideTracking = {
+  source: null,       // 'presenter-view' | 'presentation' | 'url-fragment' | 'command' | null
+  confidence: 'none', // 'high' | 'medium' | 'low' | 'none'
+  pageId: null,       // Google Slides page id from #slide=id.<pageId>
+  totalSlides: null,
+  updatedAt: null
+};
+// Index of the open deck: slide number -> { slide, pageId, title }. Built from what the pages
+// show us (slide pickers in the presenter view, plus every slide the observer sees), so cues can
+// target a page id or title that survives slides being inserted/reordered.
+const deckIndex = new Map();
+let slideTrackingStartedAt = null;
+
+// Runs inside the Slides page; reports position changes via console.log(marker + JSON)
+const SLIDE_OBSERVER_SCRIPT = `
+  (function(){
+    if (window.__gsoSlideObserver) return;
+    window.__gsoSlideObserver = true;
+    var last = '';
+    var pending = null;
+    function clean(text){
+      return String(text || '').replace(/\\s+/g, ' ').trim().slice(0, 200);
+    }
+    // First line of text on the biggest slide rendering on the page (the current slide)
+    function slideTitle(){
+      var svgs = document.querySelectorAll('svg');
+      var best = null, bestArea = 0;
+      for (var i = 0; i < svgs.length; i++) {
+        var r = svgs[i].getBoundingClientRect();
+        var area = r.width * r.height;
+        if (area > bestArea && svgs[i].querySelector('text')) {
+          best = svgs[i];
+          bestArea = area;
+        }
+      }
+      if (!best) return null;
+      var texts = best.querySelectorAll('text');
+      for (var j = 0; j < texts.length; j++) {
+        var t = clean(texts[j].textContent);
+        if (t) return t;
+      }
+      return null;
+    }
+    // Slide pickers list every slide as an [aria-posinset] item
+    function slideList(items){
+      if (items.length < 2) return null;
+      var out = [];
+      for (var i = 0; i < items.length; i++) {
+        var n = parseInt(items[i].getAttribute('aria-posinset'), 10);
+        if (isNaN(n)) continue;
+        var label = clean(items[i].getAttribute('aria-label') || items[i].textContent)
+          .replace(/^slide\\s+\\d+\\s*[:\\-\u2013]?\\s*/i, '');
+        out.push({
+          slide: n,
+          title: label || null,
+          pageId: items[i].getAttribute('data-page-id') || null
+        });
+      }
+      return out;
+    }
+    function read(){
+      var cur = null, tot = null;
+      var items = document.querySelectorAll('[aria-posinset]');
+      var el = document.querySelector('[aria-posinset][aria-selected="true"]') || items[0];
+      if (el) {
+        cur = parseInt(el.getAttribute('aria-posinset'), 10);
+        tot = parseInt(el.getAttribute('aria-setsize'), 10);
+      }
+      var m = String(location.hash || '').match(/slide=id\\.([^&]+)/);
+      return {
+        current: isNaN(cur) ? null : cur,
+        total: isNaN(tot) ? null : tot,
+        pageId: m ? decodeURIComponent(m[1]) : null,
+        title: slideTitle(),
+        slides: slideList(items)
+      };
+    }
+    function report(){
+      pending = null;
+      var key = JSON.stringify(read());
+      if (key === last) return;
+      last = key;
+      console.log('${SLIDE_OBSERVER_MARKER}' + key);
+    }
+    function schedule(){
+      if (!pending) pending = setTimeout(report, 50);
+    }
+    new MutationObserver(schedule).observe(document.documentElement, {
+      subtree: true,
+      childList: true,
+      attributes: true,
+      attributeFilter: ['aria-posinset', 'aria-setsize']
+    });
+    window.addEventListener('hashchange', schedule);
+    // Lets us ask for a fresh report (e.g. when a preloaded window is taken on air)
+    window.__gsoReport = function(){ last = ''; report(); };
+    report();
+  })()
+`;
+
+function isSlidesPageUrl(url) {
+  return /^https:\/\/docs\.google\.com\/presentation\//.test(String(url || '')) || isMockDeckUrl(url);
+}
+
+function parseSlidePageId(url) {
+  const m = String(url || '').match(/#slide=id\.([^&]+)/);
+  if (!m) return null;
+  try {
+    return decodeURIComponent(m[1]);
+  } catch (e) {
+    return m[1];
+  }
+}
+
+function isObservedSlideSource(source) {
+  return source === 'presenter-view' || source === 'presentation' || source === 'url-fragment';
+}
+
+function getSlideSourceForWebContents(contents) {
+  if (notesWindow && !notesWindow.isDestroyed() && notesWindow.webContents === contents) return 'presenter-view';
+  if (presentationWindow && !presentationWindow.isDestroyed() && presentationWindow.webContents === contents) return 'presentation';
+  return null;
+}
+
+function indexSlide(slide, { pageId, title } = {}) {
+  if (!Number.isInteger(slide) || slide < 1) return;
+  const entry = deckIndex.get(slide) || { slide, pageId: null, title: null };
+  if (pageId) {
+    // A page id lives on exactly one slide; drop stale positions after the deck was edited
+    for (const other of deckIndex.values()) {
+      if (other !== entry && other.pageId === pageId) other.pageId = null;
+    }
+    entry.pageId = pageId;
+  }
+  if (title) entry.title = title;
+  deckIndex.set(slide, entry);
+}
+
+function findSlidePageId(slideNumber) {
+  const entry = deckIndex.get(slideNumber);
+  return entry ? entry.pageId : null;
+}
+
+function findSlideByPageId(pageId) {
+  for (const entry of deckIndex.values()) {
+    if (entry.pageId === pageId) return entry.slide;
+  }
+  return null;
+}
+
+function getDeckIndex() {
+  return Array.from(deckIndex.values())
+    .sort((a, b) => a.slide - b.slide)
+    .map(entry => ({ ...entry }));
+}
+
+function normalizeSlideTitle(text) {
+  return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+// Resolve a cue ({ slide } | { pageId } | { title }) against the deck index.
+// Returns { slide, pageId } (slide may be null for a page id we haven't seen yet) or { code, error } (see API_ERRORS).
+function resolveSlideTarget({ slide, pageId, title } = {}) {
+  if (pageId) {
+    const known = findSlideByPageId(pageId);
+    return { slide: known !== null ? known : (Number.isInteger(slide) ? slide : null), pageId };
+  }
+
+  if (title) {
+    const wanted = normalizeSlideTitle(title);
+    if (!wanted) {
+      return { code: 'INVALID_REQUEST', error: 'title must contain letters or numbers' };
+    }
+    const titled = getDeckIndex().filter(entry => entry.title);
+    // Prefer exact matches, then titles starting with the text, then titles containing it
+    const tiers = [
+      entry => normalizeSlideTitle(entry.title) === wanted,
+      entry => normalizeSlideTitle(entry.title).startsWith(wanted),
+      entry => normalizeSlideTitle(entry.title).includes(wanted)
+    ];
+    for (const matches of tiers) {
+      const found = titled.filter(matches);
+      if (found.length === 1) {
+        return { slide: found[0].slide, pageId: found[0].pageId };
+      }
+      if (found.length > 1) {
+        return {
+          code: 'AMBIGUOUS_TITLE',
+          error: `"${title}" matches ${found.length} slides; use a more specific title or a page id`,
+          candidates: found
+        };
+      }
+    }
+    return { code: 'SLIDE_NOT_FOUND', error: `No slide titled "${title}" in the deck index (${titled.length} titled slides known)` };
+  }
+
+  if (Number.isInteger(slide) && slide >= 1) {
+    return { slide, pageId: findSlidePageId(slide) };
+  }
+  return { code: 'INVALID_REQUEST', error: 'A slide number, pageId or title is required' };
+}
+
+function setCurrentSlide(value, source, { pageId, totalSlides, confidence } = {}) {
+  const previous = currentSlide;
+  const previousTotal = slideTracking.totalSlides;
+
+  currentSlide = value;
+  slideTracking = {
+    source: source || null,
+    confidence: confidence || (source ? (SLIDE_SOURCE_CONFIDENCE[source] || 'low') : 'none'),
+    pageId: pageId !== undefined ? pageId : slideTracking.pageId,
+    totalSlides: totalSlides !== undefined ? totalSlides : slideTracking.totalSlides,
+    updatedAt: Date.now()
+  };
+
+  if (previous !== currentSlide || previousTotal !== slideTracking.totalSlides) {
+    logDebug(`[Slides] Slide ${previous} -> ${currentSlide} (${slideTracking.source || 'none'}, ${slideTracking.confidence})`);
+    publishEvent('slide-changed', {
+      currentSlide,
+      totalSlides: slideTracking.totalSlides,
+      previousSlideNumber: previous,
+      pageId: slideTracking.pageId,
+      source: slideTracking.source,
+      confidence: slideTracking.confidence
+    });
+  }
+}
+
+// Deck closed/replaced: nothing is known any more
+function resetSlideTracking() {
+  deckIndex.clear();
+  setCurrentSlide(null, null, { pageId: null, totalSlides: null });
+}
+
+// New deck loading: forget the old one and assume slide 1 until the page reports
+function beginSlideTracking() {
+  resetSlideTracking();
+  slideTrackingStartedAt = Date.now();
+  setCurrentSlide(1, 'command');
+}
+
+// Bookkeeping after we sent keys ourselves. Only used until the page reports its real position.
+function assumeCurrentSlide(value) {
+  if (isObservedSlideSource(slideTracking.source)) return;
+  setCurrentSlide(value, 'command');
+}
+
+// A position report from a Slides page: { current, total, pageId, title, slides } (any field may be null)
+function recordSlideObservation(report, source) {
+  if (!report) return;
+  const current = Number.isInteger(report.current) && report.current > 0 ? report.current : null;
+  const total = Number.isInteger(report.total) && report.total > 0 ? report.total : null;
+  const pageId = report.pageId || null;
+
+  if (Array.isArray(report.slides)) {
+    for (const item of report.slides) {
+      if (item) indexSlide(item.slide, { pageId: item.pageId || null, title: item.title || null });
+    }
+  }
+
+  if (current !== null) {
+    indexSlide(current, { pageId, title: report.title || null });
+    setCurrentSlide(current, source, {
+      pageId: pageId || findSlidePageId(current) || (current === currentSlide ? slideTracking.pageId : null),
+      totalSlides: total !== null ? total : slideTracking.totalSlides
+    });
+    return;
+  }
+
+  if (!pageId || pageId === slideTracking.pageId) return;
+
+  const known = findSlideByPageId(pageId);
+  if (known !== null) {
+    setCurrentSlide(known, 'url-fragment', { pageId });
+    return;
+  }
+
+  // The presenter view often reports the new number a moment before/after the slideshow fragment
+  // changes; if it just did, this fragment belongs to that slide.
+  const recentDomReport = (slideTracking.source === 'presenter-view' || slideTracking.source === 'presentation') &&
+    slideTracking.updatedAt && (Date.now() - slideTracking.updatedAt) < 1000 && !slideTracking.pageId;
+  if (recentDomReport && currentSlide !== null) {
+    indexSlide(currentSlide, { pageId, title: report.title || null });
+    slideTracking.pageId = pageId;
+    return;
+  }
+
+  // We know the slide changed but not to which number
+  setCurrentSlide(currentSlide, 'url-fragment', { pageId, confidence: 'low' });
+}
+
+const GO_TO_SLIDE_VERIFY_TIMEOUT_MS = 2500;
+// How long after opening a deck go-to-slide waits for the page to report before typing into it
+const DECK_LOAD_GRACE_MS = 15000;
+const GO_TO_SLIDE_MODES = ['auto', 'type', 'fragment'];
+
+// Slideshow mode jumps straight to a slide when you type its number and press Enter
+function typeSlideNumber(win, slideNumber) {
+  for (const digit of String(slideNumber)) {
+    win.webContents.sendInputEvent({ type: 'keyDown', keyCode: digit });
+    win.webContents.sendInputEvent({ type: 'char', keyCode: digit });
+    win.webContents.sendInputEvent({ type: 'keyUp', keyCode: digit });
+  }
+  win.webContents.sendInputEvent({ type: 'keyDown', keyCode: 'Return' });
+  win.webContents.sendInputEvent({ type: 'char', keyCode: '\r' });
+  win.webContents.sendInputEvent({ type: 'keyUp', keyCode: 'Return' });
+}
+
+// Same-document navigation to /present#slide=id.<pageId> (no reload)
+async function navigateToSlidePageId(win, pageId) {
+  await win.webContents.executeJavaScript(`location.hash = ${JSON.stringify('slide=id.' + pageId)};`);
+}
+
+// Resolves true once the tracker reports the target. A fragment change we can't map to a number
+// yet counts as arrival (we caused it) and teaches the deck index for next time.
+async function waitForSlideArrival({ slide, pageId }, previousPageId, timeoutMs = GO_TO_SLIDE_VERIFY_TIMEOUT_MS) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (slide !== null) {
+      if (currentSlide === slide && isObservedSlideSource(slideTracking.source) && slideTracking.confidence !== 'low') {
+        return true;
+      }
+      if (slideTracking.source === 'url-fragment' && slideTracking.confidence === 'low' &&
+          slideTracking.pageId && slideTracking.pageId !== previousPageId) {
+        indexSlide(slide, { pageId: slideTracking.pageId });
+        setCurrentSlide(slide, 'url-fragment', { pageId: slideTracking.pageId });
+        return true;
+      }
+    } else if (slideTracking.pageId === pageId) {
+      // Number unknown until the presenter view reports it
+      return true;
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  return false;
+}
+
+// Jump to a slide in one step and confirm it. target is { slide, pageId } from resolveSlideTarget.
+// mode: 'auto' (fragment when the page id is known, else type the number), 'type' or 'fragment'.
+async function goToSlide(target, { mode = 'auto', timeoutMs = GO_TO_SLIDE_VERIFY_TIMEOUT_MS } = {}) {
+  const noPresentation = { success: false, code: 'NO_PRESENTATION', error: 'No presentation is open' };
+  // The deck can be closed (or replaced by another) while we wait; never type into the wrong window
+  const win = presentationWindow;
+  const windowGone = () => presentationWindow !== win || win.isDestroyed();
+  if (!win || win.isDestroyed()) return noPresentation;
+
+  // Deck still loading (e.g. a preset's start slide): let the page report before typing into it
+  const sinceOpen = slideTrackingStartedAt ? Date.now() - slideTrackingStartedAt : Infinity;
+  if (!isObservedSlideSource(slideTracking.source) && sinceOpen < DECK_LOAD_GRACE_MS) {
+    const deadline = Date.now() + (DECK_LOAD_GRACE_MS - sinceOpen);
+    while (Date.now() < deadline && !isObservedSlideSource(slideTracking.source) && !windowGone()) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    if (windowGone()) return noPresentation;
+  }
+
+  const targetSlide = Number.isInteger(target.slide) ? target.slide : null;
+  const pageId = target.pageId || (targetSlide !== null ? findSlidePageId(targetSlide) : null);
+  const label = targetSlide !== null ? `slide ${targetSlide}` : `page ${pageId}`;
+  const fromSlide = currentSlide;
+
+  const observed = isObservedSlideSource(slideTracking.source) && slideTracking.confidence !== 'low';
+  const alreadyThere = targetSlide !== null ? currentSlide === targetSlide : slideTracking.pageId === pageId;
+  if (observed && alreadyThere) {
+    return { success: true, verified: true, method: 'none', fromSlide, toSlide: currentSlide, pageId };
+  }
+
+  const attempts = [];
+  if (pageId && mode !== 'type') attempts.push('fragment');
+  if (targetSlide !== null && mode !== 'fragment') attempts.push('type');
+  if (attempts.length === 0) {
+    return {
+      success: false,
+      code: 'CONFLICT',
+      error: mode === 'fragment'
+        ? `Page id for slide ${targetSlide} is not known yet`
+        : `Slide number for page ${pageId} is not known yet; use mode "fragment"`
+    };
+  }
+
+  for (const method of attempts) {
+    const previousPageId = slideTracking.pageId;
+    win.focus();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    if (windowGone()) return noPresentation;
+
+    if (method === 'fragment') {
+      try {
+        await navigateToSlidePageId(win, pageId);
+      } catch (err) {
+        if (windowGone()) return noPresentation;
+        throw err;
+      }
+    } else {
+      typeSlideNumber(win, targetSlide);
+    }
+
+    const arrived = await waitForSlideArrival({ slide: targetSlide, pageId }, previousPageId, timeoutMs);
+    if (windowGone()) return noPresentation;
+    if (arrived) {
+      return { success: true, verified: true, method, fromSlide, toSlide: currentSlide, pageId: slideTracking.pageId };
+    }
+    logWarn(`[Slides] go-to-slide ${label} via ${method} not confirmed (now ${currentSlide}, ${slideTracking.source || 'none'}/${slideTracking.confidence})`);
+  }
+
+  // Nothing on the page reports its position (e.g. presenter view closed and no fragment yet):
+  // we can't verify, so keep our own bookkeeping and say so.
+  if (!isObservedSlideSource(slideTracking.source)) {
+    if (targetSlide !== null) assumeCurrentSlide(targetSlide);
+    return { success: true, verified: false, method: attempts[attempts.length - 1], fromSlide, toSlide: targetSlide, pageId };
+  }
+
+  return {
+    success: false,
+    verified: false,
+    code: 'SLIDE_NOT_REACHED',
+    error: `${label.charAt(0).toUpperCase() + label.slice(1)} was not reached (currently on ${currentSlide === null ? 'unknown slide' : 'slide ' + currentSlide})`,
+    fromSlide,
+    currentSlide
+  };
+}
+
+app.on('web-contents-created', (event, contents) => {
+  contents.on('dom-ready', () => {
+    if (!isSlidesPageUrl(contents.getURL())) return;
+    contents.executeJavaScript(SLIDE_OBSERVER_SCRIPT).catch(err => {
+      logDebug('[Slides] Could not inject slide observer:', err.message);
+    });
+    // A (re)loaded presenter view gets the operator message banner back
+    if (notesWindow && !notesWindow.isDestroyed() && contents === notesWindow.webContents) {
+      showMessageInNotesWindow();
+    }
+  });
+
+  contents.on('console-message', (e, level, message) => {
+    if (typeof message !== 'string' || !message.startsWith(MESSAGE_ACK_MARKER)) return;
+    if (!notesWindow || notesWindow.isDestroyed() || contents !== notesWindow.webContents) return;
+    // Same as the route, so backups follow
+    invokeApiRoute('POST', '/api/message/acknowledge', { id: message.slice(MESSAGE_ACK_MARKER.length) }).catch(err => {
+      logDebug('[Message] Acknowledge from presenter view ignored:', err.message);
+    });
+  });
+
+  contents.on('console-message', (e, level, message) => {
+    if (typeof message !== 'string' || !message.startsWith(SLIDE_OBSERVER_MARKER)) return;
+    const source = getSlideSourceForWebContents(contents);
+    if (!source) return;
+    try {
+      recordSlideObservation(JSON.parse(message.slice(SLIDE_OBSERVER_MARKER.length)), source);
+    } catch (err) {
+      logDebug('[Slides] Bad slide observer report:', err.message);
+    }
+  });
+
+  contents.on('did-navigate-in-page', (e, url, isMainFrame) => {
+    if (!isMainFrame) return;
+    const source = getSlideSourceForWebContents(contents);
+    const pageId = parseSlidePageId(url);
+    if (source && pageId) {
+      recordSlideObservation({ current: null, total: null, pageId }, source);
+    }
+  });
+});
+
 
 // Use a persistent session for Google authentication
 const GOOGLE_SESSION_PARTITION = 'persist:google';
@@ -281,7 +1147,7 @@ function setSpeakerNotesFullscreen(window) {
 // This avoids relying on <img src> URLs (which may be blob: and not accessible to remote devices).
 async function captureSlidePreviewsFromNotesWindow({ maxSize = 200 } = {}) {
   if (!notesWindow || notesWindow.isDestroyed()) {
-    return { success: false, error: 'No speaker notes window is open' };
+    return { success: false, code: 'NO_NOTES_WINDOW', error: 'No speaker notes window is open' };
   }
 
   // Find rectangles of the current/next slide preview elements inside the notes window.
@@ -462,7 +1328,7 @@ async function captureSlidePreviewsFromNotesWindow({ maxSize = 200 } = {}) {
   `);
 
   if (!rectInfo || !rectInfo.ok || !rectInfo.current || !rectInfo.next) {
-    return { success: false, error: rectInfo?.error || 'Failed to locate preview rectangles' };
+    return { success: false, code: 'ELEMENT_NOT_FOUND', error: rectInfo?.error || 'Failed to locate preview rectangles' };
   }
 
   function resizeToFit(nativeImg) {
@@ -501,6 +1367,42 @@ function getGoogleSession() {
   return session.fromPartition(GOOGLE_SESSION_PARTITION);
 }
 
+// Cookie-based login check (shared by /api/status and the event stream)
+async function getGoogleLoginState() {
+  let loginState = false;
+  let loggedInUser = null;
+  try {
+    const googleSession = getGoogleSession();
+    const cookies = await googleSession.cookies.get({ domain: '.google.com' });
+    const hasAuthCookies = cookies.some(cookie =>
+      cookie.name === 'SID' || cookie.name === 'HSID' || cookie.name === 'SSID'
+    );
+    loginState = hasAuthCookies;
+
+    if (hasAuthCookies) {
+      // Try to get user email from cookies
+      const emailCookie = cookies.find(cookie =>
+        cookie.name === 'Email' || cookie.name === 'email' ||
+        (cookie.value && cookie.value.includes('@'))
+      );
+      if (emailCookie && emailCookie.value && emailCookie.value.includes('@')) {
+        loggedInUser = emailCookie.value;
+      } else {
+        // Try to get from any cookie value that looks like an email
+        const emailLikeCookie = cookies.find(cookie =>
+          cookie.value && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(cookie.value)
+        );
+        if (emailLikeCookie) {
+          loggedInUser = emailLikeCookie.value;
+        }
+      }
+    }
+  } catch (error) {
+    console.error('[API] Error checking login state:', error);
+  }
+  return { loginState, loggedInUser };
+}
+
 // Get preferences file path
 function getPreferencesPath() {
   return path.join(app.getPath('userData'), 'preferences.json');
@@ -522,6 +1424,10 @@ function loadPreferences() {
       prefs.backupIps = getBackupIpsFromPrefs(prefs);
       // Controller allowlist normalization
       prefs.controllerIps = getControllerIpsFromPrefs(prefs);
+      // Preset library (migrates legacy presentation1/2/3)
+      prefs.presets = getPresetsFromPrefs(prefs);
+      prefs.rundown = getRundownFromPrefs(prefs);
+      prefs.apiTokens = normalizeApiTokens(prefs.apiTokens);
       logDebug('[Preferences] Loaded preferences:', safeStringify(prefs));
       return prefs;
     } else {
@@ -547,6 +1453,13 @@ function savePreferences(prefs) {
     // Normalize/migrate before writing
     prefs.backupIps = getBackupIpsFromPrefs(prefs);
     prefs.controllerIps = getControllerIpsFromPrefs(prefs);
+    prefs.presets = getPresetsFromPrefs(prefs);
+    LEGACY_PRESET_KEYS.forEach(key => { delete prefs[key]; });
+    prefs.rundown = getRundownFromPrefs(prefs);
+    prefs.apiTokens = normalizeApiTokens(prefs.apiTokens);
+    prefs.oscFeedbackTargets = getOscFeedbackTargetsFromPrefs(prefs);
+    prefs.midiMappings = getMidiMappingsFromPrefs(prefs);
+    prefs.hotkeys = getHotkeysFromPrefs(prefs);
     logDebug('[Preferences] Saving to:', prefsPath);
     logDebug('[Preferences] Data to save (sanitized):', safeStringify(prefs, 2));
     
@@ -695,3497 +1608,7899 @@ function isControllerAllowedRequest(req, prefs) {
   return allowlist.some((entry) => isAllowedByControllerEntry(entry, remote));
 }
 
-function getBackupIpsFromPrefs(prefs) {
-  // New format: prefs.backupIps: string[]
-  // Legacy format: prefs.backupIp1/2/3
-  const fromArray = Array.isArray(prefs?.backupIps) ? prefs.backupIps : [];
-  const legacy = [
-    prefs?.backupIp1,
-    prefs?.backupIp2,
-    prefs?.backupIp3,
-  ];
+// ----------------------------
+// API tokens
+// ----------------------------
+// prefs.apiTokens: [{ id, name, token, scopes, createdAt }]. With no tokens configured the API
+// stays open (allowlist only); once any token exists every request must present one.
+const API_TOKEN_SCOPES = ['read', 'control', 'settings'];
+// Per-run secret for the app's own loopback calls (presets, reload, Web UI proxy). Never stored.
+const INTERNAL_API_TOKEN = crypto.randomBytes(24).toString('hex');
+
+function createApiTokenSecret() {
+  return 'gso_' + crypto.randomBytes(24).toString('hex');
+}
 
-  // Merge both so upgrades keep working even if only legacy keys exist
-  return normalizeBackupIps([...fromArray, ...legacy]);
+function normalizeApiTokens(list) {
+  const tokens = [];
+  const seen = new Set();
+  (Array.isArray(list) ? list : []).forEach((raw, index) => {
+    if (!raw || typeof raw !== 'object') return;
+    const token = String(raw.token || '').trim();
+    if (!token || seen.has(token)) return;
+    seen.add(token);
+    const scopes = (Array.isArray(raw.scopes) ? raw.scopes : [])
+      .map(scope => String(scope).trim())
+      .filter((scope, i, all) => API_TOKEN_SCOPES.includes(scope) && all.indexOf(scope) === i);
+    tokens.push({
+      id: String(raw.id || '').trim() || 't-' + crypto.randomBytes(4).toString('hex'),
+      name: String(raw.name || '').trim() || `Token ${index + 1}`,
+      token,
+      scopes: scopes.length ? scopes : ['read'],
+      createdAt: Number(raw.createdAt) || Date.now()
+    });
+  });
+  return tokens;
 }
 
-// Get list of configured backup IP addresses (unlimited, user-configurable)
-function getBackupIps() {
-  const prefs = loadPreferences();
-  if (prefs.primaryBackupMode !== 'primary') return [];
-  return getBackupIpsFromPrefs(prefs);
+function isApiAuthEnabled(prefs) {
+  return Array.isArray(prefs?.apiTokens) && prefs.apiTokens.length > 0;
 }
 
-// Send command to all backup machines (fire and forget)
-async function sendToBackups(endpoint, data = null) {
-  const prefs = loadPreferences();
-  if (prefs.primaryBackupMode !== 'primary') {
-    return; // Not in primary mode
+// Bearer header first, then ?token= (EventSource and simple controllers can't set headers)
+function getRequestToken(req) {
+  const header = String(req.headers?.authorization || '');
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (match) return match[1].trim();
+  const query = String(req.url || '').split('?')[1];
+  if (!query) return null;
+  return new URLSearchParams(query).get('token');
+}
+
+function stripTokenFromUrl(url) {
+  const [pathname, query] = String(url || '').split('?');
+  if (!query) return String(url || '');
+  const params = new URLSearchParams(query);
+  if (!params.has('token')) return url;
+  params.delete('token');
+  const rest = params.toString();
+  return rest ? `${pathname}?${rest}` : pathname;
+}
+
+function tokensMatch(a, b) {
+  const ha = crypto.createHash('sha256').update(String(a)).digest();
+  const hb = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+// read = status/state, control = drive the show, settings = preferences and library edits
+function getRequiredScope(method, pathname) {
+  // /api/v2 resources need the same scope as the /api routes they are built on
+  const apiPath = pathname.replace(/^\/api\/v2\//, '/api/');
+  if (apiPath === '/api/preferences' || apiPath === '/api/stagetimer-settings' || apiPath.startsWith('/api/debug/')) {
+    return 'settings';
   }
-  
-  const backupIps = getBackupIps();
-  if (backupIps.length === 0) {
-    return; // No backups configured
+  // Opening, closing and moving the confidence monitor are saved to preferences
+  if (method !== 'GET' && apiPath === '/api/confidence-monitor') {
+    return 'settings';
   }
-  
-  const port = prefs.backupPort || DEFAULT_API_PORT;
-  
-  logDebug(`[Backup] Broadcasting ${endpoint} to ${backupIps.length} backup(s)`);
-  
-  // Send to all backups in parallel (fire and forget - don't wait for responses)
-  backupIps.forEach(ip => {
-    const options = {
-      hostname: ip,
-      port: port,
-      path: endpoint,
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      timeout: 2000
-    };
-    
-    const req = http.request(options, (res) => {
-      // Success - backup received command
-      logDebug(`[Backup] Successfully sent to ${ip}:${port}${endpoint}`);
-    });
-    
-    req.on('error', (err) => {
-      // Error - backup didn't receive command (log but don't fail)
-      logWarn(`[Backup] Failed to send to ${ip}:${port}${endpoint}:`, err.message);
-    });
-    
-    req.on('timeout', () => {
-      req.destroy();
-      console.error(`[Backup] Timeout sending to ${ip}:${port}${endpoint}`);
-    });
-    
-    if (data) {
-      req.write(JSON.stringify(data));
-    }
-    req.end();
-  });
+  // Changing the machine's role; a paired backup takes this from remote callers without the primary's signature
+  if (method !== 'GET' && apiPath.startsWith('/api/failover/')) {
+    return 'settings';
+  }
+  // Opening a preset is show control, not a library edit
+  if (pathname.startsWith('/api/v2/presets/') && pathname.endsWith('/open')) {
+    return 'control';
+  }
+  if (method !== 'GET' && (apiPath === '/api/presets' || apiPath.startsWith('/api/presets/') || apiPath === '/api/rundown')) {
+    return 'settings';
+  }
+  return method === 'GET' ? 'read' : 'control';
 }
 
-// Check connection status of all backup machines
-async function checkBackupStatus() {
-  const prefs = loadPreferences();
-  if (prefs.primaryBackupMode !== 'primary') {
-    return { backups: [] };
+// Returns { ok: true, tokenName } or { ok: false, statusCode, code, error }
+function authorizeApiRequest(req, prefs) {
+  if (!isApiAuthEnabled(prefs)) return { ok: true, tokenName: null };
+  // Failover liveness probe: only reveals role and machine name
+  if (req.method === 'GET' && String(req.url || '').split('?')[0] === '/api/heartbeat') {
+    return { ok: true, tokenName: null };
   }
-  
-  const backupIps = getBackupIps();
-  if (backupIps.length === 0) {
-    return { backups: [] };
+  // API description: lists routes and schemas, never data
+  if (req.method === 'GET' && String(req.url || '').split('?')[0] === '/api/openapi.json') {
+    return { ok: true, tokenName: null };
   }
-  
-  const port = prefs.backupPort || DEFAULT_API_PORT;
-  const backups = backupIps.map(ip => ({ ip, status: 'checking' }));
-  
-  // Check each backup in parallel
-  const promises = backupIps.map((ip, index) => {
-    return new Promise((resolve) => {
-      const options = {
-        hostname: ip,
-        port: port,
-        path: '/api/status',
-        method: 'GET',
-        timeout: 2000
-      };
-      
-      const req = http.request(options, (res) => {
-        let responseData = '';
-        res.on('data', (chunk) => {
-          responseData += chunk.toString();
-        });
-        res.on('end', () => {
-          if (res.statusCode === 200) {
-            backups[index] = { ip, status: 'connected' };
-            resolve();
-          } else {
-            backups[index] = { ip, status: 'disconnected' };
-            resolve();
-          }
-        });
-      });
-      
-      req.on('error', () => {
-        backups[index] = { ip, status: 'disconnected' };
-        resolve();
-      });
-      
-      req.on('timeout', () => {
-        req.destroy();
-        backups[index] = { ip, status: 'disconnected' };
-        resolve();
-      });
-      
-      req.end();
-    });
-  });
-  
-  await Promise.all(promises);
 
-  return { backups };
-}
+  const presented = getRequestToken(req);
+  if (!presented) return { ok: false, statusCode: 401, code: 'AUTH_REQUIRED', error: 'API token required' };
 
-// Start backup status polling (called when app starts in primary mode)
-let backupStatusInterval = null;
+  const remote = normalizeRemoteAddress(req?.socket?.remoteAddress);
+  if (isLocalhostAddress(remote) && tokensMatch(presented, INTERNAL_API_TOKEN)) {
+    return { ok: true, tokenName: 'internal' };
+  }
 
-function startBackupStatusPolling() {
-  stopBackupStatusPolling();
-  
-  const prefs = loadPreferences();
-  if (prefs.primaryBackupMode !== 'primary') {
-    return;
+  const entry = prefs.apiTokens.find(t => tokensMatch(presented, t.token));
+  if (!entry) return { ok: false, statusCode: 401, code: 'INVALID_TOKEN', error: 'Invalid API token' };
+
+  const required = getRequiredScope(req.method, String(req.url || '').split('?')[0]);
+  if (!entry.scopes.includes(required)) {
+    return { ok: false, statusCode: 403, code: 'INSUFFICIENT_SCOPE', error: `Token "${entry.name}" lacks the "${required}" scope` };
   }
-  
-  // Poll immediately, then every 5 seconds
-  checkBackupStatus().catch(err => {
-    console.error('[Backup] Error checking backup status:', err);
-  });
-  
-  backupStatusInterval = setInterval(() => {
-    checkBackupStatus().catch(err => {
-      console.error('[Backup] Error checking backup status:', err);
-    });
-  }, 5000);
-  
-  console.log('[Backup] Started backup status polling (5s interval)');
+  return { ok: true, tokenName: entry.name };
 }
 
-function stopBackupStatusPolling() {
-  if (backupStatusInterval) {
-    clearInterval(backupStatusInterval);
-    backupStatusInterval = null;
-    console.log('[Backup] Stopped backup status polling');
-  }
+function sendAuthError(req, res, result) {
+  const headers = {};
+  if (result.statusCode === 401) headers['WWW-Authenticate'] = 'Bearer realm="gslide-opener"';
+  sendApiError(res, result.code, result.error, { headers, v2: isApiV2Url(req.url) });
 }
 
-function createWindow() {
-  mainWindow = new BrowserWindow({
-    width: 800,
-    height: 900,
-    minWidth: 600,
-    minHeight: 600,
-    webPreferences: {
-      preload: path.join(__dirname, 'preload.js'),
-      contextIsolation: true,
-      nodeIntegration: false
-    },
-    autoHideMenuBar: true,
-    resizable: true,
-    center: true
-  });
+// Headers for the app's own calls to its API
+function getInternalApiHeaders() {
+  return { Authorization: `Bearer ${INTERNAL_API_TOKEN}` };
+}
 
-  mainWindow.loadFile('index.html');
-  
-  // Open DevTools for main window to see logs
-  // mainWindow.webContents.openDevTools();
+// Headers for calls to backups (their API may require a token too)
+function getBackupAuthHeaders(prefs) {
+  const token = String(prefs?.backupApiToken || '').trim();
+  return token ? { Authorization: `Bearer ${token}` } : {};
 }
 
-// Get all available displays
-ipcMain.handle('get-displays', async () => {
-  const displays = screen.getAllDisplays();
-  return displays.map((display, index) => ({
-    id: display.id,
-    label: `Monitor ${index + 1} (${display.bounds.width}x${display.bounds.height})`,
-    bounds: display.bounds,
-    primary: display.bounds.x === 0 && display.bounds.y === 0
-  }));
-});
+// Preferences as exposed over HTTP: token secrets stay in the desktop app
+function redactPreferences(prefs) {
+  const copy = { ...prefs };
+  copy.apiTokens = normalizeApiTokens(prefs?.apiTokens)
+    .map(({ token, ...rest }) => ({ ...rest, token: '…' + token.slice(-4) }));
+  if (copy.backupApiToken) copy.backupApiToken = '********';
+  if (copy.pairingKey) copy.pairingKey = '********';
+  return copy;
+}
 
-// Get saved preferences
-ipcMain.handle('get-preferences', async () => {
-  return loadPreferences();
-});
+// ----------------------------
+// Backup pairing (signed primary -> backup commands)
+// ----------------------------
+// Primary and backups share prefs.pairingKey. The primary signs every command with
+// HMAC-SHA256(method, path, timestamp, nonce, body); a paired backup rejects remote commands
+// that aren't signed, are older than PAIRING_MAX_SKEW_MS, or reuse a nonce (replay).
+const PAIRING_MAX_SKEW_MS = 30000;
+const pairingNonces = new Map(); // nonce -> expiry (ms)
+let lastPrimaryCommand = null; // backup side: { at, from, endpoint }
+let lastPairingRejection = null; // backup side: { at, from, endpoint, reason }
+
+function createPairingKey() {
+  return crypto.randomBytes(24).toString('base64url');
+}
 
-// Get build info (version and build number)
-ipcMain.handle('get-build-info', async () => {
+function getPairingKey(prefs) {
+  return String(prefs?.pairingKey || '').trim();
+}
+
+function computePairingSignature(key, method, pathname, timestamp, nonce, body) {
+  const bodyHash = crypto.createHash('sha256').update(body || '').digest('hex');
+  return crypto
+    .createHmac('sha256', key)
+    .update([String(method).toUpperCase(), pathname, timestamp, nonce, bodyHash].join('\n'))
+    .digest('hex');
+}
+
+// Headers the primary adds to requests for its backups
+function signPairingRequest(prefs, method, pathname, body = '') {
+  const key = getPairingKey(prefs);
+  if (!key) return {};
+  const timestamp = String(Date.now());
+  const nonce = crypto.randomBytes(12).toString('hex');
+  return {
+    'X-GSO-Timestamp': timestamp,
+    'X-GSO-Nonce': nonce,
+    'X-GSO-Signature': computePairingSignature(key, method, pathname, timestamp, nonce, body)
+  };
+}
+
+function hasPairingSignature(req) {
+  return !!(req.headers && req.headers['x-gso-signature']);
+}
+
+// Returns { ok: true } or { ok: false, reason }
+function verifyPairingSignature(req, body, key) {
+  const timestamp = String(req.headers['x-gso-timestamp'] || '');
+  const nonce = String(req.headers['x-gso-nonce'] || '');
+  const signature = String(req.headers['x-gso-signature'] || '');
+  if (!timestamp || !nonce || !signature) return { ok: false, reason: 'unsigned' };
+  if (!key) return { ok: false, reason: 'no pairing key on this machine' };
+
+  const now = Date.now();
+  if (!/^\d+$/.test(timestamp) || Math.abs(now - Number(timestamp)) > PAIRING_MAX_SKEW_MS) {
+    return { ok: false, reason: 'expired or clock skew' };
+  }
+
+  const expected = computePairingSignature(key, req.method, String(req.url || '').split('?')[0], timestamp, nonce, body);
+  const a = Buffer.from(expected, 'hex');
+  const b = Buffer.from(signature, 'hex');
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+    return { ok: false, reason: 'bad signature (wrong pairing key or altered request)' };
+  }
+
+  for (const [seen, expiresAt] of pairingNonces) {
+    if (expiresAt < now) pairingNonces.delete(seen);
+  }
+  if (pairingNonces.has(nonce)) return { ok: false, reason: 'replayed' };
+  pairingNonces.set(nonce, now + PAIRING_MAX_SKEW_MS * 2);
+  return { ok: true };
+}
+
+// Optional prefs.primaryHost (IP or hostname) narrows accepted commands to that machine
+async function isFromConfiguredPrimary(req, prefs) {
+  const host = String(prefs?.primaryHost || '').trim();
+  if (!host) return true;
+  const remote = normalizeRemoteAddress(req?.socket?.remoteAddress);
+  if (remote === host) return true;
   try {
-    return {
-      version: appBuildInfo.version,
-      buildNumber: appBuildInfo.buildNumber
-    };
-  } catch (error) {
-    console.error('[Build Info] Error loading build info:', error);
-    return {
-      version: 'unknown',
-      buildNumber: 'unknown'
-    };
+    const addresses = await dns.promises.lookup(host, { all: true });
+    return addresses.some(entry => normalizeRemoteAddress(entry.address) === remote);
+  } catch (e) {
+    return false;
   }
-});
+}
 
-// Get network interfaces and IP addresses
-ipcMain.handle('get-network-info', async () => {
-  const interfaces = os.networkInterfaces();
-  const ipAddresses = [];
-  
-  // Get all IPv4 addresses (excluding internal/loopback, but including localhost)
-  Object.keys(interfaces).forEach((ifaceName) => {
-    interfaces[ifaceName].forEach((iface) => {
-      // Include IPv4 addresses (both internal and external)
-      if (iface.family === 'IPv4') {
-        ipAddresses.push({
-          address: iface.address,
-          internal: iface.internal,
-          interface: ifaceName
-        });
+// Paired backups only take remote commands from the primary; local callers (desktop UI and
+// loopback calls) are trusted like the allowlist trusts them. The Web UI proxy reaches the API
+// from loopback, so it runs this check against the browser's address before forwarding.
+function requiresPrimarySignature(req, prefs) {
+  if (prefs?.primaryBackupMode !== 'backup' || !getPairingKey(prefs)) return false;
+  if (req.method === 'GET' || req.method === 'OPTIONS') return false;
+  if (isLocalhostAddress(normalizeRemoteAddress(req?.socket?.remoteAddress))) return false;
+  // Promotion is how operators take over when the primary is gone, so it can't need the primary's
+  // signature; remote callers need a settings-scope token instead (already checked by authorizeApiRequest)
+  if (String(req.url || '').split('?')[0].startsWith('/api/failover/')) return !isApiAuthEnabled(prefs);
+  return true;
+}
+
+function readRequestBody(req, maxBytes = API_MAX_BODY_BYTES) {
+  return new Promise((resolve, reject) => {
+    const tooLarge = () => apiError('PAYLOAD_TOO_LARGE', `Request body is larger than ${maxBytes} bytes`);
+    if (parseInt(req.headers['content-length'], 10) > maxBytes) {
+      req.resume();
+      reject(tooLarge());
+      return;
+    }
+    let body = '';
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        // Keep draining (and dropping) the rest so the client gets our 413 instead of a reset connection
+        if (body !== null) reject(tooLarge());
+        body = null;
+        return;
       }
+      body += chunk.toString();
     });
+    req.on('end', () => {
+      if (body !== null) resolve(body);
+    });
+    req.on('error', reject);
   });
-  
-  // Sort: non-internal first, then by interface name
-  ipAddresses.sort((a, b) => {
-    if (a.internal !== b.internal) {
-      return a.internal ? 1 : -1;
-    }
-    return a.interface.localeCompare(b.interface);
-  });
-  
-  return ipAddresses;
-});
+}
 
-// Save preferences
-ipcMain.handle('save-preferences', async (event, prefs) => {
-  const currentPrefs = loadPreferences();
-  const mergedPrefs = { ...currentPrefs, ...prefs };
-  savePreferences(mergedPrefs);
-  return { success: true };
-});
+// Route handlers read the body themselves, so hand them a fresh stream with the same content
+function replayRequestBody(req, body) {
+  const replay = new PassThrough();
+  replay.method = req.method;
+  replay.url = req.url;
+  replay.headers = req.headers;
+  replay.socket = req.socket;
+  replay.connection = req.socket;
+  replay.end(body);
+  return replay;
+}
 
-// Desktop debug log access
-ipcMain.handle('get-log-buffer', async () => {
-  return { lines: logBuffer.slice() };
-});
+async function checkPrimaryCommand(req, body, prefs) {
+  const from = normalizeRemoteAddress(req?.socket?.remoteAddress);
+  const endpoint = String(req.url || '').split('?')[0];
+  let result = verifyPairingSignature(req, body, getPairingKey(prefs));
+  if (result.ok && !(await isFromConfiguredPrimary(req, prefs))) {
+    result = { ok: false, reason: `not from the configured primary (${prefs.primaryHost})` };
+  }
+  if (result.ok) {
+    lastPrimaryCommand = { at: Date.now(), from, endpoint };
+  } else {
+    lastPairingRejection = { at: Date.now(), from, endpoint, reason: result.reason };
+    logWarn(`[Pairing] Rejected ${req.method} ${endpoint} from ${from}: ${result.reason}`);
+  }
+  return result;
+}
 
-ipcMain.handle('clear-log-buffer', async () => {
-  logBuffer = [];
-  return { success: true };
-});
+// Pairing section of /api/status. requestVerified tells a (signed) caller whether its key matched.
+function getPairingStatus(req, prefs) {
+  const status = {
+    mode: prefs.primaryBackupMode || 'standalone',
+    configured: !!getPairingKey(prefs),
+    primaryHost: prefs.primaryHost || null,
+    lastPrimaryCommand,
+    lastRejection: lastPairingRejection,
+    requestVerified: null
+  };
+  if (hasPairingSignature(req)) {
+    const result = verifyPairingSignature(req, '', getPairingKey(prefs));
+    status.requestVerified = result.ok;
+    if (!result.ok) status.requestError = result.reason;
+  }
+  return status;
+}
 
-ipcMain.handle('export-log-buffer', async () => {
-  try {
-    const prefs = loadPreferences();
-    const header = [
-      'Google Slides Opener - Debug Logs',
-      `Generated: ${new Date().toISOString()}`,
-      `Version: v${appBuildInfo.version}.${appBuildInfo.buildNumber}`,
-      `Platform: ${process.platform}`,
-      '',
-      '--- Preferences (sanitized) ---',
-      safeStringify(prefs, 2),
-      '',
-      '--- Log output ---',
-      ''
-    ].join('\n');
+// Primary side: how a backup's /api/status answered our signed request
+function describeBackupPairing(prefs, backupStatus) {
+  if (!getPairingKey(prefs)) return { pairing: 'off' };
+  const pairing = backupStatus && backupStatus.pairing;
+  if (!pairing) return { pairing: 'unknown' };
+  if (!pairing.configured) return { pairing: 'unpaired', pairingError: 'Backup has no pairing key' };
+  if (pairing.requestVerified) return { pairing: 'ok' };
+  return { pairing: 'mismatch', pairingError: pairing.requestError || 'Signature rejected' };
+}
 
-    const content = header + logBuffer.join('\n') + '\n';
+function getBackupIpsFromPrefs(prefs) {
+  // New format: prefs.backupIps: string[]
+  // Legacy format: prefs.backupIp1/2/3
+  const fromArray = Array.isArray(prefs?.backupIps) ? prefs.backupIps : [];
+  const legacy = [
+    prefs?.backupIp1,
+    prefs?.backupIp2,
+    prefs?.backupIp3,
+  ];
 
-    const defaultName = `gslide-opener-debug-${new Date().toISOString().replace(/[:.]/g, '-')}.txt`;
-    const result = await dialog.showSaveDialog({
-      title: 'Save Debug Log',
-      defaultPath: path.join(app.getPath('downloads'), defaultName),
-      filters: [{ name: 'Text Files', extensions: ['txt'] }]
+  // Merge both so upgrades keep working even if only legacy keys exist
+  return normalizeBackupIps([...fromArray, ...legacy]);
+}
+
+// ----------------------------
+// Preset library
+// ----------------------------
+// prefs.presets: ordered [{ id, name, url, startSlide, withNotes, tags }]
+// Legacy prefs.presentation1/2/3 are migrated on load and dropped on the next save.
+const LEGACY_PRESET_KEYS = ['presentation1', 'presentation2', 'presentation3'];
+
+function createPresetId() {
+  return 'p-' + crypto.randomBytes(4).toString('hex');
+}
+
+function normalizePresetTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  const seen = new Set();
+  return list
+    .map(t => String(t || '').trim())
+    .filter(t => t && !seen.has(t.toLowerCase()) && seen.add(t.toLowerCase()));
+}
+
+function normalizePreset(raw, index) {
+  if (!raw || typeof raw !== 'object') return null;
+  const url = String(raw.url || '').trim();
+  if (!url) return null;
+  const startSlide = parseInt(raw.startSlide, 10);
+  return {
+    id: String(raw.id || '').trim() || `preset-${index + 1}`,
+    name: String(raw.name || '').trim() || `Presentation ${index + 1}`,
+    url,
+    startSlide: Number.isInteger(startSlide) && startSlide > 1 ? startSlide : 1,
+    // Legacy presets always started speaker notes, so that stays the default
+    withNotes: raw.withNotes !== false,
+    tags: normalizePresetTags(raw.tags)
+  };
+}
+
+function getPresetsFromPrefs(prefs) {
+  const source = Array.isArray(prefs?.presets)
+    ? prefs.presets
+    : LEGACY_PRESET_KEYS.map((key, i) => ({
+      id: `preset-${i + 1}`,
+      name: `Presentation ${i + 1}`,
+      url: prefs?.[key]
+    }));
+
+  const ids = new Set();
+  const presets = [];
+  source.forEach((raw) => {
+    const preset = normalizePreset(raw, presets.length);
+    if (!preset) return;
+    while (ids.has(preset.id)) preset.id = createPresetId();
+    ids.add(preset.id);
+    presets.push(preset);
+  });
+  return presets;
+}
+
+// Validate API/IPC input for a single preset; returns { preset } or { error }
+function validatePresetInput(data, existing = null) {
+  const merged = { ...(existing || {}), ...(data || {}) };
+  const url = String(merged.url || '').trim();
+  if (!url) return { error: 'url is required' };
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:' && !isMockDeckUrl(url)) {
+      return { error: 'url must be an http(s) URL or a mock:<name> test deck' };
+    }
+  } catch (e) {
+    return { error: 'url must be a valid URL' };
+  }
+  if (merged.startSlide !== undefined && merged.startSlide !== null && merged.startSlide !== '') {
+    const startSlide = parseInt(merged.startSlide, 10);
+    if (isNaN(startSlide) || startSlide < 1) return { error: 'startSlide must be a number >= 1' };
+  }
+  const preset = normalizePreset({ ...merged, id: existing ? existing.id : createPresetId() }, 0);
+  if (!String(merged.name || '').trim()) {
+    preset.name = existing ? existing.name : 'Untitled preset';
+  }
+  return { preset };
+}
+
+// Find a preset by 1-based position (legacy "preset": 1), id, or name (case-insensitive)
+function findPreset(presets, ref) {
+  if (ref === undefined || ref === null || ref === '') return null;
+  const asString = String(ref).trim();
+  if (/^\d+$/.test(asString)) {
+    const byPosition = presets[parseInt(asString, 10) - 1];
+    if (byPosition) return byPosition;
+  }
+  return presets.find(p => p.id === asString) ||
+    presets.find(p => p.name.toLowerCase() === asString.toLowerCase()) ||
+    null;
+}
+
+// Response shape for the preset list; presentation1-3 kept for older clients
+function presetsResponse(presets) {
+  const body = { presets };
+  LEGACY_PRESET_KEYS.forEach((key, i) => {
+    body[key] = presets[i] ? presets[i].url : '';
+  });
+  return body;
+}
+
+// Call one of our own endpoints over loopback (same code path as a remote controller)
+function callLocalApi(method, endpoint, data = null) {
+  const prefs = loadPreferences();
+  const apiPort = prefs.apiPort || DEFAULT_API_PORT;
+  const postData = data ? JSON.stringify(data) : null;
+
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      hostname: '127.0.0.1',
+      port: apiPort,
+      path: endpoint,
+      method,
+      headers: postData
+        ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(postData), ...getInternalApiHeaders() }
+        : getInternalApiHeaders()
+    }, (res) => {
+      let body = '';
+      res.on('data', (chunk) => { body += chunk; });
+      res.on('end', () => {
+        let json = null;
+        try {
+          json = body ? JSON.parse(body) : null;
+        } catch (e) {
+          // leave json null
+        }
+        resolve({ statusCode: res.statusCode, body: json });
+      });
+    });
+    req.on('error', reject);
+    req.setTimeout(10000, () => {
+      req.destroy(new Error('Request timeout'));
     });
+    if (postData) req.write(postData);
+    req.end();
+  });
+}
 
-    if (result.canceled || !result.filePath) {
-      return { success: false, canceled: true };
+// Open a preset: open (with/without notes), then jump to its start slide once the deck is up
+async function openPreset(preset, overrides = {}) {
+  const withNotes = overrides.withNotes !== undefined ? overrides.withNotes !== false : preset.withNotes;
+  const startSlide = parseInt(overrides.startSlide !== undefined ? overrides.startSlide : preset.startSlide, 10) || 1;
+
+  const endpoint = withNotes ? '/api/open-presentation-with-notes' : '/api/open-presentation';
+  const opened = await callLocalApi('POST', endpoint, { url: preset.url });
+  if (opened.statusCode !== 200) {
+    return {
+      success: false,
+      statusCode: opened.statusCode,
+      code: opened.body?.errorCode,
+      error: getApiErrorMessage(opened.body, 'Failed to open presentation')
+    };
+  }
+
+  if (startSlide > 1) {
+    // Don't hold the response (controllers time out quickly); the jump waits for the deck to load
+    goToSlide({ slide: startSlide }).then((result) => {
+      if (!result.success) {
+        logWarn(`[Presets] "${preset.name}": could not go to start slide ${startSlide}: ${result.error}`);
+      }
+    }).catch((err) => {
+      logWarn(`[Presets] "${preset.name}": error going to start slide:`, err.message);
+    });
+    // open-presentation already mirrored the deck to backups; they jump on their own once loaded
+    sendToBackups('/api/go-to-slide', { slide: startSlide }).catch(err => {
+      console.error('[Backup] Error broadcasting go-to-slide:', err);
+    });
+  }
+
+  return { success: true, withNotes, startSlide };
+}
+
+// ----------------------------
+// Show rundown
+// ----------------------------
+// prefs.rundown: { items: [{ id, title, url, startSlide, withNotes }], currentIndex, advanceOnLastSlide }
+// currentIndex is the deck that was last loaded from the rundown (-1 = not started).
+
+function normalizeRundownItem(raw, index) {
+  // Same rules as presets (url required, startSlide >= 1, notes on by default)
+  const preset = normalizePreset({ ...(raw || {}), name: raw?.title || raw?.name || `Deck ${index + 1}` }, index);
+  if (!preset) return null;
+  return {
+    id: String(raw.id || '').trim() || createPresetId(),
+    title: preset.name,
+    url: preset.url,
+    startSlide: preset.startSlide,
+    withNotes: preset.withNotes
+  };
+}
+
+function getRundownFromPrefs(prefs) {
+  const raw = prefs?.rundown && typeof prefs.rundown === 'object' ? prefs.rundown : {};
+  const items = [];
+  (Array.isArray(raw.items) ? raw.items : []).forEach((item) => {
+    const normalized = normalizeRundownItem(item, items.length);
+    if (normalized) items.push(normalized);
+  });
+  const index = parseInt(raw.currentIndex, 10);
+  return {
+    items,
+    currentIndex: Number.isInteger(index) && index >= 0 && index < items.length ? index : -1,
+    advanceOnLastSlide: raw.advanceOnLastSlide !== false
+  };
+}
+
+// Compact view used by /api/status, the event stream and Companion variables
+function getRundownSummary(rundown = getRundownFromPrefs(loadPreferences())) {
+  const current = rundown.items[rundown.currentIndex] || null;
+  const next = rundown.items[rundown.currentIndex + 1] || null;
+  return {
+    count: rundown.items.length,
+    currentIndex: rundown.currentIndex,
+    currentTitle: current ? current.title : null,
+    nextTitle: next ? next.title : null,
+    // The current rundown deck is actually the one on screen (not replaced by a manual open)
+    onAir: !!(current && lastPresentationUrl === current.url &&
+      presentationWindow && !presentationWindow.isDestroyed()),
+    advanceOnLastSlide: rundown.advanceOnLastSlide
+  };
+}
+
+function saveRundown(rundown, { mirror = true } = {}) {
+  const prefs = loadPreferences();
+  prefs.rundown = rundown;
+  savePreferences(prefs);
+  const saved = getRundownFromPrefs(loadPreferences());
+  publishEvent('rundown-changed', getRundownSummary(saved));
+  if (mirror) {
+    // Backups keep the same rundown (and position) so they can take over mid-show
+    sendToBackups('/api/rundown', saved).catch(err => {
+      console.error('[Backup] Error broadcasting rundown:', err);
+    });
+  }
+  return saved;
+}
+
+// Load rundown item `index` on the presentation display and make it current
+async function loadRundownItem(index) {
+  const rundown = getRundownFromPrefs(loadPreferences());
+  const item = rundown.items[index];
+  if (!item) {
+    return { success: false, statusCode: 404, code: 'NOT_FOUND', error: index >= rundown.items.length ? 'End of rundown' : 'Rundown item not found' };
+  }
+
+  console.log(`[Rundown] Loading ${index + 1}/${rundown.items.length}: ${item.title}`);
+  const cue = getCueState();
+  let result;
+  if (cue && cue.url === item.url) {
+    // Already preloaded: switch instantly (take is mirrored to backups, which hold the same cue)
+    result = takeCue();
+    if (result.success) {
+      sendToBackups('/api/take', {}).catch(err => {
+        console.error('[Backup] Error broadcasting take:', err);
+      });
     }
+  } else {
+    // openPreset mirrors the deck itself (open-presentation is broadcast), so only the position is mirrored here
+    result = await openPreset({ ...item, name: item.title });
+  }
+  if (!result.success) return result;
 
-    fs.writeFileSync(result.filePath, content, 'utf8');
-    return { success: true, filePath: result.filePath };
-  } catch (error) {
-    return { success: false, error: error.message };
+  rundown.currentIndex = index;
+  const saved = saveRundown(rundown);
+  return { success: true, item, rundown: saved };
+}
+
+// "Next" pressed on the last slide of the current rundown deck: move to the following deck instead
+function shouldAdvanceRundownOnNext() {
+  const rundown = getRundownFromPrefs(loadPreferences());
+  if (!rundown.advanceOnLastSlide) return false;
+  const summary = getRundownSummary(rundown);
+  if (!summary.onAir || summary.nextTitle === null) return false;
+  return typeof currentSlide === 'number' &&
+    typeof slideTracking.totalSlides === 'number' &&
+    currentSlide >= slideTracking.totalSlides &&
+    isObservedSlideSource(slideTracking.source) &&
+    slideTracking.confidence !== 'low';
+}
+
+// ----------------------------
+// Cue / take (preloaded standby deck)
+// ----------------------------
+// A cued deck is loaded into a hidden window on the same Google session, so /api/take can put it
+// on the presentation display without the black/loading gap of opening a fresh window.
+const TAKE_NOTES_ATTEMPTS = 8;
+
+function getPresentationDisplay() {
+  const prefs = loadPreferences();
+  const displays = screen.getAllDisplays();
+  return displays.find(d => d.id === Number(prefs.presentationDisplayId)) || displays[0];
+}
+
+function getCueState() {
+  if (!cuedPresentation || !cuedWindow || cuedWindow.isDestroyed()) return null;
+  return { ...cuedPresentation };
+}
+
+function clearCue({ mirror = false } = {}) {
+  const hadCue = !!cuedPresentation;
+  if (cuedWindow && !cuedWindow.isDestroyed()) {
+    cuedWindow.removeAllListeners('closed');
+    cuedWindow.close();
   }
-});
+  cuedWindow = null;
+  cuedPresentation = null;
+  if (hadCue) publishEvent('cue-changed', { cued: null });
+  if (mirror) {
+    sendToBackups('/api/clear-cue', {}).catch(err => {
+      console.error('[Backup] Error broadcasting clear-cue:', err);
+    });
+  }
+}
 
-// Sign in with Google
-ipcMain.handle('google-signin', async () => {
-  const googleSession = getGoogleSession();
-  
-  const authWindow = new BrowserWindow({
-    width: 500,
-    height: 600,
+function cuePresentation(url, { title = null, withNotes = false, startSlide = 1 } = {}) {
+  clearCue();
+
+  const display = getPresentationDisplay();
+  const win = new BrowserWindow({
+    x: display.bounds.x,
+    y: display.bounds.y,
+    width: display.bounds.width,
+    height: display.bounds.height,
+    frame: false,
     show: false,
     webPreferences: {
       nodeIntegration: false,
       contextIsolation: true,
-      partition: GOOGLE_SESSION_PARTITION
+      partition: GOOGLE_SESSION_PARTITION,
+      // Keep the deck rendering while hidden so it is ready the moment it is taken
+      backgroundThrottling: false
     }
   });
 
-  // Navigate to Google Sign In
-  authWindow.loadURL('https://accounts.google.com/signin');
+  cuedWindow = win;
+  cuedPresentation = {
+    url,
+    title,
+    withNotes: !!withNotes,
+    startSlide: Number.isInteger(startSlide) && startSlide > 1 ? startSlide : 1,
+    ready: false,
+    error: null,
+    cuedAt: Date.now()
+  };
 
-  authWindow.once('ready-to-show', () => {
-    authWindow.show();
+  // Speaker notes popups (only opened after take)
+  win.webContents.setWindowOpenHandler(() => ({
+    action: 'allow',
+    overrideBrowserWindowOptions: {
+      frame: false,
+      webPreferences: {
+        nodeIntegration: false,
+        contextIsolation: true,
+        partition: GOOGLE_SESSION_PARTITION
+      }
+    }
+  }));
+
+  win.webContents.once('did-finish-load', async () => {
+    if (cuedWindow !== win || win.isDestroyed()) return;
+    if (cuedPresentation.startSlide > 1) {
+      // Park the hidden deck on its start slide so the take shows it straight away
+      await new Promise(resolve => setTimeout(resolve, 1500));
+      if (cuedWindow !== win || win.isDestroyed()) return;
+      typeSlideNumber(win, cuedPresentation.startSlide);
+    }
+    cuedPresentation.ready = true;
+    if (!cuedPresentation.title) cuedPresentation.title = (win.getTitle() || '').replace(/\s*-\s*Google Slides\s*$/i, '') || null;
+    console.log('[Cue] Ready:', cuedPresentation.title || url);
+    publishEvent('cue-changed', { cued: getCueState() });
   });
 
-  // Listen for successful authentication
-  return new Promise((resolve, reject) => {
-    let resolved = false;
-    
-    authWindow.webContents.on('did-navigate', (event, url) => {
-      // Check if we've successfully signed in (redirected to myaccount or other Google service)
-      if (url.includes('myaccount.google.com') || url.includes('accounts.google.com/ServiceLogin')) {
-        if (!resolved) {
-          resolved = true;
-          authWindow.close();
-          resolve({ success: true, message: 'Successfully signed in to Google' });
-        }
-      }
-    });
+  win.webContents.on('did-fail-load', (event, errorCode, errorDescription, validatedURL, isMainFrame) => {
+    if (!isMainFrame || cuedWindow !== win) return;
+    cuedPresentation.error = errorDescription || `Load failed (${errorCode})`;
+    logWarn('[Cue] Failed to load cued deck:', cuedPresentation.error);
+    publishEvent('cue-changed', { cued: getCueState() });
+  });
 
-    authWindow.on('closed', () => {
-      if (!resolved) {
-        resolved = true;
-        reject({ success: false, message: 'Authentication window closed' });
+  win.on('closed', () => {
+    if (cuedWindow === win) {
+      cuedWindow = null;
+      cuedPresentation = null;
+      publishEvent('cue-changed', { cued: null });
+    }
+  });
+
+  console.log('[Cue] Preloading:', url);
+  win.loadURL(toPresentUrl(url));
+  publishEvent('cue-changed', { cued: getCueState() });
+  return getCueState();
+}
+
+// Track the speaker notes popup of a taken deck (same handling as a freshly opened presentation)
+function watchForNotesWindow() {
+  const windowCreatedListener = (event, window) => {
+    if (window === presentationWindow || window === mainWindow || window === cuedWindow || creatingOwnWindow) return;
+    console.log('[Cue] Notes window created');
+    notesWindow = window;
+    window.webContents.on('before-input-event', (event, input) => {
+      if (input.key === 'Escape' && input.type === 'keyDown') {
+        event.preventDefault();
+        if (notesWindow && !notesWindow.isDestroyed()) notesWindow.close();
+        if (presentationWindow && !presentationWindow.isDestroyed()) presentationWindow.close();
       }
     });
+    window.webContents.once('did-finish-load', () => {
+      setSpeakerNotesFullscreen(window);
+    });
+    window.webContents.once('dom-ready', () => {
+      setTimeout(() => {
+        setSpeakerNotesFullscreen(window);
+      }, 500);
+    });
+    app.removeListener('browser-window-created', windowCreatedListener);
+  };
+  app.on('browser-window-created', windowCreatedListener);
+}
+
+async function startNotesForTakenDeck(win) {
+  for (let attempt = 1; attempt <= TAKE_NOTES_ATTEMPTS; attempt++) {
+    if (presentationWindow !== win || win.isDestroyed()) return;
+    if (notesWindow && !notesWindow.isDestroyed()) return;
+    win.focus();
+    await new Promise(resolve => setTimeout(resolve, 80));
+    win.webContents.sendInputEvent({ type: 'keyDown', keyCode: 'S' });
+    win.webContents.sendInputEvent({ type: 'char', keyCode: 's' });
+    win.webContents.sendInputEvent({ type: 'keyUp', keyCode: 'S' });
+    logDebug(`[Cue] Speaker notes attempt ${attempt}/${TAKE_NOTES_ATTEMPTS}`);
+    await new Promise(resolve => setTimeout(resolve, 700));
+  }
+}
+
+// Swap the cued deck onto the presentation display, then close the old windows behind it
+function takeCue() {
+  const cue = getCueState();
+  if (!cue) return { success: false, statusCode: 409, code: 'CONFLICT', error: 'Nothing is cued' };
+
+  const win = cuedWindow;
+  const previousPresentation = presentationWindow;
+  const previousNotes = notesWindow;
+  cuedWindow = null;
+  cuedPresentation = null;
+  win.removeAllListeners('closed');
+
+  const display = getPresentationDisplay();
+  win.setBounds(display.bounds);
+  if (process.platform === 'darwin') {
+    win.setSimpleFullScreen(true);
+  }
+
+  presentationWindow = win;
+  notesWindow = null;
+  lastPresentationUrl = cue.url;
+  beginSlideTracking();
+
+  win.on('closed', () => {
+    if (presentationWindow === win) {
+      presentationWindow = null;
+      resetSlideTracking();
+    }
+  });
+  win.webContents.on('before-input-event', (event, input) => {
+    if (input.key === 'Escape' && input.type === 'keyDown') {
+      event.preventDefault();
+      if (notesWindow && !notesWindow.isDestroyed()) notesWindow.close();
+      if (presentationWindow && !presentationWindow.isDestroyed()) presentationWindow.close();
+    }
   });
-});
 
-// Check if user is already signed in
-ipcMain.handle('check-signin-status', async () => {
-  try {
-    const googleSession = getGoogleSession();
-    const cookies = await googleSession.cookies.get({ domain: '.google.com' });
-    
-    // Check if we have Google authentication cookies
-    const hasAuthCookies = cookies.some(cookie => 
-      cookie.name === 'SID' || cookie.name === 'HSID' || cookie.name === 'SSID'
-    );
-    
-    let userEmail = null;
-    let userName = null;
+  win.show();
+  win.focus();
+
+  // The new deck is on screen; now the old one can go
+  [previousNotes, previousPresentation].forEach((old) => {
+    if (old && old !== win && !old.isDestroyed()) {
+      old.removeAllListeners('closed');
+      old.close();
+    }
+  });
+
+  // Observed state from the hidden window was ignored; ask the page for a fresh report
+  win.webContents.executeJavaScript('window.__gsoReport && window.__gsoReport()').catch(() => {});
+
+  if (cue.withNotes) {
+    watchForNotesWindow();
+    startNotesForTakenDeck(win).catch(err => {
+      console.error('[Cue] Error starting speaker notes:', err);
+    });
+  }
+
+  console.log('[Cue] Taken on air:', cue.title || cue.url);
+  publishEvent('cue-changed', { cued: null, taken: cue });
+  return { success: true, taken: cue };
+}
+
+// Get list of configured backup IP addresses (unlimited, user-configurable)
+function getBackupIps() {
+  const prefs = loadPreferences();
+  if (prefs.primaryBackupMode !== 'primary') return [];
+  return getBackupIpsFromPrefs(prefs);
+}
+
+// Backup entries are a host, or host:port for a backup whose API isn't on prefs.backupPort
+// (bare IPv6 addresses have colons of their own, so they always use backupPort)
+function parseBackupAddress(entry, prefs) {
+  const match = String(entry).match(/^([^:]+):(\d{1,5})$/);
+  if (match) return { hostname: match[1], port: parseInt(match[2], 10) };
+  return { hostname: String(entry), port: prefs.backupPort || DEFAULT_API_PORT };
+}
+
+// Send one command to one backup. Resolves { ok, statusCode, error } (never rejects).
+function sendToBackup(ip, endpoint, data = null, { timeout = 2000, seq = null } = {}) {
+  const prefs = loadPreferences();
+  const { hostname, port } = parseBackupAddress(ip, prefs);
+  const payload = data ? JSON.stringify(data) : '';
+  // Queued commands carry a sequence number so the backup can drop a retry it already applied
+  const sequenceHeaders = seq ? { 'X-GSO-Session': BACKUP_SESSION_ID, 'X-GSO-Seq': String(seq) } : {};
+
+  return new Promise((resolve) => {
+    const options = {
+      hostname,
+      port: port,
+      path: endpoint,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...getBackupAuthHeaders(prefs),
+        // Signed per request (fresh nonce) when a pairing key is set
+        ...signPairingRequest(prefs, 'POST', endpoint, payload),
+        ...sequenceHeaders
+      },
+      timeout
+    };
     
-    if (hasAuthCookies) {
-      // Try to get user email from cookies
-      const emailCookie = cookies.find(cookie => 
-        cookie.name === 'Email' || cookie.name === 'email' || cookie.domain.includes('google.com')
-      );
-      if (emailCookie && emailCookie.value && emailCookie.value.includes('@')) {
-        userEmail = emailCookie.value;
+    const req = http.request(options, (res) => {
+      res.resume();
+      if (res.statusCode === 401 || res.statusCode === 403) {
+        logWarn(`[Backup] ${ip}:${port} refused ${endpoint} (HTTP ${res.statusCode}) - check the pairing key / backup API token`);
+        resolve({ ok: false, statusCode: res.statusCode, error: 'Refused' });
+        return;
       }
-      
-      // Try to get user name from cookies
-      const nameCookie = cookies.find(cookie => 
-        cookie.name === 'Name' || cookie.name === 'name'
-      );
-      if (nameCookie) {
-        userName = nameCookie.value;
+      if (res.statusCode === 202) {
+        // Backup is still running an earlier attempt of this command
+        resolve({ ok: false, statusCode: res.statusCode, pending: true, error: 'Still running' });
+        return;
       }
-      
-      // If we don't have email, try to fetch from Google account page
-      if (!userEmail) {
-        try {
-          const tempWindow = new BrowserWindow({
-            show: false,
-            webPreferences: {
-              nodeIntegration: false,
-              contextIsolation: true,
-              partition: GOOGLE_SESSION_PARTITION
-            }
-          });
-          
-          await tempWindow.loadURL('https://myaccount.google.com/');
-          await new Promise(resolve => setTimeout(resolve, 2000));
-          
-          const userInfo = await tempWindow.webContents.executeJavaScript(`
-            (function() {
-              try {
-                var email = null;
-                var name = null;
-                
-                // Look for email in page
-                var emailEl = document.querySelector('[data-email]') || 
-                             document.querySelector('input[type="email"][value]');
-                if (emailEl) {
-                  email = emailEl.getAttribute('data-email') || emailEl.value;
-                }
-                
-                // Look for name
-                var nameEl = document.querySelector('[data-name]') ||
-                            document.querySelector('h1');
-                if (nameEl) {
-                  name = nameEl.getAttribute('data-name') || nameEl.textContent.trim();
-                }
-                
-                // Try to extract from page title
-                if (!email) {
-                  var title = document.title;
-                  var emailMatch = title.match(/([\\w.-]+@[\\w.-]+\\.[\\w.-]+)/);
-                  if (emailMatch) email = emailMatch[1];
-                }
-                
-                return { email: email || null, name: name || null };
-              } catch (e) {
-                return { email: null, name: null };
-              }
-            })()
-          `);
-          
-          if (userInfo.email) userEmail = userInfo.email;
-          if (userInfo.name) userName = userInfo.name;
-          
-          tempWindow.close();
-        } catch (error) {
-          console.error('Error fetching user info:', error);
-        }
+      // Success - backup received command
+      logDebug(`[Backup] Successfully sent to ${ip}:${port}${endpoint}`);
+      resolve({ ok: res.statusCode >= 200 && res.statusCode < 300, statusCode: res.statusCode });
+    });
+    
+    req.on('error', (err) => {
+      // Error - backup didn't receive command (log but don't fail)
+      logWarn(`[Backup] Failed to send to ${ip}:${port}${endpoint}:`, err.message);
+      resolve({ ok: false, statusCode: null, error: err.message });
+    });
+    
+    req.on('timeout', () => {
+      req.destroy();
+      console.error(`[Backup] Timeout sending to ${ip}:${port}${endpoint}`);
+    });
+    
+    if (payload) {
+      req.write(payload);
+    }
+    req.end();
+  });
+}
+
+// ----------------------------
+// Backup sync verification
+// ----------------------------
+// Compares each backup's open deck and slide with ours. Backups lag a command by a moment,
+// so a mismatch only counts once it has lasted SYNC_GRACE_MS.
+const SYNC_GRACE_MS = 4000;
+const AUTO_RESYNC_MIN_INTERVAL_MS = 15000;
+const backupSyncMismatchSince = new Map(); // ip -> first time the mismatch was seen
+const backupLastResyncAt = new Map(); // ip -> last resync attempt
+const backupResyncInFlight = new Set();
+
+// Decks are compared by presentation id so /edit, /present and ?usp= variants match
+function getPresentationIdFromUrl(url) {
+  const value = String(url || '').trim();
+  if (!value) return null;
+  const mock = parseMockDeckUrl(value);
+  if (mock) return `mock:${mock.id}`;
+  const m = value.match(/\/presentation\/d\/([a-zA-Z0-9_-]+)/);
+  return m ? m[1] : value;
+}
+
+// Returns { sync, backupSlide, backupPresentationUrl }; sync is in-sync | syncing | drifted | wrong-deck | unknown
+function compareBackupSync(ip, backupStatus) {
+  if (!backupStatus || typeof backupStatus !== 'object') {
+    backupSyncMismatchSince.delete(ip);
+    return { sync: 'unknown', backupSlide: null, backupPresentationUrl: null };
+  }
+
+  const primaryOpen = !!(presentationWindow && !presentationWindow.isDestroyed());
+  const primaryDeck = primaryOpen ? getPresentationIdFromUrl(lastPresentationUrl) : null;
+  const backupDeck = backupStatus.presentationOpen ? getPresentationIdFromUrl(backupStatus.presentationUrl) : null;
+  const backupSlide = typeof backupStatus.currentSlide === 'number' ? backupStatus.currentSlide : null;
+
+  let sync;
+  if (primaryDeck !== backupDeck) {
+    sync = 'wrong-deck';
+  } else if (!primaryDeck) {
+    sync = 'in-sync'; // nothing open on either
+  } else if (typeof currentSlide !== 'number' || backupSlide === null) {
+    sync = 'unknown';
+  } else {
+    sync = currentSlide === backupSlide ? 'in-sync' : 'drifted';
+  }
+
+  if (sync === 'drifted' || sync === 'wrong-deck') {
+    const now = Date.now();
+    if (!backupSyncMismatchSince.has(ip)) backupSyncMismatchSince.set(ip, now);
+    if (now - backupSyncMismatchSince.get(ip) < SYNC_GRACE_MS) sync = 'syncing';
+  } else {
+    backupSyncMismatchSince.delete(ip);
+  }
+
+  return {
+    sync,
+    backupSlide,
+    backupPresentationUrl: backupStatus.presentationOpen ? (backupStatus.presentationUrl || null) : null
+  };
+}
+
+// Bring one backup to our deck and slide: reopen the deck if it differs, then go to the slide
+async function resyncBackup(ip) {
+  if (backupResyncInFlight.has(ip)) {
+    return { ip, success: false, error: 'Resync already in progress' };
+  }
+  backupResyncInFlight.add(ip);
+  backupLastResyncAt.set(ip, Date.now());
+
+  // Commands still waiting for this backup are superseded by the resync. The head may be mid-send, so it stays.
+  const queue = backupQueues.get(ip);
+  if (queue && queue.items.length > 1) {
+    logDebug(`[Backup] Resync of ${ip} drops ${queue.items.length - 1} queued command(s)`);
+    queue.items.splice(1);
+  }
+
+  try {
+    const status = await fetchBackupStatus(ip);
+    if (!status.ok) return { ip, success: false, error: 'Backup not reachable' };
+
+    const primaryOpen = !!(presentationWindow && !presentationWindow.isDestroyed());
+    const backupOpen = !!(status.body && status.body.presentationOpen);
+    const sameDeck = primaryOpen && backupOpen &&
+      getPresentationIdFromUrl(lastPresentationUrl) === getPresentationIdFromUrl(status.body.presentationUrl);
+    const actions = [];
+
+    if (!primaryOpen) {
+      if (backupOpen) {
+        const closed = await sendToBackup(ip, '/api/close-presentation');
+        if (!closed.ok) return { ip, success: false, error: `Close failed (${closed.error || closed.statusCode})`, actions };
+        actions.push('close');
       }
+      return { ip, success: true, actions };
     }
-    
-    return { 
-      signedIn: hasAuthCookies,
-      userEmail: userEmail || null,
-      userName: userName || null
-    };
-  } catch (error) {
-    console.error('Error checking sign-in status:', error);
-    return { signedIn: false, userEmail: null, userName: null };
+
+    if (!sameDeck) {
+      const withNotes = !!(notesWindow && !notesWindow.isDestroyed());
+      const endpoint = withNotes ? '/api/open-presentation-with-notes' : '/api/open-presentation';
+      const opened = await sendToBackup(ip, endpoint, { url: lastPresentationUrl }, { timeout: 10000 });
+      if (!opened.ok) return { ip, success: false, error: `Reopen failed (${opened.error || opened.statusCode})`, actions };
+      actions.push('reopen');
+    }
+
+    if (typeof currentSlide === 'number' && (sameDeck ? status.body.currentSlide !== currentSlide : currentSlide > 1)) {
+      // go-to-slide waits for a freshly opened deck to load before it answers
+      const moved = await sendToBackup(ip, '/api/go-to-slide', { slide: currentSlide }, { timeout: DECK_LOAD_GRACE_MS + 5000 });
+      if (!moved.ok) return { ip, success: false, error: `Go to slide ${currentSlide} failed (${moved.error || moved.statusCode})`, actions };
+      actions.push(`slide ${currentSlide}`);
+    }
+
+    console.log(`[Backup] Resynced ${ip}: ${actions.join(', ') || 'already in sync'}`);
+    return { ip, success: true, actions };
+  } finally {
+    backupResyncInFlight.delete(ip);
+    backupSyncMismatchSince.delete(ip);
   }
-});
+}
 
-// Sign out from Google
-ipcMain.handle('google-signout', async () => {
-  const googleSession = getGoogleSession();
-  
-  // Clear all cookies and storage data for the Google session
-  await googleSession.clearStorageData({
-    storages: ['cookies', 'localstorage', 'sessionstorage', 'cachestorage']
+function autoResyncBackups(backups) {
+  const now = Date.now();
+  backups
+    .filter(b => b.sync === 'drifted' || b.sync === 'wrong-deck')
+    .filter(b => b.pairing !== 'mismatch' && b.pairing !== 'unpaired')
+    .filter(b => now - (backupLastResyncAt.get(b.ip) || 0) >= AUTO_RESYNC_MIN_INTERVAL_MS)
+    .forEach((b) => {
+      logInfo(`[Backup] Auto-resync ${b.ip} (${b.sync})`);
+      resyncBackup(b.ip).catch(err => {
+        console.error('[Backup] Auto-resync error:', err);
+      });
+    });
+}
+
+// ----------------------------
+// Backup command queue
+// ----------------------------
+// Each backup gets its own ordered outbound queue. A command is retried with backoff on network
+// errors, timeouts and 5xx answers, and the next command waits until it is delivered or given up,
+// so a backup that blips replays the commands it missed in order instead of silently falling behind.
+// Commands are numbered per run (BACKUP_SESSION_ID + seq) so the backup ignores retries it already applied.
+const BACKUP_SESSION_ID = crypto.randomBytes(8).toString('hex');
+const BACKUP_QUEUE_MAX_ATTEMPTS = 5;
+const BACKUP_QUEUE_BASE_DELAY_MS = 250;
+const BACKUP_QUEUE_MAX_DELAY_MS = 4000;
+// Past this a queued command is stale (the show has moved on); it counts as missed and the sync check takes over
+const BACKUP_QUEUE_MAX_AGE_MS = 30000;
+const BACKUP_QUEUE_MAX_LENGTH = 50;
+const backupQueues = new Map(); // ip -> queue
+let backupCommandSeq = 0;
+
+function getBackupQueue(ip) {
+  let queue = backupQueues.get(ip);
+  if (!queue) {
+    queue = { items: [], draining: false, delivered: 0, retries: 0, missed: 0, lastDeliveredSeq: null, lastMissed: null };
+    backupQueues.set(ip, queue);
+  }
+  return queue;
+}
+
+function markBackupCommandMissed(ip, queue, item, error) {
+  queue.missed += 1;
+  queue.lastMissed = { seq: item.seq, endpoint: item.endpoint, at: Date.now(), error };
+  logWarn(`[Backup] ${ip} missed #${item.seq} ${item.endpoint}: ${error}`);
+}
+
+function getBackupRetryDelay(attempt) {
+  return Math.min(BACKUP_QUEUE_BASE_DELAY_MS * Math.pow(2, attempt - 1), BACKUP_QUEUE_MAX_DELAY_MS);
+}
+
+async function drainBackupQueue(ip, queue) {
+  if (queue.draining) return;
+  queue.draining = true;
+  try {
+    // Stops early if the backup was removed from the config (its queue is replaced/deleted)
+    while (queue.items.length > 0 && backupQueues.get(ip) === queue) {
+      const item = queue.items[0];
+      if (Date.now() - item.queuedAt > BACKUP_QUEUE_MAX_AGE_MS) {
+        queue.items.shift();
+        markBackupCommandMissed(ip, queue, item, item.lastError || 'Expired in queue');
+        continue;
+      }
+
+      item.attempts += 1;
+      const result = await sendToBackup(ip, item.endpoint, item.data, { seq: item.seq });
+      if (result.ok) {
+        queue.items.shift();
+        queue.delivered += 1;
+        queue.lastDeliveredSeq = item.seq;
+        continue;
+      }
+
+      const statusCode = result.statusCode || 0;
+      const retryable = result.pending || !statusCode || statusCode >= 500;
+      item.lastError = result.error || `HTTP ${statusCode}`;
+      // A pending answer means the backup is still busy with it, so it doesn't use up an attempt
+      if (!retryable || (!result.pending && item.attempts >= BACKUP_QUEUE_MAX_ATTEMPTS)) {
+        // 4xx: the backup got it and refused (not paired, nothing open, ...). Retrying won't help.
+        queue.items.shift();
+        markBackupCommandMissed(ip, queue, item, item.lastError);
+        continue;
+      }
+
+      queue.retries += 1;
+      const delay = getBackupRetryDelay(item.attempts);
+      logDebug(`[Backup] Retrying #${item.seq} ${item.endpoint} to ${ip} in ${delay}ms (${item.lastError})`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  } finally {
+    queue.draining = false;
+  }
+}
+
+function enqueueBackupCommand(ip, endpoint, data = null) {
+  const queue = getBackupQueue(ip);
+  const item = { seq: ++backupCommandSeq, endpoint, data, queuedAt: Date.now(), attempts: 0, lastError: null };
+  queue.items.push(item);
+  while (queue.items.length > BACKUP_QUEUE_MAX_LENGTH) {
+    markBackupCommandMissed(ip, queue, queue.items.shift(), 'Queue full');
+  }
+  drainBackupQueue(ip, queue).catch(err => {
+    console.error('[Backup] Queue error:', err);
   });
-  
-  return { success: true, message: 'Successfully signed out' };
-});
+  return item.seq;
+}
 
-// Open test presentation
-ipcMain.handle('open-test-presentation', async () => {
-  const testUrl = 'https://docs.google.com/presentation/d/1rc9BSX-0TrU7c5LGeLDRyH3zRN89-uDuXEEqOpcnLVg/edit';
-  
-  // Load preferences to get selected displays
-  const prefs = loadPreferences();
-  logDebug('[Test] Loaded preferences:', safeStringify(prefs));
-  
-  const displays = screen.getAllDisplays();
-  logDebug('[Test] All available displays:');
-  displays.forEach((display, index) => {
-    logDebug(`  Display ${index + 1} - ID: ${display.id}, Bounds: ${safeStringify(display.bounds)}`);
+// Queue counters for /api/backup-status
+function getBackupQueueStatus(ip) {
+  const queue = backupQueues.get(ip);
+  if (!queue) {
+    return { queuedCommands: 0, deliveredCommands: 0, retriedCommands: 0, missedCommands: 0, lastDeliveredSeq: null, lastMissed: null };
+  }
+  return {
+    queuedCommands: queue.items.length,
+    deliveredCommands: queue.delivered,
+    retriedCommands: queue.retries,
+    missedCommands: queue.missed,
+    lastDeliveredSeq: queue.lastDeliveredSeq,
+    lastMissed: queue.lastMissed
+  };
+}
+
+// Backup side: remembers the primary's last applied seq so a retry after a lost response isn't run twice.
+// Answers the duplicate itself (returns true) or lets the command through (returns false).
+let primarySequence = { session: null, applied: 0, inFlight: null };
+
+function checkPrimarySequence(req, res) {
+  const session = String(req.headers['x-gso-session'] || '');
+  const seq = parseInt(req.headers['x-gso-seq'], 10);
+  if (!session || !Number.isInteger(seq) || seq < 1) return false;
+
+  if (session !== primarySequence.session) {
+    // First command from this primary run (or the primary restarted)
+    primarySequence = { session, applied: 0, inFlight: null };
+  }
+  if (seq === primarySequence.inFlight) {
+    sendApiResponse(res, 202, { pending: true, seq });
+    return true;
+  }
+  if (seq <= primarySequence.applied) {
+    logDebug(`[Backup] Ignoring repeated command #${seq} ${req.url}`);
+    sendApiResponse(res, 200, { duplicate: true, seq });
+    return true;
+  }
+
+  primarySequence.inFlight = seq;
+  lastPrimaryAddress = normalizeRemoteAddress(req?.socket?.remoteAddress);
+  res.on('close', () => {
+    if (primarySequence.session !== session) return;
+    if (primarySequence.inFlight === seq) primarySequence.inFlight = null;
+    // A 5xx means the command didn't run, so its retry should
+    if (res.statusCode < 500 && seq > primarySequence.applied) primarySequence.applied = seq;
   });
+  return false;
+}
+
+// Send command to all backup machines (queued per backup; callers don't wait for delivery)
+async function sendToBackups(endpoint, data = null) {
+  const prefs = loadPreferences();
+  if (prefs.primaryBackupMode !== 'primary') {
+    return; // Not in primary mode
+  }
   
-  // Convert IDs to numbers for comparison (they might be saved as strings)
-  const presentationDisplayId = Number(prefs.presentationDisplayId);
-  const notesDisplayId = Number(prefs.notesDisplayId);
-  
-  const presentationDisplay = displays.find(d => d.id === presentationDisplayId) || displays[0];
-  const notesDisplay = displays.find(d => d.id === notesDisplayId) || displays[0];
+  const backupIps = getBackupIps();
+  // Drop queues of backups that were removed from the config
+  for (const ip of backupQueues.keys()) {
+    if (!backupIps.includes(ip)) backupQueues.delete(ip);
+  }
+  if (backupIps.length === 0) {
+    return; // No backups configured
+  }
   
-  logDebug('[Test] Selected presentation display ID:', prefs.presentationDisplayId, '(converted to:', presentationDisplayId, ')');
-  logDebug('[Test] Resolved presentation display:', presentationDisplay.id, 'Bounds:', presentationDisplay.bounds);
-  logDebug('[Test] Selected notes display ID:', prefs.notesDisplayId, '(converted to:', notesDisplayId, ')');
-  logDebug('[Test] Resolved notes display:', notesDisplay.id, 'Bounds:', notesDisplay.bounds);
+  logDebug(`[Backup] Broadcasting ${endpoint} to ${backupIps.length} backup(s)`);
   
-  if (!presentationWindow) {
-    // Note: Don't use fullscreen: true in constructor as it creates a new Space on macOS
-    // We'll use setSimpleFullScreen() after creation to avoid Spaces conflicts
-    presentationWindow = new BrowserWindow({
-      x: presentationDisplay.bounds.x,
-      y: presentationDisplay.bounds.y,
-      width: presentationDisplay.bounds.width,
-      height: presentationDisplay.bounds.height,
-      frame: false,
-      webPreferences: {
-        nodeIntegration: false,
-        contextIsolation: true,
-        partition: GOOGLE_SESSION_PARTITION
-      }
-    });
-    
-    // Set simple fullscreen on macOS to avoid Spaces conflicts
-    if (process.platform === 'darwin') {
-      presentationWindow.setSimpleFullScreen(true);
-    }
+  backupIps.forEach(ip => {
+    enqueueBackupCommand(ip, endpoint, data);
+  });
+}
 
-    presentationWindow.on('closed', () => {
-      presentationWindow = null;
-      currentSlide = null;
+// GET a backup's /api/status. Resolves { ok, statusCode, body } (never rejects).
+function fetchBackupStatus(ip, prefs = loadPreferences()) {
+  const { hostname, port } = parseBackupAddress(ip, prefs);
+  return new Promise((resolve) => {
+    const options = {
+      hostname,
+      port: port,
+      path: '/api/status',
+      method: 'GET',
+      headers: { ...getBackupAuthHeaders(prefs), ...signPairingRequest(prefs, 'GET', '/api/status') },
+      timeout: 2000
+    };
+    
+    const req = http.request(options, (res) => {
+      let responseData = '';
+      res.on('data', (chunk) => {
+        responseData += chunk.toString();
+      });
+      res.on('end', () => {
+        let body = null;
+        try {
+          body = JSON.parse(responseData);
+        } catch (e) {
+          // older/odd response; pairing and sync show as unknown
+        }
+        resolve({ ok: res.statusCode === 200, statusCode: res.statusCode, body });
+      });
     });
     
-    // Listen for Escape key to close both windows
-    presentationWindow.webContents.on('before-input-event', (event, input) => {
-      if (input.key === 'Escape' && input.type === 'keyDown') {
-        logDebug('[Test] Escape pressed, closing presentation and notes windows');
-        event.preventDefault(); // Prevent Google Slides from handling Escape
-        if (notesWindow && !notesWindow.isDestroyed()) notesWindow.close();
-        if (presentationWindow && !presentationWindow.isDestroyed()) presentationWindow.close();
-      }
+    req.on('error', () => {
+      resolve({ ok: false, statusCode: null, body: null });
     });
-
-    // Handle the speaker notes popup window
-    presentationWindow.webContents.setWindowOpenHandler((details) => {
-      logDebug('[Test] Window open intercepted:', details.url);
-      logDebug('[Test] Frame name:', details.frameName);
-      logDebug('[Test] Features:', details.features);
-      
-      // Allow Google Slides to open the speaker notes window
-      // Use default size from Google Slides (no size/position override)
-      const windowOptions = {
-        frame: false,
-        webPreferences: {
-          nodeIntegration: false,
-          contextIsolation: true,
-          partition: GOOGLE_SESSION_PARTITION
-        }
-      };
-      
-      return {
-        action: 'allow',
-        overrideBrowserWindowOptions: windowOptions
-      };
+    
+    req.on('timeout', () => {
+      req.destroy();
+      resolve({ ok: false, statusCode: null, body: null });
     });
     
-    // Listen for new windows being created (this will be the notes window)
-    const testWindowCreatedListener = (event, window) => {
-      if (window !== presentationWindow && window !== mainWindow) {
-        logDebug('[Test] Notes window created');
-        logDebug('[Test] Presentation display ID:', presentationDisplay.id);
-        logDebug('[Test] Notes display ID:', notesDisplay.id);
-        notesWindow = window;
-        
-        const initialBounds = window.getBounds();
-        logDebug('[Test] Initial window bounds:', initialBounds);
-        
-        // Add Escape key handler to notes window as well
-        window.webContents.on('before-input-event', (event, input) => {
-          if (input.key === 'Escape' && input.type === 'keyDown') {
-            logDebug('[Test] Escape pressed in notes window, closing all windows');
-            event.preventDefault();
-            if (notesWindow && !notesWindow.isDestroyed()) notesWindow.close();
-            if (presentationWindow && !presentationWindow.isDestroyed()) presentationWindow.close();
-          }
-        });
-        
-        // Set speaker notes window to fullscreen when it loads
-        window.webContents.once('did-finish-load', () => {
-          setSpeakerNotesFullscreen(window);
-        });
-        
-        // Also try when DOM is ready (in case did-finish-load fires too early)
-        window.webContents.once('dom-ready', () => {
-          setTimeout(() => {
-            setSpeakerNotesFullscreen(window);
-          }, 500);
-        });
-        
-        app.removeListener('browser-window-created', testWindowCreatedListener);
-      }
-    };
-    app.on('browser-window-created', testWindowCreatedListener);
-  }
+    req.end();
+  });
+}
 
-  lastPresentationUrl = testUrl; // Store for reload
-  currentSlide = 1;
-  presentationWindow.loadURL(testUrl);
-  presentationWindow.show();
-  
-  logDebug('[Test] Window opened, loading URL...');
-  
-  // Set up navigation listener
-  const navigationListener = async (event, url) => {
-    logDebug('[Test] Navigated to:', url);
-    
-    // Just log navigation, don't auto-launch notes
-    logDebug('[Test] Navigated to:', url);
-  };
+// Check connection, pairing and deck/slide sync of all backup machines
+async function checkBackupStatus() {
+  const prefs = loadPreferences();
+  if (prefs.primaryBackupMode !== 'primary') {
+    return { backups: [] };
+  }
   
-  presentationWindow.webContents.on('did-navigate', navigationListener);
+  const backupIps = getBackupIps();
+  if (backupIps.length === 0) {
+    return { backups: [] };
+  }
   
-  // Listen for page load, then immediately trigger presentation mode
-  presentationWindow.webContents.once('did-finish-load', async () => {
-    if (!presentationWindow || presentationWindow.isDestroyed()) return;
-    
-    const currentUrl = presentationWindow.webContents.getURL();
-    logDebug('[Test] Page loaded:', currentUrl);
-    
-    // Small delay to ensure page is fully interactive
-    await new Promise(resolve => setTimeout(resolve, 200));
-    
-    if (!presentationWindow || presentationWindow.isDestroyed()) return;
-    
-    logDebug('[Test] Triggering Ctrl+Shift+F5 to enter presentation mode...');
-    
-    try {
-      // Focus the window first to ensure it receives the keyboard events
-      presentationWindow.focus();
-      await new Promise(resolve => setTimeout(resolve, 50));
-      
-      // Send real keyboard input events
-      presentationWindow.webContents.sendInputEvent({ type: 'keyDown', keyCode: 'F5', modifiers: ['control', 'shift'] });
-      presentationWindow.webContents.sendInputEvent({ type: 'keyUp', keyCode: 'F5', modifiers: ['control', 'shift'] });
-      
-      logDebug('[Test] Ctrl+Shift+F5 sent via sendInputEvent');
-    } catch (error) {
-      logError('[Test] Error sending Ctrl+Shift+F5:', error);
+  // Check each backup in parallel
+  const backups = await Promise.all(backupIps.map(async (ip) => {
+    const result = await fetchBackupStatus(ip, prefs);
+    if (!result.ok) {
+      backupSyncMismatchSince.delete(ip);
+      return { ip, status: 'disconnected', ...getBackupQueueStatus(ip) };
     }
-    
-    // No auto-launch of speaker notes - user must call open-speaker-notes separately
-  });
-  
-  return { success: true };
-});
+    return {
+      ip,
+      status: 'connected',
+      ...describeBackupPairing(prefs, result.body),
+      ...compareBackupSync(ip, result.body),
+      ...getBackupQueueStatus(ip)
+    };
+  }));
 
-// Open presentation on specific monitor
-ipcMain.handle('open-presentation', async (event, { url, presentationDisplayId, notesDisplayId }) => {
-  const displays = screen.getAllDisplays();
-  logDebug('[Multi-Monitor] All available displays:');
-  displays.forEach((display, index) => {
-    logDebug(`  Display ${index + 1} - ID: ${display.id}, Bounds: ${safeStringify(display.bounds)}`);
+  if (prefs.autoResyncBackups === true) {
+    autoResyncBackups(backups);
+  }
+
+  // Notify event stream subscribers only when a backup's state actually changed
+  const backupsKey = JSON.stringify(backups);
+  if (backupsKey !== lastBackupStatusKey) {
+    lastBackupStatusKey = backupsKey;
+    publishEvent('backup-status-changed', { backups });
+  }
+
+  return { backups };
+}
+
+// Start backup status polling (called when app starts in primary mode)
+let backupStatusInterval = null;
+
+function startBackupStatusPolling() {
+  stopBackupStatusPolling();
+  
+  const prefs = loadPreferences();
+  if (prefs.primaryBackupMode !== 'primary') {
+    return;
+  }
+  
+  // Poll immediately, then every 5 seconds
+  checkBackupStatus().catch(err => {
+    console.error('[Backup] Error checking backup status:', err);
   });
   
-  // Convert IDs to numbers for comparison (they might be passed as strings)
-  const presentationDisplayIdNum = Number(presentationDisplayId);
-  const notesDisplayIdNum = Number(notesDisplayId);
+  backupStatusInterval = setInterval(() => {
+    checkBackupStatus().catch(err => {
+      console.error('[Backup] Error checking backup status:', err);
+    });
+  }, 5000);
   
-  const presentationDisplay = displays.find(d => d.id === presentationDisplayIdNum);
-  const notesDisplay = displays.find(d => d.id === notesDisplayIdNum);
-
-  logDebug('[Multi-Monitor] Selected presentation display ID:', presentationDisplayId, '(converted to:', presentationDisplayIdNum, ')');
-  logDebug('[Multi-Monitor] Resolved presentation display:', presentationDisplay ? presentationDisplay.id : 'NOT FOUND', 'Bounds:', presentationDisplay ? presentationDisplay.bounds : 'N/A');
-  logDebug('[Multi-Monitor] Selected notes display ID:', notesDisplayId, '(converted to:', notesDisplayIdNum, ')');
-  logDebug('[Multi-Monitor] Resolved notes display:', notesDisplay ? notesDisplay.id : 'NOT FOUND', 'Bounds:', notesDisplay ? notesDisplay.bounds : 'N/A');
+  console.log('[Backup] Started backup status polling (5s interval)');
+}
 
-  if (!presentationDisplay) {
-    return { success: false, message: 'Invalid presentation display' };
+function stopBackupStatusPolling() {
+  if (backupStatusInterval) {
+    clearInterval(backupStatusInterval);
+    backupStatusInterval = null;
+    console.log('[Backup] Stopped backup status polling');
   }
+}
 
-  // Close existing windows if any
-  if (presentationWindow && !presentationWindow.isDestroyed()) presentationWindow.close();
-  if (notesWindow && !notesWindow.isDestroyed()) notesWindow.close();
-  currentSlide = null;
+// ----------------------------
+// Failover (backup heartbeats its primary)
+// ----------------------------
+// A backup polls its primary's GET /api/heartbeat. Once the primary has answered at least once and then
+// stays silent for the grace period, the backup offers promotion (failoverMode 'offer', the default) or
+// promotes itself ('auto'). Promotion switches this machine to primary mode; demote switches it back.
+const FAILOVER_MODES = ['off', 'offer', 'auto'];
+const FAILOVER_HEARTBEAT_MS = 2000;
+const DEFAULT_FAILOVER_GRACE_SECONDS = 10;
+let failoverInterval = null;
+let failoverCheckRunning = false;
+let lastPrimaryAddress = null; // sender of the last sequenced primary command
+let failoverState = createFailoverState('idle');
+
+// state: idle (not a backup / off) | waiting (primary not seen yet) | following | primary-lost | promoted
+function createFailoverState(state) {
+  return {
+    state,
+    primaryHost: null,
+    lastHeartbeatAt: null,
+    lastHeartbeatError: null,
+    lostSince: null,
+    promotedAt: null,
+    promotedBy: null,
+    previousPrimary: null,
+    previousPrimaryBack: false
+  };
+}
 
-  // Open presentation window
-  // Note: Don't use fullscreen: true in constructor as it creates a new Space on macOS
-  // We'll use setSimpleFullScreen() after creation to avoid Spaces conflicts
-  presentationWindow = new BrowserWindow({
-    x: presentationDisplay.bounds.x,
-    y: presentationDisplay.bounds.y,
-    width: presentationDisplay.bounds.width,
-    height: presentationDisplay.bounds.height,
-    frame: false,
-    webPreferences: {
-      nodeIntegration: false,
-      contextIsolation: true,
-      partition: GOOGLE_SESSION_PARTITION
-    }
-  });
-  
-  // Set simple fullscreen on macOS to avoid Spaces conflicts
-  if (process.platform === 'darwin') {
-    presentationWindow.setSimpleFullScreen(true);
+function getFailoverMode(prefs) {
+  return FAILOVER_MODES.includes(prefs?.failoverMode) ? prefs.failoverMode : 'offer';
+}
+
+function getFailoverGraceMs(prefs) {
+  const seconds = parseInt(prefs?.failoverGraceSeconds, 10);
+  const clamped = Number.isFinite(seconds) ? Math.min(Math.max(seconds, 3), 600) : DEFAULT_FAILOVER_GRACE_SECONDS;
+  return clamped * 1000;
+}
+
+// The configured Primary Machine, else whoever last sent us a primary command
+function getFailoverPrimaryHost(prefs) {
+  const host = String(prefs?.primaryHost || '').trim();
+  return host || lastPrimaryAddress || null;
+}
+
+function isLiveMachine(prefs) {
+  return (prefs?.primaryBackupMode || 'standalone') !== 'backup';
+}
+
+function getFailoverStatus(prefs = loadPreferences()) {
+  const mode = getFailoverMode(prefs);
+  const graceMs = getFailoverGraceMs(prefs);
+  return {
+    role: prefs.primaryBackupMode || 'standalone',
+    live: isLiveMachine(prefs),
+    mode,
+    graceSeconds: graceMs / 1000,
+    ...failoverState,
+    autoPromoteAt: mode === 'auto' && failoverState.lostSince ? failoverState.lostSince + graceMs : null
+  };
+}
+
+function setFailoverState(changes) {
+  const next = { ...failoverState, ...changes };
+  // lastHeartbeatAt ticks every poll; only publish when something an operator would see changed
+  const visible = (st) => JSON.stringify({ ...st, lastHeartbeatAt: null });
+  const changed = visible(next) !== visible(failoverState);
+  failoverState = next;
+  if (changed) {
+    publishEvent('failover-changed', { failover: getFailoverStatus() });
   }
+}
 
-  // Handle the speaker notes popup window
-  presentationWindow.webContents.setWindowOpenHandler((details) => {
-    logDebug('[Multi-Monitor] Window open intercepted:', details.url);
-    logDebug('[Multi-Monitor] Frame name:', details.frameName);
-    logDebug('[Multi-Monitor] Features:', details.features);
-    
-    // Allow Google Slides to open the speaker notes window
-    // Use default size from Google Slides (no size/position override)
-    const windowOptions = {
-      frame: false,
-      webPreferences: {
-        nodeIntegration: false,
-        contextIsolation: true,
-        partition: GOOGLE_SESSION_PARTITION
-      }
-    };
-    
-    return {
-      action: 'allow',
-      overrideBrowserWindowOptions: windowOptions
-    };
+function fetchPrimaryHeartbeat(host, prefs) {
+  const port = prefs.apiPort || DEFAULT_API_PORT; // machines in a primary/backup set share the API port
+  return new Promise((resolve) => {
+    const req = http.request({
+      hostname: host,
+      port,
+      path: '/api/heartbeat',
+      method: 'GET',
+      headers: { ...getBackupAuthHeaders(prefs), ...signPairingRequest(prefs, 'GET', '/api/heartbeat') },
+      timeout: 1500
+    }, (res) => {
+      let responseData = '';
+      res.on('data', (chunk) => {
+        responseData += chunk.toString();
+      });
+      res.on('end', () => {
+        let body = null;
+        try {
+          body = JSON.parse(responseData);
+        } catch (e) {
+          // treated as no answer below
+        }
+        if (res.statusCode !== 200 || !body) {
+          resolve({ ok: false, error: `HTTP ${res.statusCode}` });
+        } else if (body.role !== 'primary') {
+          resolve({ ok: false, body, error: `${host} is no longer primary (${body.role || 'unknown'})` });
+        } else {
+          resolve({ ok: true, body });
+        }
+      });
+    });
+    req.on('error', (err) => resolve({ ok: false, error: err.message }));
+    req.on('timeout', () => {
+      req.destroy();
+      resolve({ ok: false, error: 'Timeout' });
+    });
+    req.end();
   });
-  
-  // Listen for new windows being created (this will be the notes window)
-  const windowCreatedListener = (event, window) => {
-    // Check if this is not the presentation window or main window
-    if (window !== presentationWindow && window !== mainWindow) {
-      logDebug('[Multi-Monitor] Notes window created');
-      logDebug('[Multi-Monitor] Presentation display ID:', presentationDisplayIdNum);
-      logDebug('[Multi-Monitor] Notes display ID:', notesDisplayIdNum);
-      logDebug('[Multi-Monitor] Notes display object:', notesDisplay);
-      notesWindow = window;
-      
-      // Get initial window bounds
-      const initialBounds = window.getBounds();
-      logDebug('[Multi-Monitor] Initial window bounds:', initialBounds);
-      
-      // Add Escape key handler to notes window as well
-      window.webContents.on('before-input-event', (event, input) => {
-        if (input.key === 'Escape' && input.type === 'keyDown') {
-          logDebug('[Multi-Monitor] Escape pressed in notes window, closing all windows');
-          event.preventDefault();
-          if (notesWindow && !notesWindow.isDestroyed()) notesWindow.close();
-          if (presentationWindow && !presentationWindow.isDestroyed()) presentationWindow.close();
+}
+
+async function checkPrimaryHeartbeat() {
+  if (failoverCheckRunning) return;
+  failoverCheckRunning = true;
+  try {
+    const prefs = loadPreferences();
+
+    if (failoverState.state === 'promoted') {
+      if (prefs.primaryBackupMode !== 'primary') {
+        // Mode was changed by hand since the promotion
+        setFailoverState(createFailoverState(prefs.primaryBackupMode === 'backup' ? 'waiting' : 'idle'));
+        return;
+      }
+      // Keep an eye on the old primary so operators know when two machines think they're live
+      if (failoverState.previousPrimary) {
+        const result = await fetchPrimaryHeartbeat(failoverState.previousPrimary, prefs);
+        if (result.ok && !failoverState.previousPrimaryBack) {
+          logWarn(`[Failover] Previous primary ${failoverState.previousPrimary} is back and running as primary`);
         }
-      });
-      
-      // Set speaker notes window to fullscreen when it loads
-      window.webContents.once('did-finish-load', () => {
-        setSpeakerNotesFullscreen(window);
-      });
-      
-      // Also try when DOM is ready (in case did-finish-load fires too early)
-      window.webContents.once('dom-ready', () => {
-        setTimeout(() => {
-          setSpeakerNotesFullscreen(window);
-        }, 500);
-      });
-      
-      // Remove listener after notes window is created
-      app.removeListener('browser-window-created', windowCreatedListener);
+        setFailoverState({ previousPrimaryBack: result.ok });
+      }
+      return;
     }
-  };
-  app.on('browser-window-created', windowCreatedListener);
 
-  // Load presentation URL
-  lastPresentationUrl = url; // Store for reload
-  currentSlide = 1;
-  presentationWindow.loadURL(url);
+    const mode = getFailoverMode(prefs);
+    if (prefs.primaryBackupMode !== 'backup' || mode === 'off') {
+      if (failoverState.state !== 'idle') setFailoverState(createFailoverState('idle'));
+      return;
+    }
+    if (failoverState.state === 'idle') {
+      setFailoverState(createFailoverState('waiting'));
+    }
 
-  logDebug('[Multi-Monitor] Window opened, loading URL...');
+    const host = getFailoverPrimaryHost(prefs);
+    if (!host) {
+      setFailoverState({ primaryHost: null, lastHeartbeatError: 'Primary not known yet (set Primary Machine)' });
+      return;
+    }
 
-  // Listen for all page loads
-  // Set up navigation listener to detect presentation mode activation
-  const navigationListener = async (event, url) => {
-    logDebug('[Multi-Monitor] Navigated to:', url);
-    // Just log navigation, don't auto-launch notes
-  };
-  
-  presentationWindow.webContents.on('did-navigate', navigationListener);
-  
-  // Listen for page load, then immediately trigger presentation mode
-  presentationWindow.webContents.once('did-finish-load', async () => {
-    if (!presentationWindow || presentationWindow.isDestroyed()) return;
-    
-    const currentUrl = presentationWindow.webContents.getURL();
-    logDebug('[Multi-Monitor] Page loaded:', currentUrl);
-    
-    // Small delay to ensure page is fully interactive
-    await new Promise(resolve => setTimeout(resolve, 200));
-    
-    if (!presentationWindow || presentationWindow.isDestroyed()) return;
-    
-    logDebug('[Multi-Monitor] Triggering Ctrl+Shift+F5 to enter presentation mode...');
-    
-    try {
-      // Focus the window first to ensure it receives the keyboard events
-      presentationWindow.focus();
-      await new Promise(resolve => setTimeout(resolve, 50));
-      
-      // Send real keyboard input events
-      presentationWindow.webContents.sendInputEvent({ type: 'keyDown', keyCode: 'F5', modifiers: ['control', 'shift'] });
-      presentationWindow.webContents.sendInputEvent({ type: 'keyUp', keyCode: 'F5', modifiers: ['control', 'shift'] });
-      
-      logDebug('[Multi-Monitor] Ctrl+Shift+F5 sent via sendInputEvent');
-    } catch (error) {
-      logError('[Multi-Monitor] Error sending Ctrl+Shift+F5:', error);
+    const result = await fetchPrimaryHeartbeat(host, prefs);
+    const now = Date.now();
+    if (result.ok) {
+      if (failoverState.state === 'primary-lost') {
+        logInfo(`[Failover] Primary ${host} is back`);
+      }
+      setFailoverState({ state: 'following', primaryHost: host, lastHeartbeatAt: now, lastHeartbeatError: null, lostSince: null });
+      return;
     }
-    
-    // No auto-launch of speaker notes - user must call open-speaker-notes separately
+
+    if (failoverState.state === 'waiting') {
+      // Never saw the primary (e.g. it hasn't started yet) - nothing to fail over from
+      setFailoverState({ primaryHost: host, lastHeartbeatError: result.error });
+      return;
+    }
+
+    const lostSince = failoverState.lostSince || now;
+    setFailoverState({ primaryHost: host, lastHeartbeatError: result.error, lostSince });
+    if (now - lostSince < getFailoverGraceMs(prefs)) return;
+
+    if (failoverState.state !== 'primary-lost') {
+      logWarn(`[Failover] Primary ${host} has not answered for ${Math.round((now - lostSince) / 1000)}s (${result.error})`);
+      setFailoverState({ state: 'primary-lost' });
+    }
+    if (mode === 'auto') {
+      promoteToPrimary('auto');
+    }
+  } catch (error) {
+    console.error('[Failover] Heartbeat check failed:', error);
+  } finally {
+    failoverCheckRunning = false;
+  }
+}
+
+function promoteToPrimary(by = 'manual') {
+  const prefs = loadPreferences();
+  if (prefs.primaryBackupMode !== 'backup') {
+    return { success: false, error: 'Only a backup machine can be promoted' };
+  }
+  const previousPrimary = getFailoverPrimaryHost(prefs);
+  savePreferences({ ...prefs, primaryBackupMode: 'primary' });
+  logWarn(`[Failover] Promoted to primary (${by})${previousPrimary ? `, previous primary ${previousPrimary}` : ''}`);
+
+  setFailoverState({
+    ...createFailoverState('promoted'),
+    promotedAt: Date.now(),
+    promotedBy: by,
+    previousPrimary
   });
+  // Backups configured on this machine now follow it
+  startBackupStatusPolling();
+  notifyRoleChanged('primary');
+  return { success: true, failover: getFailoverStatus() };
+}
+
+function demoteToBackup() {
+  const prefs = loadPreferences();
+  if (failoverState.state !== 'promoted' || prefs.primaryBackupMode !== 'primary') {
+    return { success: false, error: 'This machine was not promoted by failover' };
+  }
+  savePreferences({ ...prefs, primaryBackupMode: 'backup' });
+  stopBackupStatusPolling();
+  notifyRoleChanged('backup');
+  logInfo('[Failover] Demoted back to backup');
+  // Waits for the primary to answer again before failover can trigger
+  setFailoverState(createFailoverState('waiting'));
+  return { success: true, failover: getFailoverStatus() };
+}
+
+// Tell the desktop settings window so its mode radios don't undo the change on the next save
+function notifyRoleChanged(role) {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('role-changed', { role });
+  }
+  announceDiscovery();
+}
+
+function startFailoverMonitor() {
+  stopFailoverMonitor();
+  failoverInterval = setInterval(checkPrimaryHeartbeat, FAILOVER_HEARTBEAT_MS);
+}
 
-  presentationWindow.on('closed', () => {
-    presentationWindow = null;
-    currentSlide = null;
+function stopFailoverMonitor() {
+  if (failoverInterval) {
+    clearInterval(failoverInterval);
+    failoverInterval = null;
+  }
+}
+
+// ----------------------------
+// LAN discovery (mDNS / DNS-SD)
+// ----------------------------
+// Each instance advertises _gslide-opener._tcp.local with its machine name, role, API port and
+// version in TXT, and browses for the others so Settings can offer a picker instead of typed IPs.
+// Plain multicast DNS over dgram (RFC 6762/6763): PTR/SRV/TXT/A records only, no name compression on send.
+const MDNS_ADDRESS = '224.0.0.251';
+const MDNS_PORT = 5353;
+const DISCOVERY_SERVICE_TYPE = '_gslide-opener._tcp.local';
+const DISCOVERY_TTL_SECONDS = 120;
+const DISCOVERY_ANNOUNCE_MS = 60000;
+const DISCOVERY_SCAN_WAIT_MS = 1500;
+const DISCOVERY_INSTANCE_ID = crypto.randomBytes(4).toString('hex'); // per run; lets us skip our own answers
+const DNS_TYPE = { A: 1, PTR: 12, TXT: 16, SRV: 33, ANY: 255 };
+const DNS_CLASS_IN = 1;
+const DNS_CACHE_FLUSH = 0x8000;
+
+let discoverySocket = null;
+let discoveryAnnounceInterval = null;
+let discoveryError = null;
+const discoveredInstances = new Map(); // instance name -> entry
+let lastDiscoveryKey = null;
+
+function encodeDnsName(name) {
+  const parts = String(name).split('.').filter(Boolean).map((label) => {
+    const bytes = Buffer.from(label, 'utf8').slice(0, 63);
+    return Buffer.concat([Buffer.from([bytes.length]), bytes]);
   });
-  
-  // Listen for Escape key to close both windows
-  presentationWindow.webContents.on('before-input-event', (event, input) => {
-    if (input.key === 'Escape' && input.type === 'keyDown') {
-      logDebug('[Multi-Monitor] Escape pressed, closing presentation and notes windows');
-      event.preventDefault(); // Prevent Google Slides from handling Escape
-      if (notesWindow && !notesWindow.isDestroyed()) notesWindow.close();
-      if (presentationWindow && !presentationWindow.isDestroyed()) presentationWindow.close();
+  return Buffer.concat([...parts, Buffer.from([0])]);
+}
+
+function decodeDnsName(buf, offset) {
+  const labels = [];
+  let pos = offset;
+  let next = null;
+  let jumps = 0;
+  for (;;) {
+    const len = buf[pos];
+    if (len === undefined) throw new Error('Truncated name');
+    if (len === 0) {
+      pos += 1;
+      break;
+    }
+    if ((len & 0xc0) === 0xc0) {
+      // Only pointers can loop; labels always move forward and run into the end of the packet
+      if (++jumps > 20) throw new Error('Too many compression pointers');
+      if (next === null) next = pos + 2;
+      pos = ((len & 0x3f) << 8) | buf[pos + 1];
+      continue;
+    }
+    labels.push(buf.toString('utf8', pos + 1, pos + 1 + len));
+    pos += 1 + len;
+  }
+  return { name: labels.join('.'), next: next === null ? pos : next };
+}
+
+function encodeDnsRecord({ name, type, ttl, data, flush = false }) {
+  const header = Buffer.alloc(10);
+  header.writeUInt16BE(type, 0);
+  header.writeUInt16BE(DNS_CLASS_IN | (flush ? DNS_CACHE_FLUSH : 0), 2);
+  header.writeUInt32BE(ttl, 4);
+  header.writeUInt16BE(data.length, 8);
+  return Buffer.concat([encodeDnsName(name), header, data]);
+}
+
+function encodeDnsPacket({ id = 0, response = false, questions = [], answers = [], additionals = [] }) {
+  const header = Buffer.alloc(12);
+  header.writeUInt16BE(id, 0);
+  header.writeUInt16BE(response ? 0x8400 : 0, 2); // QR + AA for responses
+  header.writeUInt16BE(questions.length, 4);
+  header.writeUInt16BE(answers.length, 6);
+  header.writeUInt16BE(0, 8);
+  header.writeUInt16BE(additionals.length, 10);
+  const qs = questions.map((q) => {
+    const tail = Buffer.alloc(4);
+    tail.writeUInt16BE(q.type, 0);
+    tail.writeUInt16BE(DNS_CLASS_IN, 2);
+    return Buffer.concat([encodeDnsName(q.name), tail]);
+  });
+  return Buffer.concat([header, ...qs, ...answers.map(encodeDnsRecord), ...additionals.map(encodeDnsRecord)]);
+}
+
+// Returns { id, response, questions: [{ name, type }], records: [{ name, type, ttl, ...decoded }] }
+function decodeDnsPacket(buf) {
+  if (buf.length < 12) throw new Error('Packet too short');
+  const id = buf.readUInt16BE(0);
+  const response = (buf.readUInt16BE(2) & 0x8000) !== 0;
+  const qdcount = buf.readUInt16BE(4);
+  const rrcount = buf.readUInt16BE(6) + buf.readUInt16BE(8) + buf.readUInt16BE(10);
+  let pos = 12;
+
+  const questions = [];
+  for (let i = 0; i < qdcount; i++) {
+    const { name, next } = decodeDnsName(buf, pos);
+    questions.push({ name, type: buf.readUInt16BE(next) });
+    pos = next + 4;
+  }
+
+  const records = [];
+  for (let i = 0; i < rrcount; i++) {
+    const { name, next } = decodeDnsName(buf, pos);
+    const type = buf.readUInt16BE(next);
+    const ttl = buf.readUInt32BE(next + 4);
+    const rdlength = buf.readUInt16BE(next + 8);
+    const start = next + 10;
+    const record = { name, type, ttl };
+    if (type === DNS_TYPE.PTR) {
+      record.target = decodeDnsName(buf, start).name;
+    } else if (type === DNS_TYPE.SRV) {
+      record.port = buf.readUInt16BE(start + 4);
+      record.target = decodeDnsName(buf, start + 6).name;
+    } else if (type === DNS_TYPE.TXT) {
+      record.txt = {};
+      let p = start;
+      while (p < start + rdlength) {
+        const len = buf[p];
+        const entry = buf.toString('utf8', p + 1, p + 1 + len);
+        const eq = entry.indexOf('=');
+        if (eq > 0) record.txt[entry.slice(0, eq)] = entry.slice(eq + 1);
+        p += 1 + len;
+      }
+    } else if (type === DNS_TYPE.A && rdlength === 4) {
+      record.address = Array.from(buf.slice(start, start + 4)).join('.');
     }
+    records.push(record);
+    pos = start + rdlength;
+  }
+  return { id, response, questions, records };
+}
+
+function getDiscoveryHostLabel() {
+  return os.hostname().split('.')[0].replace(/[^a-zA-Z0-9-]/g, '-') || 'gslide-opener';
+}
+
+function getLocalIpv4Addresses() {
+  const out = [];
+  Object.values(os.networkInterfaces()).forEach((entries) => {
+    (entries || []).forEach((entry) => {
+      if (entry && (entry.family === 'IPv4' || entry.family === 4) && !entry.internal) out.push(entry.address);
+    });
   });
+  return out;
+}
 
-  return { success: true };
-});
+// What we advertise, built from current preferences so name/role changes show up in the next answer
+function getDiscoverySelf(prefs = loadPreferences()) {
+  const hostLabel = getDiscoveryHostLabel();
+  const machineName = String(prefs.machineName || '').trim() || os.hostname();
+  const label = (machineName === os.hostname() ? hostLabel : `${machineName} (${hostLabel})`).replace(/\./g, '-');
+  return {
+    id: DISCOVERY_INSTANCE_ID,
+    instance: `${label}.${DISCOVERY_SERVICE_TYPE}`,
+    host: `${hostLabel}.local`,
+    name: machineName,
+    role: prefs.primaryBackupMode || 'standalone',
+    apiPort: prefs.apiPort || DEFAULT_API_PORT,
+    version: appBuildInfo.version,
+    addresses: getLocalIpv4Addresses()
+  };
+}
 
-// HTTP API for Bitfocus Companion integration
-// Ports are configurable via preferences, defaults below
-const DEFAULT_API_PORT = 9595;
-const DEFAULT_WEB_UI_PORT = 80;
-let httpServer;
-let webUiServer;
+function buildDiscoveryRecords(ttl) {
+  const self = getDiscoverySelf();
+  const txt = [`id=${self.id}`, `name=${self.name}`, `role=${self.role}`, `port=${self.apiPort}`, `version=${self.version}`]
+    .map((entry) => {
+      const bytes = Buffer.from(entry, 'utf8').slice(0, 255);
+      return Buffer.concat([Buffer.from([bytes.length]), bytes]);
+    });
+  const srv = Buffer.alloc(6);
+  srv.writeUInt16BE(0, 0);
+  srv.writeUInt16BE(0, 2);
+  srv.writeUInt16BE(self.apiPort, 4);
+  return {
+    answers: [{ name: DISCOVERY_SERVICE_TYPE, type: DNS_TYPE.PTR, ttl, data: encodeDnsName(self.instance) }],
+    additionals: [
+      { name: self.instance, type: DNS_TYPE.SRV, ttl, flush: true, data: Buffer.concat([srv, encodeDnsName(self.host)]) },
+      { name: self.instance, type: DNS_TYPE.TXT, ttl, flush: true, data: Buffer.concat(txt) },
+      ...self.addresses.map((address) => ({
+        name: self.host, type: DNS_TYPE.A, ttl, flush: true, data: Buffer.from(address.split('.').map(Number))
+      }))
+    ],
+    self
+  };
+}
 
-function startHttpServer() {
-  httpServer = http.createServer(async (req, res) => {
-    // Helpful request logging for diagnosing duplicate/looping calls
+function sendDiscoveryPacket(packet, address = MDNS_ADDRESS, port = MDNS_PORT) {
+  if (!discoverySocket) return;
+  discoverySocket.send(packet, 0, packet.length, port, address, (err) => {
+    if (err) logDebug('[Discovery] Send failed:', err.message);
+  });
+}
+
+function announceDiscovery(ttl = DISCOVERY_TTL_SECONDS) {
+  const { answers, additionals } = buildDiscoveryRecords(ttl);
+  sendDiscoveryPacket(encodeDnsPacket({ response: true, answers, additionals }));
+}
+
+function queryDiscovery() {
+  sendDiscoveryPacket(encodeDnsPacket({ questions: [{ name: DISCOVERY_SERVICE_TYPE, type: DNS_TYPE.PTR }] }));
+}
+
+function answerDiscoveryQuery(packet, rinfo) {
+  const { answers, additionals, self } = buildDiscoveryRecords(DISCOVERY_TTL_SECONDS);
+  const ours = [DISCOVERY_SERVICE_TYPE, self.instance, self.host].map((n) => n.toLowerCase());
+  const asked = packet.questions.some((q) => ours.includes(q.name.toLowerCase()) &&
+    [DNS_TYPE.PTR, DNS_TYPE.SRV, DNS_TYPE.TXT, DNS_TYPE.A, DNS_TYPE.ANY].includes(q.type));
+  if (!asked) return;
+  if (rinfo.port !== MDNS_PORT) {
+    // Legacy unicast query (e.g. dig -p 5353): answer the sender directly, echoing its id and question
+    sendDiscoveryPacket(encodeDnsPacket({ id: packet.id, response: true, questions: packet.questions, answers, additionals }), rinfo.address, rinfo.port);
+    return;
+  }
+  sendDiscoveryPacket(encodeDnsPacket({ response: true, answers, additionals }));
+}
+
+function handleDiscoveryResponse(packet, rinfo) {
+  const now = Date.now();
+  const service = DISCOVERY_SERVICE_TYPE.toLowerCase();
+  const byName = (name, type) => packet.records.filter((r) => r.type === type && r.name.toLowerCase() === name.toLowerCase());
+
+  packet.records
+    .filter((r) => r.type === DNS_TYPE.PTR && r.name.toLowerCase() === service && r.target)
+    .forEach((ptr) => {
+      if (ptr.ttl === 0) {
+        // Goodbye packet
+        discoveredInstances.delete(ptr.target);
+        return;
+      }
+      const srv = byName(ptr.target, DNS_TYPE.SRV)[0];
+      const txt = (byName(ptr.target, DNS_TYPE.TXT)[0] || {}).txt || {};
+      if (txt.id === DISCOVERY_INSTANCE_ID) return;
+      const host = srv ? srv.target : null;
+      const addresses = host ? byName(host, DNS_TYPE.A).map((r) => r.address) : [];
+      const previous = discoveredInstances.get(ptr.target) || {};
+      discoveredInstances.set(ptr.target, {
+        instance: ptr.target,
+        id: txt.id || previous.id || null,
+        name: txt.name || previous.name || ptr.target.split('.')[0],
+        role: txt.role || previous.role || null,
+        version: txt.version || previous.version || null,
+        apiPort: srv ? srv.port : (parseInt(txt.port, 10) || previous.apiPort || DEFAULT_API_PORT),
+        host: host || previous.host || null,
+        // Prefer the address the answer came from; it's the one that routes back to that machine
+        address: addresses.includes(rinfo.address) ? rinfo.address : (addresses[0] || previous.address || rinfo.address),
+        addresses: addresses.length ? addresses : (previous.addresses || [rinfo.address]),
+        lastSeen: now,
+        expiresAt: now + ptr.ttl * 1000
+      });
+    });
+  publishDiscoveryChanges();
+}
+
+function getDiscoveredInstances() {
+  const now = Date.now();
+  for (const [name, entry] of discoveredInstances) {
+    if (entry.expiresAt < now) discoveredInstances.delete(name);
+  }
+  return Array.from(discoveredInstances.values())
+    .map(({ expiresAt, ...entry }) => entry)
+    .sort((a, b) => String(a.name).localeCompare(String(b.name)));
+}
+
+function publishDiscoveryChanges() {
+  const instances = getDiscoveredInstances();
+  const key = JSON.stringify(instances.map(({ lastSeen, ...entry }) => entry));
+  if (key !== lastDiscoveryKey) {
+    lastDiscoveryKey = key;
+    publishEvent('discovery-changed', { instances });
+  }
+}
+
+function getDiscoveryStatus() {
+  const self = getDiscoverySelf();
+  return {
+    enabled: !!discoverySocket,
+    error: discoveryError,
+    self: { id: self.id, name: self.name, role: self.role, apiPort: self.apiPort, version: self.version, addresses: self.addresses },
+    instances: getDiscoveredInstances()
+  };
+}
+
+// Ask the LAN and give answers a moment to arrive
+async function scanDiscovery() {
+  queryDiscovery();
+  await new Promise((resolve) => setTimeout(resolve, DISCOVERY_SCAN_WAIT_MS));
+  return getDiscoveryStatus();
+}
+
+function startDiscovery() {
+  const prefs = loadPreferences();
+  if (prefs.discoveryEnabled === false) {
+    logInfo('[Discovery] Disabled in preferences');
+    return;
+  }
+
+  const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+  socket.on('error', (err) => {
+    discoveryError = err.message;
+    logWarn('[Discovery] mDNS unavailable:', err.message);
+    stopDiscovery();
     try {
-      const ua = (req.headers && req.headers['user-agent']) ? String(req.headers['user-agent']) : '';
-      const from = (req.socket && req.socket.remoteAddress) ? String(req.socket.remoteAddress) : '';
-      if (req.method !== 'OPTIONS') {
-        // Very chatty: only emit in verbose mode
-        logDebug(`[API] ${req.method} ${req.url} from ${from}${ua ? ` ua="${ua}"` : ''}`);
+      socket.close();
+    } catch (e) {
+      // already closed
+    }
+  });
+  socket.on('message', (msg, rinfo) => {
+    let packet;
+    try {
+      packet = decodeDnsPacket(msg);
+    } catch (e) {
+      return; // not ours to worry about
+    }
+    if (packet.response) {
+      handleDiscoveryResponse(packet, rinfo);
+    } else {
+      answerDiscoveryQuery(packet, rinfo);
+    }
+  });
+  socket.bind(MDNS_PORT, () => {
+    // Join on every interface so multi-NIC machines see the show network
+    const joined = getLocalIpv4Addresses().filter((address) => {
+      try {
+        socket.addMembership(MDNS_ADDRESS, address);
+        return true;
+      } catch (e) {
+        return false;
+      }
+    });
+    if (joined.length === 0) {
+      try {
+        socket.addMembership(MDNS_ADDRESS);
+      } catch (e) {
+        logWarn('[Discovery] Could not join the mDNS group:', e.message);
       }
+    }
+    socket.setMulticastTTL(255);
+    socket.setMulticastLoopback(true);
+    discoverySocket = socket;
+    discoveryError = null;
+
+    // Announce twice (RFC 6762 8.3), then keep our records fresh in others' caches
+    announceDiscovery();
+    setTimeout(announceDiscovery, 1000);
+    queryDiscovery();
+    discoveryAnnounceInterval = setInterval(() => {
+      announceDiscovery();
+      publishDiscoveryChanges(); // drops expired entries
+    }, DISCOVERY_ANNOUNCE_MS);
+    console.log(`[Discovery] Advertising ${DISCOVERY_SERVICE_TYPE} on ${joined.join(', ') || 'default interface'}`);
+  });
+}
+
+function stopDiscovery() {
+  if (discoveryAnnounceInterval) {
+    clearInterval(discoveryAnnounceInterval);
+    discoveryAnnounceInterval = null;
+  }
+  if (discoverySocket) {
+    try {
+      announceDiscovery(0); // goodbye
+      discoverySocket.close();
     } catch (e) {
-      // ignore logging failures
+      // already closed
     }
+    discoverySocket = null;
+  }
+}
 
-    // Enable CORS
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-    
-    if (req.method === 'OPTIONS') {
-      res.writeHead(200);
-      res.end();
-      return;
+// ----------------------------
+// Event stream (Server-Sent Events on GET /api/events)
+// ----------------------------
+// Pushes typed state changes to Companion, the Web UI and dashboards so they
+// don't have to poll /api/status (which re-runs executeJavaScript every call).
+const EVENT_TYPES = [
+  'slide-changed',
+  'presentation-opened',
+  'presentation-closed',
+  'notes-opened',
+  'notes-closed',
+  'login-changed',
+  'backup-status-changed',
+  'presets-changed',
+  'rundown-changed',
+  'cue-changed',
+  'failover-changed',
+  'discovery-changed',
+  'output-changed',
+  'message-changed'
+];
+const EVENT_STREAM_HEARTBEAT_MS = 15000;
+const STATE_WATCH_INTERVAL_MS = 500;
+
+const eventStreamClients = new Set();
+// In-process subscribers (e.g. OSC feedback), called with each event after the stream clients
+const eventListeners = new Set();
+let eventSeq = 0;
+let lastBackupStatusKey = null;
+let stateWatchInterval = null;
+let watchedState = null;
+let watchedLogin = null;
+let loginCheckTimer = null;
+
+function formatSseMessage(evt) {
+  return `id: ${evt.id}\nevent: ${evt.type}\ndata: ${JSON.stringify(evt)}\n\n`;
+}
+
+function publishEvent(type, data = {}) {
+  eventSeq += 1;
+  const evt = { id: eventSeq, type, ts: Date.now(), data };
+  logDebug(`[Events] ${type} -> ${eventStreamClients.size} client(s):`, safeStringify(data));
+
+  const message = formatSseMessage(evt);
+  for (const client of eventStreamClients) {
+    if (client.types && !client.types.has(type)) continue;
+    try {
+      client.res.write(message);
+    } catch (e) {
+      // Client went away mid-write; the 'close' handler cleans up
     }
+  }
 
-    // Controller allowlist: restrict who can call the API
-    // If no controllerIps are configured, allow any client.
+  for (const listener of eventListeners) {
     try {
-      const prefs = loadPreferences();
-      if (!isControllerAllowedRequest(req, prefs)) {
-        res.writeHead(403, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Forbidden' }));
-        return;
-      }
+      listener(evt);
     } catch (e) {
-      // If allowlist check fails unexpectedly, default to allowing (avoid breaking during startup)
+      logWarn(`[Events] ${type} listener failed:`, e.message);
     }
-    
-    // GET /api/status - Check if app is running and expose state for Companion variables/feedbacks
-    if (req.method === 'GET' && req.url === '/api/status') {
-      (async () => {
-        // Get login state and user info
-        let loginState = false;
-        let loggedInUser = null;
-        try {
-          const googleSession = getGoogleSession();
-          const cookies = await googleSession.cookies.get({ domain: '.google.com' });
-          const hasAuthCookies = cookies.some(cookie => 
-            cookie.name === 'SID' || cookie.name === 'HSID' || cookie.name === 'SSID'
-          );
-          loginState = hasAuthCookies;
-          
-          if (hasAuthCookies) {
-            // Try to get user email from cookies
-            const emailCookie = cookies.find(cookie => 
-              cookie.name === 'Email' || cookie.name === 'email' || 
-              (cookie.value && cookie.value.includes('@'))
-            );
-            if (emailCookie && emailCookie.value && emailCookie.value.includes('@')) {
-              loggedInUser = emailCookie.value;
-            } else {
-              // Try to get from any cookie value that looks like an email
-              const emailLikeCookie = cookies.find(cookie => 
-                cookie.value && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(cookie.value)
-              );
-              if (emailLikeCookie) {
-                loggedInUser = emailLikeCookie.value;
-              }
-            }
-          }
-        } catch (error) {
-          console.error('[API] Error checking login state:', error);
-        }
-        
-        const state = {
-          status: 'ok',
-          version: appBuildInfo.version,
-          buildNumber: appBuildInfo.buildNumber,
-          presentationOpen: !!(presentationWindow && !presentationWindow.isDestroyed()),
-          notesOpen: !!(notesWindow && !notesWindow.isDestroyed()),
-          currentSlide: currentSlide,
-          totalSlides: null,
-          presentationUrl: lastPresentationUrl || null,
-          slideInfo: null,
-          isFirstSlide: null,
-          isLastSlide: null,
-          nextSlide: null,
-          previousSlide: null,
-          presentationTitle: null,
-          timerElapsed: null,
-          loginState: loginState,
-          loggedInUser: loggedInUser || null
-        };
-        
-        // Get slide info and other data from notes window DOM
-        if (notesWindow && !notesWindow.isDestroyed()) {
-          try {
-            const info = await notesWindow.webContents.executeJavaScript(`
-              (function(){
-                var result = {};
-                
-                // Get slide numbers from aria attributes
-                var el = document.querySelector('[aria-posinset]');
-                if (el) {
-                  var cur = parseInt(el.getAttribute('aria-posinset'), 10);
-                  var tot = parseInt(el.getAttribute('aria-setsize'), 10);
-                  if (!isNaN(cur)) result.current = cur;
-                  if (!isNaN(tot)) result.total = tot;
-                }
-                
-                // Get presentation title from page title or DOM
-                var titleEl = document.querySelector('title');
-                if (titleEl) {
-                  var titleText = titleEl.textContent;
-                  // Extract title from "Presenter view - TITLE - Google Slides"
-                  var match = titleText.match(/Presenter view - (.+?) - Google Slides/);
-                  if (match) {
-                    result.title = match[1];
-                  } else {
-                    result.title = titleText;
-                  }
-                }
-                
-                // Get timer value (look for timer display - usually shows "00:00:06" format)
-                // Try to find elements containing time format
-                var allText = document.body.innerText || document.body.textContent || '';
-                var timeMatch = allText.match(/(\\d{1,2}:\\d{2}(?::\\d{2})?)/);
-                if (timeMatch) {
-                  result.timer = timeMatch[1];
-                } else {
-                  // Try specific timer elements
-                  var timerEls = document.querySelectorAll('div, span');
-                  for (var i = 0; i < timerEls.length; i++) {
-                    var text = timerEls[i].textContent || timerEls[i].innerText || '';
-                    var match = text.match(/^(\\d{1,2}:\\d{2}(?::\\d{2})?)$/);
-                    if (match) {
-                      result.timer = match[1];
-                      break;
-                    }
-                  }
-                }
-                
-                return result;
-              })()
-            `);
-            
-            if (info) {
-              if (info.current != null) {
-                state.currentSlide = info.current;
-                // Calculate derived values
-                if (info.total != null) {
-                  state.totalSlides = info.total;
-                  state.isFirstSlide = info.current === 1;
-                  state.isLastSlide = info.current === info.total;
-                  state.nextSlide = info.current < info.total ? info.current + 1 : null;
-                  state.previousSlide = info.current > 1 ? info.current - 1 : null;
-                  state.slideInfo = info.current + ' / ' + info.total;
-                } else if (state.currentSlide !== null) {
-                  // Use tracked currentSlide if DOM didn't provide total
-                  state.isFirstSlide = state.currentSlide === 1;
-                  state.nextSlide = state.currentSlide + 1;
-                  state.previousSlide = state.currentSlide > 1 ? state.currentSlide - 1 : null;
-                  if (state.totalSlides) {
-                    state.isLastSlide = state.currentSlide === state.totalSlides;
-                    state.slideInfo = state.currentSlide + ' / ' + state.totalSlides;
-                  } else {
-                    state.slideInfo = String(state.currentSlide);
-                  }
-                }
-              }
-              
-              if (info.title) state.presentationTitle = info.title;
-              if (info.timer) state.timerElapsed = info.timer;
-            }
-          } catch (e) { /* DOM not available or changed */ }
-        }
-        
-        // Calculate derived values even if DOM didn't provide them
-        if (state.currentSlide !== null && state.currentSlide !== undefined) {
-          if (state.isFirstSlide === null) state.isFirstSlide = state.currentSlide === 1;
-          if (state.nextSlide === null) state.nextSlide = state.currentSlide + 1;
-          if (state.previousSlide === null) state.previousSlide = state.currentSlide > 1 ? state.currentSlide - 1 : null;
-          if (state.slideInfo === null) {
-            if (state.totalSlides) {
-              state.slideInfo = state.currentSlide + ' / ' + state.totalSlides;
-            } else {
-              state.slideInfo = String(state.currentSlide);
-            }
-          }
-          if (state.totalSlides && state.isLastSlide === null) {
-            state.isLastSlide = state.currentSlide === state.totalSlides;
-          }
-        }
-        
-        // Get preferences for display IDs
-        const prefs = loadPreferences();
-        state.presentationDisplayId = prefs.presentationDisplayId || null;
-        state.notesDisplayId = prefs.notesDisplayId || null;
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify(state));
-      })().catch(err => {
-        if (!res.headersSent) {
-          res.writeHead(500, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: err.message }));
-        }
-      });
-      return;
-    }
-    
-    // GET /api/backup-status - Get connection status of backup machines (primary mode only)
-    if (req.method === 'GET' && req.url === '/api/backup-status') {
-      (async () => {
-        try {
-          const status = await checkBackupStatus();
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify(status));
-        } catch (error) {
-          res.writeHead(500, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: error.message }));
-        }
-      })();
-      return;
-    }
-    
-    // GET /api/preferences - Get all preferences
-    if (req.method === 'GET' && req.url === '/api/preferences') {
-      try {
-        const prefs = loadPreferences();
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify(prefs));
-      } catch (error) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: error.message }));
-      }
-      return;
-    }
-    
-    // POST /api/preferences - Save preferences
-    if (req.method === 'POST' && req.url === '/api/preferences') {
-      let body = '';
-      req.on('data', chunk => {
-        body += chunk.toString();
-      });
-      
-      req.on('end', () => {
-        try {
-          const data = JSON.parse(body);
-          const prefs = loadPreferences();
-          
-          // Security: prevent changing controller allowlist via HTTP.
-          // This setting is only editable from the desktop app UI (IPC).
-          if (data && typeof data === 'object') {
-            delete data.controllerIps;
-            // Also desktop-only: web UI debug console gating
-            delete data.webUiDebugConsoleEnabled;
-          }
-          
-          // Merge new preferences with existing ones
-          Object.assign(prefs, data);
-          savePreferences(prefs);
-          
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ success: true, message: 'Preferences saved' }));
-        } catch (error) {
-          res.writeHead(500, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: error.message }));
-        }
-      });
-      return;
-    }
-    
-    // GET /api/displays - Get available displays
-    if (req.method === 'GET' && req.url === '/api/displays') {
-      try {
-        const displays = screen.getAllDisplays();
-        const displayList = displays.map(display => ({
-          id: display.id,
-          bounds: display.bounds,
-          label: `${display.bounds.width}x${display.bounds.height} @ (${display.bounds.x}, ${display.bounds.y})`,
-          primary: display.id === screen.getPrimaryDisplay().id
-        }));
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify(displayList));
-      } catch (error) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: error.message }));
-      }
-      return;
+  }
+}
+
+// Cheap snapshot of window state (no DOM access)
+function getWindowStateSnapshot() {
+  return {
+    presentationOpen: !!(presentationWindow && !presentationWindow.isDestroyed()),
+    notesOpen: !!(notesWindow && !notesWindow.isDestroyed()),
+    presentationUrl: lastPresentationUrl || null,
+    currentSlide: typeof currentSlide === 'number' ? currentSlide : null,
+    totalSlides: slideTracking.totalSlides,
+    slideTracking: { ...slideTracking }
+  };
+}
+
+// slide-changed is published by the slide tracker itself; this only covers window open/close
+function checkStateForEvents() {
+  try {
+    const next = getWindowStateSnapshot();
+    const prev = watchedState || {
+      presentationOpen: false,
+      notesOpen: false,
+      presentationUrl: null
+    };
+
+    watchedState = next;
+
+    if (next.presentationOpen && (!prev.presentationOpen || next.presentationUrl !== prev.presentationUrl)) {
+      publishEvent('presentation-opened', { presentationUrl: next.presentationUrl });
+    } else if (!next.presentationOpen && prev.presentationOpen) {
+      publishEvent('presentation-closed', { presentationUrl: prev.presentationUrl });
     }
-    
-    // POST /api/open-presentation - Open a presentation with URL
-    if (req.method === 'POST' && req.url === '/api/open-presentation') {
-      let body = '';
-      req.on('data', chunk => {
-        body += chunk.toString();
-      });
-      
-      req.on('end', async () => {
-        try {
-          const data = JSON.parse(body);
-          const url = (data.url || '').trim();
-          
-          if (!url) {
-            res.writeHead(400, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'URL is required' }));
-            return;
-          }
-          
-          console.log('[API] Opening presentation:', url);
-          
-          // Close any existing presentation windows
-          try {
-            if (notesWindow && !notesWindow.isDestroyed()) {
-              console.log('[API] Closing existing notes window');
-              notesWindow.removeAllListeners('closed');
-              notesWindow.close();
-              notesWindow = null;
-            }
-            if (presentationWindow && !presentationWindow.isDestroyed()) {
-              console.log('[API] Closing existing presentation window');
-              presentationWindow.removeAllListeners('closed');
-              presentationWindow.close();
-              presentationWindow = null;
-            }
-            currentSlide = null;
-          } catch (error) {
-            console.error('[API] Error closing existing windows:', error.message);
-          }
-          
-          // Load preferences for monitor selection
-          const prefs = loadPreferences();
-          const displays = screen.getAllDisplays();
-          
-          const presentationDisplayId = Number(prefs.presentationDisplayId);
-          const notesDisplayId = Number(prefs.notesDisplayId);
-          
-          const presentationDisplay = displays.find(d => d.id === presentationDisplayId) || displays[0];
-          const notesDisplay = displays.find(d => d.id === notesDisplayId) || displays[0];
-          
-          console.log('[API] Using presentation display:', presentationDisplay.id);
-          console.log('[API] Using notes display:', notesDisplay.id);
-          
-          // Open the presentation using the same logic as the IPC handler
-          // Create the presentation window
-          // Note: Don't use fullscreen: true in constructor as it creates a new Space on macOS
-          // We'll use setSimpleFullScreen() after creation to avoid Spaces conflicts
-          presentationWindow = new BrowserWindow({
-            x: presentationDisplay.bounds.x,
-            y: presentationDisplay.bounds.y,
-            width: presentationDisplay.bounds.width,
-            height: presentationDisplay.bounds.height,
-            frame: false,
-            webPreferences: {
-              nodeIntegration: false,
-              contextIsolation: true,
-              partition: GOOGLE_SESSION_PARTITION
-            }
-          });
-          
-          // Set simple fullscreen on macOS to avoid Spaces conflicts
-          if (process.platform === 'darwin') {
-            presentationWindow.setSimpleFullScreen(true);
-          }
-          
-          // Set up window open handler for speaker notes popup
-          presentationWindow.webContents.setWindowOpenHandler(({ url, frameName, features }) => {
-            console.log('[API] Window open intercepted:', url);
-            console.log('[API] Frame name:', frameName);
-            console.log('[API] Features:', features);
-            
-            // Use default size from Google Slides (no size/position override)
-            const windowOptions = {
-              frame: false,
-              webPreferences: {
-                nodeIntegration: false,
-                contextIsolation: true,
-                partition: GOOGLE_SESSION_PARTITION
-              }
-            };
-            
-            return {
-              action: 'allow',
-              overrideBrowserWindowOptions: windowOptions
-            };
-          });
-          
-          // Listen for notes window creation
-          const windowCreatedListener = (event, window) => {
-            if (window !== presentationWindow && window !== mainWindow) {
-              console.log('[API] Notes window created');
-              notesWindow = window;
-              
-              // Add Escape key handler to notes window
-              window.webContents.on('before-input-event', (event, input) => {
-                if (input.key === 'Escape' && input.type === 'keyDown') {
-                  console.log('[API] Escape pressed in notes window, closing all windows');
-                  event.preventDefault();
-                  if (notesWindow && !notesWindow.isDestroyed()) notesWindow.close();
-                  if (presentationWindow && !presentationWindow.isDestroyed()) presentationWindow.close();
-                }
-              });
-              
-              // Set speaker notes window to fullscreen when it loads
-              window.webContents.once('did-finish-load', () => {
-                setSpeakerNotesFullscreen(window);
-              });
-              
-              // Also try when DOM is ready (in case did-finish-load fires too early)
-              window.webContents.once('dom-ready', () => {
-                setTimeout(() => {
-                  setSpeakerNotesFullscreen(window);
-                }, 500);
-              });
-              
-              app.removeListener('browser-window-created', windowCreatedListener);
-            }
-          };
-          app.on('browser-window-created', windowCreatedListener);
-          
-          // Navigation listener (no auto-launch of notes - user must manually start notes)
-          const navigationListener = async (event, navUrl) => {
-            console.log('[API] Navigated to:', navUrl);
-            // Just log navigation, don't auto-launch notes
-          };
-          
-          presentationWindow.webContents.on('did-navigate', navigationListener);
-          
-          // Listen for page load
-          presentationWindow.webContents.once('did-finish-load', async () => {
-            console.log('[API] Page finished loading');
-            if (!presentationWindow || presentationWindow.isDestroyed()) {
-              console.log('[API] Window destroyed before processing');
-              return;
-            }
 
-            // We now load /present directly (via toPresentUrl), so we should NOT press Ctrl+Shift+F5 here.
-            // Pressing it can cause flaky behavior (extra reloads / exits) depending on Slides state.
-          });
-          
-          presentationWindow.on('closed', () => {
-            presentationWindow = null;
-            currentSlide = null;
-          });
-          
-          // Escape key handler for presentation window
-          presentationWindow.webContents.on('before-input-event', (event, input) => {
-          if (input.key === 'Escape' && input.type === 'keyDown') {
-            event.preventDefault();
-            if (notesWindow && !notesWindow.isDestroyed()) notesWindow.close();
-            if (presentationWindow && !presentationWindow.isDestroyed()) presentationWindow.close();
-          }
-          });
-          
-          const presentUrl = toPresentUrl(url);
-          console.log('[API] Loading PRESENT URL:', presentUrl);
-          lastPresentationUrl = url; // Store original URL (not /present URL) for reload
-          currentSlide = 1;
-          presentationWindow.loadURL(presentUrl);
-          presentationWindow.show();
-          
-          // Broadcast to backups (async, don't wait)
-          sendToBackups('/api/open-presentation', { url: url }).catch(err => {
-            console.error('[Backup] Error broadcasting open-presentation:', err);
-          });
-          
-          // Send response immediately
-          if (!res.headersSent) {
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ success: true, message: 'Presentation opened (notes not auto-started)' }));
-          }
-        } catch (error) {
-          console.error('[API] Error:', error);
-          if (!res.headersSent) {
-            res.writeHead(500, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: error.message }));
-          }
-        }
-      });
-      return;
+    if (next.notesOpen && !prev.notesOpen) {
+      publishEvent('notes-opened', {});
+    } else if (!next.notesOpen && prev.notesOpen) {
+      publishEvent('notes-closed', {});
     }
+  } catch (error) {
+    logDebug('[Events] State check failed:', error.message);
+  }
+}
 
-    // POST /api/open-presentation-with-notes - Open a presentation and automatically launch speaker notes
-    if (req.method === 'POST' && req.url === '/api/open-presentation-with-notes') {
-      let body = '';
-      req.on('data', chunk => {
-        body += chunk.toString();
-      });
-      
-      req.on('end', async () => {
-        try {
-          const data = JSON.parse(body);
-          const { url } = data;
-          
-          if (!url) {
-            res.writeHead(400, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'URL is required' }));
-            return;
-          }
-          
-          console.log('[API] Opening presentation with notes:', url);
-          
-          // Close any existing presentation windows
-          try {
-            if (notesWindow && !notesWindow.isDestroyed()) {
-              console.log('[API] Closing existing notes window');
-              notesWindow.removeAllListeners('closed');
-              notesWindow.close();
-              notesWindow = null;
-            }
-            if (presentationWindow && !presentationWindow.isDestroyed()) {
-              console.log('[API] Closing existing presentation window');
-              presentationWindow.removeAllListeners('closed');
-              presentationWindow.close();
-              presentationWindow = null;
-            }
-            currentSlide = null;
-          } catch (error) {
-            console.error('[API] Error closing existing windows:', error.message);
-          }
-          
-          // Load preferences for monitor selection
-          const prefs = loadPreferences();
-          const displays = screen.getAllDisplays();
-          
-          const presentationDisplayId = Number(prefs.presentationDisplayId);
-          const notesDisplayId = Number(prefs.notesDisplayId);
-          
-          const presentationDisplay = displays.find(d => d.id === presentationDisplayId) || displays[0];
-          const notesDisplay = displays.find(d => d.id === notesDisplayId) || displays[0];
-          
-          console.log('[API] Using presentation display:', presentationDisplay.id);
-          console.log('[API] Using notes display:', notesDisplay.id);
-          
-          // Create the presentation window
-          // Note: Don't use fullscreen: true in constructor as it creates a new Space on macOS
-          // We'll use setSimpleFullScreen() after creation to avoid Spaces conflicts
-          presentationWindow = new BrowserWindow({
-            x: presentationDisplay.bounds.x,
-            y: presentationDisplay.bounds.y,
-            width: presentationDisplay.bounds.width,
-            height: presentationDisplay.bounds.height,
-            frame: false,
-            webPreferences: {
-              nodeIntegration: false,
-              contextIsolation: true,
-              partition: GOOGLE_SESSION_PARTITION
-            }
-          });
-          
-          // Set simple fullscreen on macOS to avoid Spaces conflicts
-          if (process.platform === 'darwin') {
-            presentationWindow.setSimpleFullScreen(true);
-          }
-          
-          // Set up window open handler for speaker notes popup
-          presentationWindow.webContents.setWindowOpenHandler(({ url, frameName, features }) => {
-            // Use default size from Google Slides (no size/position override)
-            const windowOptions = {
-              frame: false,
-              webPreferences: {
-                nodeIntegration: false,
-                contextIsolation: true,
-                partition: GOOGLE_SESSION_PARTITION
-              }
-            };
-            
-            return {
-              action: 'allow',
-              overrideBrowserWindowOptions: windowOptions
-            };
-          });
-          
-          // Listen for notes window creation
-          const windowCreatedListener = (event, window) => {
-            if (window !== presentationWindow && window !== mainWindow) {
-              console.log('[API] Notes window created');
-              notesWindow = window;
-              
-              // Add Escape key handler to notes window
-              window.webContents.on('before-input-event', (event, input) => {
-                if (input.key === 'Escape' && input.type === 'keyDown') {
-                  console.log('[API] Escape pressed in notes window, closing all windows');
-                  event.preventDefault();
-                  if (notesWindow && !notesWindow.isDestroyed()) notesWindow.close();
-                  if (presentationWindow && !presentationWindow.isDestroyed()) presentationWindow.close();
-                }
-              });
-              
-              // Set speaker notes window to fullscreen when it loads
-              window.webContents.once('did-finish-load', () => {
-                setSpeakerNotesFullscreen(window);
-              });
-              
-              // Also try when DOM is ready (in case did-finish-load fires too early)
-              window.webContents.once('dom-ready', () => {
-                setTimeout(() => {
-                  setSpeakerNotesFullscreen(window);
-                }, 500);
-              });
-              
-              app.removeListener('browser-window-created', windowCreatedListener);
-            }
-          };
-          app.on('browser-window-created', windowCreatedListener);
-          
-          // Auto-launch speaker notes reliably (some decks load fast and can miss a single 's' press).
-          // We'll retry a few times until the notes window is created.
-          let notesAttempts = 0;
-          const maxNotesAttempts = 8;
-          let notesRetryTimer = null;
-
-          const sendSpeakerNotesKey = async (reason) => {
-            if (!presentationWindow || presentationWindow.isDestroyed()) return false;
-            if (notesWindow && !notesWindow.isDestroyed()) return true;
-            if (notesAttempts >= maxNotesAttempts) return false;
-
-            notesAttempts += 1;
-            try {
-              presentationWindow.focus();
-              await new Promise(resolve => setTimeout(resolve, 80));
-              presentationWindow.webContents.sendInputEvent({ type: 'keyDown', keyCode: 'S' });
-              presentationWindow.webContents.sendInputEvent({ type: 'char', keyCode: 's' });
-              presentationWindow.webContents.sendInputEvent({ type: 'keyUp', keyCode: 'S' });
-              console.log(`[API] Speaker notes attempt ${notesAttempts}/${maxNotesAttempts} (${reason}) - sent "s" key`);
-            } catch (error) {
-              console.error('[API] Error sending "s" key for speaker notes:', error);
-            }
+async function checkLoginForEvents() {
+  const login = await getGoogleLoginState();
+  if (watchedLogin &&
+      watchedLogin.loginState === login.loginState &&
+      watchedLogin.loggedInUser === login.loggedInUser) {
+    return;
+  }
+  const isFirstCheck = watchedLogin === null;
+  watchedLogin = login;
+  if (!isFirstCheck) {
+    publishEvent('login-changed', login);
+  }
+}
 
-            // Schedule another attempt if notes window hasn't appeared yet
-            if (!notesWindow || notesWindow.isDestroyed()) {
-              if (notesRetryTimer) clearTimeout(notesRetryTimer);
-              notesRetryTimer = setTimeout(() => {
-                sendSpeakerNotesKey('retry');
-              }, 700);
-            }
+function startStateWatcher() {
+  stopStateWatcher();
+  watchedState = getWindowStateSnapshot();
+  stateWatchInterval = setInterval(checkStateForEvents, STATE_WATCH_INTERVAL_MS);
 
-            return true;
-          };
+  // Google sign-in/out shows up as cookie changes; debounce since a login sets dozens of cookies
+  checkLoginForEvents().catch(() => {});
+  try {
+    getGoogleSession().cookies.on('changed', (event, cookie) => {
+      if (!cookie || !String(cookie.domain || '').includes('google.com')) return;
+      if (loginCheckTimer) clearTimeout(loginCheckTimer);
+      loginCheckTimer = setTimeout(() => {
+        loginCheckTimer = null;
+        checkLoginForEvents().catch(() => {});
+      }, 1000);
+    });
+  } catch (e) {
+    logWarn('[Events] Could not watch Google cookies:', e.message);
+  }
+}
 
-          const navigationListener = async (event, navUrl) => {
-            // Check if we're in presentation mode (URL contains /present/ or /localpresent but not /presentation/)
-            const isPresentMode = (navUrl.includes('/present/') || navUrl.includes('/localpresent')) && !navUrl.includes('/presentation/');
-            if (isPresentMode) {
-              // Slight delay to allow the presentation UI to become interactive
-              await new Promise(resolve => setTimeout(resolve, 250));
-              await sendSpeakerNotesKey('did-navigate');
-            }
-          };
+function stopStateWatcher() {
+  if (stateWatchInterval) {
+    clearInterval(stateWatchInterval);
+    stateWatchInterval = null;
+  }
+}
 
-          presentationWindow.webContents.on('did-navigate', navigationListener);
-          
-          // Listen for page load
-          presentationWindow.webContents.once('did-finish-load', async () => {
-            console.log('[API] Page finished loading');
-            if (!presentationWindow || presentationWindow.isDestroyed()) {
-              console.log('[API] Window destroyed before processing');
-              return;
-            }
+// GET /api/events - long-lived SSE response. Optional ?types=slide-changed,notes-opened filter.
+function handleEventStreamRequest(req, res) {
+  let types = null;
+  try {
+    const u = new URL(req.url, 'http://localhost');
+    const raw = u.searchParams.get('types');
+    if (raw) {
+      types = new Set(raw.split(',').map(t => t.trim()).filter(t => EVENT_TYPES.includes(t)));
+    }
+  } catch (e) {
+    // ignore malformed query; subscribe to everything
+  }
 
-            // If we're NOT already in /present or /localpresent, attempt to trigger present mode.
-            // (Most of the time we load /present directly, so this will be skipped.)
-            try {
-              const loadedUrl = presentationWindow.webContents.getURL() || '';
-              const isPresentAlready = loadedUrl.includes('/present/') || loadedUrl.includes('/localpresent');
-              if (!isPresentAlready) {
-                await new Promise(resolve => setTimeout(resolve, 200));
-                if (presentationWindow && !presentationWindow.isDestroyed()) {
-                  console.log('[API] Not in present mode yet, triggering Ctrl+Shift+F5...');
-                  presentationWindow.focus();
-                  await new Promise(resolve => setTimeout(resolve, 80));
-                  presentationWindow.webContents.sendInputEvent({ type: 'keyDown', keyCode: 'F5', modifiers: ['control', 'shift'] });
-                  presentationWindow.webContents.sendInputEvent({ type: 'keyUp', keyCode: 'F5', modifiers: ['control', 'shift'] });
-                }
-              }
-            } catch (e) {
-              // ignore
-            }
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  // Reconnect hint for EventSource clients
+  res.write('retry: 3000\n\n');
+
+  const client = { res, types };
+  eventStreamClients.add(client);
+  logDebug(`[Events] Client connected (${eventStreamClients.size} total)`);
+
+  // Initial snapshot so clients can render without a separate /api/status call
+  const snapshot = getWindowStateSnapshot();
+  if (watchedLogin) {
+    snapshot.loginState = watchedLogin.loginState;
+    snapshot.loggedInUser = watchedLogin.loggedInUser;
+  }
+  res.write(formatSseMessage({ id: eventSeq, type: 'hello', ts: Date.now(), data: { types: EVENT_TYPES, state: snapshot } }));
 
-            // Always attempt notes after load (covers cases where did-navigate isn't fired as expected).
-            setTimeout(() => {
-              sendSpeakerNotesKey('did-finish-load');
-            }, 650);
-          });
-          
-          presentationWindow.on('closed', () => {
-            presentationWindow = null;
-            currentSlide = null;
-          });
-          
-          // Escape key handler for presentation window
-          presentationWindow.webContents.on('before-input-event', (event, input) => {
-          if (input.key === 'Escape' && input.type === 'keyDown') {
-            event.preventDefault();
-            if (notesWindow && !notesWindow.isDestroyed()) notesWindow.close();
-            if (presentationWindow && !presentationWindow.isDestroyed()) presentationWindow.close();
-          }
-          });
-          
-          const presentUrl = toPresentUrl(url);
-          console.log('[API] Loading PRESENT URL:', presentUrl);
-          lastPresentationUrl = url; // Store original URL (not /present URL) for reload
-          currentSlide = 1;
-          presentationWindow.loadURL(presentUrl);
-          presentationWindow.show();
-          
-          // Broadcast to backups (async, don't wait)
-          sendToBackups('/api/open-presentation-with-notes', { url: url }).catch(err => {
-            console.error('[Backup] Error broadcasting open-presentation-with-notes:', err);
-          });
-          
-          // Send response immediately
-          if (!res.headersSent) {
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ success: true, message: 'Presentation opened with notes' }));
-          }
-        } catch (error) {
-          console.error('[API] Error opening presentation with notes:', error);
-          if (!res.headersSent) {
-            res.writeHead(500, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: error.message }));
-          }
-        }
-      });
-      return;
-    }
-    
-    // POST /api/close-presentation - Close current presentation
-    if (req.method === 'POST' && req.url === '/api/close-presentation') {
-      console.log('[API] Closing presentation');
-      
-      // Broadcast to backups (async, don't wait)
-      sendToBackups('/api/close-presentation', {}).catch(err => {
-        console.error('[Backup] Error broadcasting close-presentation:', err);
-      });
-      
-      // Send response first before closing windows
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: true, message: 'Presentation closed' }));
-      
-      // Close windows after sending response to avoid errors
-      setImmediate(() => {
-        try {
-          if (notesWindow && !notesWindow.isDestroyed()) {
-            notesWindow.removeAllListeners('closed');
-            notesWindow.close();
-            notesWindow = null;
-          }
-          if (presentationWindow && !presentationWindow.isDestroyed()) {
-            presentationWindow.removeAllListeners('closed');
-            presentationWindow.close();
-            presentationWindow = null;
-          }
-          currentSlide = null;
-        } catch (error) {
-          console.error('[API] Error closing windows:', error.message);
-        }
-      });
-      
-      return;
-    }
-    
-    // POST /api/next-slide - Go to next slide
-    if (req.method === 'POST' && req.url === '/api/next-slide') {
-      if (!presentationWindow || presentationWindow.isDestroyed()) {
-        res.writeHead(404, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'No presentation is open' }));
-        return;
-      }
-      
-      try {
-        presentationWindow.focus();
-        presentationWindow.webContents.sendInputEvent({ type: 'keyDown', keyCode: 'Right' });
-        presentationWindow.webContents.sendInputEvent({ type: 'keyUp', keyCode: 'Right' });
-        currentSlide = (typeof currentSlide === 'number' ? currentSlide + 1 : 1);
-        
-        // Broadcast to backups (async, don't wait)
-        sendToBackups('/api/next-slide', {}).catch(err => {
-          console.error('[Backup] Error broadcasting next-slide:', err);
-        });
-        
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true, message: 'Next slide' }));
-      } catch (error) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: error.message }));
-      }
-      return;
-    }
-    
-    // POST /api/previous-slide - Go to previous slide
-    if (req.method === 'POST' && req.url === '/api/previous-slide') {
-      if (!presentationWindow || presentationWindow.isDestroyed()) {
-        res.writeHead(404, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'No presentation is open' }));
-        return;
-      }
-      
-      try {
-        presentationWindow.focus();
-        presentationWindow.webContents.sendInputEvent({ type: 'keyDown', keyCode: 'Left' });
-        presentationWindow.webContents.sendInputEvent({ type: 'keyUp', keyCode: 'Left' });
-        currentSlide = (typeof currentSlide === 'number' && currentSlide > 1 ? currentSlide - 1 : 1);
-        
-        // Broadcast to backups (async, don't wait)
-        sendToBackups('/api/previous-slide', {}).catch(err => {
-          console.error('[Backup] Error broadcasting previous-slide:', err);
-        });
-        
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true, message: 'Previous slide' }));
-      } catch (error) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: error.message }));
-      }
-      return;
+  const heartbeat = setInterval(() => {
+    try {
+      res.write(': keep-alive\n\n');
+    } catch (e) {
+      // ignore
     }
+  }, EVENT_STREAM_HEARTBEAT_MS);
 
-    // POST /api/go-to-slide - Navigate to a specific slide number
-    if (req.method === 'POST' && req.url === '/api/go-to-slide') {
-      if (!presentationWindow || presentationWindow.isDestroyed()) {
-        res.writeHead(404, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'No presentation is open' }));
-        return;
-      }
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    eventStreamClients.delete(client);
+    logDebug(`[Events] Client disconnected (${eventStreamClients.size} remaining)`);
+  });
+}
 
-      let body = '';
-      req.on('data', chunk => {
-        body += chunk.toString();
-      });
+function closeEventStreamClients() {
+  for (const client of eventStreamClients) {
+    try {
+      client.res.end();
+    } catch (e) {
+      // ignore
+    }
+  }
+  eventStreamClients.clear();
+}
 
-      req.on('end', async () => {
-        try {
-          const data = JSON.parse(body);
-          const targetSlide = parseInt(data.slide, 10);
+function createWindow() {
+  mainWindow = new BrowserWindow({
+    width: 800,
+    height: 900,
+    minWidth: 600,
+    minHeight: 600,
+    webPreferences: {
+      preload: path.join(__dirname, 'preload.js'),
+      contextIsolation: true,
+      nodeIntegration: false
+    },
+    autoHideMenuBar: true,
+    resizable: true,
+    center: true
+  });
 
-          if (isNaN(targetSlide) || targetSlide < 1) {
-            res.writeHead(400, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Valid slide number (>= 1) is required' }));
-            return;
-          }
+  mainWindow.loadFile('index.html');
+  
+  // Open DevTools for main window to see logs
+  // mainWindow.webContents.openDevTools();
+}
 
-          // Get current slide (from our tracking or default to 1)
-          const current = typeof currentSlide === 'number' ? currentSlide : 1;
-          const slidesToMove = targetSlide - current;
+// Get all available displays
+ipcMain.handle('get-displays', async () => {
+  const displays = screen.getAllDisplays();
+  return displays.map((display, index) => ({
+    id: display.id,
+    label: `Monitor ${index + 1} (${display.bounds.width}x${display.bounds.height})`,
+    bounds: display.bounds,
+    primary: display.bounds.x === 0 && display.bounds.y === 0
+  }));
+});
 
-          if (slidesToMove === 0) {
-            // Broadcast to backups even if already on target slide (for sync)
-            sendToBackups('/api/go-to-slide', { slide: targetSlide }).catch(err => {
-              console.error('[Backup] Error broadcasting go-to-slide:', err);
-            });
-            
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ success: true, message: 'Already on slide ' + targetSlide }));
-            return;
-          }
+// Get saved preferences
+ipcMain.handle('get-preferences', async () => {
+  return loadPreferences();
+});
 
-          presentationWindow.focus();
-          await new Promise(resolve => setTimeout(resolve, 50));
-
-          // Send arrow key presses to navigate
-          const keyCode = slidesToMove > 0 ? 'Right' : 'Left';
-          const count = Math.abs(slidesToMove);
-
-          for (let i = 0; i < count; i++) {
-            presentationWindow.webContents.sendInputEvent({ type: 'keyDown', keyCode: keyCode });
-            presentationWindow.webContents.sendInputEvent({ type: 'keyUp', keyCode: keyCode });
-            // Small delay between key presses to ensure they're processed
-            if (i < count - 1) {
-              await new Promise(resolve => setTimeout(resolve, 100));
-            }
-          }
+// New API token secret (desktop Settings > API tokens)
+ipcMain.handle('generate-api-token', async () => {
+  return createApiTokenSecret();
+});
 
-          // Update our tracking
-          currentSlide = targetSlide;
-          
-          // Broadcast to backups (async, don't wait)
-          sendToBackups('/api/go-to-slide', { slide: targetSlide }).catch(err => {
-            console.error('[Backup] Error broadcasting go-to-slide:', err);
-          });
+// New primary/backup pairing key (paste the same key on every machine)
+ipcMain.handle('generate-pairing-key', async () => {
+  return createPairingKey();
+});
 
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ 
-            success: true, 
-            message: `Navigated to slide ${targetSlide}`,
-            fromSlide: current,
-            toSlide: targetSlide
-          }));
-        } catch (error) {
-          res.writeHead(500, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: error.message }));
-        }
-      });
-      return;
-    }
+// Lets the desktop UI call the local API when API tokens are enabled
+ipcMain.handle('get-api-auth-headers', async () => {
+  return getInternalApiHeaders();
+});
 
-    // POST /api/reload-presentation - Close, reopen, and return to current slide
-    if (req.method === 'POST' && req.url === '/api/reload-presentation') {
-      if (!presentationWindow || presentationWindow.isDestroyed()) {
-        res.writeHead(404, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'No presentation is open' }));
-        return;
-      }
+// Get build info (version and build number)
+ipcMain.handle('get-build-info', async () => {
+  try {
+    return {
+      version: appBuildInfo.version,
+      buildNumber: appBuildInfo.buildNumber
+    };
+  } catch (error) {
+    console.error('[Build Info] Error loading build info:', error);
+    return {
+      version: 'unknown',
+      buildNumber: 'unknown'
+    };
+  }
+});
 
-      if (!lastPresentationUrl) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'No previous presentation URL stored' }));
-        return;
+// Get network interfaces and IP addresses
+ipcMain.handle('get-network-info', async () => {
+  const interfaces = os.networkInterfaces();
+  const ipAddresses = [];
+  
+  // Get all IPv4 addresses (excluding internal/loopback, but including localhost)
+  Object.keys(interfaces).forEach((ifaceName) => {
+    interfaces[ifaceName].forEach((iface) => {
+      // Include IPv4 addresses (both internal and external)
+      if (iface.family === 'IPv4') {
+        ipAddresses.push({
+          address: iface.address,
+          internal: iface.internal,
+          interface: ifaceName
+        });
       }
+    });
+  });
+  
+  // Sort: non-internal first, then by interface name
+  ipAddresses.sort((a, b) => {
+    if (a.internal !== b.internal) {
+      return a.internal ? 1 : -1;
+    }
+    return a.interface.localeCompare(b.interface);
+  });
+  
+  return ipAddresses;
+});
 
-      // Send response immediately (this will be async)
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: true, message: 'Reloading presentation...' }));
+// Save preferences
+ipcMain.handle('save-preferences', async (event, prefs) => {
+  const currentPrefs = loadPreferences();
+  const mergedPrefs = { ...currentPrefs, ...prefs };
+  savePreferences(mergedPrefs);
+  if (prefs && prefs.presets !== undefined) {
+    publishEvent('presets-changed', { count: mergedPrefs.presets.length });
+  }
+  applyOscSettings();
+  applyTextControlSettings();
+  applyHotkeySettings();
+  applyConfidenceMonitorSettings();
+  return { success: true };
+});
 
-      // Do the reload asynchronously
-      (async () => {
-        try {
-          // Step 1: Remember current slide number
-          const savedSlide = typeof currentSlide === 'number' ? currentSlide : 1;
-          
-          // Step 2: Remember if speaker notes are open (boolean)
-          const notesWereOpen = !!(notesWindow && !notesWindow.isDestroyed());
-          
-          // Step 3: Remember the URL
-          const urlToReload = lastPresentationUrl;
-          
-          console.log('[API] Reload: Saving state - slide:', savedSlide, 'notes open:', notesWereOpen, 'URL:', urlToReload);
-          
-          // Step 4: Close the presentation
-          if (notesWindow && !notesWindow.isDestroyed()) {
-            notesWindow.removeAllListeners('closed');
-            notesWindow.close();
-            notesWindow = null;
-          }
-          if (presentationWindow && !presentationWindow.isDestroyed()) {
-            presentationWindow.removeAllListeners('closed');
-            presentationWindow.close();
-            presentationWindow = null;
-          }
-          currentSlide = null;
+// OSC listener state for desktop Settings
+ipcMain.handle('get-osc-status', async () => {
+  return getOscStatus();
+});
 
-          // Wait for windows to close
-          await new Promise(resolve => setTimeout(resolve, 200));
+// Text control server state for desktop Settings
+ipcMain.handle('get-text-control-status', async () => {
+  return getTextControlStatus();
+});
 
-          // Step 5: Reopen the presentation (using same logic as /api/open-presentation)
-          const prefs = loadPreferences();
-          const displays = screen.getAllDisplays();
-          const presentationDisplayId = Number(prefs.presentationDisplayId);
-          const notesDisplayId = Number(prefs.notesDisplayId);
-          const presentationDisplay = displays.find(d => d.id === presentationDisplayId) || displays[0];
-          const notesDisplay = displays.find(d => d.id === notesDisplayId) || displays[0];
-
-          // Note: Don't use fullscreen: true in constructor as it creates a new Space on macOS
-          // We'll use setSimpleFullScreen() after creation to avoid Spaces conflicts
-          presentationWindow = new BrowserWindow({
-            x: presentationDisplay.bounds.x,
-            y: presentationDisplay.bounds.y,
-            width: presentationDisplay.bounds.width,
-            height: presentationDisplay.bounds.height,
-            frame: false,
-            webPreferences: {
-              nodeIntegration: false,
-              contextIsolation: true,
-              partition: GOOGLE_SESSION_PARTITION
-            }
-          });
-          
-          // Set simple fullscreen on macOS to avoid Spaces conflicts
-          if (process.platform === 'darwin') {
-            presentationWindow.setSimpleFullScreen(true);
-          }
+// MIDI input: the desktop window owns the Web MIDI ports and forwards messages here
+ipcMain.on('midi-message', (event, { data, device } = {}) => {
+  handleMidiMessage(Array.from(data || []), device || null).catch((error) => {
+    logWarn('[MIDI] Message handling failed:', error.message);
+  });
+});
 
-          // Set up window open handler for speaker notes popup
-          presentationWindow.webContents.setWindowOpenHandler(({ url, frameName, features }) => {
-            // Use default size from Google Slides (no size/position override)
-            const windowOptions = {
-              frame: false,
-              webPreferences: {
-                nodeIntegration: false,
-                contextIsolation: true,
-                partition: GOOGLE_SESSION_PARTITION
-              }
-            };
-            
-            return {
-              action: 'allow',
-              overrideBrowserWindowOptions: windowOptions
-            };
-          });
-          
-          // Listen for notes window creation
-          const windowCreatedListener = (event, window) => {
-            if (window !== presentationWindow && window !== mainWindow) {
-              console.log('[API] Reload: Notes window created');
-              notesWindow = window;
-              
-              // Add Escape key handler to notes window
-              window.webContents.on('before-input-event', (event, input) => {
-                if (input.key === 'Escape' && input.type === 'keyDown') {
-                  event.preventDefault();
-                  if (notesWindow && !notesWindow.isDestroyed()) notesWindow.close();
-                  if (presentationWindow && !presentationWindow.isDestroyed()) presentationWindow.close();
-                }
-              });
-              
-              // Set speaker notes window to fullscreen when it loads
-              window.webContents.once('did-finish-load', () => {
-                setSpeakerNotesFullscreen(window);
-              });
-              
-              // Also try when DOM is ready (in case did-finish-load fires too early)
-              window.webContents.once('dom-ready', () => {
-                setTimeout(() => {
-                  setSpeakerNotesFullscreen(window);
-                }, 500);
-              });
-              
-              app.removeListener('browser-window-created', windowCreatedListener);
-            }
-          };
-          app.on('browser-window-created', windowCreatedListener);
-          
-          // Set up window event handlers BEFORE loading URL
-          presentationWindow.on('closed', () => {
-            presentationWindow = null;
-            currentSlide = null;
-          });
-          
-          // Escape key handler for presentation window - set up BEFORE showing window
-          presentationWindow.webContents.on('before-input-event', (event, input) => {
-            if (input.key === 'Escape' && input.type === 'keyDown') {
-              console.log('[API] Reload: Escape pressed, closing presentation and notes windows');
-              event.preventDefault();
-              if (notesWindow && !notesWindow.isDestroyed()) notesWindow.close();
-              if (presentationWindow && !presentationWindow.isDestroyed()) presentationWindow.close();
-            }
-          });
+// Settings > MIDI Control "Learn": resolves with the next press, or null after a timeout/cancel
+ipcMain.handle('midi-learn-start', async () => {
+  return startMidiLearn();
+});
 
-          // Load the presentation
-          const presentUrl = toPresentUrl(urlToReload);
-          lastPresentationUrl = urlToReload;
-          currentSlide = 1; // Will be updated after navigation
-          
-          presentationWindow.loadURL(presentUrl);
-          
-          // Show and focus the window immediately to ensure it receives keyboard events
-          presentationWindow.show();
-          presentationWindow.focus();
-          
-          // Also focus when window becomes ready
-          presentationWindow.once('ready-to-show', () => {
-            if (presentationWindow && !presentationWindow.isDestroyed()) {
-              presentationWindow.focus();
-            }
-          });
-          
-          // Trigger presentation mode when page loads
-          presentationWindow.webContents.once('did-finish-load', async () => {
-            console.log('[API] Reload: Page finished loading');
-            if (!presentationWindow || presentationWindow.isDestroyed()) {
-              return;
-            }
-            
-            // Ensure window is focused before sending keyboard events
-            presentationWindow.focus();
-            await new Promise(resolve => setTimeout(resolve, 200));
-            
-            if (presentationWindow && !presentationWindow.isDestroyed()) {
-              console.log('[API] Reload: Triggering Ctrl+Shift+F5 for presentation mode');
-              // Focus again before sending keyboard event
-              presentationWindow.focus();
-              await new Promise(resolve => setTimeout(resolve, 100));
-              
-              presentationWindow.webContents.sendInputEvent({ type: 'keyDown', keyCode: 'F5', modifiers: ['control', 'shift'] });
-              presentationWindow.webContents.sendInputEvent({ type: 'keyUp', keyCode: 'F5', modifiers: ['control', 'shift'] });
-            }
-          });
+ipcMain.handle('midi-learn-cancel', async () => {
+  cancelMidiLearn();
+  return { success: true };
+});
 
-          // Wait for presentation mode to be ready
-          await new Promise(resolve => setTimeout(resolve, 2000));
-          
-          // Step 6: Navigate to the saved slide number using the go-to-slide endpoint
-          if (presentationWindow && !presentationWindow.isDestroyed() && savedSlide > 1) {
-            console.log('[API] Reload: Navigating to saved slide:', savedSlide);
-            
-            // Use the go-to-slide endpoint to jump directly to the slide
-            const prefs = loadPreferences();
-            const apiPort = prefs.apiPort || DEFAULT_API_PORT;
-            
-            try {
-              const postData = JSON.stringify({ slide: savedSlide });
-              
-              const options = {
-                hostname: '127.0.0.1',
-                port: apiPort,
-                path: '/api/go-to-slide',
-                method: 'POST',
-                headers: {
-                  'Content-Type': 'application/json',
-                  'Content-Length': Buffer.byteLength(postData)
-                }
-              };
-              
-              await new Promise((resolve, reject) => {
-                const req = http.request(options, (res) => {
-                  let data = '';
-                  res.on('data', (chunk) => { data += chunk; });
-                  res.on('end', () => {
-                    try {
-                      const result = JSON.parse(data);
-                      if (result.success) {
-                        console.log('[API] Reload: Successfully navigated to slide', savedSlide);
-                      } else {
-                        console.error('[API] Reload: Failed to navigate to slide:', result.error);
-                      }
-                      resolve();
-                    } catch (err) {
-                      console.error('[API] Reload: Error parsing response:', err);
-                      resolve();
-                    }
-                  });
-                });
-                
-                req.on('error', (err) => {
-                  console.error('[API] Reload: Error calling go-to-slide endpoint:', err);
-                  resolve(); // Don't reject, just log the error
-                });
-                
-                req.write(postData);
-                req.end();
-              });
-            } catch (error) {
-              console.error('[API] Reload: Error calling go-to-slide endpoint:', error);
-            }
-          } else if (savedSlide === 1) {
-            // If we're already on slide 1, just update the tracking
-            currentSlide = 1;
-            console.log('[API] Reload: Already on slide 1');
-          }
-          
-          // Step 7: Reopen speaker notes if they were previously open
-          if (notesWereOpen && presentationWindow && !presentationWindow.isDestroyed()) {
-            console.log('[API] Reload: Speaker notes were previously open, launching them now');
-            await new Promise(resolve => setTimeout(resolve, 1000)); // Wait longer for presentation mode to be ready
-            
-            // Ensure window has focus before sending keyboard events
-            if (presentationWindow && !presentationWindow.isDestroyed()) {
-              presentationWindow.focus();
-              await new Promise(resolve => setTimeout(resolve, 200));
-              
-              // Send the 's' key to open speaker notes
-              presentationWindow.webContents.sendInputEvent({ type: 'keyDown', keyCode: 'S' });
-              presentationWindow.webContents.sendInputEvent({ type: 'char', keyCode: 's' });
-              presentationWindow.webContents.sendInputEvent({ type: 'keyUp', keyCode: 'S' });
-              
-              console.log('[API] Reload: Speaker notes launch command sent');
-            }
-          } else {
-            console.log('[API] Reload: Speaker notes were not previously open, skipping');
-          }
-          
-          // Final focus to ensure window is ready for keyboard input
-          if (presentationWindow && !presentationWindow.isDestroyed()) {
-            setTimeout(() => {
-              presentationWindow.focus();
-            }, 500);
-          }
-          
-          console.log('[API] Reload: Complete');
+// Which global hotkeys are registered (and which were refused) for desktop Settings
+ipcMain.handle('get-hotkey-status', async () => {
+  return getHotkeyStatus();
+});
 
-        } catch (error) {
-          console.error('[API] Error during reload:', error);
-        }
-      })();
+// Pick the slate image (desktop-only; the Web UI can't browse this machine's files)
+ipcMain.handle('choose-slate-image', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Choose Slate Image',
+    properties: ['openFile'],
+    filters: [{ name: 'Images', extensions: Object.keys(SLATE_IMAGE_TYPES).map(ext => ext.slice(1)) }]
+  });
+  if (result.canceled || !result.filePaths.length) {
+    return { success: false, canceled: true };
+  }
+  return { success: true, filePath: result.filePaths[0] };
+});
 
-      return;
-    }
-    
-    // POST /api/toggle-video - Toggle video playback (k key)
-    if (req.method === 'POST' && req.url === '/api/toggle-video') {
-      if (!presentationWindow || presentationWindow.isDestroyed()) {
-        res.writeHead(404, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'No presentation is open' }));
-        return;
-      }
-      
-      try {
-        presentationWindow.focus();
-        presentationWindow.webContents.sendInputEvent({ type: 'keyDown', keyCode: 'K' });
-        presentationWindow.webContents.sendInputEvent({ type: 'char', keyCode: 'k' });
-        presentationWindow.webContents.sendInputEvent({ type: 'keyUp', keyCode: 'K' });
-        
-        // Broadcast to backups (async, don't wait)
-        sendToBackups('/api/toggle-video', {}).catch(err => {
-          console.error('[Backup] Error broadcasting toggle-video:', err);
-        });
-        
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true, message: 'Video toggled' }));
-      } catch (error) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: error.message }));
-      }
-      return;
-    }
+// Desktop debug log access
+ipcMain.handle('get-log-buffer', async () => {
+  return { lines: logBuffer.slice() };
+});
 
-    // POST /api/open-speaker-notes - Open/start speaker notes (s key)
-    if (req.method === 'POST' && req.url === '/api/open-speaker-notes') {
-      if (!presentationWindow || presentationWindow.isDestroyed()) {
-        res.writeHead(404, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'No presentation is open' }));
-        return;
-      }
+ipcMain.handle('clear-log-buffer', async () => {
+  logBuffer = [];
+  return { success: true };
+});
 
-      try {
-        console.log('[API] Opening speaker notes');
-        presentationWindow.focus();
-        await new Promise(resolve => setTimeout(resolve, 50));
-        presentationWindow.webContents.sendInputEvent({ type: 'keyDown', keyCode: 'S' });
-        presentationWindow.webContents.sendInputEvent({ type: 'char', keyCode: 's' });
-        presentationWindow.webContents.sendInputEvent({ type: 'keyUp', keyCode: 'S' });
-        
-        // Broadcast to backups (async, don't wait)
-        sendToBackups('/api/open-speaker-notes', {}).catch(err => {
-          console.error('[Backup] Error broadcasting open-speaker-notes:', err);
-        });
+ipcMain.handle('export-log-buffer', async () => {
+  try {
+    const prefs = loadPreferences();
+    const header = [
+      'Google Slides Opener - Debug Logs',
+      `Generated: ${new Date().toISOString()}`,
+      `Version: v${appBuildInfo.version}.${appBuildInfo.buildNumber}`,
+      `Platform: ${process.platform}`,
+      '',
+      '--- Preferences (sanitized) ---',
+      safeStringify(prefs, 2),
+      '',
+      '--- Log output ---',
+      ''
+    ].join('\n');
 
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true, message: 'Speaker notes opened' }));
-      } catch (error) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: error.message }));
-      }
-      return;
-    }
+    const content = header + logBuffer.join('\n') + '\n';
 
-    // POST /api/close-speaker-notes - Close the speaker notes window
-    if (req.method === 'POST' && req.url === '/api/close-speaker-notes') {
-      if (!notesWindow || notesWindow.isDestroyed()) {
-        res.writeHead(404, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'No speaker notes window is open' }));
-        return;
-      }
+    const defaultName = `gslide-opener-debug-${new Date().toISOString().replace(/[:.]/g, '-')}.txt`;
+    const result = await dialog.showSaveDialog({
+      title: 'Save Debug Log',
+      defaultPath: path.join(app.getPath('downloads'), defaultName),
+      filters: [{ name: 'Text Files', extensions: ['txt'] }]
+    });
 
-      try {
-        notesWindow.close();
-        notesWindow = null;
-        
-        // Broadcast to backups (async, don't wait)
-        sendToBackups('/api/close-speaker-notes', {}).catch(err => {
-          console.error('[Backup] Error broadcasting close-speaker-notes:', err);
-        });
-        
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true, message: 'Speaker notes closed' }));
-      } catch (error) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: error.message }));
-      }
-      return;
+    if (result.canceled || !result.filePath) {
+      return { success: false, canceled: true };
     }
 
-    // POST /api/scroll-notes-down - Scroll speaker notes down (JS only, no keyboard)
-    if (req.method === 'POST' && req.url === '/api/scroll-notes-down') {
-      if (!notesWindow || notesWindow.isDestroyed()) {
-        res.writeHead(404, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'No speaker notes window is open' }));
-        return;
-      }
-      try {
-        notesWindow.webContents.executeJavaScript(`
-          (function() {
-            // Find scrollable elements - try common patterns in Google Slides presenter view
-            var scrollable = null;
-            var allElements = document.querySelectorAll('*');
-            for (var i = 0; i < allElements.length; i++) {
-              var el = allElements[i];
-              var style = window.getComputedStyle(el);
-              if ((style.overflowY === 'auto' || style.overflowY === 'scroll') && 
-                  el.scrollHeight > el.clientHeight) {
-                scrollable = el;
-                break;
-              }
-            }
-            // Fallback: try document body or documentElement if they're scrollable
-            if (!scrollable) {
-              if (document.body && document.body.scrollHeight > document.body.clientHeight) {
-                scrollable = document.body;
-              } else if (document.documentElement && document.documentElement.scrollHeight > document.documentElement.clientHeight) {
-                scrollable = document.documentElement;
-              }
-            }
-            if (scrollable) {
-              scrollable.scrollBy(0, 150);
-              return { success: true, scrolled: true };
-            }
-            return { success: false, error: 'No scrollable element found' };
-          })()
-        `).then(result => {
-          if (result.success && result.scrolled) {
-            // Broadcast to backups (async, don't wait)
-            sendToBackups('/api/scroll-notes-down', {}).catch(err => {
-              console.error('[Backup] Error broadcasting scroll-notes-down:', err);
-            });
-            
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ success: true, message: 'Notes scrolled down' }));
-          } else {
-            res.writeHead(404, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: result.error || 'Could not scroll notes' }));
-          }
-        }).catch(error => {
-          res.writeHead(500, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: error.message }));
-        });
-      } catch (error) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: error.message }));
-      }
-      return;
-    }
+    fs.writeFileSync(result.filePath, content, 'utf8');
+    return { success: true, filePath: result.filePath };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
 
-    // POST /api/scroll-notes-up - Scroll speaker notes up (JS only, no keyboard)
-    if (req.method === 'POST' && req.url === '/api/scroll-notes-up') {
-      if (!notesWindow || notesWindow.isDestroyed()) {
-        res.writeHead(404, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'No speaker notes window is open' }));
-        return;
-      }
-      try {
-        notesWindow.webContents.executeJavaScript(`
-          (function() {
-            // Find scrollable elements - try common patterns in Google Slides presenter view
-            var scrollable = null;
-            var allElements = document.querySelectorAll('*');
-            for (var i = 0; i < allElements.length; i++) {
-              var el = allElements[i];
-              var style = window.getComputedStyle(el);
-              if ((style.overflowY === 'auto' || style.overflowY === 'scroll') && 
-                  el.scrollHeight > el.clientHeight) {
-                scrollable = el;
-                break;
-              }
-            }
-            // Fallback: try document body or documentElement if they're scrollable
-            if (!scrollable) {
-              if (document.body && document.body.scrollHeight > document.body.clientHeight) {
-                scrollable = document.body;
-              } else if (document.documentElement && document.documentElement.scrollHeight > document.documentElement.clientHeight) {
-                scrollable = document.documentElement;
-              }
-            }
-            if (scrollable) {
-              scrollable.scrollBy(0, -150);
-              return { success: true, scrolled: true };
-            }
-            return { success: false, error: 'No scrollable element found' };
-          })()
-        `).then(result => {
-          if (result.success && result.scrolled) {
-            // Broadcast to backups (async, don't wait)
-            sendToBackups('/api/scroll-notes-up', {}).catch(err => {
-              console.error('[Backup] Error broadcasting scroll-notes-up:', err);
-            });
-            
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ success: true, message: 'Notes scrolled up' }));
-          } else {
-            res.writeHead(404, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: result.error || 'Could not scroll notes' }));
-          }
-        }).catch(error => {
-          res.writeHead(500, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: error.message }));
-        });
-      } catch (error) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: error.message }));
-      }
-      return;
+// Sign in with Google
+ipcMain.handle('google-signin', async () => {
+  const googleSession = getGoogleSession();
+  
+  const authWindow = new BrowserWindow({
+    width: 500,
+    height: 600,
+    show: false,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      partition: GOOGLE_SESSION_PARTITION
     }
+  });
+
+  // Navigate to Google Sign In
+  authWindow.loadURL('https://accounts.google.com/signin');
+
+  authWindow.once('ready-to-show', () => {
+    authWindow.show();
+  });
+
+  // Listen for successful authentication
+  return new Promise((resolve, reject) => {
+    let resolved = false;
     
-    // POST /api/zoom-in-notes - Zoom in on speaker notes
-    if (req.method === 'POST' && req.url === '/api/zoom-in-notes') {
-      console.log('[API] Zoom in on speaker notes requested');
-      
-      if (!notesWindow || notesWindow.isDestroyed()) {
-        console.log('[API] No speaker notes window is open');
-        res.writeHead(404, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'No speaker notes window is open' }));
-        return;
+    authWindow.webContents.on('did-navigate', (event, url) => {
+      // Check if we've successfully signed in (redirected to myaccount or other Google service)
+      if (url.includes('myaccount.google.com') || url.includes('accounts.google.com/ServiceLogin')) {
+        if (!resolved) {
+          resolved = true;
+          authWindow.close();
+          resolve({ success: true, message: 'Successfully signed in to Google' });
+        }
       }
-      
-      try {
-        notesWindow.webContents.executeJavaScript(`
-          (function() {
-            const zoomInButton = document.querySelector('[title="Zoom in"]');
-            if (zoomInButton) {
-              // Dispatch real mouse events
-              const mousedownEvent = new MouseEvent('mousedown', {
-                bubbles: true,
-                cancelable: true,
-                view: window,
-                button: 0
-              });
-              const mouseupEvent = new MouseEvent('mouseup', {
-                bubbles: true,
-                cancelable: true,
-                view: window,
-                button: 0
-              });
-              const clickEvent = new MouseEvent('click', {
-                bubbles: true,
-                cancelable: true,
-                view: window,
-                button: 0
-              });
-              
-              zoomInButton.dispatchEvent(mousedownEvent);
-              zoomInButton.dispatchEvent(mouseupEvent);
-              zoomInButton.dispatchEvent(clickEvent);
-              
-              return { success: true };
-            }
-            return { success: false, error: 'Button not found' };
-          })()
-        `).then(result => {
-          if (result.success) {
-            console.log('[API] ✓ Dispatched mouse events to zoom in button');
-            
-            // Broadcast to backups (async, don't wait)
-            sendToBackups('/api/zoom-in-notes', {}).catch(err => {
-              console.error('[Backup] Error broadcasting zoom-in-notes:', err);
-            });
-            
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ success: true, message: 'Zoomed in on notes' }));
-          } else {
-            console.log('[API] ✗ Zoom in button not found');
-            res.writeHead(404, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: result.error }));
-          }
-        }).catch(error => {
-          console.error('[API] Error executing zoom in script:', error.message);
-          res.writeHead(500, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: error.message }));
-        });
-      } catch (error) {
-        console.error('[API] Error zooming in on notes:', error.message);
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: error.message }));
+    });
+
+    authWindow.on('closed', () => {
+      if (!resolved) {
+        resolved = true;
+        reject({ success: false, message: 'Authentication window closed' });
       }
-      return;
-    }
+    });
+  });
+});
+
+// Check if user is already signed in
+ipcMain.handle('check-signin-status', async () => {
+  try {
+    const googleSession = getGoogleSession();
+    const cookies = await googleSession.cookies.get({ domain: '.google.com' });
     
-    // POST /api/zoom-out-notes - Zoom out on speaker notes
-    if (req.method === 'POST' && req.url === '/api/zoom-out-notes') {
-      console.log('[API] Zoom out on speaker notes requested');
-      
-      if (!notesWindow || notesWindow.isDestroyed()) {
-        console.log('[API] No speaker notes window is open');
-        res.writeHead(404, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'No speaker notes window is open' }));
-        return;
+    // Check if we have Google authentication cookies
+    const hasAuthCookies = cookies.some(cookie => 
+      cookie.name === 'SID' || cookie.name === 'HSID' || cookie.name === 'SSID'
+    );
+    
+    let userEmail = null;
+    let userName = null;
+    
+    if (hasAuthCookies) {
+      // Try to get user email from cookies
+      const emailCookie = cookies.find(cookie => 
+        cookie.name === 'Email' || cookie.name === 'email' || cookie.domain.includes('google.com')
+      );
+      if (emailCookie && emailCookie.value && emailCookie.value.includes('@')) {
+        userEmail = emailCookie.value;
       }
       
-      try {
-        notesWindow.webContents.executeJavaScript(`
-          (function() {
-            const zoomOutButton = document.querySelector('[title="Zoom out"]');
-            if (zoomOutButton) {
-              // Dispatch real mouse events
-              const mousedownEvent = new MouseEvent('mousedown', {
-                bubbles: true,
-                cancelable: true,
-                view: window,
-                button: 0
-              });
-              const mouseupEvent = new MouseEvent('mouseup', {
-                bubbles: true,
-                cancelable: true,
-                view: window,
-                button: 0
-              });
-              const clickEvent = new MouseEvent('click', {
-                bubbles: true,
-                cancelable: true,
-                view: window,
-                button: 0
-              });
-              
-              zoomOutButton.dispatchEvent(mousedownEvent);
-              zoomOutButton.dispatchEvent(mouseupEvent);
-              zoomOutButton.dispatchEvent(clickEvent);
-              
-              return { success: true };
-            }
-            return { success: false, error: 'Button not found' };
-          })()
-        `).then(result => {
-          if (result.success) {
-            console.log('[API] ✓ Dispatched mouse events to zoom out button');
-            
-            // Broadcast to backups (async, don't wait)
-            sendToBackups('/api/zoom-out-notes', {}).catch(err => {
-              console.error('[Backup] Error broadcasting zoom-out-notes:', err);
-            });
-            
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ success: true, message: 'Zoomed out on notes' }));
-          } else {
-            console.log('[API] ✗ Zoom out button not found');
-            res.writeHead(404, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: result.error }));
-          }
-        }).catch(error => {
-          console.error('[API] Error executing zoom out script:', error.message);
-          res.writeHead(500, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: error.message }));
-        });
-      } catch (error) {
-        console.error('[API] Error zooming out on notes:', error.message);
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: error.message }));
-      }
-      return;
-    }
-    
-    // GET /api/get-speaker-notes - Get current speaker notes content
-    if (req.method === 'GET' && req.url === '/api/get-speaker-notes') {
-      if (!notesWindow || notesWindow.isDestroyed()) {
-        res.writeHead(200, { 
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*'
-        });
-        res.end(JSON.stringify({ success: false, notes: '', error: 'No speaker notes window is open' }));
-        return;
+      // Try to get user name from cookies
+      const nameCookie = cookies.find(cookie => 
+        cookie.name === 'Name' || cookie.name === 'name'
+      );
+      if (nameCookie) {
+        userName = nameCookie.value;
       }
-
-      (async () => {
+      
+      // If we don't have email, try to fetch from Google account page
+      if (!userEmail) {
         try {
-          const notesContent = await notesWindow.webContents.executeJavaScript(`
-            (function(){
-              // First, try to find the specific div that contains only the notes text
-              var notesTextDiv = document.querySelector('div.punch-viewer-speakernotes-text-body-scrollable');
-              
-              if (notesTextDiv) {
-                // This is the exact element we want - just get its text
-                var notesText = notesTextDiv.innerText || notesTextDiv.textContent || '';
-                notesText = notesText.trim();
-                
-                if (notesText.length > 0) {
-                  return notesText;
-                }
-              }
-              
-              // Fallback: Look for the table if the specific div isn't found
-              var notesTable = document.querySelector('table.punch-viewer-speakernotes, table[id*="speakernotes"], table[class*="speakernotes"]');
-              
-              if (!notesTable) {
-                // Try alternative selectors
-                notesTable = document.querySelector('[class*="punch-viewer-speakernotes"]');
-              }
-              
-              if (!notesTable) {
-                // Try finding by ID
-                notesTable = document.getElementById('punch-viewer-speakernotes');
-              }
-              
-              if (notesTable) {
-                // Try to find the text body div within the table
-                var textBodyDiv = notesTable.querySelector('div.punch-viewer-speakernotes-text-body-scrollable');
-                if (textBodyDiv) {
-                  var notesText = textBodyDiv.innerText || textBodyDiv.textContent || '';
-                  notesText = notesText.trim();
-                  
-                  if (notesText.length > 0) {
-                    return notesText;
-                  }
-                }
-                
-                // Last resort: Clone the table and clean it up
-                var tableClone = notesTable.cloneNode(true);
+          const tempWindow = new BrowserWindow({
+            show: false,
+            webPreferences: {
+              nodeIntegration: false,
+              contextIsolation: true,
+              partition: GOOGLE_SESSION_PARTITION
+            }
+          });
+          
+          await tempWindow.loadURL('https://myaccount.google.com/');
+          await new Promise(resolve => setTimeout(resolve, 2000));
+          
+          const userInfo = await tempWindow.webContents.executeJavaScript(`
+            (function() {
+              try {
+                var email = null;
+                var name = null;
                 
-                // Remove UI elements that shouldn't be in notes
-                var uiElements = tableClone.querySelectorAll('button, [role="button"], [class*="button"], [class*="control"], [class*="timer"], [class*="thumbnail"], [aria-label*="Pause"], [aria-label*="Reset"], [aria-label*="Next"], [aria-label*="Previous"]');
-                for (var i = 0; i < uiElements.length; i++) {
-                  uiElements[i].remove();
+                // Look for email in page
+                var emailEl = document.querySelector('[data-email]') || 
+                             document.querySelector('input[type="email"][value]');
+                if (emailEl) {
+                  email = emailEl.getAttribute('data-email') || emailEl.value;
                 }
                 
-                // Remove cells that are clearly UI (short text, button labels, timers)
-                var allCells = tableClone.querySelectorAll('td, th');
-                for (var j = 0; j < allCells.length; j++) {
-                  var cell = allCells[j];
-                  var cellText = (cell.innerText || cell.textContent || '').trim();
-                  
-                  if (cellText.length <= 2) {
-                    cell.remove();
-                    continue;
-                  }
-                  if (/^(Pause|Reset|Next|Previous|Zoom|Timer|Slide)$/i.test(cellText)) {
-                    cell.remove();
-                    continue;
-                  }
-                  if (/^\\d{1,2}:\\d{2}(?::\\d{2})?$/.test(cellText)) {
-                    cell.remove();
-                    continue;
-                  }
-                  if (/^\\d+$/.test(cellText) && cellText.length <= 3) {
-                    cell.remove();
-                    continue;
-                  }
+                // Look for name
+                var nameEl = document.querySelector('[data-name]') ||
+                            document.querySelector('h1');
+                if (nameEl) {
+                  name = nameEl.getAttribute('data-name') || nameEl.textContent.trim();
                 }
                 
-                var notesText = tableClone.innerText || tableClone.textContent || '';
-                notesText = notesText.trim();
-                
-                // Remove common UI patterns that might leak through
-                // Only remove these in specific UI contexts, not when they're part of actual notes
-                notesText = notesText.replace(/Slide \\d+ of \\d+/gi, '');
-                notesText = notesText.replace(/^Slide \\d+$/gmi, ''); // Remove standalone "Slide X" lines
-                notesText = notesText.replace(/\\d{1,2}:\\d{2}(?::\\d{2})?/g, '');
-                // Only remove specific UI button labels (not common words that might be in notes)
-                notesText = notesText.replace(/\\b(Previous Slide|Next Slide)\\b/gi, '');
-                notesText = notesText.replace(/\\b(Pause|Reset)\\b/gi, '');
-                notesText = notesText.replace(/\\b(Zoom In|Zoom Out)\\b/gi, '');
-                notesText = notesText.replace(/AUDIENCE TOOLS|SPEAKER NOTES/gi, '');
-                notesText = notesText.replace(/Q&A|Questions|Answers/gi, '');
-                
-                // Split into lines and filter out slide numbers and blank lines at the start
-                var lines = notesText.split('\\n');
-                var startIndex = 0;
-                // Skip leading blank lines and slide number patterns
-                for (var i = 0; i < lines.length; i++) {
-                  var line = lines[i].trim();
-                  // Skip blank lines
-                  if (line === '') {
-                    continue;
-                  }
-                  // Skip lines that are just slide numbers (e.g., "1", "Slide 1", "1 of 10")
-                  if (/^\\d+$/.test(line) || /^Slide \\d+/i.test(line) || /^\\d+ of \\d+$/i.test(line)) {
-                    continue;
-                  }
-                  // Found first real content line
-                  startIndex = i;
-                  break;
+                // Try to extract from page title
+                if (!email) {
+                  var title = document.title;
+                  var emailMatch = title.match(/([\\w.-]+@[\\w.-]+\\.[\\w.-]+)/);
+                  if (emailMatch) email = emailMatch[1];
                 }
-                // Rejoin from the first real content line
-                notesText = lines.slice(startIndex).join('\\n');
-                
-                // Clean up multiple newlines and whitespace
-                notesText = notesText.replace(/\\n{3,}/g, '\\n\\n');
-                notesText = notesText.replace(/[ \\t]{2,}/g, ' ');
-                notesText = notesText.trim();
                 
-                if (notesText.length > 0) {
-                  return notesText;
-                }
+                return { email: email || null, name: name || null };
+              } catch (e) {
+                return { email: null, name: null };
               }
-              
-              // Fallback: try to find any element with that class/id pattern
-              var notesElement = document.querySelector('[class*="punch-viewer-speakernotes"], [id*="speakernotes"]');
-              if (notesElement) {
-                // First, try to find the specific text body div within this element
-                var textBodyDiv = notesElement.querySelector('div.punch-viewer-speakernotes-text-body-scrollable');
-                if (textBodyDiv) {
-                  var notesText = textBodyDiv.innerText || textBodyDiv.textContent || '';
-                  notesText = notesText.trim();
-                  
-                  if (notesText.length > 0) {
-                    return notesText;
-                  }
-                }
-                
-                // If we didn't find the specific div, fall back to cleaning the element
-                var elementClone = notesElement.cloneNode(true);
-                
-                // Remove UI elements
-                var uiElements = elementClone.querySelectorAll('button, [role="button"], [class*="button"], [class*="control"], [class*="timer"], [class*="thumbnail"], [aria-label*="Pause"], [aria-label*="Reset"], [aria-label*="Next"], [aria-label*="Previous"]');
-                for (var i = 0; i < uiElements.length; i++) {
-                  uiElements[i].remove();
-                }
-                
-                // If it's a table, clean up cells like we did above
-                if (elementClone.tagName === 'TABLE') {
-                  var allCells = elementClone.querySelectorAll('td, th');
-                  for (var j = 0; j < allCells.length; j++) {
-                    var cell = allCells[j];
-                    var cellText = (cell.innerText || cell.textContent || '').trim();
-                    
-                    if (cellText.length <= 2) {
-                      cell.remove();
-                      continue;
-                    }
-                    if (/^(Pause|Reset|Next|Previous|Zoom|Timer|Slide)$/i.test(cellText)) {
-                      cell.remove();
-                      continue;
-                    }
-                    if (/^\\d{1,2}:\\d{2}(?::\\d{2})?$/.test(cellText)) {
-                      cell.remove();
-                      continue;
-                    }
-                    if (/^\\d+$/.test(cellText) && cellText.length <= 3) {
-                      cell.remove();
-                      continue;
-                    }
-                  }
-                }
-                
-                var notesText = elementClone.innerText || elementClone.textContent || '';
-                notesText = notesText.trim();
-                
-                // Clean up remaining patterns
-                notesText = notesText.replace(/Slide \\d+ of \\d+/gi, '');
-                notesText = notesText.replace(/^Slide \\d+$/gmi, '');
-                notesText = notesText.replace(/AUDIENCE TOOLS|SPEAKER NOTES/gi, '');
-                notesText = notesText.replace(/Q&A|Questions|Answers/gi, '');
-                
-                // Split into lines and filter out slide numbers and blank lines at the start
-                var lines = notesText.split('\\n');
-                var startIndex = 0;
-                for (var k = 0; k < lines.length; k++) {
-                  var line = lines[k].trim();
-                  if (line === '') continue;
-                  if (/^\\d+$/.test(line) || /^Slide \\d+/i.test(line) || /^\\d+ of \\d+$/i.test(line)) {
-                    continue;
-                  }
-                  startIndex = k;
-                  break;
-                }
-                notesText = lines.slice(startIndex).join('\\n');
-                notesText = notesText.replace(/\\n{3,}/g, '\\n\\n').trim();
-                
-                if (notesText.length > 0) {
-                  return notesText;
-                }
-              }
-              
-              return 'No notes available for this slide.';
             })()
           `);
           
-          res.writeHead(200, { 
-            'Content-Type': 'application/json',
-            'Access-Control-Allow-Origin': '*'
-          });
-          res.end(JSON.stringify({ success: true, notes: notesContent || 'No notes available for this slide.' }));
+          if (userInfo.email) userEmail = userInfo.email;
+          if (userInfo.name) userName = userInfo.name;
+          
+          tempWindow.close();
         } catch (error) {
-          console.error('[API] Error getting speaker notes:', error);
-          res.writeHead(200, { 
-            'Content-Type': 'application/json',
-            'Access-Control-Allow-Origin': '*'
-          });
-          res.end(JSON.stringify({ success: false, notes: '', error: error.message }));
+          console.error('Error fetching user info:', error);
         }
-      })();
-      return;
+      }
     }
+    
+    return { 
+      signedIn: hasAuthCookies,
+      userEmail: userEmail || null,
+      userName: userName || null
+    };
+  } catch (error) {
+    console.error('Error checking sign-in status:', error);
+    return { signedIn: false, userEmail: null, userName: null };
+  }
+});
 
-    // GET /api/get-slide-previews - Get current + next slide preview images (from presenter view)
-    if (req.method === 'GET' && req.url === '/api/get-slide-previews') {
-      if (!notesWindow || notesWindow.isDestroyed()) {
-        res.writeHead(200, {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*'
-        });
-        res.end(JSON.stringify({ success: false, error: 'No speaker notes window is open' }));
-        return;
-      }
+// Sign out from Google
+ipcMain.handle('google-signout', async () => {
+  const googleSession = getGoogleSession();
+  
+  // Clear all cookies and storage data for the Google session
+  await googleSession.clearStorageData({
+    storages: ['cookies', 'localstorage', 'sessionstorage', 'cachestorage']
+  });
+  
+  return { success: true, message: 'Successfully signed out' };
+});
 
-      (async () => {
-        try {
-          const result = await captureSlidePreviewsFromNotesWindow({ maxSize: 200 });
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify(result));
-        } catch (error) {
-          console.error('[API] Error getting slide previews:', error);
-          res.writeHead(500, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ success: false, error: error.message }));
-        }
-      })();
-      return;
+// Open test presentation
+ipcMain.handle('open-test-presentation', async () => {
+  const testUrl = 'https://docs.google.com/presentation/d/1rc9BSX-0TrU7c5LGeLDRyH3zRN89-uDuXEEqOpcnLVg/edit';
+  
+  // Load preferences to get selected displays
+  const prefs = loadPreferences();
+  logDebug('[Test] Loaded preferences:', safeStringify(prefs));
+  
+  const displays = screen.getAllDisplays();
+  logDebug('[Test] All available displays:');
+  displays.forEach((display, index) => {
+    logDebug(`  Display ${index + 1} - ID: ${display.id}, Bounds: ${safeStringify(display.bounds)}`);
+  });
+  
+  // Convert IDs to numbers for comparison (they might be saved as strings)
+  const presentationDisplayId = Number(prefs.presentationDisplayId);
+  const notesDisplayId = Number(prefs.notesDisplayId);
+  
+  const presentationDisplay = displays.find(d => d.id === presentationDisplayId) || displays[0];
+  const notesDisplay = displays.find(d => d.id === notesDisplayId) || displays[0];
+  
+  logDebug('[Test] Selected presentation display ID:', prefs.presentationDisplayId, '(converted to:', presentationDisplayId, ')');
+  logDebug('[Test] Resolved presentation display:', presentationDisplay.id, 'Bounds:', presentationDisplay.bounds);
+  logDebug('[Test] Selected notes display ID:', prefs.notesDisplayId, '(converted to:', notesDisplayId, ')');
+  logDebug('[Test] Resolved notes display:', notesDisplay.id, 'Bounds:', notesDisplay.bounds);
+  
+  if (!presentationWindow) {
+    // Note: Don't use fullscreen: true in constructor as it creates a new Space on macOS
+    // We'll use setSimpleFullScreen() after creation to avoid Spaces conflicts
+    presentationWindow = new BrowserWindow({
+      x: presentationDisplay.bounds.x,
+      y: presentationDisplay.bounds.y,
+      width: presentationDisplay.bounds.width,
+      height: presentationDisplay.bounds.height,
+      frame: false,
+      webPreferences: {
+        nodeIntegration: false,
+        contextIsolation: true,
+        partition: GOOGLE_SESSION_PARTITION
+      }
+    });
+    
+    // Set simple fullscreen on macOS to avoid Spaces conflicts
+    if (process.platform === 'darwin') {
+      presentationWindow.setSimpleFullScreen(true);
     }
+
+    const win = presentationWindow;
+    win.on('closed', () => {
+      if (presentationWindow === win) {
+        presentationWindow = null;
+        resetSlideTracking();
+      }
+    });
     
-    // GET /api/get-stagetimer-status - Get live timer data from stagetimer.io
-    if (req.method === 'GET' && req.url === '/api/get-stagetimer-status') {
-      const prefs = loadPreferences();
-      const roomId = prefs.stagetimerRoomId;
-      const apiKey = prefs.stagetimerApiKey;
-      
-      if (!roomId || !apiKey) {
-        res.writeHead(200, { 
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*'
-        });
-        res.end(JSON.stringify({ 
-          success: false, 
-          error: 'Stagetimer not configured. Please set Room ID and API Key in Settings.',
-          configured: false
-        }));
-        return;
+    // Listen for Escape key to close both windows
+    presentationWindow.webContents.on('before-input-event', (event, input) => {
+      if (input.key === 'Escape' && input.type === 'keyDown') {
+        logDebug('[Test] Escape pressed, closing presentation and notes windows');
+        event.preventDefault(); // Prevent Google Slides from handling Escape
+        if (notesWindow && !notesWindow.isDestroyed()) notesWindow.close();
+        if (presentationWindow && !presentationWindow.isDestroyed()) presentationWindow.close();
       }
+    });
+
+    // Handle the speaker notes popup window
+    presentationWindow.webContents.setWindowOpenHandler((details) => {
+      logDebug('[Test] Window open intercepted:', details.url);
+      logDebug('[Test] Frame name:', details.frameName);
+      logDebug('[Test] Features:', details.features);
       
-      // Call stagetimer.io API for status
-      const statusUrl = `https://api.stagetimer.io/v1/get_status?room_id=${encodeURIComponent(roomId)}&api_key=${encodeURIComponent(apiKey)}`;
-      const messagesUrl = `https://api.stagetimer.io/v1/get_all_messages?room_id=${encodeURIComponent(roomId)}&api_key=${encodeURIComponent(apiKey)}`;
-      
-      // Fetch status and messages in parallel, then fetch timer using timer_id
-      let statusData = null;
-      let messagesData = null;
-      let timerData = null;
-      let completed = 0;
-      let timerCompleted = false;
-      let timerTimeout = null;
-      const totalRequests = 2; // Status and messages first
-      const TIMER_FETCH_TIMEOUT = 5000; // 5 second timeout for timer fetch
-      
-      function sendResponse() {
-        // Wait for status and messages
-        if (completed < totalRequests) return;
-        // If we're waiting for timer, give it a chance, but don't wait forever
-        if (timerData === null && !timerCompleted) {
-          // Set a timeout to send response even if timer fetch hangs
-          if (!timerTimeout) {
-            timerTimeout = setTimeout(() => {
-              console.warn('[API] Timer fetch timeout, sending response without timer data');
-              timerCompleted = true;
-              timerData = { ok: false, data: {}, error: 'Timeout' };
-              sendResponse();
-            }, TIMER_FETCH_TIMEOUT);
-          }
-          return;
+      // Allow Google Slides to open the speaker notes window
+      // Use default size from Google Slides (no size/position override)
+      const windowOptions = {
+        frame: false,
+        webPreferences: {
+          nodeIntegration: false,
+          contextIsolation: true,
+          partition: GOOGLE_SESSION_PARTITION
         }
+      };
+      
+      return {
+        action: 'allow',
+        overrideBrowserWindowOptions: windowOptions
+      };
+    });
+    
+    // Listen for new windows being created (this will be the notes window)
+    const testWindowCreatedListener = (event, window) => {
+      if (window !== presentationWindow && window !== mainWindow && !creatingOwnWindow) {
+        logDebug('[Test] Notes window created');
+        logDebug('[Test] Presentation display ID:', presentationDisplay.id);
+        logDebug('[Test] Notes display ID:', notesDisplay.id);
+        notesWindow = window;
         
-        // Clear timeout if we got here normally
-        if (timerTimeout) {
-          clearTimeout(timerTimeout);
-          timerTimeout = null;
-        }
+        const initialBounds = window.getBounds();
+        logDebug('[Test] Initial window bounds:', initialBounds);
         
-        try {
-          if (statusData && statusData.ok && statusData.data) {
-            const status = statusData.data;
-            const now = status.server_time || Date.now();
-            
-            // Calculate remaining/elapsed time
-            let remainingMs = 0;
-            let elapsedMs = 0;
-            let displayTime = '0:00';
-            let isRunning = status.running || false;
-            
-            if (status.finish && status.start) {
-              const duration = status.finish - status.start;
-              
-              if (isRunning) {
-                remainingMs = status.finish - now; // Allow negative values
-                elapsedMs = now - status.start;
-              } else if (status.pause) {
-                // Timer is paused
-                elapsedMs = status.pause - status.start;
-                remainingMs = duration - elapsedMs;
-              } else {
-                // Timer not started
-                remainingMs = duration;
-                elapsedMs = 0;
-              }
-              
-              // Format time as MM:SS or HH:MM:SS (allow negative)
-              const totalSeconds = Math.floor(remainingMs / 1000);
-              const isNegative = totalSeconds < 0;
-              const absSeconds = Math.abs(totalSeconds);
-              const hours = Math.floor(absSeconds / 3600);
-              const minutes = Math.floor((absSeconds % 3600) / 60);
-              const seconds = absSeconds % 60;
-              
-              const sign = isNegative ? '-' : '';
-              const minStr = String(minutes).padStart(2, '0');
-              const secStr = String(seconds).padStart(2, '0');
-              
-              if (hours > 0) {
-                displayTime = sign + hours + ':' + minStr + ':' + secStr;
-              } else {
-                displayTime = sign + minutes + ':' + secStr;
-              }
-            }
-            
-            // Process messages
-            let activeMessages = [];
-            if (messagesData && messagesData.ok && messagesData.data) {
-              // Check if messages is an array directly or nested in data.messages
-              let messages = [];
-              if (Array.isArray(messagesData.data)) {
-                messages = messagesData.data;
-              } else if (messagesData.data.messages && Array.isArray(messagesData.data.messages)) {
-                messages = messagesData.data.messages;
-              }
-              
-              console.log('[API] Processing messages, found:', messages.length, 'total messages');
-              activeMessages = messages
-                .filter(msg => msg && msg.showing === true)
-                .map(msg => ({
-                  text: msg.text || '',
-                  color: msg.color || 'white',
-                  bold: msg.bold || false,
-                  uppercase: msg.uppercase || false
-                }));
-              console.log('[API] Active messages:', activeMessages.length);
-            } else {
-              console.log('[API] No messages data or not ok:', messagesData);
-            }
-            
-            // Get timer name and speaker from timer data
-            let timerName = '';
-            let speakerName = '';
-            console.log('[API] Processing timer data, timerData:', timerData ? 'exists' : 'null');
-            console.log('[API] timerData.ok:', timerData?.ok);
-            console.log('[API] timerData.data:', timerData?.data ? JSON.stringify(timerData.data) : 'null');
-            if (timerData && timerData.ok && timerData.data) {
-              timerName = timerData.data.name || '';
-              speakerName = timerData.data.speaker || '';
-              console.log('[API] Extracted timerName:', timerName, 'speakerName:', speakerName);
-            } else {
-              console.log('[API] Timer data not available or invalid. timerData:', timerData);
-            }
-            
-            res.writeHead(200, { 
-              'Content-Type': 'application/json',
-              'Access-Control-Allow-Origin': '*'
-            });
-            res.end(JSON.stringify({
-              success: true,
-              configured: true,
-              running: isRunning,
-              displayTime: displayTime,
-              remainingMs: remainingMs,
-              elapsedMs: elapsedMs,
-              timerId: status.timer_id || null,
-              start: status.start,
-              finish: status.finish,
-              pause: status.pause,
-              serverTime: status.server_time,
-              messages: activeMessages,
-              timerName: timerName,
-              speaker: speakerName,
-              // Debug info
-              _debug: {
-                timerDataOk: timerData?.ok || false,
-                timerDataExists: !!timerData,
-                timerDataMessage: timerData?.message || null,
-                rawTimerName: timerData?.data?.name || null,
-                rawSpeaker: timerData?.data?.speaker || null
-              }
-            }));
-          } else {
-            // Status fetch failed or returned invalid data
-            // Still try to send response with whatever we have
-            res.writeHead(200, { 
-              'Content-Type': 'application/json',
-              'Access-Control-Allow-Origin': '*'
-            });
-            const errorMsg = statusData 
-              ? (statusData.message || statusData.error || 'Failed to get timer status')
-              : 'Failed to get timer status';
-            console.error('[API] Status fetch failed:', errorMsg, 'statusData:', statusData);
-            res.end(JSON.stringify({ 
-              success: false, 
-              error: errorMsg,
-              configured: true,
-              _debug: {
-                statusDataExists: !!statusData,
-                statusDataOk: statusData?.ok,
-                statusDataMessage: statusData?.message,
-                timerDataExists: !!timerData,
-                timerDataOk: timerData?.ok
-              }
-            }));
+        // Add Escape key handler to notes window as well
+        window.webContents.on('before-input-event', (event, input) => {
+          if (input.key === 'Escape' && input.type === 'keyDown') {
+            logDebug('[Test] Escape pressed in notes window, closing all windows');
+            event.preventDefault();
+            if (notesWindow && !notesWindow.isDestroyed()) notesWindow.close();
+            if (presentationWindow && !presentationWindow.isDestroyed()) presentationWindow.close();
           }
-        } catch (error) {
-          console.error('[API] Error processing stagetimer response:', error);
-          res.writeHead(200, { 
-            'Content-Type': 'application/json',
-            'Access-Control-Allow-Origin': '*'
-          });
-          res.end(JSON.stringify({ 
-            success: false, 
-            error: 'Failed to process response: ' + error.message,
-            configured: true
-          }));
-        }
-      }
-      
-      // Fetch status
-      const statusReq = https.get(statusUrl, (apiRes) => {
-        let data = '';
-        
-        // Check HTTP status code
-        if (apiRes.statusCode !== 200) {
-          console.error('[API] Stagetimer status HTTP error:', apiRes.statusCode, apiRes.statusMessage);
-          apiRes.on('data', () => {}); // Drain response
-          apiRes.on('end', () => {
-            statusData = { ok: false, message: `HTTP ${apiRes.statusCode}: ${apiRes.statusMessage}` };
-            completed++;
-            sendResponse();
-          });
-          return;
-        }
+        });
         
-        apiRes.on('data', (chunk) => {
-          data += chunk;
+        // Set speaker notes window to fullscreen when it loads
+        window.webContents.once('did-finish-load', () => {
+          setSpeakerNotesFullscreen(window);
         });
         
-        apiRes.on('end', () => {
-          try {
-            statusData = JSON.parse(data);
-            if (!statusData || !statusData.ok) {
-              console.error('[API] Stagetimer status API error:', statusData?.message || 'Unknown error');
-            }
-            completed++;
-            
-            // After getting status, fetch timer using timer_id if available
-            if (statusData && statusData.ok && statusData.data && statusData.data.timer_id) {
-              const timerId = statusData.data.timer_id;
-              const timerUrl = `https://api.stagetimer.io/v1/get_timer?room_id=${encodeURIComponent(roomId)}&api_key=${encodeURIComponent(apiKey)}&timer_id=${encodeURIComponent(timerId)}`;
-              
-              console.log('[API] Fetching timer with timer_id:', timerId);
-              const timerReq = https.get(timerUrl, (timerRes) => {
-                let timerDataStr = '';
-                
-                if (timerRes.statusCode !== 200) {
-                  console.error('[API] Stagetimer timer HTTP error:', timerRes.statusCode, timerRes.statusMessage);
-                  timerRes.on('data', () => {}); // Drain response
-                  timerRes.on('end', () => {
-                    if (!timerCompleted) {
-                      timerData = { ok: false, message: `HTTP ${timerRes.statusCode}: ${timerRes.statusMessage}`, data: {} };
-                      timerCompleted = true;
-                      if (timerTimeout) clearTimeout(timerTimeout);
-                      sendResponse();
-                    }
-                  });
-                  return;
-                }
-                
-                timerRes.on('data', (chunk) => {
-                  timerDataStr += chunk;
-                });
-                
-                timerRes.on('end', () => {
-                  if (timerCompleted) return; // Already handled by timeout
-                  try {
-                    timerData = JSON.parse(timerDataStr);
-                    console.log('[API] Stagetimer timer response:', JSON.stringify(timerData, null, 2));
-                    console.log('[API] Timer data.name:', timerData?.data?.name);
-                    console.log('[API] Timer data.speaker:', timerData?.data?.speaker);
-                    timerCompleted = true;
-                    if (timerTimeout) clearTimeout(timerTimeout);
-                    sendResponse();
-                  } catch (error) {
-                    console.error('[API] Error parsing stagetimer timer response:', error);
-                    console.error('[API] Raw timer response:', timerDataStr);
-                    timerData = { ok: false, data: {}, error: error.message };
-                    timerCompleted = true;
-                    if (timerTimeout) clearTimeout(timerTimeout);
-                    sendResponse();
-                  }
-                });
-              });
-              
-              timerReq.on('error', (error) => {
-                if (timerCompleted) return; // Already handled by timeout
-                console.error('[API] Error calling stagetimer.io timer:', error);
-                timerData = { ok: false, data: {}, error: error.message };
-                timerCompleted = true;
-                if (timerTimeout) clearTimeout(timerTimeout);
-                sendResponse();
-              });
-              
-              // Set request timeout
-              timerReq.setTimeout(TIMER_FETCH_TIMEOUT, () => {
-                if (!timerCompleted) {
-                  console.warn('[API] Timer request timeout');
-                  timerReq.destroy();
-                  timerData = { ok: false, data: {}, error: 'Request timeout' };
-                  timerCompleted = true;
-                  if (timerTimeout) clearTimeout(timerTimeout);
-                  sendResponse();
-                }
-              });
-            } else {
-              // No timer_id available, try without it (gets currently highlighted timer)
-              const timerUrl = `https://api.stagetimer.io/v1/get_timer?room_id=${encodeURIComponent(roomId)}&api_key=${encodeURIComponent(apiKey)}`;
-              console.log('[API] No timer_id, fetching currently highlighted timer');
-              const timerReq = https.get(timerUrl, (timerRes) => {
-                let timerDataStr = '';
-                
-                if (timerRes.statusCode !== 200) {
-                  console.error('[API] Stagetimer timer HTTP error:', timerRes.statusCode, timerRes.statusMessage);
-                  timerRes.on('data', () => {}); // Drain response
-                  timerRes.on('end', () => {
-                    if (!timerCompleted) {
-                      timerData = { ok: false, message: `HTTP ${timerRes.statusCode}: ${timerRes.statusMessage}`, data: {} };
-                      timerCompleted = true;
-                      if (timerTimeout) clearTimeout(timerTimeout);
-                      sendResponse();
-                    }
-                  });
-                  return;
-                }
-                
-                timerRes.on('data', (chunk) => {
-                  timerDataStr += chunk;
-                });
-                
-                timerRes.on('end', () => {
-                  if (timerCompleted) return; // Already handled by timeout
-                  try {
-                    timerData = JSON.parse(timerDataStr);
-                    console.log('[API] Stagetimer timer response:', JSON.stringify(timerData, null, 2));
-                    console.log('[API] Timer data.name:', timerData?.data?.name);
-                    console.log('[API] Timer data.speaker:', timerData?.data?.speaker);
-                    timerCompleted = true;
-                    if (timerTimeout) clearTimeout(timerTimeout);
-                    sendResponse();
-                  } catch (error) {
-                    console.error('[API] Error parsing stagetimer timer response:', error);
-                    console.error('[API] Raw timer response:', timerDataStr);
-                    timerData = { ok: false, data: {}, error: error.message };
-                    timerCompleted = true;
-                    if (timerTimeout) clearTimeout(timerTimeout);
-                    sendResponse();
-                  }
-                });
-              });
-              
-              timerReq.on('error', (error) => {
-                if (timerCompleted) return; // Already handled by timeout
-                console.error('[API] Error calling stagetimer.io timer:', error);
-                timerData = { ok: false, data: {}, error: error.message };
-                timerCompleted = true;
-                if (timerTimeout) clearTimeout(timerTimeout);
-                sendResponse();
-              });
-              
-              // Set request timeout
-              timerReq.setTimeout(TIMER_FETCH_TIMEOUT, () => {
-                if (!timerCompleted) {
-                  console.warn('[API] Timer request timeout');
-                  timerReq.destroy();
-                  timerData = { ok: false, data: {}, error: 'Request timeout' };
-                  timerCompleted = true;
-                  if (timerTimeout) clearTimeout(timerTimeout);
-                  sendResponse();
-                }
-              });
-            }
-            
-            sendResponse();
-          } catch (error) {
-            console.error('[API] Error parsing stagetimer status response:', error);
-            statusData = { ok: false, message: 'Failed to parse status response' };
-            completed++;
-            sendResponse();
-          }
+        // Also try when DOM is ready (in case did-finish-load fires too early)
+        window.webContents.once('dom-ready', () => {
+          setTimeout(() => {
+            setSpeakerNotesFullscreen(window);
+          }, 500);
         });
-      });
-      
-      statusReq.on('error', (error) => {
-        console.error('[API] Error calling stagetimer.io status:', error);
-        statusData = { ok: false, message: 'Failed to connect: ' + error.message };
-        completed++;
-        sendResponse();
-      });
+        
+        app.removeListener('browser-window-created', testWindowCreatedListener);
+      }
+    };
+    app.on('browser-window-created', testWindowCreatedListener);
+  }
+
+  lastPresentationUrl = testUrl; // Store for reload
+  beginSlideTracking();
+  presentationWindow.loadURL(testUrl);
+  presentationWindow.show();
+  
+  logDebug('[Test] Window opened, loading URL...');
+  
+  // Set up navigation listener
+  const navigationListener = async (event, url) => {
+    logDebug('[Test] Navigated to:', url);
+    
+    // Just log navigation, don't auto-launch notes
+    logDebug('[Test] Navigated to:', url);
+  };
+  
+  presentationWindow.webContents.on('did-navigate', navigationListener);
+  
+  // Listen for page load, then immediately trigger presentation mode
+  presentationWindow.webContents.once('did-finish-load', async () => {
+    if (!presentationWindow || presentationWindow.isDestroyed()) return;
+    
+    const currentUrl = presentationWindow.webContents.getURL();
+    logDebug('[Test] Page loaded:', currentUrl);
+    
+    // Small delay to ensure page is fully interactive
+    await new Promise(resolve => setTimeout(resolve, 200));
+    
+    if (!presentationWindow || presentationWindow.isDestroyed()) return;
+    
+    logDebug('[Test] Triggering Ctrl+Shift+F5 to enter presentation mode...');
+    
+    try {
+      // Focus the window first to ensure it receives the keyboard events
+      presentationWindow.focus();
+      await new Promise(resolve => setTimeout(resolve, 50));
       
-      // Set request timeout for status
-      statusReq.setTimeout(10000, () => {
-        console.warn('[API] Status request timeout');
-        statusReq.destroy();
-        if (!statusData) {
-          statusData = { ok: false, message: 'Request timeout' };
-          completed++;
-          sendResponse();
+      // Send real keyboard input events
+      presentationWindow.webContents.sendInputEvent({ type: 'keyDown', keyCode: 'F5', modifiers: ['control', 'shift'] });
+      presentationWindow.webContents.sendInputEvent({ type: 'keyUp', keyCode: 'F5', modifiers: ['control', 'shift'] });
+      
+      logDebug('[Test] Ctrl+Shift+F5 sent via sendInputEvent');
+    } catch (error) {
+      logError('[Test] Error sending Ctrl+Shift+F5:', error);
+    }
+    
+    // No auto-launch of speaker notes - user must call open-speaker-notes separately
+  });
+  
+  return { success: true };
+});
+
+// Open presentation on specific monitor
+ipcMain.handle('open-presentation', async (event, { url, presentationDisplayId, notesDisplayId }) => {
+  const displays = screen.getAllDisplays();
+  logDebug('[Multi-Monitor] All available displays:');
+  displays.forEach((display, index) => {
+    logDebug(`  Display ${index + 1} - ID: ${display.id}, Bounds: ${safeStringify(display.bounds)}`);
+  });
+  
+  // Convert IDs to numbers for comparison (they might be passed as strings)
+  const presentationDisplayIdNum = Number(presentationDisplayId);
+  const notesDisplayIdNum = Number(notesDisplayId);
+  
+  const presentationDisplay = displays.find(d => d.id === presentationDisplayIdNum);
+  const notesDisplay = displays.find(d => d.id === notesDisplayIdNum);
+
+  logDebug('[Multi-Monitor] Selected presentation display ID:', presentationDisplayId, '(converted to:', presentationDisplayIdNum, ')');
+  logDebug('[Multi-Monitor] Resolved presentation display:', presentationDisplay ? presentationDisplay.id : 'NOT FOUND', 'Bounds:', presentationDisplay ? presentationDisplay.bounds : 'N/A');
+  logDebug('[Multi-Monitor] Selected notes display ID:', notesDisplayId, '(converted to:', notesDisplayIdNum, ')');
+  logDebug('[Multi-Monitor] Resolved notes display:', notesDisplay ? notesDisplay.id : 'NOT FOUND', 'Bounds:', notesDisplay ? notesDisplay.bounds : 'N/A');
+
+  if (!presentationDisplay) {
+    return { success: false, message: 'Invalid presentation display' };
+  }
+
+  // Close existing windows if any
+  if (presentationWindow && !presentationWindow.isDestroyed()) presentationWindow.close();
+  if (notesWindow && !notesWindow.isDestroyed()) notesWindow.close();
+  resetSlideTracking();
+
+  // Open presentation window
+  // Note: Don't use fullscreen: true in constructor as it creates a new Space on macOS
+  // We'll use setSimpleFullScreen() after creation to avoid Spaces conflicts
+  presentationWindow = new BrowserWindow({
+    x: presentationDisplay.bounds.x,
+    y: presentationDisplay.bounds.y,
+    width: presentationDisplay.bounds.width,
+    height: presentationDisplay.bounds.height,
+    frame: false,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      partition: GOOGLE_SESSION_PARTITION
+    }
+  });
+  
+  // Set simple fullscreen on macOS to avoid Spaces conflicts
+  if (process.platform === 'darwin') {
+    presentationWindow.setSimpleFullScreen(true);
+  }
+
+  // Handle the speaker notes popup window
+  presentationWindow.webContents.setWindowOpenHandler((details) => {
+    logDebug('[Multi-Monitor] Window open intercepted:', details.url);
+    logDebug('[Multi-Monitor] Frame name:', details.frameName);
+    logDebug('[Multi-Monitor] Features:', details.features);
+    
+    // Allow Google Slides to open the speaker notes window
+    // Use default size from Google Slides (no size/position override)
+    const windowOptions = {
+      frame: false,
+      webPreferences: {
+        nodeIntegration: false,
+        contextIsolation: true,
+        partition: GOOGLE_SESSION_PARTITION
+      }
+    };
+    
+    return {
+      action: 'allow',
+      overrideBrowserWindowOptions: windowOptions
+    };
+  });
+  
+  // Listen for new windows being created (this will be the notes window)
+  const windowCreatedListener = (event, window) => {
+    // Check if this is not the presentation window or main window
+    if (window !== presentationWindow && window !== mainWindow && !creatingOwnWindow) {
+      logDebug('[Multi-Monitor] Notes window created');
+      logDebug('[Multi-Monitor] Presentation display ID:', presentationDisplayIdNum);
+      logDebug('[Multi-Monitor] Notes display ID:', notesDisplayIdNum);
+      logDebug('[Multi-Monitor] Notes display object:', notesDisplay);
+      notesWindow = window;
+      
+      // Get initial window bounds
+      const initialBounds = window.getBounds();
+      logDebug('[Multi-Monitor] Initial window bounds:', initialBounds);
+      
+      // Add Escape key handler to notes window as well
+      window.webContents.on('before-input-event', (event, input) => {
+        if (input.key === 'Escape' && input.type === 'keyDown') {
+          logDebug('[Multi-Monitor] Escape pressed in notes window, closing all windows');
+          event.preventDefault();
+          if (notesWindow && !notesWindow.isDestroyed()) notesWindow.close();
+          if (presentationWindow && !presentationWindow.isDestroyed()) presentationWindow.close();
         }
       });
       
-      // Fetch messages
-      https.get(messagesUrl, (apiRes) => {
-        let data = '';
-        
-        apiRes.on('data', (chunk) => {
-          data += chunk;
-        });
-        
-        apiRes.on('end', () => {
-          try {
-            messagesData = JSON.parse(data);
-            console.log('[API] Stagetimer messages response:', JSON.stringify(messagesData, null, 2));
-            completed++;
-            sendResponse();
-          } catch (error) {
-            console.error('[API] Error parsing stagetimer messages response:', error);
-            messagesData = { ok: false, data: { messages: [] } };
-            completed++;
-            sendResponse();
-          }
-        });
-      }).on('error', (error) => {
-        console.error('[API] Error calling stagetimer.io messages:', error);
-        messagesData = { ok: false, data: { messages: [] } };
-        completed++;
-        sendResponse();
+      // Set speaker notes window to fullscreen when it loads
+      window.webContents.once('did-finish-load', () => {
+        setSpeakerNotesFullscreen(window);
       });
       
-      return;
+      // Also try when DOM is ready (in case did-finish-load fires too early)
+      window.webContents.once('dom-ready', () => {
+        setTimeout(() => {
+          setSpeakerNotesFullscreen(window);
+        }, 500);
+      });
+      
+      // Remove listener after notes window is created
+      app.removeListener('browser-window-created', windowCreatedListener);
+    }
+  };
+  app.on('browser-window-created', windowCreatedListener);
+
+  // Load presentation URL
+  lastPresentationUrl = url; // Store for reload
+  beginSlideTracking();
+  presentationWindow.loadURL(isMockDeckUrl(url) ? toPresentUrl(url) : url);
+
+  logDebug('[Multi-Monitor] Window opened, loading URL...');
+
+  // Listen for all page loads
+  // Set up navigation listener to detect presentation mode activation
+  const navigationListener = async (event, url) => {
+    logDebug('[Multi-Monitor] Navigated to:', url);
+    // Just log navigation, don't auto-launch notes
+  };
+  
+  presentationWindow.webContents.on('did-navigate', navigationListener);
+  
+  // Listen for page load, then immediately trigger presentation mode
+  presentationWindow.webContents.once('did-finish-load', async () => {
+    if (!presentationWindow || presentationWindow.isDestroyed()) return;
+    
+    const currentUrl = presentationWindow.webContents.getURL();
+    logDebug('[Multi-Monitor] Page loaded:', currentUrl);
+    
+    // Small delay to ensure page is fully interactive
+    await new Promise(resolve => setTimeout(resolve, 200));
+    
+    if (!presentationWindow || presentationWindow.isDestroyed()) return;
+    
+    logDebug('[Multi-Monitor] Triggering Ctrl+Shift+F5 to enter presentation mode...');
+    
+    try {
+      // Focus the window first to ensure it receives the keyboard events
+      presentationWindow.focus();
+      await new Promise(resolve => setTimeout(resolve, 50));
+      
+      // Send real keyboard input events
+      presentationWindow.webContents.sendInputEvent({ type: 'keyDown', keyCode: 'F5', modifiers: ['control', 'shift'] });
+      presentationWindow.webContents.sendInputEvent({ type: 'keyUp', keyCode: 'F5', modifiers: ['control', 'shift'] });
+      
+      logDebug('[Multi-Monitor] Ctrl+Shift+F5 sent via sendInputEvent');
+    } catch (error) {
+      logError('[Multi-Monitor] Error sending Ctrl+Shift+F5:', error);
+    }
+    
+    // No auto-launch of speaker notes - user must call open-speaker-notes separately
+  });
+
+  const win = presentationWindow;
+  win.on('closed', () => {
+    if (presentationWindow === win) {
+      presentationWindow = null;
+      resetSlideTracking();
+    }
+  });
+  
+  // Listen for Escape key to close both windows
+  presentationWindow.webContents.on('before-input-event', (event, input) => {
+    if (input.key === 'Escape' && input.type === 'keyDown') {
+      logDebug('[Multi-Monitor] Escape pressed, closing presentation and notes windows');
+      event.preventDefault(); // Prevent Google Slides from handling Escape
+      if (notesWindow && !notesWindow.isDestroyed()) notesWindow.close();
+      if (presentationWindow && !presentationWindow.isDestroyed()) presentationWindow.close();
+    }
+  });
+
+  return { success: true };
+});
+
+// HTTP API for Bitfocus Companion integration
+// Ports are configurable via preferences, defaults below
+const DEFAULT_API_PORT = 9595;
+const DEFAULT_WEB_UI_PORT = 80;
+let httpServer;
+let webUiServer;
+// ----------------------------
+// HTTP API router
+// ----------------------------
+// Routes are registered with apiRoute(method, path, handler); paths may have :params
+// ('/api/presets/:id'). The router reads and parses the JSON body before calling
+// handler({ req, res, params, query, body }). A handler returns the response data
+// (withStatus() for something other than 200) or throws apiError(code, message).
+//
+// Every JSON response uses the same envelope:
+//   { success: true, data: {...}, error: null }
+//   { success: false, data: null, error: { code: 'NO_PRESENTATION', message: '...', details? } }
+// Older clients read fields straight off the response (e.g. /api/status `currentSlide`), so the
+// fields of an object `data` are also copied to the top level. /api/v2 responses are the bare envelope.
+// Older clients also show `error` as text, so /api errors keep it a string and carry the rest beside it:
+//   { success: false, data: null, error: '...', errorCode: 'NO_PRESENTATION', errorDetails? }
+
+// Larger bodies are refused before they are buffered (presets and rundowns are a few KB)
+const API_MAX_BODY_BYTES = 1024 * 1024;
+
+// error.code -> HTTP status. Clients should branch on the code; messages are for people and may change.
+const API_ERRORS = {
+  INVALID_JSON: 400, // body isn't a JSON object
+  INVALID_REQUEST: 400, // missing or invalid parameter
+  AUTH_REQUIRED: 401, // API tokens are on and none was sent
+  INVALID_TOKEN: 401,
+  UNSIGNED_COMMAND: 401, // paired backup: command not signed by the primary
+  FORBIDDEN: 403, // caller isn't on the controller allowlist
+  INSUFFICIENT_SCOPE: 403, // token lacks the read/control/settings scope the route needs
+  NOT_FOUND: 404, // unknown endpoint, or the thing it refers to doesn't exist
+  NO_PRESENTATION: 404, // no deck is open
+  NO_NOTES_WINDOW: 404, // presenter view isn't open
+  PRESET_NOT_FOUND: 404,
+  SLIDE_NOT_FOUND: 404, // no slide with that title in the deck index
+  ELEMENT_NOT_FOUND: 404, // presenter view control (zoom button, scrollable notes, previews) not on the page
+  METHOD_NOT_ALLOWED: 405,
+  CONFLICT: 409, // not possible in the current state (wrong mode, nothing cued, start of rundown, ...)
+  AMBIGUOUS_TITLE: 409, // title matches several slides (error.details.candidates)
+  NOT_CONFIGURED: 409, // feature needs settings first (e.g. Stagetimer room/key)
+  PAYLOAD_TOO_LARGE: 413,
+  INTERNAL_ERROR: 500,
+  UPSTREAM_ERROR: 502, // stagetimer.io or a backup machine failed
+  SLIDE_NOT_REACHED: 504 // go-to-slide jumped but the deck didn't confirm arrival
+};
+
+const API_STATUS = Symbol('apiStatus');
+const API_V2_PREFIX = '/api/v2/';
+const apiRoutes = [];
+
+function apiRoute(method, routePath, handler, { raw = false } = {}) {
+  const keys = [];
+  const pattern = routePath.replace(/:([A-Za-z]+)/g, (match, key) => {
+    keys.push(key);
+    return '([^/]+)';
+  });
+  apiRoutes.push({ method, path: routePath, regex: new RegExp(`^${pattern}$`), keys, handler, raw });
+}
+
+function apiError(code, message, details = null) {
+  const error = new Error(message);
+  error.apiCode = API_ERRORS[code] ? code : 'INTERNAL_ERROR';
+  if (details) error.details = details;
+  return error;
+}
+
+// For helpers that report { success: false, code?, error } instead of throwing (openPreset, takeCue, ...)
+function apiErrorFromResult(result, fallbackCode = 'INTERNAL_ERROR') {
+  return apiError(result.code || fallbackCode, result.error || 'Request failed');
+}
+
+// Return from a handler to answer with a status other than 200 (e.g. 201 for a created preset)
+function withStatus(statusCode, data) {
+  return { [API_STATUS]: statusCode, data };
+}
+
+function sendApiResponse(res, statusCode, data, headers = {}, { mirror = true } = {}) {
+  const payload = { success: true, data: data === undefined ? null : data, error: null };
+  if (mirror && data && typeof data === 'object' && !Array.isArray(data)) {
+    for (const [key, value] of Object.entries(data)) {
+      if (!(key in payload)) payload[key] = value;
+    }
+  }
+  res.writeHead(statusCode, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(payload));
+}
+
+function isApiV2Url(url) {
+  return String(url || '').startsWith(API_V2_PREFIX);
+}
+
+// v2: the caller asked for an /api/v2 resource (error as an object rather than text)
+function sendApiError(res, code, message, { details = null, headers = {}, v2 = false } = {}) {
+  if (res.headersSent) {
+    res.end();
+    return;
+  }
+  let payload;
+  if (v2) {
+    const error = { code, message };
+    if (details) error.details = details;
+    payload = { success: false, data: null, error };
+  } else {
+    payload = { success: false, data: null, error: message, errorCode: code };
+    if (details) payload.errorDetails = details;
+  }
+  res.writeHead(API_ERRORS[code] || 500, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(payload));
+}
+
+// Body as a JSON object ({} when empty)
+async function readJsonBody(req) {
+  const text = await readRequestBody(req);
+  if (!text.trim()) return {};
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw apiError('INVALID_JSON', `Invalid JSON: ${error.message}`);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw apiError('INVALID_JSON', 'Request body must be a JSON object');
+  }
+  return data;
+}
+
+async function handleApiRequest(req, res) {
+  const url = new URL(req.url, 'http://127.0.0.1');
+  const pathname = url.pathname;
+  const v2 = isApiV2Url(pathname);
+  const matching = apiRoutes.filter(route => route.regex.test(pathname));
+  if (matching.length === 0) {
+    sendApiError(res, 'NOT_FOUND', `No such endpoint: ${req.method} ${pathname}`, { v2 });
+    return;
+  }
+  const route = matching.find(r => r.method === req.method);
+  if (!route) {
+    const allowed = [...new Set(matching.map(r => r.method))].join(', ');
+    sendApiError(res, 'METHOD_NOT_ALLOWED', `${pathname} accepts ${allowed}`, { headers: { Allow: allowed }, v2 });
+    return;
+  }
+
+  try {
+    const params = {};
+    const values = pathname.match(route.regex).slice(1);
+    route.keys.forEach((key, i) => {
+      try {
+        params[key] = decodeURIComponent(values[i]);
+      } catch (e) {
+        throw apiError('INVALID_REQUEST', `Malformed ${key} in path`);
+      }
+    });
+    const query = Object.fromEntries(url.searchParams);
+
+    if (route.raw) {
+      await route.handler({ req, res, params, query });
+      return;
+    }
+
+    const body = req.method === 'GET' ? {} : await readJsonBody(req);
+    const result = await route.handler({ req, res, params, query, body });
+    // A handler that wrote the response itself is left alone
+    if (res.headersSent) return;
+    const mirror = !v2;
+    if (result && result[API_STATUS]) {
+      sendApiResponse(res, result[API_STATUS], result.data, {}, { mirror });
+    } else {
+      sendApiResponse(res, 200, result, {}, { mirror });
+    }
+  } catch (error) {
+    if (error.apiCode) {
+      logDebug(`[API] ${req.method} ${pathname}: ${error.apiCode} ${error.message}`);
+      sendApiError(res, error.apiCode, error.message, { details: error.details, v2 });
+      return;
+    }
+    console.error(`[API] Error handling ${req.method} ${pathname}:`, error);
+    sendApiError(res, 'INTERNAL_ERROR', error.message, { v2 });
+  }
+}
+
+// Run a route's handler in-process, skipping HTTP, auth and body parsing (the caller is already
+// trusted). The /api/v2 resources are built on the /api handlers this way. Resolves with the
+// handler's data; rejects with the same apiError an HTTP caller would get.
+async function invokeApiRoute(method, pathname, body = {}) {
+  const route = apiRoutes.find(r => r.method === method && !r.raw && r.regex.test(pathname));
+  if (!route) throw apiError('NOT_FOUND', `No such endpoint: ${method} ${pathname}`);
+  const params = {};
+  const values = pathname.match(route.regex).slice(1);
+  route.keys.forEach((key, i) => {
+    params[key] = decodeURIComponent(values[i]);
+  });
+  const req = { method, url: pathname, headers: {} };
+  const result = await route.handler({ req, res: null, params, query: {}, body });
+  return result && result[API_STATUS] ? result.data : result;
+}
+
+// ----------------------------
+// HTTP API routes
+// ----------------------------
+
+// Every control route needs an open deck; notes routes need the presenter view
+function requirePresentationWindow() {
+  if (!presentationWindow || presentationWindow.isDestroyed()) {
+    throw apiError('NO_PRESENTATION', 'No presentation is open');
+  }
+}
+
+function requireNotesWindow() {
+  if (!notesWindow || notesWindow.isDestroyed()) {
+    throw apiError('NO_NOTES_WINDOW', 'No speaker notes window is open');
+  }
+}
+
+// Optional body fields; undefined when absent, INVALID_REQUEST when the wrong type
+function readIntegerField(body, key) {
+  if (body[key] === undefined || body[key] === null || body[key] === '') return undefined;
+  const value = Number(body[key]);
+  if (!Number.isInteger(value)) throw apiError('INVALID_REQUEST', `${key} must be an integer`);
+  return value;
+}
+
+function readBooleanField(body, key) {
+  if (body[key] === undefined || body[key] === null) return undefined;
+  if (typeof body[key] !== 'boolean') throw apiError('INVALID_REQUEST', `${key} must be true or false`);
+  return body[key];
+}
+
+// GET /api/events - Server-Sent Events stream of state changes (see EVENT_TYPES)
+apiRoute('GET', '/api/events', ({ req, res }) => handleEventStreamRequest(req, res), { raw: true });
+
+// GET /api/status - Check if app is running and expose state for Companion variables/feedbacks
+apiRoute('GET', '/api/status', async ({ req }) => {
+  // Get login state and user info
+  const { loginState, loggedInUser } = await getGoogleLoginState();
+
+  const state = {
+    status: 'ok',
+    version: appBuildInfo.version,
+    buildNumber: appBuildInfo.buildNumber,
+    presentationOpen: !!(presentationWindow && !presentationWindow.isDestroyed()),
+    notesOpen: !!(notesWindow && !notesWindow.isDestroyed()),
+    currentSlide: currentSlide,
+    totalSlides: slideTracking.totalSlides,
+    presentationUrl: lastPresentationUrl || null,
+    slideInfo: null,
+    isFirstSlide: null,
+    isLastSlide: null,
+    nextSlide: null,
+    previousSlide: null,
+    presentationTitle: null,
+    timerElapsed: null,
+    loginState: loginState,
+    loggedInUser: loggedInUser || null
+  };
+
+  // Get slide info and other data from notes window DOM
+  if (notesWindow && !notesWindow.isDestroyed()) {
+    try {
+      const info = await notesWindow.webContents.executeJavaScript(`
+        (function(){
+          var result = {};
+
+          // Get slide numbers from aria attributes
+          var el = document.querySelector('[aria-posinset]');
+          if (el) {
+            var cur = parseInt(el.getAttribute('aria-posinset'), 10);
+            var tot = parseInt(el.getAttribute('aria-setsize'), 10);
+            if (!isNaN(cur)) result.current = cur;
+            if (!isNaN(tot)) result.total = tot;
+          }
+
+          // Get presentation title from page title or DOM
+          var titleEl = document.querySelector('title');
+          if (titleEl) {
+            var titleText = titleEl.textContent;
+            // Extract title from "Presenter view - TITLE - Google Slides"
+            var match = titleText.match(/Presenter view - (.+?) - Google Slides/);
+            if (match) {
+              result.title = match[1];
+            } else {
+              result.title = titleText;
+            }
+          }
+
+          // Get timer value (look for timer display - usually shows "00:00:06" format)
+          // Try to find elements containing time format
+          var allText = document.body.innerText || document.body.textContent || '';
+          var timeMatch = allText.match(/(\\d{1,2}:\\d{2}(?::\\d{2})?)/);
+          if (timeMatch) {
+            result.timer = timeMatch[1];
+          } else {
+            // Try specific timer elements
+            var timerEls = document.querySelectorAll('div, span');
+            for (var i = 0; i < timerEls.length; i++) {
+              var text = timerEls[i].textContent || timerEls[i].innerText || '';
+              var match = text.match(/^(\\d{1,2}:\\d{2}(?::\\d{2})?)$/);
+              if (match) {
+                result.timer = match[1];
+                break;
+              }
+            }
+          }
+
+          return result;
+        })()
+      `);
+
+      if (info) {
+        // This read is an observation too; feed it to the tracker so every consumer agrees
+        if (info.current != null) {
+          recordSlideObservation({ current: info.current, total: info.total, pageId: null }, 'presenter-view');
+          state.currentSlide = currentSlide;
+          state.totalSlides = slideTracking.totalSlides;
+        }
+
+        if (info.title) state.presentationTitle = info.title;
+        if (info.timer) state.timerElapsed = info.timer;
+      }
+    } catch (e) { /* DOM not available or changed */ }
+  }
+
+  // Where currentSlide came from and how far to trust it
+  state.slideTracking = {
+    source: slideTracking.source,
+    confidence: slideTracking.confidence,
+    pageId: slideTracking.pageId,
+    updatedAt: slideTracking.updatedAt
+  };
+
+  // Calculate derived values
+  if (state.currentSlide !== null && state.currentSlide !== undefined) {
+    if (state.isFirstSlide === null) state.isFirstSlide = state.currentSlide === 1;
+    if (state.nextSlide === null) {
+      state.nextSlide = (state.totalSlides && state.currentSlide >= state.totalSlides) ? null : state.currentSlide + 1;
+    }
+    if (state.previousSlide === null) state.previousSlide = state.currentSlide > 1 ? state.currentSlide - 1 : null;
+    if (state.slideInfo === null) {
+      if (state.totalSlides) {
+        state.slideInfo = state.currentSlide + ' / ' + state.totalSlides;
+      } else {
+        state.slideInfo = String(state.currentSlide);
+      }
+    }
+    if (state.totalSlides && state.isLastSlide === null) {
+      state.isLastSlide = state.currentSlide === state.totalSlides;
+    }
+  }
+
+  // Get preferences for display IDs
+  const prefs = loadPreferences();
+  state.presentationDisplayId = prefs.presentationDisplayId || null;
+  state.notesDisplayId = prefs.notesDisplayId || null;
+  state.rundown = getRundownSummary(getRundownFromPrefs(prefs));
+  state.cued = getCueState();
+  state.pairing = getPairingStatus(req, prefs);
+  state.failover = getFailoverStatus(prefs);
+  state.outputMode = outputMode;
+  state.presenterMessage = getLatestPresenterMessage();
+  return state;
+});
+
+// GET /api/heartbeat - Liveness probe polled by backups (no token needed, see authorizeApiRequest)
+apiRoute('GET', '/api/heartbeat', () => {
+  const prefs = loadPreferences();
+  return {
+    status: 'ok',
+    role: prefs.primaryBackupMode || 'standalone',
+    live: isLiveMachine(prefs),
+    machineName: prefs.machineName || os.hostname()
+  };
+});
+
+// GET /api/discovery - Instances found on the LAN via mDNS (cached; see POST /api/discovery/refresh)
+apiRoute('GET', '/api/discovery', () => getDiscoveryStatus());
+
+// POST /api/discovery/refresh - Query the LAN now and answer after a short wait
+apiRoute('POST', '/api/discovery/refresh', () => scanDiscovery());
+
+// GET /api/failover - This machine's role and, on a backup, how its primary is doing
+apiRoute('GET', '/api/failover', () => getFailoverStatus());
+
+// POST /api/failover/promote - Make this backup the primary (e.g. after "primary lost")
+apiRoute('POST', '/api/failover/promote', () => {
+  const result = promoteToPrimary('manual');
+  if (!result.success) throw apiError('CONFLICT', result.error);
+  return { failover: result.failover };
+});
+
+// POST /api/failover/demote - Return a promoted machine to backup mode
+apiRoute('POST', '/api/failover/demote', () => {
+  const result = demoteToBackup();
+  if (!result.success) throw apiError('CONFLICT', result.error);
+  return { failover: result.failover };
+});
+
+// GET /api/backup-status - Get connection status of backup machines (primary mode only)
+apiRoute('GET', '/api/backup-status', () => checkBackupStatus());
+
+// POST /api/backup-resync - Bring backups back to our deck/slide ({ ip } for one, otherwise every out-of-sync backup)
+apiRoute('POST', '/api/backup-resync', async ({ body }) => {
+  if (loadPreferences().primaryBackupMode !== 'primary') {
+    throw apiError('CONFLICT', 'Resync is only available in primary mode');
+  }
+
+  let targets;
+  if (body.ip) {
+    targets = getBackupIps().filter(ip => ip === String(body.ip).trim());
+    if (targets.length === 0) {
+      throw apiError('NOT_FOUND', `Not a configured backup: ${body.ip}`);
+    }
+  } else {
+    const { backups } = await checkBackupStatus();
+    // "syncing" is included: an explicit resync shouldn't wait out the grace period
+    targets = backups
+      .filter(b => ['drifted', 'wrong-deck', 'syncing'].includes(b.sync))
+      .map(b => b.ip);
+  }
+
+  const results = await Promise.all(targets.map(ip => resyncBackup(ip)));
+  checkBackupStatus().catch(() => {});
+
+  const message = targets.length ? `Resynced ${results.filter(r => r.success).length}/${targets.length} backup(s)` : 'All backups in sync';
+  if (!results.every(r => r.success)) {
+    throw apiError('UPSTREAM_ERROR', message, { results });
+  }
+  return { message, results };
+});
+
+// GET /api/preferences - Get all preferences
+apiRoute('GET', '/api/preferences', () => redactPreferences(loadPreferences()));
+
+// POST /api/preferences - Save preferences
+apiRoute('POST', '/api/preferences', ({ body }) => {
+  const prefs = loadPreferences();
+
+  // Security: prevent changing controller allowlist via HTTP.
+  // This setting is only editable from the desktop app UI (IPC).
+  delete body.controllerIps;
+  // Also desktop-only: web UI debug console gating
+  delete body.webUiDebugConsoleEnabled;
+  // Also desktop-only: API tokens (the Web UI only ever sees them redacted)
+  delete body.apiTokens;
+  delete body.backupApiToken;
+  delete body.pairingKey;
+  delete body.primaryHost;
+  // Also desktop-only: OSC, text control, MIDI and hotkeys drive slides without API tokens
+  delete body.oscEnabled;
+  delete body.oscPort;
+  delete body.oscFeedbackTargets;
+  delete body.textControlEnabled;
+  delete body.textControlPort;
+  delete body.midiEnabled;
+  delete body.midiMappings;
+  delete body.hotkeysEnabled;
+  delete body.hotkeys;
+  // Also desktop-only: the slate image is a file on this machine
+  delete body.slateImage;
+
+  // Merge new preferences with existing ones
+  Object.assign(prefs, body);
+  savePreferences(prefs);
+  return { message: 'Preferences saved' };
+});
+
+// GET /api/displays - Get available displays
+apiRoute('GET', '/api/displays', () => {
+  const primaryId = screen.getPrimaryDisplay().id;
+  return screen.getAllDisplays().map(display => ({
+    id: display.id,
+    bounds: display.bounds,
+    label: `${display.bounds.width}x${display.bounds.height} @ (${display.bounds.x}, ${display.bounds.y})`,
+    primary: display.id === primaryId
+  }));
+});
+
+// POST /api/open-presentation - Open a presentation with URL
+apiRoute('POST', '/api/open-presentation', ({ body }) => {
+  const url = String(body.url || '').trim();
+  if (!url) throw apiError('INVALID_REQUEST', 'URL is required');
+
+  console.log('[API] Opening presentation:', url);
+
+  // Close any existing presentation windows
+  try {
+    if (notesWindow && !notesWindow.isDestroyed()) {
+      console.log('[API] Closing existing notes window');
+      notesWindow.removeAllListeners('closed');
+      notesWindow.close();
+      notesWindow = null;
+    }
+    if (presentationWindow && !presentationWindow.isDestroyed()) {
+      console.log('[API] Closing existing presentation window');
+      presentationWindow.removeAllListeners('closed');
+      presentationWindow.close();
+      presentationWindow = null;
+    }
+    resetSlideTracking();
+  } catch (error) {
+    console.error('[API] Error closing existing windows:', error.message);
+  }
+
+  // Load preferences for monitor selection
+  const prefs = loadPreferences();
+  const displays = screen.getAllDisplays();
+
+  const presentationDisplayId = Number(prefs.presentationDisplayId);
+  const notesDisplayId = Number(prefs.notesDisplayId);
+
+  const presentationDisplay = displays.find(d => d.id === presentationDisplayId) || displays[0];
+  const notesDisplay = displays.find(d => d.id === notesDisplayId) || displays[0];
+
+  console.log('[API] Using presentation display:', presentationDisplay.id);
+  console.log('[API] Using notes display:', notesDisplay.id);
+
+  // Open the presentation using the same logic as the IPC handler
+  // Create the presentation window
+  // Note: Don't use fullscreen: true in constructor as it creates a new Space on macOS
+  // We'll use setSimpleFullScreen() after creation to avoid Spaces conflicts
+  presentationWindow = new BrowserWindow({
+    x: presentationDisplay.bounds.x,
+    y: presentationDisplay.bounds.y,
+    width: presentationDisplay.bounds.width,
+    height: presentationDisplay.bounds.height,
+    frame: false,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      partition: GOOGLE_SESSION_PARTITION
+    }
+  });
+
+  // Set simple fullscreen on macOS to avoid Spaces conflicts
+  if (process.platform === 'darwin') {
+    presentationWindow.setSimpleFullScreen(true);
+  }
+
+  // Set up window open handler for speaker notes popup
+  presentationWindow.webContents.setWindowOpenHandler(({ url, frameName, features }) => {
+    console.log('[API] Window open intercepted:', url);
+    console.log('[API] Frame name:', frameName);
+    console.log('[API] Features:', features);
+
+    // Use default size from Google Slides (no size/position override)
+    const windowOptions = {
+      frame: false,
+      webPreferences: {
+        nodeIntegration: false,
+        contextIsolation: true,
+        partition: GOOGLE_SESSION_PARTITION
+      }
+    };
+
+    return {
+      action: 'allow',
+      overrideBrowserWindowOptions: windowOptions
+    };
+  });
+
+  // Listen for notes window creation
+  const windowCreatedListener = (event, window) => {
+    if (window !== presentationWindow && window !== mainWindow && !creatingOwnWindow) {
+      console.log('[API] Notes window created');
+      notesWindow = window;
+
+      // Add Escape key handler to notes window
+      window.webContents.on('before-input-event', (event, input) => {
+        if (input.key === 'Escape' && input.type === 'keyDown') {
+          console.log('[API] Escape pressed in notes window, closing all windows');
+          event.preventDefault();
+          if (notesWindow && !notesWindow.isDestroyed()) notesWindow.close();
+          if (presentationWindow && !presentationWindow.isDestroyed()) presentationWindow.close();
+        }
+      });
+
+      // Set speaker notes window to fullscreen when it loads
+      window.webContents.once('did-finish-load', () => {
+        setSpeakerNotesFullscreen(window);
+      });
+
+      // Also try when DOM is ready (in case did-finish-load fires too early)
+      window.webContents.once('dom-ready', () => {
+        setTimeout(() => {
+          setSpeakerNotesFullscreen(window);
+        }, 500);
+      });
+
+      app.removeListener('browser-window-created', windowCreatedListener);
+    }
+  };
+  app.on('browser-window-created', windowCreatedListener);
+
+  // Navigation listener (no auto-launch of notes - user must manually start notes)
+  const navigationListener = async (event, navUrl) => {
+    console.log('[API] Navigated to:', navUrl);
+    // Just log navigation, don't auto-launch notes
+  };
+
+  presentationWindow.webContents.on('did-navigate', navigationListener);
+
+  // Listen for page load
+  presentationWindow.webContents.once('did-finish-load', async () => {
+    console.log('[API] Page finished loading');
+    if (!presentationWindow || presentationWindow.isDestroyed()) {
+      console.log('[API] Window destroyed before processing');
+      return;
+    }
+
+    // We now load /present directly (via toPresentUrl), so we should NOT press Ctrl+Shift+F5 here.
+    // Pressing it can cause flaky behavior (extra reloads / exits) depending on Slides state.
+  });
+
+  const win = presentationWindow;
+  win.on('closed', () => {
+    if (presentationWindow === win) {
+      presentationWindow = null;
+      resetSlideTracking();
+    }
+  });
+
+  // Escape key handler for presentation window
+  presentationWindow.webContents.on('before-input-event', (event, input) => {
+  if (input.key === 'Escape' && input.type === 'keyDown') {
+    event.preventDefault();
+    if (notesWindow && !notesWindow.isDestroyed()) notesWindow.close();
+    if (presentationWindow && !presentationWindow.isDestroyed()) presentationWindow.close();
+  }
+  });
+
+  const presentUrl = toPresentUrl(url);
+  console.log('[API] Loading PRESENT URL:', presentUrl);
+  lastPresentationUrl = url; // Store original URL (not /present URL) for reload
+  beginSlideTracking();
+  presentationWindow.loadURL(presentUrl);
+  presentationWindow.show();
+
+  // Broadcast to backups (async, don't wait)
+  sendToBackups('/api/open-presentation', { url: url }).catch(err => {
+    console.error('[Backup] Error broadcasting open-presentation:', err);
+  });
+
+  return { message: 'Presentation opened (notes not auto-started)' };
+});
+
+// POST /api/open-presentation-with-notes - Open a presentation and automatically launch speaker notes
+apiRoute('POST', '/api/open-presentation-with-notes', ({ body }) => {
+  const url = String(body.url || '').trim();
+  if (!url) throw apiError('INVALID_REQUEST', 'URL is required');
+
+  console.log('[API] Opening presentation with notes:', url);
+
+  // Close any existing presentation windows
+  try {
+    if (notesWindow && !notesWindow.isDestroyed()) {
+      console.log('[API] Closing existing notes window');
+      notesWindow.removeAllListeners('closed');
+      notesWindow.close();
+      notesWindow = null;
+    }
+    if (presentationWindow && !presentationWindow.isDestroyed()) {
+      console.log('[API] Closing existing presentation window');
+      presentationWindow.removeAllListeners('closed');
+      presentationWindow.close();
+      presentationWindow = null;
+    }
+    resetSlideTracking();
+  } catch (error) {
+    console.error('[API] Error closing existing windows:', error.message);
+  }
+
+  // Load preferences for monitor selection
+  const prefs = loadPreferences();
+  const displays = screen.getAllDisplays();
+
+  const presentationDisplayId = Number(prefs.presentationDisplayId);
+  const notesDisplayId = Number(prefs.notesDisplayId);
+
+  const presentationDisplay = displays.find(d => d.id === presentationDisplayId) || displays[0];
+  const notesDisplay = displays.find(d => d.id === notesDisplayId) || displays[0];
+
+  console.log('[API] Using presentation display:', presentationDisplay.id);
+  console.log('[API] Using notes display:', notesDisplay.id);
+
+  // Create the presentation window
+  // Note: Don't use fullscreen: true in constructor as it creates a new Space on macOS
+  // We'll use setSimpleFullScreen() after creation to avoid Spaces conflicts
+  presentationWindow = new BrowserWindow({
+    x: presentationDisplay.bounds.x,
+    y: presentationDisplay.bounds.y,
+    width: presentationDisplay.bounds.width,
+    height: presentationDisplay.bounds.height,
+    frame: false,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      partition: GOOGLE_SESSION_PARTITION
+    }
+  });
+
+  // Set simple fullscreen on macOS to avoid Spaces conflicts
+  if (process.platform === 'darwin') {
+    presentationWindow.setSimpleFullScreen(true);
+  }
+
+  // Set up window open handler for speaker notes popup
+  presentationWindow.webContents.setWindowOpenHandler(({ url, frameName, features }) => {
+    // Use default size from Google Slides (no size/position override)
+    const windowOptions = {
+      frame: false,
+      webPreferences: {
+        nodeIntegration: false,
+        contextIsolation: true,
+        partition: GOOGLE_SESSION_PARTITION
+      }
+    };
+
+    return {
+      action: 'allow',
+      overrideBrowserWindowOptions: windowOptions
+    };
+  });
+
+  // Listen for notes window creation
+  const windowCreatedListener = (event, window) => {
+    if (window !== presentationWindow && window !== mainWindow && !creatingOwnWindow) {
+      console.log('[API] Notes window created');
+      notesWindow = window;
+
+      // Add Escape key handler to notes window
+      window.webContents.on('before-input-event', (event, input) => {
+        if (input.key === 'Escape' && input.type === 'keyDown') {
+          console.log('[API] Escape pressed in notes window, closing all windows');
+          event.preventDefault();
+          if (notesWindow && !notesWindow.isDestroyed()) notesWindow.close();
+          if (presentationWindow && !presentationWindow.isDestroyed()) presentationWindow.close();
+        }
+      });
+
+      // Set speaker notes window to fullscreen when it loads
+      window.webContents.once('did-finish-load', () => {
+        setSpeakerNotesFullscreen(window);
+      });
+
+      // Also try when DOM is ready (in case did-finish-load fires too early)
+      window.webContents.once('dom-ready', () => {
+        setTimeout(() => {
+          setSpeakerNotesFullscreen(window);
+        }, 500);
+      });
+
+      app.removeListener('browser-window-created', windowCreatedListener);
+    }
+  };
+  app.on('browser-window-created', windowCreatedListener);
+
+  // Auto-launch speaker notes reliably (some decks load fast and can miss a single 's' press).
+  // We'll retry a few times until the notes window is created.
+  let notesAttempts = 0;
+  const maxNotesAttempts = 8;
+  let notesRetryTimer = null;
+
+  const sendSpeakerNotesKey = async (reason) => {
+    if (!presentationWindow || presentationWindow.isDestroyed()) return false;
+    if (notesWindow && !notesWindow.isDestroyed()) return true;
+    if (notesAttempts >= maxNotesAttempts) return false;
+
+    notesAttempts += 1;
+    try {
+      presentationWindow.focus();
+      await new Promise(resolve => setTimeout(resolve, 80));
+      presentationWindow.webContents.sendInputEvent({ type: 'keyDown', keyCode: 'S' });
+      presentationWindow.webContents.sendInputEvent({ type: 'char', keyCode: 's' });
+      presentationWindow.webContents.sendInputEvent({ type: 'keyUp', keyCode: 'S' });
+      console.log(`[API] Speaker notes attempt ${notesAttempts}/${maxNotesAttempts} (${reason}) - sent "s" key`);
+    } catch (error) {
+      console.error('[API] Error sending "s" key for speaker notes:', error);
+    }
+
+    // Schedule another attempt if notes window hasn't appeared yet
+    if (!notesWindow || notesWindow.isDestroyed()) {
+      if (notesRetryTimer) clearTimeout(notesRetryTimer);
+      notesRetryTimer = setTimeout(() => {
+        sendSpeakerNotesKey('retry');
+      }, 700);
+    }
+
+    return true;
+  };
+
+  const navigationListener = async (event, navUrl) => {
+    // Check if we're in presentation mode (URL contains /present/ or /localpresent but not /presentation/)
+    const isPresentMode = (navUrl.includes('/present/') || navUrl.includes('/localpresent')) && !navUrl.includes('/presentation/');
+    if (isPresentMode) {
+      // Slight delay to allow the presentation UI to become interactive
+      await new Promise(resolve => setTimeout(resolve, 250));
+      await sendSpeakerNotesKey('did-navigate');
+    }
+  };
+
+  presentationWindow.webContents.on('did-navigate', navigationListener);
+
+  // Listen for page load
+  presentationWindow.webContents.once('did-finish-load', async () => {
+    console.log('[API] Page finished loading');
+    if (!presentationWindow || presentationWindow.isDestroyed()) {
+      console.log('[API] Window destroyed before processing');
+      return;
+    }
+
+    // If we're NOT already in /present or /localpresent, attempt to trigger present mode.
+    // (Most of the time we load /present directly, so this will be skipped.)
+    try {
+      const loadedUrl = presentationWindow.webContents.getURL() || '';
+      const isPresentAlready = loadedUrl.includes('/present/') || loadedUrl.includes('/localpresent');
+      if (!isPresentAlready) {
+        await new Promise(resolve => setTimeout(resolve, 200));
+        if (presentationWindow && !presentationWindow.isDestroyed()) {
+          console.log('[API] Not in present mode yet, triggering Ctrl+Shift+F5...');
+          presentationWindow.focus();
+          await new Promise(resolve => setTimeout(resolve, 80));
+          presentationWindow.webContents.sendInputEvent({ type: 'keyDown', keyCode: 'F5', modifiers: ['control', 'shift'] });
+          presentationWindow.webContents.sendInputEvent({ type: 'keyUp', keyCode: 'F5', modifiers: ['control', 'shift'] });
+        }
+      }
+    } catch (e) {
+      // ignore
+    }
+
+    // Always attempt notes after load (covers cases where did-navigate isn't fired as expected).
+    setTimeout(() => {
+      sendSpeakerNotesKey('did-finish-load');
+    }, 650);
+  });
+
+  const win = presentationWindow;
+  win.on('closed', () => {
+    if (presentationWindow === win) {
+      presentationWindow = null;
+      resetSlideTracking();
+    }
+  });
+
+  // Escape key handler for presentation window
+  presentationWindow.webContents.on('before-input-event', (event, input) => {
+  if (input.key === 'Escape' && input.type === 'keyDown') {
+    event.preventDefault();
+    if (notesWindow && !notesWindow.isDestroyed()) notesWindow.close();
+    if (presentationWindow && !presentationWindow.isDestroyed()) presentationWindow.close();
+  }
+  });
+
+  const presentUrl = toPresentUrl(url);
+  console.log('[API] Loading PRESENT URL:', presentUrl);
+  lastPresentationUrl = url; // Store original URL (not /present URL) for reload
+  beginSlideTracking();
+  presentationWindow.loadURL(presentUrl);
+  presentationWindow.show();
+
+  // Broadcast to backups (async, don't wait)
+  sendToBackups('/api/open-presentation-with-notes', { url: url }).catch(err => {
+    console.error('[Backup] Error broadcasting open-presentation-with-notes:', err);
+  });
+
+  return { message: 'Presentation opened with notes' };
+});
+
+// POST /api/close-presentation - Close current presentation
+apiRoute('POST', '/api/close-presentation', () => {
+  console.log('[API] Closing presentation');
+
+  // Broadcast to backups (async, don't wait)
+  sendToBackups('/api/close-presentation', {}).catch(err => {
+    console.error('[Backup] Error broadcasting close-presentation:', err);
+  });
+
+  // Close windows after sending response to avoid errors
+  setImmediate(() => {
+    try {
+      if (notesWindow && !notesWindow.isDestroyed()) {
+        notesWindow.removeAllListeners('closed');
+        notesWindow.close();
+        notesWindow = null;
+      }
+      if (presentationWindow && !presentationWindow.isDestroyed()) {
+        presentationWindow.removeAllListeners('closed');
+        presentationWindow.close();
+        presentationWindow = null;
+      }
+      resetSlideTracking();
+    } catch (error) {
+      console.error('[API] Error closing windows:', error.message);
+    }
+  });
+
+  return { message: 'Presentation closed' };
+});
+
+// POST /api/next-slide - Go to next slide
+apiRoute('POST', '/api/next-slide', async () => {
+  requirePresentationWindow();
+
+  // Last slide of a rundown deck: load the next deck instead of running off the end
+  if (shouldAdvanceRundownOnNext()) {
+    if (loadPreferences().primaryBackupMode === 'backup') {
+      // The primary loads the next deck and mirrors it to us
+      return { message: 'End of deck (waiting for primary to load the next rundown deck)' };
+    }
+    const result = await loadRundownItem(getRundownFromPrefs(loadPreferences()).currentIndex + 1);
+    if (!result.success) throw apiErrorFromResult(result);
+    return { message: `Next deck: ${result.item.title}`, rundown: getRundownSummary(result.rundown) };
+  }
+
+  presentationWindow.focus();
+  presentationWindow.webContents.sendInputEvent({ type: 'keyDown', keyCode: 'Right' });
+  presentationWindow.webContents.sendInputEvent({ type: 'keyUp', keyCode: 'Right' });
+  assumeCurrentSlide(typeof currentSlide === 'number' ? currentSlide + 1 : 1);
+
+  // Broadcast to backups (async, don't wait)
+  sendToBackups('/api/next-slide', {}).catch(err => {
+    console.error('[Backup] Error broadcasting next-slide:', err);
+  });
+
+  return { message: 'Next slide' };
+});
+
+// POST /api/previous-slide - Go to previous slide
+apiRoute('POST', '/api/previous-slide', () => {
+  requirePresentationWindow();
+
+  presentationWindow.focus();
+  presentationWindow.webContents.sendInputEvent({ type: 'keyDown', keyCode: 'Left' });
+  presentationWindow.webContents.sendInputEvent({ type: 'keyUp', keyCode: 'Left' });
+  assumeCurrentSlide(typeof currentSlide === 'number' && currentSlide > 1 ? currentSlide - 1 : 1);
+
+  // Broadcast to backups (async, don't wait)
+  sendToBackups('/api/previous-slide', {}).catch(err => {
+    console.error('[Backup] Error broadcasting previous-slide:', err);
+  });
+
+  return { message: 'Previous slide' };
+});
+
+// GET /api/deck-index - Slides of the open deck we know about (number, page id, title)
+apiRoute('GET', '/api/deck-index', () => ({
+  totalSlides: slideTracking.totalSlides,
+  slides: getDeckIndex()
+}));
+
+// POST /api/go-to-slide - Navigate to a slide by number, page id or title
+apiRoute('POST', '/api/go-to-slide', async ({ body }) => {
+  requirePresentationWindow();
+
+  const hasSlideNumber = body.slide !== undefined && body.slide !== null && body.slide !== '';
+  const targetSlide = hasSlideNumber ? parseInt(body.slide, 10) : null;
+  if (hasSlideNumber && (isNaN(targetSlide) || targetSlide < 1)) {
+    throw apiError('INVALID_REQUEST', 'Valid slide number (>= 1) is required');
+  }
+
+  // pageId / title cues are resolved against the deck index built from the presenter view
+  const target = resolveSlideTarget({
+    slide: targetSlide,
+    pageId: body.pageId ? String(body.pageId).trim() : null,
+    title: body.title ? String(body.title) : null
+  });
+  if (target.error) {
+    throw apiError(target.code, target.error, target.candidates ? { candidates: target.candidates } : null);
+  }
+
+  const mode = body.mode || 'auto';
+  if (!GO_TO_SLIDE_MODES.includes(mode)) {
+    throw apiError('INVALID_REQUEST', `mode must be one of: ${GO_TO_SLIDE_MODES.join(', ')}`);
+  }
+
+  if (target.slide !== null && slideTracking.totalSlides && target.slide > slideTracking.totalSlides) {
+    throw apiError('INVALID_REQUEST', `Slide ${target.slide} is out of range (deck has ${slideTracking.totalSlides} slides)`);
+  }
+
+  const result = await goToSlide(target, { mode });
+  if (!result.success) {
+    const details = result.code === 'SLIDE_NOT_REACHED' ? { fromSlide: result.fromSlide, currentSlide: result.currentSlide } : null;
+    throw apiError(result.code || 'CONFLICT', result.error, details);
+  }
+
+  // Broadcast to backups once we got there (async, don't wait) - each machine jumps and verifies on its own.
+  // Send the resolved number plus the page id so a backup with a thinner deck index still lands right.
+  sendToBackups('/api/go-to-slide', { slide: target.slide, pageId: target.pageId || undefined, mode }).catch(err => {
+    console.error('[Backup] Error broadcasting go-to-slide:', err);
+  });
+
+  const landedOn = result.toSlide !== null && result.toSlide !== undefined ? 'slide ' + result.toSlide : 'page ' + result.pageId;
+  return {
+    message: result.method === 'none' ? 'Already on ' + landedOn : `Navigated to ${landedOn}`,
+    fromSlide: result.fromSlide,
+    toSlide: result.toSlide,
+    pageId: result.pageId || null,
+    verified: result.verified,
+    method: result.method,
+    confidence: slideTracking.confidence
+  };
+});
+
+// POST /api/reload-presentation - Close, reopen, and return to current slide
+apiRoute('POST', '/api/reload-presentation', () => {
+  requirePresentationWindow();
+  if (!lastPresentationUrl) {
+    throw apiError('CONFLICT', 'No previous presentation URL stored');
+  }
+
+  // Answer right away; the reload takes a few seconds
+  (async () => {
+    try {
+      // Step 1: Remember current slide number
+      const savedSlide = typeof currentSlide === 'number' ? currentSlide : 1;
+
+      // Step 2: Remember if speaker notes are open (boolean)
+      const notesWereOpen = !!(notesWindow && !notesWindow.isDestroyed());
+
+      // Step 3: Remember the URL
+      const urlToReload = lastPresentationUrl;
+
+      console.log('[API] Reload: Saving state - slide:', savedSlide, 'notes open:', notesWereOpen, 'URL:', urlToReload);
+
+      // Step 4: Close the presentation
+      if (notesWindow && !notesWindow.isDestroyed()) {
+        notesWindow.removeAllListeners('closed');
+        notesWindow.close();
+        notesWindow = null;
+      }
+      if (presentationWindow && !presentationWindow.isDestroyed()) {
+        presentationWindow.removeAllListeners('closed');
+        presentationWindow.close();
+        presentationWindow = null;
+      }
+      resetSlideTracking();
+
+      // Wait for windows to close
+      await new Promise(resolve => setTimeout(resolve, 200));
+
+      // Step 5: Reopen the presentation (using same logic as /api/open-presentation)
+      const prefs = loadPreferences();
+      const displays = screen.getAllDisplays();
+      const presentationDisplayId = Number(prefs.presentationDisplayId);
+      const notesDisplayId = Number(prefs.notesDisplayId);
+      const presentationDisplay = displays.find(d => d.id === presentationDisplayId) || displays[0];
+      const notesDisplay = displays.find(d => d.id === notesDisplayId) || displays[0];
+
+      // Note: Don't use fullscreen: true in constructor as it creates a new Space on macOS
+      // We'll use setSimpleFullScreen() after creation to avoid Spaces conflicts
+      presentationWindow = new BrowserWindow({
+        x: presentationDisplay.bounds.x,
+        y: presentationDisplay.bounds.y,
+        width: presentationDisplay.bounds.width,
+        height: presentationDisplay.bounds.height,
+        frame: false,
+        webPreferences: {
+          nodeIntegration: false,
+          contextIsolation: true,
+          partition: GOOGLE_SESSION_PARTITION
+        }
+      });
+
+      // Set simple fullscreen on macOS to avoid Spaces conflicts
+      if (process.platform === 'darwin') {
+        presentationWindow.setSimpleFullScreen(true);
+      }
+
+      // Set up window open handler for speaker notes popup
+      presentationWindow.webContents.setWindowOpenHandler(({ url, frameName, features }) => {
+        // Use default size from Google Slides (no size/position override)
+        const windowOptions = {
+          frame: false,
+          webPreferences: {
+            nodeIntegration: false,
+            contextIsolation: true,
+            partition: GOOGLE_SESSION_PARTITION
+          }
+        };
+
+        return {
+          action: 'allow',
+          overrideBrowserWindowOptions: windowOptions
+        };
+      });
+
+      // Listen for notes window creation
+      const windowCreatedListener = (event, window) => {
+        if (window !== presentationWindow && window !== mainWindow && !creatingOwnWindow) {
+          console.log('[API] Reload: Notes window created');
+          notesWindow = window;
+
+          // Add Escape key handler to notes window
+          window.webContents.on('before-input-event', (event, input) => {
+            if (input.key === 'Escape' && input.type === 'keyDown') {
+              event.preventDefault();
+              if (notesWindow && !notesWindow.isDestroyed()) notesWindow.close();
+              if (presentationWindow && !presentationWindow.isDestroyed()) presentationWindow.close();
+            }
+          });
+
+          // Set speaker notes window to fullscreen when it loads
+          window.webContents.once('did-finish-load', () => {
+            setSpeakerNotesFullscreen(window);
+          });
+
+          // Also try when DOM is ready (in case did-finish-load fires too early)
+          window.webContents.once('dom-ready', () => {
+            setTimeout(() => {
+              setSpeakerNotesFullscreen(window);
+            }, 500);
+          });
+
+          app.removeListener('browser-window-created', windowCreatedListener);
+        }
+      };
+      app.on('browser-window-created', windowCreatedListener);
+
+      // Set up window event handlers BEFORE loading URL
+      const win = presentationWindow;
+      win.on('closed', () => {
+        if (presentationWindow === win) {
+          presentationWindow = null;
+          resetSlideTracking();
+        }
+      });
+
+      // Escape key handler for presentation window - set up BEFORE showing window
+      presentationWindow.webContents.on('before-input-event', (event, input) => {
+        if (input.key === 'Escape' && input.type === 'keyDown') {
+          console.log('[API] Reload: Escape pressed, closing presentation and notes windows');
+          event.preventDefault();
+          if (notesWindow && !notesWindow.isDestroyed()) notesWindow.close();
+          if (presentationWindow && !presentationWindow.isDestroyed()) presentationWindow.close();
+        }
+      });
+
+      // Load the presentation
+      const presentUrl = toPresentUrl(urlToReload);
+      lastPresentationUrl = urlToReload;
+      beginSlideTracking(); // Will be updated after navigation
+
+      presentationWindow.loadURL(presentUrl);
+
+      // Show and focus the window immediately to ensure it receives keyboard events
+      presentationWindow.show();
+      presentationWindow.focus();
+
+      // Also focus when window becomes ready
+      presentationWindow.once('ready-to-show', () => {
+        if (presentationWindow && !presentationWindow.isDestroyed()) {
+          presentationWindow.focus();
+        }
+      });
+
+      // Trigger presentation mode when page loads
+      presentationWindow.webContents.once('did-finish-load', async () => {
+        console.log('[API] Reload: Page finished loading');
+        if (!presentationWindow || presentationWindow.isDestroyed()) {
+          return;
+        }
+
+        // Ensure window is focused before sending keyboard events
+        presentationWindow.focus();
+        await new Promise(resolve => setTimeout(resolve, 200));
+
+        if (presentationWindow && !presentationWindow.isDestroyed()) {
+          console.log('[API] Reload: Triggering Ctrl+Shift+F5 for presentation mode');
+          // Focus again before sending keyboard event
+          presentationWindow.focus();
+          await new Promise(resolve => setTimeout(resolve, 100));
+
+          presentationWindow.webContents.sendInputEvent({ type: 'keyDown', keyCode: 'F5', modifiers: ['control', 'shift'] });
+          presentationWindow.webContents.sendInputEvent({ type: 'keyUp', keyCode: 'F5', modifiers: ['control', 'shift'] });
+        }
+      });
+
+      // Wait for presentation mode to be ready
+      await new Promise(resolve => setTimeout(resolve, 2000));
+
+      // Step 6: Navigate to the saved slide number using the go-to-slide endpoint
+      if (presentationWindow && !presentationWindow.isDestroyed() && savedSlide > 1) {
+        console.log('[API] Reload: Navigating to saved slide:', savedSlide);
+
+        // Use the go-to-slide endpoint to jump directly to the slide
+        const prefs = loadPreferences();
+        const apiPort = prefs.apiPort || DEFAULT_API_PORT;
+
+        try {
+          const postData = JSON.stringify({ slide: savedSlide });
+
+          const options = {
+            hostname: '127.0.0.1',
+            port: apiPort,
+            path: '/api/go-to-slide',
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              'Content-Length': Buffer.byteLength(postData),
+              ...getInternalApiHeaders()
+            }
+          };
+
+          await new Promise((resolve, reject) => {
+            const req = http.request(options, (res) => {
+              let data = '';
+              res.on('data', (chunk) => { data += chunk; });
+              res.on('end', () => {
+                try {
+                  const result = JSON.parse(data);
+                  if (result.success) {
+                    console.log('[API] Reload: Successfully navigated to slide', savedSlide);
+                  } else {
+                    console.error('[API] Reload: Failed to navigate to slide:', getApiErrorMessage(result));
+                  }
+                  resolve();
+                } catch (err) {
+                  console.error('[API] Reload: Error parsing response:', err);
+                  resolve();
+                }
+              });
+            });
+
+            req.on('error', (err) => {
+              console.error('[API] Reload: Error calling go-to-slide endpoint:', err);
+              resolve(); // Don't reject, just log the error
+            });
+
+            req.write(postData);
+            req.end();
+          });
+        } catch (error) {
+          console.error('[API] Reload: Error calling go-to-slide endpoint:', error);
+        }
+      } else if (savedSlide === 1) {
+        // If we're already on slide 1, just update the tracking
+        assumeCurrentSlide(1);
+        console.log('[API] Reload: Already on slide 1');
+      }
+
+      // Step 7: Reopen speaker notes if they were previously open
+      if (notesWereOpen && presentationWindow && !presentationWindow.isDestroyed()) {
+        console.log('[API] Reload: Speaker notes were previously open, launching them now');
+        await new Promise(resolve => setTimeout(resolve, 1000)); // Wait longer for presentation mode to be ready
+
+        // Ensure window has focus before sending keyboard events
+        if (presentationWindow && !presentationWindow.isDestroyed()) {
+          presentationWindow.focus();
+          await new Promise(resolve => setTimeout(resolve, 200));
+
+          // Send the 's' key to open speaker notes
+          presentationWindow.webContents.sendInputEvent({ type: 'keyDown', keyCode: 'S' });
+          presentationWindow.webContents.sendInputEvent({ type: 'char', keyCode: 's' });
+          presentationWindow.webContents.sendInputEvent({ type: 'keyUp', keyCode: 'S' });
+
+          console.log('[API] Reload: Speaker notes launch command sent');
+        }
+      } else {
+        console.log('[API] Reload: Speaker notes were not previously open, skipping');
+      }
+
+      // Final focus to ensure window is ready for keyboard input
+      if (presentationWindow && !presentationWindow.isDestroyed()) {
+        setTimeout(() => {
+          presentationWindow.focus();
+        }, 500);
+      }
+
+      console.log('[API] Reload: Complete');
+
+    } catch (error) {
+      console.error('[API] Error during reload:', error);
+    }
+  })();
+
+  return { message: 'Reloading presentation...' };
+});
+
+// POST /api/toggle-video - Toggle video playback (k key)
+apiRoute('POST', '/api/toggle-video', () => {
+  requirePresentationWindow();
+
+  presentationWindow.focus();
+  presentationWindow.webContents.sendInputEvent({ type: 'keyDown', keyCode: 'K' });
+  presentationWindow.webContents.sendInputEvent({ type: 'char', keyCode: 'k' });
+  presentationWindow.webContents.sendInputEvent({ type: 'keyUp', keyCode: 'K' });
+
+  // Broadcast to backups (async, don't wait)
+  sendToBackups('/api/toggle-video', {}).catch(err => {
+    console.error('[Backup] Error broadcasting toggle-video:', err);
+  });
+
+  return { message: 'Video toggled' };
+});
+
+// POST /api/open-speaker-notes - Open/start speaker notes (s key)
+apiRoute('POST', '/api/open-speaker-notes', async () => {
+  requirePresentationWindow();
+
+  console.log('[API] Opening speaker notes');
+  presentationWindow.focus();
+  await new Promise(resolve => setTimeout(resolve, 50));
+  presentationWindow.webContents.sendInputEvent({ type: 'keyDown', keyCode: 'S' });
+  presentationWindow.webContents.sendInputEvent({ type: 'char', keyCode: 's' });
+  presentationWindow.webContents.sendInputEvent({ type: 'keyUp', keyCode: 'S' });
+
+  // Broadcast to backups (async, don't wait)
+  sendToBackups('/api/open-speaker-notes', {}).catch(err => {
+    console.error('[Backup] Error broadcasting open-speaker-notes:', err);
+  });
+
+  return { message: 'Speaker notes opened' };
+});
+
+// POST /api/close-speaker-notes - Close the speaker notes window
+apiRoute('POST', '/api/close-speaker-notes', () => {
+  requireNotesWindow();
+
+  notesWindow.close();
+  notesWindow = null;
+
+  // Broadcast to backups (async, don't wait)
+  sendToBackups('/api/close-speaker-notes', {}).catch(err => {
+    console.error('[Backup] Error broadcasting close-speaker-notes:', err);
+  });
+
+  return { message: 'Speaker notes closed' };
+});
+
+// ----------------------------
+// Output covers (blackout / whiteout / freeze / slate)
+// ----------------------------
+// Covers the projector without touching the deck: a frameless always-on-top window over the
+// presentation display shows black, white, a frozen frame of the deck, or the slate (prefs.slateImage,
+// a file path or http(s) URL, otherwise prefs.slateText on a dark background). The deck keeps running
+// underneath, so slides can be changed while covered, and a crashed deck can be covered too.
+// One cover at a time: turning one on replaces the other; 'live' means nothing is covering the deck.
+const OUTPUT_MODES = ['live', 'blackout', 'whiteout', 'freeze', 'slate'];
+const DEFAULT_SLATE_TEXT = 'Please stand by';
+const SLATE_IMAGE_TYPES = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif', '.webp': 'image/webp', '.svg': 'image/svg+xml' };
+
+let outputMode = 'live';
+let outputWindow = null;
+// Cover changes run one at a time, in order. Each awaits (frame capture, page load), so two quick
+// requests would otherwise both see no window and create one each, or both toggle from the same mode.
+let outputChanges = Promise.resolve();
+
+function queueOutputChange(change) {
+  const run = outputChanges.then(change);
+  outputChanges = run.catch(() => {});
+  return run;
+}
+
+// Page shell; the cover itself is set with showCover() so large images don't go through the URL
+const OUTPUT_WINDOW_HTML = `<!DOCTYPE html>
+<html><head><meta charset="UTF-8"><style>
+  html, body { margin: 0; width: 100%; height: 100%; overflow: hidden; cursor: none; background: #000; }
+  body.whiteout { background: #fff; }
+  body.slate { background: #111; }
+  img { display: none; width: 100%; height: 100%; object-fit: contain; }
+  #text { display: none; height: 100%; align-items: center; justify-content: center; text-align: center;
+    color: #fff; font: 600 6vh -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; padding: 0 8vw; }
+</style></head><body><img id="image" alt=""><div id="text"></div><script>
+  function showCover(cover) {
+    var image = document.getElementById('image');
+    var text = document.getElementById('text');
+    document.body.className = cover.mode;
+    image.style.display = cover.image ? 'block' : 'none';
+    image.src = cover.image || '';
+    text.style.display = cover.text ? 'flex' : 'none';
+    text.textContent = cover.text || '';
+  }
+</script></body></html>`;
+
+// Data URL for a local file, the URL itself for http(s), or null (text slate)
+function getSlateImageSource(prefs) {
+  const ref = String(prefs?.slateImage || '').trim();
+  if (!ref) return null;
+  if (/^https?:\/\//i.test(ref)) return ref;
+  const type = SLATE_IMAGE_TYPES[path.extname(ref).toLowerCase()];
+  if (!type) {
+    logWarn('[Output] Slate image is not a supported image type:', ref);
+    return null;
+  }
+  try {
+    return `data:${type};base64,${fs.readFileSync(ref).toString('base64')}`;
+  } catch (error) {
+    logWarn('[Output] Could not read slate image:', error.message);
+    return null;
+  }
+}
+
+function getOutputDisplay() {
+  if (presentationWindow && !presentationWindow.isDestroyed()) {
+    return screen.getDisplayMatching(presentationWindow.getBounds());
+  }
+  return getPresentationDisplay();
+}
+
+async function getOutputCover(mode) {
+  if (mode === 'freeze') {
+    requirePresentationWindow();
+    let image;
+    try {
+      image = await presentationWindow.webContents.capturePage();
+    } catch (error) {
+      throw apiError('CONFLICT', `Could not capture the deck to freeze it: ${error.message}`);
+    }
+    return { mode, image: image.toDataURL() };
+  }
+  if (mode === 'slate') {
+    const prefs = loadPreferences();
+    const image = getSlateImageSource(prefs);
+    return image ? { mode, image } : { mode, text: String(prefs.slateText || '').trim() || DEFAULT_SLATE_TEXT };
+  }
+  return { mode };
+}
+
+function closeOutputWindow() {
+  const win = outputWindow;
+  outputWindow = null;
+  if (win && !win.isDestroyed()) win.close();
+}
+
+function setOutputMode(mode) {
+  return queueOutputChange(() => applyOutputMode(mode));
+}
+
+async function applyOutputMode(mode) {
+  if (mode === outputMode && (mode === 'live' || (outputWindow && !outputWindow.isDestroyed()))) return;
+
+  if (mode === 'live') {
+    closeOutputWindow();
+  } else {
+    // Capture before covering: a frozen frame must show the deck, not the cover
+    const cover = await getOutputCover(mode);
+    if (!outputWindow || outputWindow.isDestroyed()) {
+      const { bounds } = getOutputDisplay();
+      const win = createOwnWindow({
+        x: bounds.x,
+        y: bounds.y,
+        width: bounds.width,
+        height: bounds.height,
+        frame: false,
+        show: false,
+        focusable: false,
+        skipTaskbar: true,
+        hasShadow: false,
+        enableLargerThanScreen: true,
+        backgroundColor: '#000000',
+        webPreferences: { contextIsolation: true, nodeIntegration: false }
+      });
+      // Above the full-screen deck on every platform
+      win.setAlwaysOnTop(true, 'screen-saver');
+      win.on('closed', () => {
+        if (outputWindow !== win) return;
+        outputWindow = null;
+        outputMode = 'live';
+        publishEvent('output-changed', { mode: outputMode });
+      });
+      outputWindow = win;
+      await win.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(OUTPUT_WINDOW_HTML)}`);
+    }
+    await outputWindow.webContents.executeJavaScript(`showCover(${JSON.stringify(cover)})`);
+    // Don't take focus from the deck; slide keys still go to it
+    outputWindow.showInactive();
+  }
+
+  outputMode = mode;
+  logInfo(`[Output] ${mode === 'live' ? 'Cover removed' : `Covered: ${mode}`}`);
+  publishEvent('output-changed', { mode });
+}
+
+// Shared by the cover routes: { on } sets the cover, no body toggles it. Backups get the resolved
+// state, so a toggle can't leave them the other way round.
+async function handleOutputCoverRequest(mode, body) {
+  const on = readBooleanField(body, 'on');
+  // Decided in the queue, so a toggle sees the result of the change before it
+  const wanted = await queueOutputChange(async () => {
+    const turnOn = on === undefined ? outputMode !== mode : on;
+    if (turnOn) {
+      await applyOutputMode(mode);
+    } else if (outputMode === mode) {
+      await applyOutputMode('live');
+    }
+    return turnOn;
+  });
+
+  sendToBackups(`/api/${mode}`, { on: wanted }).catch(err => {
+    console.error(`[Backup] Error broadcasting ${mode}:`, err);
+  });
+
+  return { message: wanted ? `Output: ${mode}` : 'Output: live', outputMode };
+}
+
+// GET /api/output - Which cover (if any) is over the deck
+apiRoute('GET', '/api/output', () => ({ outputMode }));
+
+// POST /api/output - Set the cover by name ({ mode }); 'live' removes any cover
+apiRoute('POST', '/api/output', async ({ body }) => {
+  if (!OUTPUT_MODES.includes(body.mode)) {
+    throw apiError('INVALID_REQUEST', `mode must be one of: ${OUTPUT_MODES.join(', ')}`);
+  }
+  await setOutputMode(body.mode);
+
+  sendToBackups('/api/output', { mode: body.mode }).catch(err => {
+    console.error('[Backup] Error broadcasting output:', err);
+  });
+
+  return { message: `Output: ${body.mode}`, outputMode };
+});
+
+// POST /api/blackout - Cover the deck with black ({ on }, or toggle)
+apiRoute('POST', '/api/blackout', ({ body }) => handleOutputCoverRequest('blackout', body));
+
+// POST /api/whiteout - Cover the deck with white ({ on }, or toggle)
+apiRoute('POST', '/api/whiteout', ({ body }) => handleOutputCoverRequest('whiteout', body));
+
+// POST /api/freeze - Hold the current frame while the deck changes underneath ({ on }, or toggle)
+apiRoute('POST', '/api/freeze', ({ body }) => handleOutputCoverRequest('freeze', body));
+
+// POST /api/slate - Show the slate image or holding text ({ on }, or toggle)
+apiRoute('POST', '/api/slate', ({ body }) => handleOutputCoverRequest('slate', body));
+
+// Scroll the presenter view's notes by a number of pixels (negative = up). JS only, no keyboard.
+async function scrollSpeakerNotes(pixels) {
+  requireNotesWindow();
+  const amount = Math.trunc(Number(pixels)) || 0;
+
+  const result = await notesWindow.webContents.executeJavaScript(`
+    (function() {
+      // Find scrollable elements - try common patterns in Google Slides presenter view
+      var scrollable = null;
+      var allElements = document.querySelectorAll('*');
+      for (var i = 0; i < allElements.length; i++) {
+        var el = allElements[i];
+        var style = window.getComputedStyle(el);
+        if ((style.overflowY === 'auto' || style.overflowY === 'scroll') && 
+            el.scrollHeight > el.clientHeight) {
+          scrollable = el;
+          break;
+        }
+      }
+      // Fallback: try document body or documentElement if they're scrollable
+      if (!scrollable) {
+        if (document.body && document.body.scrollHeight > document.body.clientHeight) {
+          scrollable = document.body;
+        } else if (document.documentElement && document.documentElement.scrollHeight > document.documentElement.clientHeight) {
+          scrollable = document.documentElement;
+        }
+      }
+      if (scrollable) {
+        scrollable.scrollBy(0, ${amount});
+        return { success: true, scrolled: true };
+      }
+      return { success: false, error: 'No scrollable element found' };
+    })()
+  `);
+  if (!result || !result.success || !result.scrolled) {
+    throw apiError('ELEMENT_NOT_FOUND', (result && result.error) || 'Could not scroll notes');
+  }
+}
+
+function readScrollPixels(body) {
+  const pixels = readIntegerField(body, 'pixels');
+  if (pixels === undefined) return 150;
+  if (pixels < 1 || pixels > 10000) throw apiError('INVALID_REQUEST', 'pixels must be between 1 and 10000');
+  return pixels;
+}
+
+// Presenter view notes zoom, counted in button clicks from where Slides opened it.
+// Tied to the window so a new notes window starts again at 0.
+let notesZoom = { window: null, level: 0 };
+
+function getNotesZoomLevel() {
+  return notesWindow && notesZoom.window === notesWindow ? notesZoom.level : 0;
+}
+
+// Click the presenter view's "Zoom in" / "Zoom out" button once (direction: 'in' | 'out')
+async function clickNotesZoomButton(direction) {
+  requireNotesWindow();
+  const title = direction === 'in' ? 'Zoom in' : 'Zoom out';
+
+  const result = await notesWindow.webContents.executeJavaScript(`
+    (function() {
+      const zoomButton = document.querySelector('[title="${title}"]');
+      if (zoomButton) {
+        // Dispatch real mouse events
+        const mousedownEvent = new MouseEvent('mousedown', {
+          bubbles: true,
+          cancelable: true,
+          view: window,
+          button: 0
+        });
+        const mouseupEvent = new MouseEvent('mouseup', {
+          bubbles: true,
+          cancelable: true,
+          view: window,
+          button: 0
+        });
+        const clickEvent = new MouseEvent('click', {
+          bubbles: true,
+          cancelable: true,
+          view: window,
+          button: 0
+        });
+
+        zoomButton.dispatchEvent(mousedownEvent);
+        zoomButton.dispatchEvent(mouseupEvent);
+        zoomButton.dispatchEvent(clickEvent);
+
+        return { success: true };
+      }
+      return { success: false, error: 'Button not found' };
+    })()
+  `);
+  if (!result || !result.success) {
+    console.log(`[API] ✗ ${title} button not found`);
+    throw apiError('ELEMENT_NOT_FOUND', (result && result.error) || 'Button not found');
+  }
+  console.log(`[API] ✓ Dispatched mouse events to ${title.toLowerCase()} button`);
+  notesZoom = { window: notesWindow, level: getNotesZoomLevel() + (direction === 'in' ? 1 : -1) };
+}
+
+// POST /api/scroll-notes-down - Scroll speaker notes down (JS only, no keyboard); optional { pixels }, default 150
+apiRoute('POST', '/api/scroll-notes-down', async ({ body }) => {
+  const pixels = readScrollPixels(body);
+  await scrollSpeakerNotes(pixels);
+
+  // Broadcast to backups (async, don't wait)
+  sendToBackups('/api/scroll-notes-down', { pixels }).catch(err => {
+    console.error('[Backup] Error broadcasting scroll-notes-down:', err);
+  });
+
+  return { message: 'Notes scrolled down' };
+});
+
+// POST /api/scroll-notes-up - Scroll speaker notes up (JS only, no keyboard); optional { pixels }, default 150
+apiRoute('POST', '/api/scroll-notes-up', async ({ body }) => {
+  const pixels = readScrollPixels(body);
+  await scrollSpeakerNotes(-pixels);
+
+  // Broadcast to backups (async, don't wait)
+  sendToBackups('/api/scroll-notes-up', { pixels }).catch(err => {
+    console.error('[Backup] Error broadcasting scroll-notes-up:', err);
+  });
+
+  return { message: 'Notes scrolled up' };
+});
+
+// POST /api/zoom-in-notes - Zoom in on speaker notes
+apiRoute('POST', '/api/zoom-in-notes', async () => {
+  console.log('[API] Zoom in on speaker notes requested');
+  await clickNotesZoomButton('in');
+
+  // Broadcast to backups (async, don't wait)
+  sendToBackups('/api/zoom-in-notes', {}).catch(err => {
+    console.error('[Backup] Error broadcasting zoom-in-notes:', err);
+  });
+
+  return { message: 'Zoomed in on notes' };
+});
+
+// POST /api/zoom-out-notes - Zoom out on speaker notes
+apiRoute('POST', '/api/zoom-out-notes', async () => {
+  console.log('[API] Zoom out on speaker notes requested');
+  await clickNotesZoomButton('out');
+
+  // Broadcast to backups (async, don't wait)
+  sendToBackups('/api/zoom-out-notes', {}).catch(err => {
+    console.error('[Backup] Error broadcasting zoom-out-notes:', err);
+  });
+
+  return { message: 'Zoomed out on notes' };
+});
+
+// GET /api/get-speaker-notes - Get current speaker notes content
+apiRoute('GET', '/api/get-speaker-notes', async () => {
+  requireNotesWindow();
+
+  const notesContent = await notesWindow.webContents.executeJavaScript(`
+    (function(){
+      // First, try to find the specific div that contains only the notes text
+      var notesTextDiv = document.querySelector('div.punch-viewer-speakernotes-text-body-scrollable');
+
+      if (notesTextDiv) {
+        // This is the exact element we want - just get its text
+        var notesText = notesTextDiv.innerText || notesTextDiv.textContent || '';
+        notesText = notesText.trim();
+
+        if (notesText.length > 0) {
+          return notesText;
+        }
+      }
+
+      // Fallback: Look for the table if the specific div isn't found
+      var notesTable = document.querySelector('table.punch-viewer-speakernotes, table[id*="speakernotes"], table[class*="speakernotes"]');
+
+      if (!notesTable) {
+        // Try alternative selectors
+        notesTable = document.querySelector('[class*="punch-viewer-speakernotes"]');
+      }
+
+      if (!notesTable) {
+        // Try finding by ID
+        notesTable = document.getElementById('punch-viewer-speakernotes');
+      }
+
+      if (notesTable) {
+        // Try to find the text body div within the table
+        var textBodyDiv = notesTable.querySelector('div.punch-viewer-speakernotes-text-body-scrollable');
+        if (textBodyDiv) {
+          var notesText = textBodyDiv.innerText || textBodyDiv.textContent || '';
+          notesText = notesText.trim();
+
+          if (notesText.length > 0) {
+            return notesText;
+          }
+        }
+
+        // Last resort: Clone the table and clean it up
+        var tableClone = notesTable.cloneNode(true);
+
+        // Remove UI elements that shouldn't be in notes
+        var uiElements = tableClone.querySelectorAll('button, [role="button"], [class*="button"], [class*="control"], [class*="timer"], [class*="thumbnail"], [aria-label*="Pause"], [aria-label*="Reset"], [aria-label*="Next"], [aria-label*="Previous"]');
+        for (var i = 0; i < uiElements.length; i++) {
+          uiElements[i].remove();
+        }
+
+        // Remove cells that are clearly UI (short text, button labels, timers)
+        var allCells = tableClone.querySelectorAll('td, th');
+        for (var j = 0; j < allCells.length; j++) {
+          var cell = allCells[j];
+          var cellText = (cell.innerText || cell.textContent || '').trim();
+
+          if (cellText.length <= 2) {
+            cell.remove();
+            continue;
+          }
+          if (/^(Pause|Reset|Next|Previous|Zoom|Timer|Slide)$/i.test(cellText)) {
+            cell.remove();
+            continue;
+          }
+          if (/^\\d{1,2}:\\d{2}(?::\\d{2})?$/.test(cellText)) {
+            cell.remove();
+            continue;
+          }
+          if (/^\\d+$/.test(cellText) && cellText.length <= 3) {
+            cell.remove();
+            continue;
+          }
+        }
+
+        var notesText = tableClone.innerText || tableClone.textContent || '';
+        notesText = notesText.trim();
+
+        // Remove common UI patterns that might leak through
+        // Only remove these in specific UI contexts, not when they're part of actual notes
+        notesText = notesText.replace(/Slide \\d+ of \\d+/gi, '');
+        notesText = notesText.replace(/^Slide \\d+$/gmi, ''); // Remove standalone "Slide X" lines
+        notesText = notesText.replace(/\\d{1,2}:\\d{2}(?::\\d{2})?/g, '');
+        // Only remove specific UI button labels (not common words that might be in notes)
+        notesText = notesText.replace(/\\b(Previous Slide|Next Slide)\\b/gi, '');
+        notesText = notesText.replace(/\\b(Pause|Reset)\\b/gi, '');
+        notesText = notesText.replace(/\\b(Zoom In|Zoom Out)\\b/gi, '');
+        notesText = notesText.replace(/AUDIENCE TOOLS|SPEAKER NOTES/gi, '');
+        notesText = notesText.replace(/Q&A|Questions|Answers/gi, '');
+
+        // Split into lines and filter out slide numbers and blank lines at the start
+        var lines = notesText.split('\\n');
+        var startIndex = 0;
+        // Skip leading blank lines and slide number patterns
+        for (var i = 0; i < lines.length; i++) {
+          var line = lines[i].trim();
+          // Skip blank lines
+          if (line === '') {
+            continue;
+          }
+          // Skip lines that are just slide numbers (e.g., "1", "Slide 1", "1 of 10")
+          if (/^\\d+$/.test(line) || /^Slide \\d+/i.test(line) || /^\\d+ of \\d+$/i.test(line)) {
+            continue;
+          }
+          // Found first real content line
+          startIndex = i;
+          break;
+        }
+        // Rejoin from the first real content line
+        notesText = lines.slice(startIndex).join('\\n');
+
+        // Clean up multiple newlines and whitespace
+        notesText = notesText.replace(/\\n{3,}/g, '\\n\\n');
+        notesText = notesText.replace(/[ \\t]{2,}/g, ' ');
+        notesText = notesText.trim();
+
+        if (notesText.length > 0) {
+          return notesText;
+        }
+      }
+
+      // Fallback: try to find any element with that class/id pattern
+      var notesElement = document.querySelector('[class*="punch-viewer-speakernotes"], [id*="speakernotes"]');
+      if (notesElement) {
+        // First, try to find the specific text body div within this element
+        var textBodyDiv = notesElement.querySelector('div.punch-viewer-speakernotes-text-body-scrollable');
+        if (textBodyDiv) {
+          var notesText = textBodyDiv.innerText || textBodyDiv.textContent || '';
+          notesText = notesText.trim();
+
+          if (notesText.length > 0) {
+            return notesText;
+          }
+        }
+
+        // If we didn't find the specific div, fall back to cleaning the element
+        var elementClone = notesElement.cloneNode(true);
+
+        // Remove UI elements
+        var uiElements = elementClone.querySelectorAll('button, [role="button"], [class*="button"], [class*="control"], [class*="timer"], [class*="thumbnail"], [aria-label*="Pause"], [aria-label*="Reset"], [aria-label*="Next"], [aria-label*="Previous"]');
+        for (var i = 0; i < uiElements.length; i++) {
+          uiElements[i].remove();
+        }
+
+        // If it's a table, clean up cells like we did above
+        if (elementClone.tagName === 'TABLE') {
+          var allCells = elementClone.querySelectorAll('td, th');
+          for (var j = 0; j < allCells.length; j++) {
+            var cell = allCells[j];
+            var cellText = (cell.innerText || cell.textContent || '').trim();
+
+            if (cellText.length <= 2) {
+              cell.remove();
+              continue;
+            }
+            if (/^(Pause|Reset|Next|Previous|Zoom|Timer|Slide)$/i.test(cellText)) {
+              cell.remove();
+              continue;
+            }
+            if (/^\\d{1,2}:\\d{2}(?::\\d{2})?$/.test(cellText)) {
+              cell.remove();
+              continue;
+            }
+            if (/^\\d+$/.test(cellText) && cellText.length <= 3) {
+              cell.remove();
+              continue;
+            }
+          }
+        }
+
+        var notesText = elementClone.innerText || elementClone.textContent || '';
+        notesText = notesText.trim();
+
+        // Clean up remaining patterns
+        notesText = notesText.replace(/Slide \\d+ of \\d+/gi, '');
+        notesText = notesText.replace(/^Slide \\d+$/gmi, '');
+        notesText = notesText.replace(/AUDIENCE TOOLS|SPEAKER NOTES/gi, '');
+        notesText = notesText.replace(/Q&A|Questions|Answers/gi, '');
+
+        // Split into lines and filter out slide numbers and blank lines at the start
+        var lines = notesText.split('\\n');
+        var startIndex = 0;
+        for (var k = 0; k < lines.length; k++) {
+          var line = lines[k].trim();
+          if (line === '') continue;
+          if (/^\\d+$/.test(line) || /^Slide \\d+/i.test(line) || /^\\d+ of \\d+$/i.test(line)) {
+            continue;
+          }
+          startIndex = k;
+          break;
+        }
+        notesText = lines.slice(startIndex).join('\\n');
+        notesText = notesText.replace(/\\n{3,}/g, '\\n\\n').trim();
+
+        if (notesText.length > 0) {
+          return notesText;
+        }
+      }
+
+      return 'No notes available for this slide.';
+    })()
+  `);
+
+  return { notes: notesContent || 'No notes available for this slide.' };
+});
+
+// GET /api/get-slide-previews - Get current + next slide preview images (from presenter view)
+apiRoute('GET', '/api/get-slide-previews', async () => {
+  requireNotesWindow();
+  const { success, code, error, ...previews } = await captureSlidePreviewsFromNotesWindow({ maxSize: 200 });
+  if (!success) throw apiError(code || 'ELEMENT_NOT_FOUND', error);
+  return previews;
+});
+
+// GET /api/get-stagetimer-status - Get live timer data from stagetimer.io
+apiRoute('GET', '/api/get-stagetimer-status', () => {
+  const prefs = loadPreferences();
+  const roomId = prefs.stagetimerRoomId;
+  const apiKey = prefs.stagetimerApiKey;
+
+  if (!roomId || !apiKey) {
+    throw apiError('NOT_CONFIGURED', 'Stagetimer not configured. Please set Room ID and API Key in Settings.', { configured: false });
+  }
+
+  return new Promise((resolve, reject) => {
+    // Call stagetimer.io API for status
+    const statusUrl = `https://api.stagetimer.io/v1/get_status?room_id=${encodeURIComponent(roomId)}&api_key=${encodeURIComponent(apiKey)}`;
+    const messagesUrl = `https://api.stagetimer.io/v1/get_all_messages?room_id=${encodeURIComponent(roomId)}&api_key=${encodeURIComponent(apiKey)}`;
+
+    // Fetch status and messages in parallel, then fetch timer using timer_id
+    let statusData = null;
+    let messagesData = null;
+    let timerData = null;
+    let completed = 0;
+    let timerCompleted = false;
+    let timerTimeout = null;
+    const totalRequests = 2; // Status and messages first
+    const TIMER_FETCH_TIMEOUT = 5000; // 5 second timeout for timer fetch
+
+    function sendResponse() {
+      // Wait for status and messages
+      if (completed < totalRequests) return;
+      // If we're waiting for timer, give it a chance, but don't wait forever
+      if (timerData === null && !timerCompleted) {
+        // Set a timeout to send response even if timer fetch hangs
+        if (!timerTimeout) {
+          timerTimeout = setTimeout(() => {
+            console.warn('[API] Timer fetch timeout, sending response without timer data');
+            timerCompleted = true;
+            timerData = { ok: false, data: {}, error: 'Timeout' };
+            sendResponse();
+          }, TIMER_FETCH_TIMEOUT);
+        }
+        return;
+      }
+
+      // Clear timeout if we got here normally
+      if (timerTimeout) {
+        clearTimeout(timerTimeout);
+        timerTimeout = null;
+      }
+
+      try {
+        if (statusData && statusData.ok && statusData.data) {
+          const status = statusData.data;
+          const now = status.server_time || Date.now();
+
+          // Calculate remaining/elapsed time
+          let remainingMs = 0;
+          let elapsedMs = 0;
+          let displayTime = '0:00';
+          let isRunning = status.running || false;
+
+          if (status.finish && status.start) {
+            const duration = status.finish - status.start;
+
+            if (isRunning) {
+              remainingMs = status.finish - now; // Allow negative values
+              elapsedMs = now - status.start;
+            } else if (status.pause) {
+              // Timer is paused
+              elapsedMs = status.pause - status.start;
+              remainingMs = duration - elapsedMs;
+            } else {
+              // Timer not started
+              remainingMs = duration;
+              elapsedMs = 0;
+            }
+
+            // Format time as MM:SS or HH:MM:SS (allow negative)
+            const totalSeconds = Math.floor(remainingMs / 1000);
+            const isNegative = totalSeconds < 0;
+            const absSeconds = Math.abs(totalSeconds);
+            const hours = Math.floor(absSeconds / 3600);
+            const minutes = Math.floor((absSeconds % 3600) / 60);
+            const seconds = absSeconds % 60;
+
+            const sign = isNegative ? '-' : '';
+            const minStr = String(minutes).padStart(2, '0');
+            const secStr = String(seconds).padStart(2, '0');
+
+            if (hours > 0) {
+              displayTime = sign + hours + ':' + minStr + ':' + secStr;
+            } else {
+              displayTime = sign + minutes + ':' + secStr;
+            }
+          }
+
+          // Process messages
+          let activeMessages = [];
+          if (messagesData && messagesData.ok && messagesData.data) {
+            // Check if messages is an array directly or nested in data.messages
+            let messages = [];
+            if (Array.isArray(messagesData.data)) {
+              messages = messagesData.data;
+            } else if (messagesData.data.messages && Array.isArray(messagesData.data.messages)) {
+              messages = messagesData.data.messages;
+            }
+
+            console.log('[API] Processing messages, found:', messages.length, 'total messages');
+            activeMessages = messages
+              .filter(msg => msg && msg.showing === true)
+              .map(msg => ({
+                text: msg.text || '',
+                color: msg.color || 'white',
+                bold: msg.bold || false,
+                uppercase: msg.uppercase || false
+              }));
+            console.log('[API] Active messages:', activeMessages.length);
+          } else {
+            console.log('[API] No messages data or not ok:', messagesData);
+          }
+
+          // Get timer name and speaker from timer data
+          let timerName = '';
+          let speakerName = '';
+          console.log('[API] Processing timer data, timerData:', timerData ? 'exists' : 'null');
+          console.log('[API] timerData.ok:', timerData?.ok);
+          console.log('[API] timerData.data:', timerData?.data ? JSON.stringify(timerData.data) : 'null');
+          if (timerData && timerData.ok && timerData.data) {
+            timerName = timerData.data.name || '';
+            speakerName = timerData.data.speaker || '';
+            console.log('[API] Extracted timerName:', timerName, 'speakerName:', speakerName);
+          } else {
+            console.log('[API] Timer data not available or invalid. timerData:', timerData);
+          }
+
+          resolve({
+            configured: true,
+            running: isRunning,
+            displayTime: displayTime,
+            remainingMs: remainingMs,
+            elapsedMs: elapsedMs,
+            timerId: status.timer_id || null,
+            start: status.start,
+            finish: status.finish,
+            pause: status.pause,
+            serverTime: status.server_time,
+            messages: activeMessages,
+            timerName: timerName,
+            speaker: speakerName,
+            // Debug info
+            _debug: {
+              timerDataOk: timerData?.ok || false,
+              timerDataExists: !!timerData,
+              timerDataMessage: timerData?.message || null,
+              rawTimerName: timerData?.data?.name || null,
+              rawSpeaker: timerData?.data?.speaker || null
+            }
+          });
+        } else {
+          // Status fetch failed or returned invalid data
+          const errorMsg = statusData 
+            ? (statusData.message || statusData.error || 'Failed to get timer status')
+            : 'Failed to get timer status';
+          console.error('[API] Status fetch failed:', errorMsg, 'statusData:', statusData);
+          reject(apiError('UPSTREAM_ERROR', errorMsg, {
+            configured: true,
+            statusDataExists: !!statusData,
+            statusDataOk: statusData?.ok,
+            statusDataMessage: statusData?.message,
+            timerDataExists: !!timerData,
+            timerDataOk: timerData?.ok
+          }));
+        }
+      } catch (error) {
+        console.error('[API] Error processing stagetimer response:', error);
+        reject(apiError('UPSTREAM_ERROR', 'Failed to process response: ' + error.message, { configured: true }));
+      }
+    }
+
+    // Fetch status
+    const statusReq = https.get(statusUrl, (apiRes) => {
+      let data = '';
+
+      // Check HTTP status code
+      if (apiRes.statusCode !== 200) {
+        console.error('[API] Stagetimer status HTTP error:', apiRes.statusCode, apiRes.statusMessage);
+        apiRes.on('data', () => {}); // Drain response
+        apiRes.on('end', () => {
+          statusData = { ok: false, message: `HTTP ${apiRes.statusCode}: ${apiRes.statusMessage}` };
+          completed++;
+          sendResponse();
+        });
+        return;
+      }
+
+      apiRes.on('data', (chunk) => {
+        data += chunk;
+      });
+
+      apiRes.on('end', () => {
+        try {
+          statusData = JSON.parse(data);
+          if (!statusData || !statusData.ok) {
+            console.error('[API] Stagetimer status API error:', statusData?.message || 'Unknown error');
+          }
+          completed++;
+
+          // After getting status, fetch timer using timer_id if available
+          if (statusData && statusData.ok && statusData.data && statusData.data.timer_id) {
+            const timerId = statusData.data.timer_id;
+            const timerUrl = `https://api.stagetimer.io/v1/get_timer?room_id=${encodeURIComponent(roomId)}&api_key=${encodeURIComponent(apiKey)}&timer_id=${encodeURIComponent(timerId)}`;
+
+            console.log('[API] Fetching timer with timer_id:', timerId);
+            const timerReq = https.get(timerUrl, (timerRes) => {
+              let timerDataStr = '';
+
+              if (timerRes.statusCode !== 200) {
+                console.error('[API] Stagetimer timer HTTP error:', timerRes.statusCode, timerRes.statusMessage);
+                timerRes.on('data', () => {}); // Drain response
+                timerRes.on('end', () => {
+                  if (!timerCompleted) {
+                    timerData = { ok: false, message: `HTTP ${timerRes.statusCode}: ${timerRes.statusMessage}`, data: {} };
+                    timerCompleted = true;
+                    if (timerTimeout) clearTimeout(timerTimeout);
+                    sendResponse();
+                  }
+                });
+                return;
+              }
+
+              timerRes.on('data', (chunk) => {
+                timerDataStr += chunk;
+              });
+
+              timerRes.on('end', () => {
+                if (timerCompleted) return; // Already handled by timeout
+                try {
+                  timerData = JSON.parse(timerDataStr);
+                  console.log('[API] Stagetimer timer response:', JSON.stringify(timerData, null, 2));
+                  console.log('[API] Timer data.name:', timerData?.data?.name);
+                  console.log('[API] Timer data.speaker:', timerData?.data?.speaker);
+                  timerCompleted = true;
+                  if (timerTimeout) clearTimeout(timerTimeout);
+                  sendResponse();
+                } catch (error) {
+                  console.error('[API] Error parsing stagetimer timer response:', error);
+                  console.error('[API] Raw timer response:', timerDataStr);
+                  timerData = { ok: false, data: {}, error: error.message };
+                  timerCompleted = true;
+                  if (timerTimeout) clearTimeout(timerTimeout);
+                  sendResponse();
+                }
+              });
+            });
+
+            timerReq.on('error', (error) => {
+              if (timerCompleted) return; // Already handled by timeout
+              console.error('[API] Error calling stagetimer.io timer:', error);
+              timerData = { ok: false, data: {}, error: error.message };
+              timerCompleted = true;
+              if (timerTimeout) clearTimeout(timerTimeout);
+              sendResponse();
+            });
+
+            // Set request timeout
+            timerReq.setTimeout(TIMER_FETCH_TIMEOUT, () => {
+              if (!timerCompleted) {
+                console.warn('[API] Timer request timeout');
+                timerReq.destroy();
+                timerData = { ok: false, data: {}, error: 'Request timeout' };
+                timerCompleted = true;
+                if (timerTimeout) clearTimeout(timerTimeout);
+                sendResponse();
+              }
+            });
+          } else {
+            // No timer_id available, try without it (gets currently highlighted timer)
+            const timerUrl = `https://api.stagetimer.io/v1/get_timer?room_id=${encodeURIComponent(roomId)}&api_key=${encodeURIComponent(apiKey)}`;
+            console.log('[API] No timer_id, fetching currently highlighted timer');
+            const timerReq = https.get(timerUrl, (timerRes) => {
+              let timerDataStr = '';
+
+              if (timerRes.statusCode !== 200) {
+                console.error('[API] Stagetimer timer HTTP error:', timerRes.statusCode, timerRes.statusMessage);
+                timerRes.on('data', () => {}); // Drain response
+                timerRes.on('end', () => {
+                  if (!timerCompleted) {
+                    timerData = { ok: false, message: `HTTP ${timerRes.statusCode}: ${timerRes.statusMessage}`, data: {} };
+                    timerCompleted = true;
+                    if (timerTimeout) clearTimeout(timerTimeout);
+                    sendResponse();
+                  }
+                });
+                return;
+              }
+
+              timerRes.on('data', (chunk) => {
+                timerDataStr += chunk;
+              });
+
+              timerRes.on('end', () => {
+                if (timerCompleted) return; // Already handled by timeout
+                try {
+                  timerData = JSON.parse(timerDataStr);
+                  console.log('[API] Stagetimer timer response:', JSON.stringify(timerData, null, 2));
+                  console.log('[API] Timer data.name:', timerData?.data?.name);
+                  console.log('[API] Timer data.speaker:', timerData?.data?.speaker);
+                  timerCompleted = true;
+                  if (timerTimeout) clearTimeout(timerTimeout);
+                  sendResponse();
+                } catch (error) {
+                  console.error('[API] Error parsing stagetimer timer response:', error);
+                  console.error('[API] Raw timer response:', timerDataStr);
+                  timerData = { ok: false, data: {}, error: error.message };
+                  timerCompleted = true;
+                  if (timerTimeout) clearTimeout(timerTimeout);
+                  sendResponse();
+                }
+              });
+            });
+
+            timerReq.on('error', (error) => {
+              if (timerCompleted) return; // Already handled by timeout
+              console.error('[API] Error calling stagetimer.io timer:', error);
+              timerData = { ok: false, data: {}, error: error.message };
+              timerCompleted = true;
+              if (timerTimeout) clearTimeout(timerTimeout);
+              sendResponse();
+            });
+
+            // Set request timeout
+            timerReq.setTimeout(TIMER_FETCH_TIMEOUT, () => {
+              if (!timerCompleted) {
+                console.warn('[API] Timer request timeout');
+                timerReq.destroy();
+                timerData = { ok: false, data: {}, error: 'Request timeout' };
+                timerCompleted = true;
+                if (timerTimeout) clearTimeout(timerTimeout);
+                sendResponse();
+              }
+            });
+          }
+
+          sendResponse();
+        } catch (error) {
+          console.error('[API] Error parsing stagetimer status response:', error);
+          statusData = { ok: false, message: 'Failed to parse status response' };
+          completed++;
+          sendResponse();
+        }
+      });
+    });
+
+    statusReq.on('error', (error) => {
+      console.error('[API] Error calling stagetimer.io status:', error);
+      statusData = { ok: false, message: 'Failed to connect: ' + error.message };
+      completed++;
+      sendResponse();
+    });
+
+    // Set request timeout for status
+    statusReq.setTimeout(10000, () => {
+      console.warn('[API] Status request timeout');
+      statusReq.destroy();
+      if (!statusData) {
+        statusData = { ok: false, message: 'Request timeout' };
+        completed++;
+        sendResponse();
+      }
+    });
+
+    // Fetch messages
+    https.get(messagesUrl, (apiRes) => {
+      let data = '';
+
+      apiRes.on('data', (chunk) => {
+        data += chunk;
+      });
+
+      apiRes.on('end', () => {
+        try {
+          messagesData = JSON.parse(data);
+          console.log('[API] Stagetimer messages response:', JSON.stringify(messagesData, null, 2));
+          completed++;
+          sendResponse();
+        } catch (error) {
+          console.error('[API] Error parsing stagetimer messages response:', error);
+          messagesData = { ok: false, data: { messages: [] } };
+          completed++;
+          sendResponse();
+        }
+      });
+    }).on('error', (error) => {
+      console.error('[API] Error calling stagetimer.io messages:', error);
+      messagesData = { ok: false, data: { messages: [] } };
+      completed++;
+      sendResponse();
+    });
+  });
+});
+
+// GET /api/presets - Ordered preset library
+apiRoute('GET', '/api/presets', () => {
+  const presets = getPresetsFromPrefs(loadPreferences());
+  logDebug(`[API] GET /api/presets - Returning ${presets.length} preset(s)`);
+  return presetsResponse(presets);
+});
+
+// POST /api/presets - Add a preset ({ name, url, startSlide, withNotes, tags }), or
+// PUT /api/presets - Replace/reorder the whole list ({ presets: [...] }).
+// Legacy bodies ({ presentation1, presentation2, presentation3 }) update the first three entries.
+function savePresetsRoute({ req, body }) {
+  logDebug('[API] /api/presets - Received body:', safeStringify(body));
+  const prefs = loadPreferences();
+  let presets = getPresetsFromPrefs(prefs);
+  let created = null;
+
+  if (Array.isArray(body.presets)) {
+    // Whole list in the given order; entries keep their id when they have one
+    const next = [];
+    for (const raw of body.presets) {
+      const existing = raw && raw.id ? presets.find(p => p.id === raw.id) : null;
+      const result = validatePresetInput(raw, existing);
+      if (result.error) {
+        throw apiError('INVALID_REQUEST', `${raw?.name || 'Preset'}: ${result.error}`);
+      }
+      next.push(result.preset);
+    }
+    presets = next;
+  } else if (req.method === 'POST' && LEGACY_PRESET_KEYS.some(key => body[key] !== undefined)) {
+    // The keys are fixed slots in an ordered list: a URL can't skip an empty slot, and clearing
+    // one removes it, which must not move a later preset up into its place
+    const cleared = new Set();
+    LEGACY_PRESET_KEYS.forEach((key, i) => {
+      if (body[key] === undefined) return;
+      const url = String(body[key] || '').trim();
+      if (!url) {
+        if (presets[i]) cleared.add(i);
+      } else if (presets[i]) {
+        presets[i] = { ...presets[i], url };
+      } else if (i > presets.length) {
+        throw apiError('INVALID_REQUEST', `${key} needs ${LEGACY_PRESET_KEYS[i - 1]} first (there are ${presets.length} presets)`);
+      } else {
+        presets[i] = normalizePreset({ id: createPresetId(), url }, i);
+      }
+    });
+    const kept = presets.filter((preset, i) => !cleared.has(i));
+    if (cleared.size > 0 && kept.some(preset => presets.indexOf(preset) > Math.min(...cleared))) {
+      throw apiError('INVALID_REQUEST', 'Only the last presets can be cleared with presentation1-3; use DELETE /api/presets/:id');
+    }
+    presets = kept;
+  } else if (req.method === 'POST') {
+    const result = validatePresetInput(body);
+    if (result.error) throw apiError('INVALID_REQUEST', result.error);
+    created = result.preset;
+    presets.push(created);
+  } else {
+    throw apiError('INVALID_REQUEST', 'presets array is required');
+  }
+
+  prefs.presets = presets;
+  savePreferences(prefs);
+  const saved = getPresetsFromPrefs(loadPreferences());
+  console.log(`[API] Presets saved (${saved.length})`);
+  publishEvent('presets-changed', { count: saved.length });
+
+  const data = { ...presetsResponse(saved), message: 'Presets saved' };
+  if (!created) return data;
+  // 200 like every other /api save (older controllers check for it); POST /api/v2/presets answers 201
+  return { ...data, preset: saved.find(p => p.id === created.id) };
+}
+apiRoute('POST', '/api/presets', savePresetsRoute);
+apiRoute('PUT', '/api/presets', savePresetsRoute);
+
+// GET /api/presets/:id - Single preset (by id, name or 1-based position)
+apiRoute('GET', '/api/presets/:id', ({ params }) => {
+  const preset = findPreset(getPresetsFromPrefs(loadPreferences()), params.id);
+  if (!preset) throw apiError('PRESET_NOT_FOUND', 'Preset not found');
+  return { preset };
+});
+
+// PUT or POST /api/presets/:id - Update a preset (partial); DELETE /api/presets/:id - Remove it
+function updatePresetRoute({ req, params, body }) {
+  const prefs = loadPreferences();
+  const presets = getPresetsFromPrefs(prefs);
+  const existing = findPreset(presets, params.id);
+  if (!existing) throw apiError('PRESET_NOT_FOUND', 'Preset not found');
+
+  const index = presets.indexOf(existing);
+  let preset = existing;
+  if (req.method === 'DELETE') {
+    presets.splice(index, 1);
+  } else {
+    const result = validatePresetInput(body, existing);
+    if (result.error) throw apiError('INVALID_REQUEST', result.error);
+    preset = result.preset;
+    presets[index] = preset;
+  }
+
+  prefs.presets = presets;
+  savePreferences(prefs);
+  console.log(`[API] Preset ${req.method === 'DELETE' ? 'deleted' : 'updated'}: ${preset.name} (${preset.id})`);
+  publishEvent('presets-changed', { count: presets.length });
+  return { ...presetsResponse(presets), preset };
+}
+apiRoute('PUT', '/api/presets/:id', updatePresetRoute);
+apiRoute('POST', '/api/presets/:id', updatePresetRoute);
+apiRoute('DELETE', '/api/presets/:id', updatePresetRoute);
+
+// POST /api/open-preset - Open a preset by position (1-based), id or name
+// Body: { "preset": 1 } | { "preset": "keynote" } | { "id": "p-1a2b3c4d" } | { "name": "Keynote" }
+// Optional overrides: withNotes, startSlide
+apiRoute('POST', '/api/open-preset', async ({ body }) => {
+  const ref = body.id || body.name || body.preset;
+  if (ref === undefined || ref === null || ref === '') {
+    throw apiError('INVALID_REQUEST', 'preset (position, id or name) is required');
+  }
+  const preset = findPreset(getPresetsFromPrefs(loadPreferences()), ref);
+  if (!preset) throw apiError('PRESET_NOT_FOUND', `Preset "${ref}" not found`);
+
+  console.log(`[API] Opening preset "${preset.name}" (${preset.id}): ${preset.url}`);
+  const result = await openPreset(preset, { withNotes: body.withNotes, startSlide: body.startSlide });
+  if (!result.success) throw apiErrorFromResult(result);
+
+  return {
+    message: `Preset "${preset.name}" opened`,
+    url: preset.url,
+    preset,
+    withNotes: result.withNotes,
+    startSlide: result.startSlide
+  };
+});
+
+// GET /api/debug/preferences - Debug endpoint for preferences file
+apiRoute('GET', '/api/debug/preferences', () => {
+    const prefsPath = getPreferencesPath();
+    const prefsDir = path.dirname(prefsPath);
+    const exists = fs.existsSync(prefsPath);
+    const dirExists = fs.existsSync(prefsDir);
+
+    let stats = null;
+    let content = null;
+    let dirWritable = false;
+
+    if (exists) {
+      stats = fs.statSync(prefsPath);
+      try {
+        content = fs.readFileSync(prefsPath, 'utf8');
+        // Token secrets stay in the desktop app
+        try {
+          content = safeStringify(JSON.parse(content), 2);
+        } catch (e) {
+          // not valid JSON; show as-is
+        }
+      } catch (e) {
+        content = `Error reading file: ${e.message}`;
+      }
+    }
+
+    try {
+      fs.accessSync(prefsDir, fs.constants.W_OK);
+      dirWritable = true;
+    } catch (e) {
+      dirWritable = false;
+    }
+
+  return {
+    path: prefsPath,
+    directory: prefsDir,
+    fileExists: exists,
+    directoryExists: dirExists,
+    directoryWritable: dirWritable,
+    fileSize: stats ? stats.size : null,
+    fileModified: stats ? stats.mtime : null,
+    fileContent: content,
+    preferences: redactPreferences(loadPreferences()),
+    platform: process.platform,
+    userData: app.getPath('userData')
+  };
+});
+
+// POST /api/stagetimer-settings - Save stagetimer configuration
+apiRoute('POST', '/api/stagetimer-settings', ({ body }) => {
+  const prefs = loadPreferences();
+
+  if (body.roomId !== undefined) {
+    prefs.stagetimerRoomId = body.roomId || null;
+  }
+  if (body.apiKey !== undefined) {
+    prefs.stagetimerApiKey = body.apiKey || null;
+  }
+  if (body.enabled !== undefined) {
+    prefs.stagetimerEnabled = body.enabled !== false;
+  }
+  if (body.visible !== undefined) {
+    prefs.stagetimerVisible = body.visible !== false;
+  } else {
+    // Default to true if not set
+    prefs.stagetimerVisible = true;
+  }
+
+  savePreferences(prefs);
+  return { message: 'Stagetimer settings saved' };
+});
+
+// GET /api/stagetimer-settings - Get stagetimer configuration
+apiRoute('GET', '/api/stagetimer-settings', () => {
+  const prefs = loadPreferences();
+  return {
+    roomId: prefs.stagetimerRoomId || '',
+    apiKey: prefs.stagetimerApiKey || '',
+    enabled: prefs.stagetimerEnabled !== false,
+    visible: prefs.stagetimerVisible !== false && prefs.stagetimerVisible !== undefined ? prefs.stagetimerVisible : true
+  };
+});
+
+// GET /api/cue - What is preloaded on standby (null if nothing)
+apiRoute('GET', '/api/cue', () => ({ cued: getCueState() }));
+
+// POST /api/cue - Preload a deck in a hidden window ({ url } or { preset }, optional withNotes/startSlide/title)
+apiRoute('POST', '/api/cue', ({ body }) => {
+  let target = null;
+  if (body.preset !== undefined && body.preset !== null && body.preset !== '') {
+    const preset = findPreset(getPresetsFromPrefs(loadPreferences()), body.preset);
+    if (!preset) throw apiError('PRESET_NOT_FOUND', `Preset not found: ${body.preset}`);
+    target = { url: preset.url, title: preset.name, withNotes: preset.withNotes, startSlide: preset.startSlide };
+  } else {
+    const url = String(body.url || '').trim();
+    if (!url) throw apiError('INVALID_REQUEST', 'URL or preset is required');
+    target = { url, title: body.title ? String(body.title) : null, withNotes: body.withNotes === true, startSlide: 1 };
+  }
+  if (body.withNotes !== undefined) target.withNotes = body.withNotes === true;
+  if (body.startSlide !== undefined) target.startSlide = parseInt(body.startSlide, 10) || 1;
+
+  const cued = cuePresentation(target.url, target);
+
+  // Backups preload the same deck so a mirrored take is just as fast
+  sendToBackups('/api/cue', { url: target.url, title: target.title, withNotes: target.withNotes, startSlide: target.startSlide }).catch(err => {
+    console.error('[Backup] Error broadcasting cue:', err);
+  });
+
+  return { message: `Cued ${cued.title || cued.url}`, cued };
+});
+
+// POST /api/take - Put the cued deck on the presentation display
+apiRoute('POST', '/api/take', () => {
+  const result = takeCue();
+  if (!result.success) throw apiErrorFromResult(result);
+
+  sendToBackups('/api/take', {}).catch(err => {
+    console.error('[Backup] Error broadcasting take:', err);
+  });
+
+  return {
+    message: `Took ${result.taken.title || result.taken.url}${result.taken.ready ? '' : ' (still loading)'}`,
+    taken: result.taken
+  };
+});
+
+// POST /api/clear-cue - Discard the preloaded deck
+apiRoute('POST', '/api/clear-cue', () => {
+  clearCue({ mirror: true });
+  return { message: 'Cue cleared' };
+});
+
+// GET /api/rundown - Show rundown (ordered decks) and the current position
+apiRoute('GET', '/api/rundown', () => {
+  const rundown = getRundownFromPrefs(loadPreferences());
+  return { rundown, summary: getRundownSummary(rundown) };
+});
+
+// PUT or POST /api/rundown - Replace the rundown ({ items, currentIndex?, advanceOnLastSlide? })
+function saveRundownRoute({ body }) {
+  const existing = getRundownFromPrefs(loadPreferences());
+  if (body.items !== undefined && !Array.isArray(body.items)) {
+    throw apiError('INVALID_REQUEST', 'items must be an array');
+  }
+  const items = Array.isArray(body.items) ? body.items : existing.items;
+  for (const item of items) {
+    const check = validatePresetInput({ url: item?.url, startSlide: item?.startSlide });
+    if (check.error) {
+      throw apiError('INVALID_REQUEST', `${item?.title || 'Rundown item'}: ${check.error}`);
+    }
+  }
+
+  // Keep the position on the same deck when the list is edited, unless one is given
+  let currentIndex = existing.currentIndex;
+  if (body.currentIndex !== undefined) {
+    currentIndex = parseInt(body.currentIndex, 10);
+  } else if (existing.items[existing.currentIndex]) {
+    const currentId = existing.items[existing.currentIndex].id;
+    currentIndex = items.findIndex(item => item && item.id === currentId);
+  }
+
+  const saved = saveRundown({
+    items,
+    currentIndex,
+    advanceOnLastSlide: body.advanceOnLastSlide !== undefined ? body.advanceOnLastSlide !== false : existing.advanceOnLastSlide
+  });
+  console.log(`[Rundown] Saved ${saved.items.length} item(s), current: ${saved.currentIndex}`);
+  return { message: 'Rundown saved', rundown: saved, summary: getRundownSummary(saved) };
+}
+apiRoute('PUT', '/api/rundown', saveRundownRoute);
+apiRoute('POST', '/api/rundown', saveRundownRoute);
+
+// POST /api/rundown/next | /api/rundown/previous | /api/rundown/go ({ index } 0-based, or { id })
+async function loadRundownRoute(step, body) {
+  const rundown = getRundownFromPrefs(loadPreferences());
+  let index;
+  if (step === 'next') {
+    index = rundown.currentIndex + 1;
+  } else if (step === 'previous') {
+    index = rundown.currentIndex - 1;
+  } else if (body.id !== undefined) {
+    index = rundown.items.findIndex(item => item.id === String(body.id));
+  } else {
+    index = parseInt(body.index, 10);
+  }
+
+  if (!Number.isInteger(index) || index < 0) {
+    if (step === 'previous') throw apiError('CONFLICT', 'Already at the start of the rundown');
+    throw apiError('INVALID_REQUEST', 'Valid index or id is required');
+  }
+
+  const result = await loadRundownItem(index);
+  if (!result.success) throw apiErrorFromResult(result);
+
+  return {
+    message: `Loaded ${result.item.title} (${index + 1}/${result.rundown.items.length})`,
+    item: result.item,
+    summary: getRundownSummary(result.rundown)
+  };
+}
+apiRoute('POST', '/api/rundown/next', ({ body }) => loadRundownRoute('next', body));
+apiRoute('POST', '/api/rundown/previous', ({ body }) => loadRundownRoute('previous', body));
+apiRoute('POST', '/api/rundown/go', ({ body }) => loadRundownRoute('go', body));
+
+
+// ----------------------------
+// /api/v2 resources
+// ----------------------------
+// Resource-style routes with parameters, built on the /api handlers above via invokeApiRoute, so
+// both versions behave the same and backups are still mirrored through the /api/* paths (older
+// backups keep working). /api/* stays as it is for existing Companion installs.
+//   /api/v2/presentation         GET state, PUT { url, notes } to open, DELETE to close
+//   /api/v2/presentation/slide   GET position, PUT { slide | pageId | title | offset, mode }
+//   /api/v2/notes                GET text and zoom, PATCH { open, zoomLevel | zoomBy, scrollBy }
+//   /api/v2/presets[/:id]        GET, POST, PATCH, DELETE; POST /api/v2/presets/:id/open
+// Responses use the envelope without copying data fields to the top level.
+
+// Presenter view zoom steps a single request may click through
+const NOTES_ZOOM_MAX_STEPS = 10;
+
+function isPresentationOpen() {
+  return !!(presentationWindow && !presentationWindow.isDestroyed());
+}
+
+function isNotesOpen() {
+  return !!(notesWindow && !notesWindow.isDestroyed());
+}
+
+function getSlideState() {
+  const known = typeof currentSlide === 'number' ? deckIndex.get(currentSlide) : null;
+  return {
+    currentSlide: typeof currentSlide === 'number' ? currentSlide : null,
+    totalSlides: slideTracking.totalSlides,
+    pageId: slideTracking.pageId,
+    title: known && known.title ? known.title : null,
+    source: slideTracking.source,
+    confidence: slideTracking.confidence,
+    updatedAt: slideTracking.updatedAt
+  };
+}
+
+function getPresentationState() {
+  const open = isPresentationOpen();
+  return {
+    open,
+    url: open ? lastPresentationUrl || null : null,
+    notesOpen: isNotesOpen(),
+    slide: getSlideState()
+  };
+}
+
+function presetPath(id, suffix = '') {
+  return `/api/presets/${encodeURIComponent(id)}${suffix}`;
+}
+
+// GET /api/v2/presentation - Whether a deck is open, its URL, notes and slide position
+apiRoute('GET', '/api/v2/presentation', () => getPresentationState());
+
+// PUT /api/v2/presentation - Open a deck ({ url, notes }), replacing the open one
+apiRoute('PUT', '/api/v2/presentation', async ({ body }) => {
+  const notes = readBooleanField(body, 'notes');
+  const endpoint = notes ? '/api/open-presentation-with-notes' : '/api/open-presentation';
+  const { message } = await invokeApiRoute('POST', endpoint, { url: body.url });
+  return { message, presentation: getPresentationState() };
+});
+
+// DELETE /api/v2/presentation - Close the deck and speaker notes
+apiRoute('DELETE', '/api/v2/presentation', async () => {
+  const { message } = await invokeApiRoute('POST', '/api/close-presentation');
+  return { message };
+});
+
+// GET /api/v2/presentation/slide - Current slide and how it was observed
+apiRoute('GET', '/api/v2/presentation/slide', () => {
+  requirePresentationWindow();
+  return getSlideState();
+});
+
+// PUT /api/v2/presentation/slide - Go to a slide ({ slide | pageId | title, mode }) or step ({ offset })
+apiRoute('PUT', '/api/v2/presentation/slide', async ({ body }) => {
+  const offset = readIntegerField(body, 'offset');
+  if (offset === undefined) {
+    const result = await invokeApiRoute('POST', '/api/go-to-slide', body);
+    return { ...result, slide: getSlideState() };
+  }
+
+  if (offset === 0) throw apiError('INVALID_REQUEST', 'offset must not be 0');
+  if (['slide', 'pageId', 'title'].some(key => body[key] !== undefined)) {
+    throw apiError('INVALID_REQUEST', 'Give either offset or slide/pageId/title, not both');
+  }
+  // One step is a key press (and lets next run on into the next rundown deck); more is a jump
+  if (offset === 1 || offset === -1) {
+    const result = await invokeApiRoute('POST', offset === 1 ? '/api/next-slide' : '/api/previous-slide');
+    return { ...result, slide: getSlideState() };
+  }
+  requirePresentationWindow();
+  if (typeof currentSlide !== 'number') {
+    throw apiError('CONFLICT', 'Current slide is unknown; go to a slide number first');
+  }
+  const target = Math.max(1, currentSlide + offset);
+  const result = await invokeApiRoute('POST', '/api/go-to-slide', { slide: target, mode: body.mode });
+  return { ...result, slide: getSlideState() };
+});
+
+// GET /api/v2/notes - Whether notes are open, their text and zoom level
+apiRoute('GET', '/api/v2/notes', async () => {
+  if (!isNotesOpen()) return { open: false, text: null, zoomLevel: 0 };
+  const { notes } = await invokeApiRoute('GET', '/api/get-speaker-notes');
+  return { open: true, text: notes, zoomLevel: getNotesZoomLevel() };
+});
+
+// PATCH /api/v2/notes - Open/close, zoom and scroll speaker notes, in that order
+// zoomLevel is absolute (0 = how Slides opened the notes); zoomBy is relative. scrollBy is in pixels, negative = up.
+apiRoute('PATCH', '/api/v2/notes', async ({ body }) => {
+  const open = readBooleanField(body, 'open');
+  const zoomLevel = readIntegerField(body, 'zoomLevel');
+  const zoomBy = readIntegerField(body, 'zoomBy');
+  const scrollBy = readIntegerField(body, 'scrollBy');
+  if (zoomLevel !== undefined && zoomBy !== undefined) {
+    throw apiError('INVALID_REQUEST', 'Give either zoomLevel or zoomBy, not both');
+  }
+  if (open === undefined && zoomLevel === undefined && zoomBy === undefined && scrollBy === undefined) {
+    throw apiError('INVALID_REQUEST', 'Nothing to change (open, zoomLevel, zoomBy or scrollBy)');
+  }
+  if (open === false && (zoomLevel !== undefined || zoomBy !== undefined || scrollBy !== undefined)) {
+    throw apiError('INVALID_REQUEST', 'Cannot zoom or scroll notes while closing them');
+  }
+
+  if (open === true && !isNotesOpen()) {
+    if (zoomLevel !== undefined || zoomBy !== undefined || scrollBy !== undefined) {
+      throw apiError('CONFLICT', 'Open the notes first, then zoom or scroll once the notes window is up');
+    }
+    await invokeApiRoute('POST', '/api/open-speaker-notes');
+    return { message: 'Speaker notes opening', open: true, zoomLevel: 0 };
+  }
+  if (open === false) {
+    if (isNotesOpen()) await invokeApiRoute('POST', '/api/close-speaker-notes');
+    return { message: 'Speaker notes closed', open: false, zoomLevel: 0 };
+  }
+
+  requireNotesWindow();
+  const steps = zoomLevel !== undefined ? zoomLevel - getNotesZoomLevel() : (zoomBy || 0);
+  if (Math.abs(steps) > NOTES_ZOOM_MAX_STEPS) {
+    throw apiError('INVALID_REQUEST', `Zoom can change by at most ${NOTES_ZOOM_MAX_STEPS} steps at a time`);
+  }
+  // One click per step through the /api routes, so backups zoom and scroll along
+  for (let i = 0; i < Math.abs(steps); i++) {
+    await invokeApiRoute('POST', steps > 0 ? '/api/zoom-in-notes' : '/api/zoom-out-notes');
+  }
+
+  if (scrollBy) {
+    await invokeApiRoute('POST', scrollBy > 0 ? '/api/scroll-notes-down' : '/api/scroll-notes-up', { pixels: Math.abs(scrollBy) });
+  }
+
+  return { message: 'Speaker notes updated', open: true, zoomLevel: getNotesZoomLevel(), scrolledBy: scrollBy || 0 };
+});
+
+// GET /api/v2/presets - Ordered preset library
+apiRoute('GET', '/api/v2/presets', () => ({ presets: getPresetsFromPrefs(loadPreferences()) }));
+
+// POST /api/v2/presets - Add a preset ({ name, url, startSlide, withNotes, tags })
+apiRoute('POST', '/api/v2/presets', async ({ body }) => {
+  if (Array.isArray(body.presets) || LEGACY_PRESET_KEYS.some(key => body[key] !== undefined)) {
+    throw apiError('INVALID_REQUEST', 'POST one preset; reorder with PUT /api/presets');
+  }
+  const { preset } = await invokeApiRoute('POST', '/api/presets', body);
+  return withStatus(201, { preset });
+});
+
+// GET /api/v2/presets/:id - Single preset (by id, name or 1-based position)
+apiRoute('GET', '/api/v2/presets/:id', ({ params }) => invokeApiRoute('GET', presetPath(params.id)));
+
+// PATCH /api/v2/presets/:id - Change some fields of a preset
+apiRoute('PATCH', '/api/v2/presets/:id', async ({ params, body }) => {
+  const { preset } = await invokeApiRoute('PUT', presetPath(params.id), body);
+  return { preset };
+});
+
+// DELETE /api/v2/presets/:id - Remove a preset
+apiRoute('DELETE', '/api/v2/presets/:id', async ({ params }) => {
+  const { preset } = await invokeApiRoute('DELETE', presetPath(params.id));
+  return { preset };
+});
+
+// POST /api/v2/presets/:id/open - Open a preset; optional { withNotes, startSlide } overrides
+apiRoute('POST', '/api/v2/presets/:id/open', async ({ params, body }) => {
+  const preset = findPreset(getPresetsFromPrefs(loadPreferences()), params.id);
+  if (!preset) throw apiError('PRESET_NOT_FOUND', `Preset "${params.id}" not found`);
+  const { message, withNotes, startSlide } = await invokeApiRoute('POST', '/api/open-preset', {
+    id: preset.id,
+    withNotes: body.withNotes,
+    startSlide: body.startSlide
+  });
+  return { message, preset, withNotes, startSlide };
+});
+
+// ----------------------------
+// OpenAPI description (GET /api/openapi.json, browsable at /docs on the Web UI)
+// ----------------------------
+// One entry per registered route, keyed 'METHOD /path'. Schemas use a short notation:
+//   'string' | 'integer' | 'number' | 'boolean' | 'object'   plain types ('integer|string' for either)
+//   'string!'            required property
+//   'string[]'           array of that type
+//   '#Preset'            component schema ('#Preset[]' for a list)
+//   ['a', 'b']           one of these strings
+//   { key: ... }         object with these properties
+// Routes without an entry still appear, flagged with x-undocumented (the tests look for it).
+
+const API_DOC_SCHEMAS = {
+  Preset: {
+    id: 'string',
+    name: 'string',
+    url: 'string',
+    startSlide: 'integer',
+    withNotes: 'boolean',
+    tags: 'string[]'
+  },
+  PresetInput: {
+    id: 'string',
+    name: 'string',
+    url: 'string!',
+    startSlide: 'integer',
+    withNotes: 'boolean',
+    tags: 'string[]'
+  },
+  PresetList: {
+    presets: '#Preset[]',
+    presentation1: 'string',
+    presentation2: 'string',
+    presentation3: 'string'
+  },
+  RundownItem: {
+    id: 'string',
+    title: 'string',
+    url: 'string!',
+    startSlide: 'integer',
+    withNotes: 'boolean'
+  },
+  Rundown: {
+    items: '#RundownItem[]',
+    currentIndex: 'integer',
+    advanceOnLastSlide: 'boolean'
+  },
+  RundownSummary: {
+    count: 'integer',
+    currentIndex: 'integer',
+    currentTitle: 'string|null',
+    nextTitle: 'string|null',
+    onAir: 'boolean',
+    advanceOnLastSlide: 'boolean'
+  },
+  Cue: {
+    url: 'string',
+    title: 'string|null',
+    withNotes: 'boolean',
+    startSlide: 'integer',
+    ready: 'boolean',
+    error: 'string|null',
+    cuedAt: 'integer'
+  },
+  SlideTracking: {
+    source: ['presenter-view', 'presentation', 'url-fragment', 'command'],
+    confidence: ['high', 'medium', 'low', 'none'],
+    pageId: 'string|null',
+    updatedAt: 'integer|null'
+  },
+  DeckIndexEntry: {
+    slide: 'integer',
+    pageId: 'string|null',
+    title: 'string|null'
+  },
+  Slide: {
+    currentSlide: 'integer|null',
+    totalSlides: 'integer|null',
+    pageId: 'string|null',
+    title: 'string|null',
+    source: ['presenter-view', 'presentation', 'url-fragment', 'command'],
+    confidence: ['high', 'medium', 'low', 'none'],
+    updatedAt: 'integer|null'
+  },
+  Presentation: {
+    open: 'boolean',
+    url: 'string|null',
+    notesOpen: 'boolean',
+    slide: '#Slide'
+  },
+  Failover: {
+    role: ['standalone', 'primary', 'backup'],
+    live: 'boolean',
+    mode: ['off', 'offer', 'auto'],
+    graceSeconds: 'number',
+    state: ['idle', 'waiting', 'following', 'primary-lost', 'promoted'],
+    primaryHost: 'string|null',
+    lastHeartbeatAt: 'integer|null',
+    lastHeartbeatError: 'string|null',
+    lostSince: 'integer|null',
+    autoPromoteAt: 'integer|null'
+  },
+  Status: {
+    status: 'string',
+    version: 'string',
+    buildNumber: 'string',
+    presentationOpen: 'boolean',
+    notesOpen: 'boolean',
+    currentSlide: 'integer|null',
+    totalSlides: 'integer|null',
+    presentationUrl: 'string|null',
+    presentationTitle: 'string|null',
+    slideInfo: 'string|null',
+    isFirstSlide: 'boolean|null',
+    isLastSlide: 'boolean|null',
+    nextSlide: 'integer|null',
+    previousSlide: 'integer|null',
+    timerElapsed: 'string|null',
+    loginState: 'boolean',
+    loggedInUser: 'string|null',
+    slideTracking: '#SlideTracking',
+    presentationDisplayId: 'integer|null',
+    notesDisplayId: 'integer|null',
+    rundown: '#RundownSummary',
+    cued: '#Cue',
+    pairing: 'object',
+    failover: '#Failover',
+    outputMode: ['live', 'blackout', 'whiteout', 'freeze', 'slate'],
+    presenterMessage: '#PresenterMessage'
+  },
+  OutputResult: {
+    message: 'string',
+    outputMode: ['live', 'blackout', 'whiteout', 'freeze', 'slate']
+  },
+  PresenterMessage: {
+    id: 'string',
+    text: 'string',
+    color: ['white', 'green', 'yellow', 'red'],
+    flash: 'boolean',
+    duration: 'integer|null',
+    sentAt: 'integer',
+    expiresAt: 'integer|null',
+    acknowledgedAt: 'integer|null',
+    endedAt: 'integer|null',
+    endReason: 'string|null' // replaced, acknowledged, expired or cleared
+  },
+  ConfidenceMonitor: {
+    enabled: 'boolean',
+    open: 'boolean',
+    displayId: 'integer|null'
+  },
+  Message: {
+    message: 'string'
+  },
+  Error: {
+    code: 'string!',
+    message: 'string!',
+    details: 'object'
+  }
+};
+
+const GO_TO_SLIDE_BODY = {
+  slide: 'integer',
+  pageId: 'string',
+  title: 'string',
+  mode: ['auto', 'type', 'fragment']
+};
+
+const API_DOCS = {
+  'GET /api/openapi.json': {
+    tag: 'Meta',
+    summary: 'This document',
+    description: 'OpenAPI 3.1 description of every route, returned as is (not in the response envelope). Needs no token.',
+    responseType: 'application/json',
+    response: 'object'
+  },
+  'GET /api/events': {
+    tag: 'Status',
+    summary: 'Server-Sent Events stream of state changes',
+    description: `Event types: ${EVENT_TYPES.join(', ')}. A hello event with a state snapshot is sent on connect. ` +
+      'Filter with ?types=slide-changed,notes-opened. EventSource can pass the token as ?token=.',
+    query: { types: 'string' },
+    responseType: 'text/event-stream'
+  },
+  'GET /api/status': {
+    tag: 'Status',
+    summary: 'Current state for controllers (slides, windows, login, rundown, cue, failover)',
+    response: '#Status'
+  },
+  'GET /api/heartbeat': {
+    tag: 'Status',
+    summary: 'Liveness probe polled by backups (needs no token)',
+    response: { status: 'string', role: ['standalone', 'primary', 'backup'], live: 'boolean', machineName: 'string' }
+  },
+  'GET /api/deck-index': {
+    tag: 'Status',
+    summary: 'Slides of the open deck seen so far (number, page id, title)',
+    response: { totalSlides: 'integer|null', slides: '#DeckIndexEntry[]' }
+  },
+  'POST /api/open-presentation': {
+    tag: 'Presentation',
+    summary: 'Open a presentation (mock:<name> opens the offline test deck)',
+    body: { url: 'string!' },
+    response: '#Message',
+    errors: ['INVALID_REQUEST']
+  },
+  'POST /api/open-presentation-with-notes': {
+    tag: 'Presentation',
+    summary: 'Open a presentation and start speaker notes',
+    body: { url: 'string!' },
+    response: '#Message',
+    errors: ['INVALID_REQUEST']
+  },
+  'POST /api/close-presentation': {
+    tag: 'Presentation',
+    summary: 'Close the presentation and speaker notes',
+    response: '#Message'
+  },
+  'POST /api/reload-presentation': {
+    tag: 'Presentation',
+    summary: 'Close and reopen the deck, returning to the same slide',
+    description: 'Answers right away; the reload takes a few seconds.',
+    response: '#Message',
+    errors: ['NO_PRESENTATION', 'CONFLICT']
+  },
+  'POST /api/next-slide': {
+    tag: 'Presentation',
+    summary: 'Next slide (on the last slide of a rundown deck, loads the next deck)',
+    response: { message: 'string', rundown: '#RundownSummary' },
+    errors: ['NO_PRESENTATION']
+  },
+  'POST /api/previous-slide': {
+    tag: 'Presentation',
+    summary: 'Previous slide',
+    response: '#Message',
+    errors: ['NO_PRESENTATION']
+  },
+  'POST /api/go-to-slide': {
+    tag: 'Presentation',
+    summary: 'Jump to a slide by number, page id or title and confirm arrival',
+    description: 'Give one of slide, pageId or title. Titles match exact, then starts-with, then contains.',
+    body: GO_TO_SLIDE_BODY,
+    response: {
+      message: 'string',
+      fromSlide: 'integer|null',
+      toSlide: 'integer|null',
+      pageId: 'string|null',
+      verified: 'boolean',
+      method: ['none', 'fragment', 'type'],
+      confidence: 'string'
+    },
+    errors: ['INVALID_REQUEST', 'NO_PRESENTATION', 'SLIDE_NOT_FOUND', 'AMBIGUOUS_TITLE', 'CONFLICT', 'SLIDE_NOT_REACHED']
+  },
+  'POST /api/toggle-video': {
+    tag: 'Presentation',
+    summary: 'Toggle video playback (k key)',
+    response: '#Message',
+    errors: ['NO_PRESENTATION']
+  },
+  'GET /api/output': {
+    tag: 'Output',
+    summary: 'Which cover is over the deck (live = none)',
+    response: { outputMode: ['live', 'blackout', 'whiteout', 'freeze', 'slate'] }
+  },
+  'POST /api/output': {
+    tag: 'Output',
+    summary: 'Set the cover by name; live removes it',
+    body: { mode: ['live', 'blackout', 'whiteout', 'freeze', 'slate'] },
+    response: '#OutputResult',
+    errors: ['INVALID_REQUEST', 'NO_PRESENTATION', 'CONFLICT']
+  },
+  'POST /api/blackout': {
+    tag: 'Output',
+    summary: 'Cover the deck with black',
+    description: 'Send { on: true|false }; without a body the cover toggles. The deck keeps running underneath.',
+    body: { on: 'boolean' },
+    response: '#OutputResult',
+    errors: ['INVALID_REQUEST']
+  },
+  'POST /api/whiteout': {
+    tag: 'Output',
+    summary: 'Cover the deck with white',
+    description: 'Send { on: true|false }; without a body the cover toggles.',
+    body: { on: 'boolean' },
+    response: '#OutputResult',
+    errors: ['INVALID_REQUEST']
+  },
+  'POST /api/freeze': {
+    tag: 'Output',
+    summary: 'Hold the current frame while the deck changes underneath',
+    description: 'Send { on: true|false }; without a body the cover toggles.',
+    body: { on: 'boolean' },
+    response: '#OutputResult',
+    errors: ['INVALID_REQUEST', 'NO_PRESENTATION', 'CONFLICT']
+  },
+  'POST /api/slate': {
+    tag: 'Output',
+    summary: 'Show the slate image (or holding text) over the deck',
+    description: 'The image and text are set in the desktop app (Settings > Output Covers). Send { on: true|false }; without a body the cover toggles.',
+    body: { on: 'boolean' },
+    response: '#OutputResult',
+    errors: ['INVALID_REQUEST']
+  },
+  'GET /api/message': {
+    tag: 'Speaker notes',
+    summary: 'The operator message showing to the presenter (if any) and the history, newest first',
+    response: { current: '#PresenterMessage', history: '#PresenterMessage[]' }
+  },
+  'POST /api/message': {
+    tag: 'Speaker notes',
+    summary: 'Show a message to the presenter',
+    description: 'Shown on the Web UI Remote tab, the confidence monitor and over the presenter view until cleared, replaced, acknowledged or (with duration, in seconds) expired. Mirrored to backups.',
+    body: { text: 'string!', color: ['white', 'green', 'yellow', 'red'], flash: 'boolean', duration: 'integer' },
+    response: { message: 'string', current: '#PresenterMessage' },
+    errors: ['INVALID_REQUEST']
+  },
+  'POST /api/message/acknowledge': {
+    tag: 'Speaker notes',
+    summary: 'The presenter has seen the message (takes it down)',
+    description: 'Pass the id that was shown so a newer message is not acknowledged by mistake. With nothing showing it answers acknowledged: null.',
+    body: { id: 'string' },
+    response: { message: 'string', acknowledged: '#PresenterMessage' },
+    errors: ['CONFLICT']
+  },
+  'POST /api/message/clear': {
+    tag: 'Speaker notes',
+    summary: 'Take the presenter message down',
+    response: '#Message'
+  },
+  'GET /api/confidence-monitor': {
+    tag: 'Speaker notes',
+    summary: 'Whether the confidence monitor is open, and on which display',
+    response: '#ConfidenceMonitor'
+  },
+  'POST /api/confidence-monitor': {
+    tag: 'Speaker notes',
+    summary: 'Open or close the confidence monitor, or move it to another display',
+    description: 'Shows current and next slide, notes, a clock, the stagetimer countdown and messages on a presenter-facing display. Saved to preferences; not mirrored to backups.',
+    body: { on: 'boolean', displayId: 'integer' },
+    response: { message: 'string', enabled: 'boolean', open: 'boolean', displayId: 'integer|null' },
+    errors: ['INVALID_REQUEST']
+  },
+  'POST /api/open-speaker-notes': {
+    tag: 'Speaker notes',
+    summary: 'Toggle speaker notes (s key)',
+    response: '#Message',
+    errors: ['NO_PRESENTATION']
+  },
+  'POST /api/close-speaker-notes': {
+    tag: 'Speaker notes',
+    summary: 'Close the speaker notes window',
+    response: '#Message',
+    errors: ['NO_NOTES_WINDOW']
+  },
+  'POST /api/scroll-notes-down': {
+    tag: 'Speaker notes',
+    summary: 'Scroll speaker notes down (150 pixels unless pixels is given)',
+    body: { pixels: 'integer' },
+    response: '#Message',
+    errors: ['INVALID_REQUEST', 'NO_NOTES_WINDOW', 'ELEMENT_NOT_FOUND']
+  },
+  'POST /api/scroll-notes-up': {
+    tag: 'Speaker notes',
+    summary: 'Scroll speaker notes up (150 pixels unless pixels is given)',
+    body: { pixels: 'integer' },
+    response: '#Message',
+    errors: ['INVALID_REQUEST', 'NO_NOTES_WINDOW', 'ELEMENT_NOT_FOUND']
+  },
+  'POST /api/zoom-in-notes': {
+    tag: 'Speaker notes',
+    summary: 'Zoom in on speaker notes',
+    response: '#Message',
+    errors: ['NO_NOTES_WINDOW', 'ELEMENT_NOT_FOUND']
+  },
+  'POST /api/zoom-out-notes': {
+    tag: 'Speaker notes',
+    summary: 'Zoom out on speaker notes',
+    response: '#Message',
+    errors: ['NO_NOTES_WINDOW', 'ELEMENT_NOT_FOUND']
+  },
+  'GET /api/get-speaker-notes': {
+    tag: 'Speaker notes',
+    summary: 'Notes text of the current slide',
+    response: { notes: 'string' },
+    errors: ['NO_NOTES_WINDOW']
+  },
+  'GET /api/get-slide-previews': {
+    tag: 'Speaker notes',
+    summary: 'Current and next slide preview images (PNG data: URLs) from the presenter view',
+    response: {
+      currentSlide: 'integer|null',
+      nextSlide: 'integer|null',
+      totalSlides: 'integer|null',
+      current: { dataUrl: 'string' },
+      next: { dataUrl: 'string' }
+    },
+    errors: ['NO_NOTES_WINDOW', 'ELEMENT_NOT_FOUND']
+  },
+  'GET /api/presets': {
+    tag: 'Presets',
+    summary: 'Ordered preset library (presentation1-3 repeat the first three URLs)',
+    response: '#PresetList'
+  },
+  'POST /api/presets': {
+    tag: 'Presets',
+    summary: 'Add a preset, replace the list ({ presets }) or set legacy presentation1-3',
+    body: { ...API_DOC_SCHEMAS.PresetInput, url: 'string', presets: '#PresetInput[]', presentation1: 'string', presentation2: 'string', presentation3: 'string' },
+    response: { ...API_DOC_SCHEMAS.PresetList, message: 'string', preset: '#Preset' },
+    errors: ['INVALID_REQUEST']
+  },
+  'PUT /api/presets': {
+    tag: 'Presets',
+    summary: 'Replace and reorder the whole list (entries with an id keep it)',
+    body: { presets: '#PresetInput[]' },
+    response: { ...API_DOC_SCHEMAS.PresetList, message: 'string' },
+    errors: ['INVALID_REQUEST']
+  },
+  'GET /api/presets/:id': {
+    tag: 'Presets',
+    summary: 'One preset by id, name or 1-based position',
+    response: { preset: '#Preset' },
+    errors: ['PRESET_NOT_FOUND']
+  },
+  'PUT /api/presets/:id': {
+    tag: 'Presets',
+    summary: 'Update fields of one preset',
+    body: { name: 'string', url: 'string', startSlide: 'integer', withNotes: 'boolean', tags: 'string[]' },
+    response: { ...API_DOC_SCHEMAS.PresetList, preset: '#Preset' },
+    errors: ['PRESET_NOT_FOUND', 'INVALID_REQUEST']
+  },
+  'POST /api/presets/:id': {
+    tag: 'Presets',
+    summary: 'Same as PUT /api/presets/:id',
+    body: { name: 'string', url: 'string', startSlide: 'integer', withNotes: 'boolean', tags: 'string[]' },
+    response: { ...API_DOC_SCHEMAS.PresetList, preset: '#Preset' },
+    errors: ['PRESET_NOT_FOUND', 'INVALID_REQUEST']
+  },
+  'DELETE /api/presets/:id': {
+    tag: 'Presets',
+    summary: 'Remove a preset',
+    response: { ...API_DOC_SCHEMAS.PresetList, preset: '#Preset' },
+    errors: ['PRESET_NOT_FOUND']
+  },
+  'POST /api/open-preset': {
+    tag: 'Presets',
+    summary: 'Open a preset by position (1-based), id or name, then go to its start slide',
+    body: { preset: 'integer|string', id: 'string', name: 'string', withNotes: 'boolean', startSlide: 'integer' },
+    response: { message: 'string', url: 'string', preset: '#Preset', withNotes: 'boolean', startSlide: 'integer' },
+    errors: ['INVALID_REQUEST', 'PRESET_NOT_FOUND']
+  },
+  'GET /api/cue': {
+    tag: 'Standby',
+    summary: 'What is preloaded on standby (null if nothing)',
+    response: { cued: '#Cue' }
+  },
+  'POST /api/cue': {
+    tag: 'Standby',
+    summary: 'Preload a deck in a hidden window ({ url } or { preset })',
+    body: { url: 'string', preset: 'integer|string', title: 'string', withNotes: 'boolean', startSlide: 'integer' },
+    response: { message: 'string', cued: '#Cue' },
+    errors: ['INVALID_REQUEST', 'PRESET_NOT_FOUND']
+  },
+  'POST /api/take': {
+    tag: 'Standby',
+    summary: 'Put the cued deck on the presentation display',
+    response: { message: 'string', taken: '#Cue' },
+    errors: ['CONFLICT']
+  },
+  'POST /api/clear-cue': {
+    tag: 'Standby',
+    summary: 'Discard the preloaded deck',
+    response: '#Message'
+  },
+  'GET /api/rundown': {
+    tag: 'Rundown',
+    summary: 'The show rundown and current position',
+    response: { rundown: '#Rundown', summary: '#RundownSummary' }
+  },
+  'PUT /api/rundown': {
+    tag: 'Rundown',
+    summary: 'Replace the rundown (the position follows the current deck)',
+    body: '#Rundown',
+    response: { message: 'string', rundown: '#Rundown', summary: '#RundownSummary' },
+    errors: ['INVALID_REQUEST']
+  },
+  'POST /api/rundown': {
+    tag: 'Rundown',
+    summary: 'Same as PUT /api/rundown',
+    body: '#Rundown',
+    response: { message: 'string', rundown: '#Rundown', summary: '#RundownSummary' },
+    errors: ['INVALID_REQUEST']
+  },
+  'POST /api/rundown/next': {
+    tag: 'Rundown',
+    summary: 'Load the next deck',
+    response: { message: 'string', item: '#RundownItem', summary: '#RundownSummary' },
+    errors: ['NOT_FOUND']
+  },
+  'POST /api/rundown/previous': {
+    tag: 'Rundown',
+    summary: 'Load the previous deck',
+    response: { message: 'string', item: '#RundownItem', summary: '#RundownSummary' },
+    errors: ['CONFLICT', 'NOT_FOUND']
+  },
+  'POST /api/rundown/go': {
+    tag: 'Rundown',
+    summary: 'Load a deck by 0-based index or id',
+    body: { index: 'integer', id: 'string' },
+    response: { message: 'string', item: '#RundownItem', summary: '#RundownSummary' },
+    errors: ['INVALID_REQUEST', 'NOT_FOUND']
+  },
+  'GET /api/failover': {
+    tag: 'Primary/backup',
+    summary: 'Role of this machine and, on a backup, how its primary is doing',
+    response: '#Failover'
+  },
+  'POST /api/failover/promote': {
+    tag: 'Primary/backup',
+    summary: 'Make this backup the primary',
+    response: { failover: '#Failover' },
+    errors: ['CONFLICT']
+  },
+  'POST /api/failover/demote': {
+    tag: 'Primary/backup',
+    summary: 'Return a machine promoted by failover to backup mode',
+    response: { failover: '#Failover' },
+    errors: ['CONFLICT']
+  },
+  'GET /api/backup-status': {
+    tag: 'Primary/backup',
+    summary: 'Connection, pairing and sync state of each backup (primary mode)',
+    response: { backups: 'object[]' }
+  },
+  'POST /api/backup-resync': {
+    tag: 'Primary/backup',
+    summary: 'Reopen our deck and slide on one backup ({ ip }) or every out-of-sync backup',
+    body: { ip: 'string' },
+    response: { message: 'string', results: 'object[]' },
+    errors: ['CONFLICT', 'NOT_FOUND', 'UPSTREAM_ERROR']
+  },
+  'GET /api/discovery': {
+    tag: 'Primary/backup',
+    summary: 'Instances found on the LAN via mDNS',
+    response: { enabled: 'boolean', error: 'string|null', self: 'object', instances: 'object[]' }
+  },
+  'POST /api/discovery/refresh': {
+    tag: 'Primary/backup',
+    summary: 'Query the LAN now and answer about 1.5 seconds later',
+    response: { enabled: 'boolean', error: 'string|null', self: 'object', instances: 'object[]' }
+  },
+  'GET /api/preferences': {
+    tag: 'Settings',
+    summary: 'All preferences (token secrets redacted)',
+    response: 'object'
+  },
+  'POST /api/preferences': {
+    tag: 'Settings',
+    summary: 'Merge preferences (allowlist, tokens and pairing are desktop-only and ignored)',
+    body: 'object',
+    response: '#Message'
+  },
+  'GET /api/displays': {
+    tag: 'Settings',
+    summary: 'Connected displays (data is a list)',
+    response: [{ id: 'integer', bounds: 'object', label: 'string', primary: 'boolean' }]
+  },
+  'GET /api/stagetimer-settings': {
+    tag: 'Settings',
+    summary: 'Stagetimer.io room configuration',
+    response: { roomId: 'string', apiKey: 'string', enabled: 'boolean', visible: 'boolean' }
+  },
+  'POST /api/stagetimer-settings': {
+    tag: 'Settings',
+    summary: 'Save the Stagetimer.io room configuration',
+    body: { roomId: 'string', apiKey: 'string', enabled: 'boolean', visible: 'boolean' },
+    response: '#Message'
+  },
+  'GET /api/get-stagetimer-status': {
+    tag: 'Settings',
+    summary: 'Live timer and messages from stagetimer.io',
+    response: {
+      configured: 'boolean',
+      running: 'boolean',
+      displayTime: 'string',
+      remainingMs: 'integer',
+      elapsedMs: 'integer',
+      timerId: 'string|null',
+      messages: 'object[]',
+      timerName: 'string',
+      speaker: 'string'
+    },
+    errors: ['NOT_CONFIGURED', 'UPSTREAM_ERROR']
+  },
+  'GET /api/debug/preferences': {
+    tag: 'Settings',
+    summary: 'Where the preferences file is and whether it can be written',
+    response: 'object'
+  },
+  'GET /api/v2/presentation': {
+    tag: 'v2',
+    summary: 'Whether a deck is open, its URL, notes and slide position',
+    response: '#Presentation'
+  },
+  'PUT /api/v2/presentation': {
+    tag: 'v2',
+    summary: 'Open a deck, replacing the open one (notes: true starts speaker notes)',
+    body: { url: 'string!', notes: 'boolean' },
+    response: { message: 'string', presentation: '#Presentation' },
+    errors: ['INVALID_REQUEST']
+  },
+  'DELETE /api/v2/presentation': {
+    tag: 'v2',
+    summary: 'Close the deck and speaker notes',
+    response: '#Message'
+  },
+  'GET /api/v2/presentation/slide': {
+    tag: 'v2',
+    summary: 'Current slide and how it was observed',
+    response: '#Slide',
+    errors: ['NO_PRESENTATION']
+  },
+  'PUT /api/v2/presentation/slide': {
+    tag: 'v2',
+    summary: 'Go to a slide by number, page id or title, or step by offset',
+    description: 'offset 1 and -1 press next/previous (next runs on into the next rundown deck); ' +
+      'other offsets jump from the current slide. Answers like POST /api/go-to-slide, plus the new slide state.',
+    body: { ...GO_TO_SLIDE_BODY, offset: 'integer' },
+    response: { message: 'string', slide: '#Slide' },
+    errors: ['INVALID_REQUEST', 'NO_PRESENTATION', 'SLIDE_NOT_FOUND', 'AMBIGUOUS_TITLE', 'CONFLICT', 'SLIDE_NOT_REACHED']
+  },
+  'GET /api/v2/notes': {
+    tag: 'v2',
+    summary: 'Whether speaker notes are open, their text and zoom level',
+    response: { open: 'boolean', text: 'string|null', zoomLevel: 'integer' },
+    errors: ['ELEMENT_NOT_FOUND']
+  },
+  'PATCH /api/v2/notes': {
+    tag: 'v2',
+    summary: 'Open or close speaker notes, set their zoom and scroll them',
+    description: 'Applied in the order open, zoom, scroll. zoomLevel is absolute in zoom button steps ' +
+      '(0 = as Slides opened the notes, at most 10 steps per request); zoomBy is relative. scrollBy is in pixels, negative scrolls up. ' +
+      'Opening takes a moment, so zoom and scroll in a later request.',
+    body: { open: 'boolean', zoomLevel: 'integer', zoomBy: 'integer', scrollBy: 'integer' },
+    response: { message: 'string', open: 'boolean', zoomLevel: 'integer', scrolledBy: 'integer' },
+    errors: ['INVALID_REQUEST', 'NO_PRESENTATION', 'NO_NOTES_WINDOW', 'ELEMENT_NOT_FOUND', 'CONFLICT']
+  },
+  'GET /api/v2/presets': {
+    tag: 'v2',
+    summary: 'Ordered preset library',
+    response: { presets: '#Preset[]' }
+  },
+  'POST /api/v2/presets': {
+    tag: 'v2',
+    summary: 'Add a preset',
+    body: '#PresetInput',
+    status: 201,
+    response: { preset: '#Preset' },
+    errors: ['INVALID_REQUEST']
+  },
+  'GET /api/v2/presets/:id': {
+    tag: 'v2',
+    summary: 'One preset, by id, name or 1-based position',
+    response: { preset: '#Preset' },
+    errors: ['PRESET_NOT_FOUND']
+  },
+  'PATCH /api/v2/presets/:id': {
+    tag: 'v2',
+    summary: 'Change some fields of a preset',
+    body: '#PresetInput',
+    response: { preset: '#Preset' },
+    errors: ['INVALID_REQUEST', 'PRESET_NOT_FOUND']
+  },
+  'DELETE /api/v2/presets/:id': {
+    tag: 'v2',
+    summary: 'Remove a preset',
+    response: { preset: '#Preset' },
+    errors: ['PRESET_NOT_FOUND']
+  },
+  'POST /api/v2/presets/:id/open': {
+    tag: 'v2',
+    summary: 'Open a preset, optionally overriding withNotes and startSlide',
+    body: { withNotes: 'boolean', startSlide: 'integer' },
+    response: { message: 'string', preset: '#Preset', withNotes: 'boolean', startSlide: 'integer' },
+    errors: ['PRESET_NOT_FOUND', 'INVALID_REQUEST', 'CONFLICT']
+  }
+};
+
+// Compact notation (see above) -> JSON Schema
+function toJsonSchema(spec) {
+  if (Array.isArray(spec)) {
+    // A one-element array of an object is a list of those; otherwise it's an enum
+    if (spec.length === 1 && spec[0] && typeof spec[0] === 'object') {
+      return { type: 'array', items: toJsonSchema(spec[0]) };
+    }
+    return { type: 'string', enum: spec };
+  }
+  if (spec && typeof spec === 'object') {
+    const properties = {};
+    const required = [];
+    for (const [key, value] of Object.entries(spec)) {
+      if (typeof value === 'string' && value.endsWith('!')) {
+        required.push(key);
+        properties[key] = toJsonSchema(value.slice(0, -1));
+      } else {
+        properties[key] = toJsonSchema(value);
+      }
+    }
+    return required.length ? { type: 'object', properties, required } : { type: 'object', properties };
+  }
+  const text = String(spec).replace(/!$/, '');
+  if (text.endsWith('[]')) {
+    return { type: 'array', items: toJsonSchema(text.slice(0, -2)) };
+  }
+  if (text.startsWith('#')) {
+    return { $ref: `#/components/schemas/${text.slice(1)}` };
+  }
+  const types = text.split('|');
+  return { type: types.length === 1 ? types[0] : types };
+}
+
+function envelopeSchema(dataSchema) {
+  return {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      data: dataSchema,
+      error: { type: 'null' }
+    }
+  };
+}
+
+function buildOpenApiDocument(req) {
+  const host = req && req.headers && req.headers.host;
+  const paths = {};
+
+  for (const route of apiRoutes) {
+    const key = `${route.method} ${route.path}`;
+    const doc = API_DOCS[key];
+    const openApiPath = route.path.replace(/:([A-Za-z]+)/g, '{$1}');
+    const operation = {
+      operationId: `${route.method.toLowerCase()}${route.path.replace(/^\/api/, '').replace(/[^A-Za-z0-9]+(.)?/g, (m, c) => (c ? c.toUpperCase() : ''))}`,
+      tags: [doc ? doc.tag : 'Other'],
+      summary: doc ? doc.summary : key,
+      'x-scope': getRequiredScope(route.method, route.path),
+      responses: {}
+    };
+    if (!doc) operation['x-undocumented'] = true;
+    if (doc && doc.description) operation.description = doc.description;
+
+    const parameters = route.keys.map(name => ({ name, in: 'path', required: true, schema: { type: 'string' } }));
+    if (doc && doc.query) {
+      for (const [name, type] of Object.entries(doc.query)) {
+        parameters.push({ name, in: 'query', required: false, schema: toJsonSchema(type) });
+      }
+    }
+    if (parameters.length) operation.parameters = parameters;
+
+    if (doc && doc.body) {
+      operation.requestBody = {
+        required: false,
+        content: { 'application/json': { schema: toJsonSchema(doc.body) } }
+      };
+    }
+
+    if (doc && doc.responseType) {
+      // Not wrapped in the envelope
+      const schema = doc.response ? toJsonSchema(doc.response) : { type: 'string' };
+      operation.responses['200'] = { description: 'Success', content: { [doc.responseType]: { schema } } };
+    } else {
+      const status = String((doc && doc.status) || 200);
+      operation.responses[status] = {
+        description: route.path.startsWith(API_V2_PREFIX)
+          ? 'Success'
+          : 'Success. The fields of an object data are also repeated at the top level.',
+        content: { 'application/json': { schema: envelopeSchema(doc && doc.response ? toJsonSchema(doc.response) : {}) } }
+      };
+    }
+
+    const codes = new Set((doc && doc.errors) || []);
+    if (route.method !== 'GET' && !route.raw) {
+      codes.add('INVALID_JSON');
+      codes.add('PAYLOAD_TOO_LARGE');
+    }
+    ['AUTH_REQUIRED', 'INVALID_TOKEN', 'INSUFFICIENT_SCOPE', 'FORBIDDEN', 'INTERNAL_ERROR'].forEach(code => codes.add(code));
+    if (route.method !== 'GET') codes.add('UNSIGNED_COMMAND');
+    const byStatus = {};
+    for (const code of codes) {
+      const status = String(API_ERRORS[code]);
+      (byStatus[status] = byStatus[status] || []).push(code);
+    }
+    const errorSchema = route.path.startsWith(API_V2_PREFIX) ? 'ErrorResponse' : 'LegacyErrorResponse';
+    for (const [status, list] of Object.entries(byStatus)) {
+      operation.responses[status] = {
+        description: list.join(', '),
+        content: { 'application/json': { schema: { $ref: `#/components/schemas/${errorSchema}` } } }
+      };
+    }
+
+    paths[openApiPath] = paths[openApiPath] || {};
+    paths[openApiPath][route.method.toLowerCase()] = operation;
+  }
+
+  const schemas = {};
+  for (const [name, spec] of Object.entries(API_DOC_SCHEMAS)) {
+    schemas[name] = toJsonSchema(spec);
+  }
+  schemas.Error.properties.code = { type: 'string', enum: Object.keys(API_ERRORS) };
+  schemas.ErrorResponse = {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: false },
+      data: { type: 'null' },
+      error: { $ref: '#/components/schemas/Error' }
+    }
+  };
+  // /api routes: error stays the message text for older clients
+  schemas.LegacyErrorResponse = {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: false },
+      data: { type: 'null' },
+      error: { type: 'string' },
+      errorCode: schemas.Error.properties.code,
+      errorDetails: { type: 'object' }
+    }
+  };
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Google Slides Opener API',
+      version: appBuildInfo.version,
+      description: 'Remote control for Google Slides Opener. Every JSON response is { success, data, error }. ' +
+        'On /api/v2 error is { code, message, details? }; on the older /api routes it is the message, with ' +
+        'errorCode and errorDetails beside it. Tokens are only needed once API tokens ' +
+        'exist in the desktop app; x-scope on each operation is the scope its token needs.'
+    },
+    servers: [{ url: host ? `http://${host}` : '/' }],
+    security: [{ bearerToken: [] }, { queryToken: [] }, {}],
+    paths,
+    components: {
+      schemas,
+      securitySchemes: {
+        bearerToken: { type: 'http', scheme: 'bearer' },
+        queryToken: { type: 'apiKey', in: 'query', name: 'token' }
+      }
+    }
+  };
+}
+
+// GET /api/openapi.json - Machine-readable description of this API (a plain OpenAPI document, no envelope)
+apiRoute('GET', '/api/openapi.json', ({ req, res }) => {
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(buildOpenApiDocument(req), null, 2));
+}, { raw: true });
+
+// ----------------------------
+// Control commands (for control surfaces that don't speak HTTP)
+// ----------------------------
+// OSC and the text control server map their messages onto these names. Each one runs the HTTP
+// route's own handler through invokeApiRoute, so rundown advance, backup mirroring and errors behave
+// as they do for Companion. The caller's address goes through the same controller allowlist and
+// paired-backup check as HTTP; there are no API tokens, so restrict these surfaces with the allowlist.
+const CONTROL_COMMANDS = {
+  next: { path: '/api/next-slide' },
+  prev: { path: '/api/previous-slide' },
+  // A number goes to that slide; anything else is matched as a slide title
+  goto: {
+    path: '/api/go-to-slide',
+    body: target => (/^\d+$/.test(String(target ?? '').trim()) ? { slide: Number(target) } : { title: target })
+  },
+  // Position (1-based), id or name
+  preset: { path: '/api/open-preset', body: ref => ({ preset: ref }) },
+  video: { path: '/api/toggle-video' },
+  // Toggles the black output cover
+  blackout: { path: '/api/blackout' },
+  // Not mirrored to backups, same as the HTTP route
+  reload: { path: '/api/reload-presentation' },
+  status: { method: 'GET', path: '/api/v2/presentation' }
+};
+
+// OSC and text control can't present an API token, so once tokens lock the API they only run
+// with a controller allowlist to stand in for one. Returns why a listener may not start, or null.
+function getUntokenedListenerBlock(prefs, name) {
+  if (!isApiAuthEnabled(prefs) || getControllerIpsFromPrefs(prefs).length > 0) return null;
+  return `API tokens are required, and ${name} can't send one: add its controllers to the controller allowlist`;
+}
+
+// Resolves with the route's data; rejects with an apiError (error.apiCode) like an HTTP caller gets
+async function runControlCommand(name, arg, { remoteAddress = '127.0.0.1', source = 'Control' } = {}) {
+  const command = CONTROL_COMMANDS[name];
+  if (!command) throw apiError('NOT_FOUND', `Unknown command: ${name}`);
+
+  const method = command.method || 'POST';
+  const prefs = loadPreferences();
+  const req = { method, url: command.path, socket: { remoteAddress } };
+  if (!isControllerAllowedRequest(req, prefs)) {
+    throw apiError('FORBIDDEN', `${normalizeRemoteAddress(remoteAddress)} is not on the controller allowlist`);
+  }
+  if (requiresPrimarySignature(req, prefs)) {
+    throw apiError('UNSIGNED_COMMAND', 'This backup only takes commands from its paired primary');
+  }
+
+  logDebug(`[${source}] ${name}${arg !== undefined ? ` ${arg}` : ''} from ${remoteAddress}`);
+  return invokeApiRoute(method, command.path, command.body ? command.body(arg) : {});
+}
+
+// ----------------------------
+// OSC control surface (UDP)
+// ----------------------------
+// Optional (prefs.oscEnabled, port prefs.oscPort). Lighting/audio consoles and QLab send:
+//   /gslide/next, /gslide/prev, /gslide/goto <number|title>, /gslide/preset <position|id|name>, /gslide/video
+// A failed command is answered with /gslide/error <code> <message> to the sender's address and port.
+// Feedback goes to every prefs.oscFeedbackTargets entry ('host:port'):
+//   /gslide/slide <current> <total> on slide change (0 when unknown), /gslide/presentation <1|0> on open/close
+// OSC 1.0 is encoded by hand: int32, float32, int64, double, string, blob, T/F/N/I and bundles.
+const DEFAULT_OSC_PORT = 9596;
+const OSC_ADDRESS_PREFIX = '/gslide/';
+const OSC_COMMANDS = { next: 'next', prev: 'prev', previous: 'prev', goto: 'goto', preset: 'preset', video: 'video' };
+
+let oscSocket = null;
+let oscSocketPort = null;
+let oscListening = false;
+let oscError = null;
+
+function getOscPort(prefs) {
+  const port = parseInt(prefs?.oscPort, 10);
+  return Number.isInteger(port) && port >= 1024 && port <= 65535 ? port : DEFAULT_OSC_PORT;
+}
+
+// 'host:port' strings, deduplicated; entries without a valid port are dropped
+function getOscFeedbackTargetsFromPrefs(prefs) {
+  const raw = Array.isArray(prefs?.oscFeedbackTargets)
+    ? prefs.oscFeedbackTargets
+    : String(prefs?.oscFeedbackTargets || '').split(/[\s,]+/);
+  const out = [];
+  raw.forEach((entry) => {
+    const target = parseOscTarget(entry);
+    if (!target) return;
+    const key = `${target.host}:${target.port}`;
+    if (!out.includes(key)) out.push(key);
+  });
+  return out;
+}
+
+function parseOscTarget(entry) {
+  const match = String(entry || '').trim().match(/^([^\s:]+):(\d{1,5})$/);
+  if (!match) return null;
+  const port = parseInt(match[2], 10);
+  if (port < 1 || port > 65535) return null;
+  return { host: match[1], port };
+}
+
+// Strings are NUL-terminated and padded to a multiple of 4 bytes
+function readOscString(buf, offset) {
+  const end = buf.indexOf(0, offset);
+  if (end === -1) throw new Error('Unterminated OSC string');
+  return { value: buf.toString('utf8', offset, end), next: offset + Math.ceil((end - offset + 1) / 4) * 4 };
+}
+
+function decodeOscMessage(buf) {
+  const address = readOscString(buf, 0);
+  if (!address.value.startsWith('/')) throw new Error('Not an OSC message');
+  const args = [];
+  // Very old senders omit the type tag string (no arguments then)
+  if (address.next >= buf.length) return { address: address.value, args };
+
+  const tags = readOscString(buf, address.next);
+  if (!tags.value.startsWith(',')) throw new Error('Missing OSC type tags');
+  let offset = tags.next;
+  for (const tag of tags.value.slice(1)) {
+    switch (tag) {
+      case 'i': args.push(buf.readInt32BE(offset)); offset += 4; break;
+      case 'f': args.push(buf.readFloatBE(offset)); offset += 4; break;
+      case 'h': args.push(Number(buf.readBigInt64BE(offset))); offset += 8; break;
+      case 'd': args.push(buf.readDoubleBE(offset)); offset += 8; break;
+      case 's':
+      case 'S': {
+        const str = readOscString(buf, offset);
+        args.push(str.value);
+        offset = str.next;
+        break;
+      }
+      case 'b': {
+        const size = buf.readInt32BE(offset);
+        if (size < 0 || offset + 4 + size > buf.length) throw new Error('Bad OSC blob size');
+        args.push(buf.subarray(offset + 4, offset + 4 + size));
+        offset += 4 + Math.ceil(size / 4) * 4;
+        break;
+      }
+      case 'T': args.push(true); break;
+      case 'F': args.push(false); break;
+      case 'N': args.push(null); break;
+      case 'I': args.push(Infinity); break;
+      default: throw new Error(`Unsupported OSC type tag '${tag}'`);
+    }
+  }
+  return { address: address.value, args };
+}
+
+// A packet is one message or a bundle of them; bundle time tags are ignored (we act on arrival)
+function decodeOscPacket(buf) {
+  if (buf.length >= 16 && buf.toString('latin1', 0, 8) === '#bundle\0') {
+    const messages = [];
+    let offset = 16;
+    while (offset + 4 <= buf.length) {
+      const size = buf.readInt32BE(offset);
+      if (size <= 0 || offset + 4 + size > buf.length) throw new Error('Bad OSC bundle element size');
+      messages.push(...decodeOscPacket(buf.subarray(offset + 4, offset + 4 + size)));
+      offset += 4 + size;
+    }
+    return messages;
+  }
+  return [decodeOscMessage(buf)];
+}
+
+function encodeOscString(value) {
+  const raw = Buffer.from(String(value), 'utf8');
+  const padded = Buffer.alloc(Math.ceil((raw.length + 1) / 4) * 4);
+  raw.copy(padded);
+  return padded;
+}
+
+// Integers go as int32, other numbers as float32, booleans as T/F, null as N, the rest as strings
+function encodeOscMessage(address, args = []) {
+  let tags = ',';
+  const parts = [];
+  for (const arg of args) {
+    if (Number.isInteger(arg)) {
+      tags += 'i';
+      const b = Buffer.alloc(4);
+      b.writeInt32BE(arg);
+      parts.push(b);
+    } else if (typeof arg === 'number') {
+      tags += 'f';
+      const b = Buffer.alloc(4);
+      b.writeFloatBE(arg);
+      parts.push(b);
+    } else if (typeof arg === 'boolean') {
+      tags += arg ? 'T' : 'F';
+    } else if (arg === null || arg === undefined) {
+      tags += 'N';
+    } else {
+      tags += 's';
+      parts.push(encodeOscString(arg));
+    }
+  }
+  return Buffer.concat([encodeOscString(address), encodeOscString(tags), ...parts]);
+}
+
+function sendOscMessage(host, port, address, args) {
+  if (!oscListening) return;
+  const packet = encodeOscMessage(address, args);
+  oscSocket.send(packet, port, host, (err) => {
+    if (err) logDebug(`[OSC] Could not send ${address} to ${host}:${port}: ${err.message}`);
+  });
+}
+
+function sendOscFeedback(address, args) {
+  for (const entry of getOscFeedbackTargetsFromPrefs(loadPreferences())) {
+    const { host, port } = parseOscTarget(entry);
+    sendOscMessage(host, port, address, args);
+  }
+}
+
+// publishEvent listener while the OSC socket is open
+function handleOscFeedbackEvent(evt) {
+  if (evt.type === 'slide-changed') {
+    sendOscFeedback('/gslide/slide', [evt.data.currentSlide || 0, evt.data.totalSlides || 0]);
+  } else if (evt.type === 'presentation-opened' || evt.type === 'presentation-closed') {
+    sendOscFeedback('/gslide/presentation', [evt.type === 'presentation-opened' ? 1 : 0]);
+  }
+}
+
+async function handleOscMessage(message, rinfo) {
+  if (!message.address.startsWith(OSC_ADDRESS_PREFIX)) return;
+  const name = OSC_COMMANDS[message.address.slice(OSC_ADDRESS_PREFIX.length).toLowerCase()];
+  if (!name) {
+    logDebug(`[OSC] Ignoring ${message.address} from ${rinfo.address}`);
+    return;
+  }
+
+  let arg = message.args[0];
+  // Buttons on TouchOSC-style surfaces send 1 on press and 0 on release; only the press counts
+  if (!CONTROL_COMMANDS[name].body && (arg === 0 || arg === false)) return;
+  // Faders and many consoles only send floats
+  if (typeof arg === 'number' && !Number.isInteger(arg)) arg = Math.round(arg);
+
+  try {
+    const result = await runControlCommand(name, arg, { remoteAddress: rinfo.address, source: 'OSC' });
+    logInfo(`[OSC] ${message.address}${arg !== undefined ? ` ${arg}` : ''} from ${rinfo.address}: ${result?.message || 'OK'}`);
+  } catch (error) {
+    const code = error.apiCode || 'INTERNAL_ERROR';
+    logWarn(`[OSC] ${message.address} from ${rinfo.address} failed: ${code} ${error.message}`);
+    sendOscMessage(rinfo.address, rinfo.port, '/gslide/error', [code, error.message]);
+  }
+}
+
+function startOscServer() {
+  const prefs = loadPreferences();
+  if (prefs.oscEnabled !== true) return;
+
+  const port = getOscPort(prefs);
+  const socket = dgram.createSocket('udp4');
+  socket.on('error', (err) => {
+    oscError = err.code === 'EADDRINUSE' ? `UDP port ${port} is already in use` : err.message;
+    logWarn('[OSC] Listener stopped:', oscError);
+    if (oscSocket === socket) stopOscServer();
+    try {
+      socket.close();
+    } catch (e) {
+      // already closed
+    }
+  });
+  socket.on('message', (msg, rinfo) => {
+    let messages;
+    try {
+      messages = decodeOscPacket(msg);
+    } catch (e) {
+      logDebug(`[OSC] Unreadable packet from ${rinfo.address}: ${e.message}`);
+      return;
+    }
+    // One at a time, in order (a bundle of next + next moves two slides)
+    (async () => {
+      for (const message of messages) {
+        await handleOscMessage(message, rinfo);
+      }
+    })();
+  });
+  oscSocket = socket;
+  oscSocketPort = port;
+  socket.bind(port, '0.0.0.0', () => {
+    oscListening = true;
+    eventListeners.add(handleOscFeedbackEvent);
+    console.log(`[OSC] Listening on udp://0.0.0.0:${port}`);
+  });
+}
+
+function stopOscServer() {
+  eventListeners.delete(handleOscFeedbackEvent);
+  if (oscSocket) {
+    try {
+      oscSocket.close();
+    } catch (e) {
+      // already closed
+    }
+    oscSocket = null;
+    oscSocketPort = null;
+  }
+  oscListening = false;
+}
+
+// (Re)start or stop the listener to match preferences; called at startup and after Settings saves
+function applyOscSettings() {
+  const prefs = loadPreferences();
+  const blocked = prefs.oscEnabled === true ? getUntokenedListenerBlock(prefs, 'OSC') : null;
+  if (blocked) {
+    if (oscError !== blocked) logWarn('[OSC] Not listening:', blocked);
+    stopOscServer();
+    oscError = blocked;
+    return;
+  }
+  const wanted = prefs.oscEnabled === true ? getOscPort(prefs) : null;
+  if (wanted === null) oscError = null;
+  if (wanted === oscSocketPort && (wanted === null || oscSocket)) return;
+  stopOscServer();
+  oscError = null;
+  startOscServer();
+}
+
+function getOscStatus() {
+  const prefs = loadPreferences();
+  return {
+    enabled: prefs.oscEnabled === true,
+    listening: oscListening,
+    port: getOscPort(prefs),
+    error: oscError,
+    // No allowlist: any device on the network can send commands
+    unrestricted: getControllerIpsFromPrefs(prefs).length === 0,
+    feedbackTargets: getOscFeedbackTargetsFromPrefs(prefs)
+  };
+}
+
+// ----------------------------
+// Text control server (TCP/UDP line protocol)
+// ----------------------------
+// Optional (prefs.textControlEnabled, port prefs.textControlPort) for Crestron, Q-SYS, Extron and
+// other controllers that send plain strings. One command per line, case-insensitive:
+//   NEXT, PREV, GOTO <number|title>, PRESET <position|id|name>, VIDEO, STATUS?
+// Every command is answered with one line:
+//   OK PRESENTATION=OPEN SLIDE=4 TOTAL=12 NOTES=OPEN   (state after the command)
+//   STATUS PRESENTATION=OPEN SLIDE=4 TOTAL=12 NOTES=OPEN   (for STATUS?)
+//   ERROR <CODE> <message>   (same codes as the HTTP API)
+// TCP clients also get an unsolicited STATUS line whenever the slide changes or a deck opens/closes.
+// UDP datagrams to the same port are answered to the sender; there is no unsolicited feedback over UDP.
+// Datagrams from senders that fail the controller allowlist are dropped without a reply.
+const DEFAULT_TEXT_CONTROL_PORT = 9597;
+// Longer lines are a misconfigured sender (or not a controller at all); the connection is dropped
+const TEXT_CONTROL_MAX_LINE = 512;
+const TEXT_CONTROL_COMMANDS = {
+  NEXT: 'next',
+  PREV: 'prev',
+  PREVIOUS: 'prev',
+  GOTO: 'goto',
+  PRESET: 'preset',
+  VIDEO: 'video',
+  STATUS: 'status',
+  'STATUS?': 'status'
+};
+
+let textControlServer = null;
+let textControlUdp = null;
+let textControlPort = null;
+let textControlListening = false;
+let textControlError = null;
+const textControlClients = new Set();
+
+function getTextControlPort(prefs) {
+  const port = parseInt(prefs?.textControlPort, 10);
+  return Number.isInteger(port) && port >= 1024 && port <= 65535 ? port : DEFAULT_TEXT_CONTROL_PORT;
+}
+
+// 'PRESENTATION=OPEN SLIDE=4 TOTAL=12 NOTES=OPEN'; SLIDE/TOTAL are 0 when unknown
+function formatTextControlState(state = getPresentationState()) {
+  return [
+    `PRESENTATION=${state.open ? 'OPEN' : 'CLOSED'}`,
+    `SLIDE=${state.slide.currentSlide || 0}`,
+    `TOTAL=${state.slide.totalSlides || 0}`,
+    `NOTES=${state.notesOpen ? 'OPEN' : 'CLOSED'}`
+  ].join(' ');
+}
+
+// Runs one line and resolves with the reply line (never rejects)
+async function runTextControlLine(line, remoteAddress, source) {
+  const match = line.match(/^(\S+)(?:\s+(.+))?$/);
+  const word = match[1].toUpperCase();
+  const arg = match[2] !== undefined ? match[2].trim() : undefined;
+  const name = TEXT_CONTROL_COMMANDS[word];
+  try {
+    if (!name) throw apiError('NOT_FOUND', `Unknown command: ${word}`);
+    await runControlCommand(name, arg, { remoteAddress, source });
+    const reply = `${name === 'status' ? 'STATUS' : 'OK'} ${formatTextControlState()}`;
+    if (name !== 'status') logInfo(`[${source}] ${line} from ${remoteAddress}: ${reply}`);
+    return reply;
+  } catch (error) {
+    const code = error.apiCode || 'INTERNAL_ERROR';
+    logWarn(`[${source}] ${line} from ${remoteAddress} failed: ${code} ${error.message}`);
+    // Keep the reply on one line whatever the message says
+    return `ERROR ${code} ${String(error.message).replace(/[\r\n]+/g, ' ')}`;
+  }
+}
+
+function splitTextControlLines(text) {
+  return text.split(/\r\n|\r|\n/).map(line => line.trim()).filter(Boolean);
+}
+
+function handleTextControlConnection(socket) {
+  const remoteAddress = socket.remoteAddress;
+  // Refuse at connect time too, so a blocked address doesn't get the status broadcasts
+  if (!isControllerAllowedRequest({ socket }, loadPreferences())) {
+    logWarn(`[Text Control] Refused connection from ${remoteAddress} (not on the controller allowlist)`);
+    socket.end(`ERROR FORBIDDEN ${normalizeRemoteAddress(remoteAddress)} is not on the controller allowlist\r\n`);
+    return;
+  }
+
+  logInfo(`[Text Control] ${remoteAddress} connected`);
+  textControlClients.add(socket);
+  socket.setEncoding('utf8');
+  socket.setNoDelay(true);
+
+  let buffered = '';
+  let dropped = false;
+  // One command at a time per connection, answered in order
+  let queue = Promise.resolve();
+  socket.on('data', (chunk) => {
+    if (dropped) return;
+    buffered += chunk;
+    const parts = buffered.split(/\r\n|\r|\n/);
+    buffered = parts.pop();
+    if (buffered.length > TEXT_CONTROL_MAX_LINE || parts.some(line => line.length > TEXT_CONTROL_MAX_LINE)) {
+      // Nothing more is read; the socket goes once the error line is flushed, whether or not the sender stops
+      dropped = true;
+      buffered = '';
+      textControlClients.delete(socket);
+      socket.end(`ERROR INVALID_REQUEST Line longer than ${TEXT_CONTROL_MAX_LINE} characters\r\n`, () => socket.destroy());
+      return;
+    }
+    parts.map(line => line.trim()).filter(Boolean).forEach((line) => {
+      queue = queue.then(async () => {
+        const reply = await runTextControlLine(line, remoteAddress, 'Text Control');
+        if (!socket.destroyed) socket.write(`${reply}\r\n`);
+      });
+    });
+  });
+  socket.on('error', (err) => {
+    logDebug(`[Text Control] ${remoteAddress}: ${err.message}`);
+  });
+  socket.on('close', () => {
+    textControlClients.delete(socket);
+    logInfo(`[Text Control] ${remoteAddress} disconnected`);
+  });
+}
+
+// publishEvent listener while the server is up: push the new state to connected TCP clients
+function handleTextControlEvent(evt) {
+  if (!['slide-changed', 'presentation-opened', 'presentation-closed'].includes(evt.type)) return;
+  if (textControlClients.size === 0) return;
+  const line = `STATUS ${formatTextControlState()}\r\n`;
+  for (const socket of textControlClients) {
+    if (!socket.destroyed) socket.write(line);
+  }
+}
+
+function handleTextControlServerError(port, protocol, err) {
+  textControlError = err.code === 'EADDRINUSE' ? `${protocol} port ${port} is already in use` : err.message;
+  logWarn('[Text Control] Server stopped:', textControlError);
+  stopTextControlServer();
+}
+
+function startTextControlServer() {
+  const prefs = loadPreferences();
+  if (prefs.textControlEnabled !== true) return;
+
+  const port = getTextControlPort(prefs);
+  const server = net.createServer(handleTextControlConnection);
+  const udp = dgram.createSocket('udp4');
+  server.on('error', err => handleTextControlServerError(port, 'TCP', err));
+  udp.on('error', err => handleTextControlServerError(port, 'UDP', err));
+  udp.on('message', (msg, rinfo) => {
+    // No reply at all to blocked senders, so the port can't be probed from outside the allowlist
+    if (!isControllerAllowedRequest({ socket: { remoteAddress: rinfo.address } }, loadPreferences())) {
+      logDebug(`[Text Control] Ignored a datagram from ${rinfo.address} (not on the controller allowlist)`);
+      return;
+    }
+    const lines = splitTextControlLines(msg.toString('utf8'));
+    (async () => {
+      for (const line of lines) {
+        const reply = await runTextControlLine(line, rinfo.address, 'Text Control UDP');
+        if (textControlUdp !== udp) return;
+        // With a callback a failed reply is only logged; without one it would stop the whole server
+        udp.send(`${reply}\r\n`, rinfo.port, rinfo.address, (err) => {
+          if (err) logDebug(`[Text Control] Could not reply to ${rinfo.address}:${rinfo.port}: ${err.message}`);
+        });
+      }
+    })();
+  });
+
+  textControlServer = server;
+  textControlUdp = udp;
+  textControlPort = port;
+
+  // Listening once both are bound
+  let pending = 2;
+  const bound = () => {
+    pending -= 1;
+    if (pending > 0 || textControlServer !== server) return;
+    textControlListening = true;
+    eventListeners.add(handleTextControlEvent);
+    console.log(`[Text Control] Listening on tcp/udp 0.0.0.0:${port}`);
+  };
+  server.listen(port, '0.0.0.0', bound);
+  udp.bind(port, '0.0.0.0', bound);
+}
+
+function stopTextControlServer() {
+  eventListeners.delete(handleTextControlEvent);
+  for (const socket of textControlClients) {
+    socket.destroy();
+  }
+  textControlClients.clear();
+  if (textControlServer) {
+    textControlServer.close();
+    textControlServer = null;
+  }
+  if (textControlUdp) {
+    try {
+      textControlUdp.close();
+    } catch (e) {
+      // already closed
+    }
+    textControlUdp = null;
+  }
+  textControlPort = null;
+  textControlListening = false;
+}
+
+// (Re)start or stop the server to match preferences; called at startup and after Settings saves
+function applyTextControlSettings() {
+  const prefs = loadPreferences();
+  const blocked = prefs.textControlEnabled === true ? getUntokenedListenerBlock(prefs, 'text control') : null;
+  if (blocked) {
+    if (textControlError !== blocked) logWarn('[Text Control] Not listening:', blocked);
+    stopTextControlServer();
+    textControlError = blocked;
+    return;
+  }
+  const wanted = prefs.textControlEnabled === true ? getTextControlPort(prefs) : null;
+  if (wanted === null) textControlError = null;
+  if (wanted === textControlPort && (wanted === null || textControlServer)) return;
+  stopTextControlServer();
+  textControlError = null;
+  startTextControlServer();
+}
+
+function getTextControlStatus() {
+  const prefs = loadPreferences();
+  return {
+    enabled: prefs.textControlEnabled === true,
+    listening: textControlListening,
+    port: getTextControlPort(prefs),
+    error: textControlError,
+    // No allowlist: any device on the network can send commands
+    unrestricted: getControllerIpsFromPrefs(prefs).length === 0,
+    clients: textControlClients.size
+  };
+}
+
+// ----------------------------
+// MIDI input (foot pedals, pads, DAW cues)
+// ----------------------------
+// Chromium's Web MIDI runs in the desktop window (renderer.js), which forwards every input message
+// here over IPC; matching and dispatch stay in the main process next to OSC and text control.
+// prefs.midiMappings: [{ id, trigger: { type, channel, number }, device, action, arg }]
+//   type 'note' | 'cc' | 'program'; channel 1-16 or null for any; device an input name or null for any
+//   action one of MIDI_ACTIONS; arg is the slide (goto) or preset reference (preset)
+// Only presses fire: note-on with velocity > 0, a CC above 0, any program change.
+const MIDI_ACTIONS = ['next', 'prev', 'goto', 'preset', 'video'];
+const MIDI_TRIGGER_TYPES = ['note', 'cc', 'program'];
+const MIDI_LEARN_TIMEOUT_MS = 15000;
+
+// Pending learn request from Settings: { resolve, timer }
+let midiLearn = null;
+
+// [status, data1, data2] -> { type, channel, number, value }, or null for messages we don't map
+function parseMidiMessage(bytes) {
+  if (!Array.isArray(bytes) || bytes.length < 2) return null;
+  const [status, data1, data2 = 0] = bytes.map(Number);
+  const channel = (status & 0x0f) + 1;
+  switch (status & 0xf0) {
+    case 0x90:
+      // Note-on with velocity 0 is a note-off
+      return { type: 'note', channel, number: data1, value: data2 };
+    case 0x80:
+      return { type: 'note', channel, number: data1, value: 0 };
+    case 0xb0:
+      return { type: 'cc', channel, number: data1, value: data2 };
+    case 0xc0:
+      return { type: 'program', channel, number: data1, value: null };
+    default:
+      return null;
+  }
+}
+
+function normalizeMidiTrigger(raw) {
+  if (!raw || !MIDI_TRIGGER_TYPES.includes(raw.type)) return null;
+  const number = parseInt(raw.number, 10);
+  if (!Number.isInteger(number) || number < 0 || number > 127) return null;
+  const channel = parseInt(raw.channel, 10);
+  return {
+    type: raw.type,
+    channel: Number.isInteger(channel) && channel >= 1 && channel <= 16 ? channel : null,
+    number
+  };
+}
+
+// Unbound rows (no trigger learned yet) are kept so Settings can show them
+function normalizeMidiMappings(list) {
+  const mappings = [];
+  (Array.isArray(list) ? list : []).forEach((raw) => {
+    if (!raw || typeof raw !== 'object' || !MIDI_ACTIONS.includes(raw.action)) return;
+    const arg = raw.arg === undefined || raw.arg === null ? '' : String(raw.arg).trim();
+    mappings.push({
+      id: String(raw.id || '').trim() || 'm-' + crypto.randomBytes(4).toString('hex'),
+      trigger: normalizeMidiTrigger(raw.trigger),
+      device: String(raw.device || '').trim() || null,
+      action: raw.action,
+      arg: arg || null
+    });
+  });
+  return mappings;
+}
+
+function getMidiMappingsFromPrefs(prefs) {
+  return normalizeMidiMappings(prefs?.midiMappings);
+}
+
+function midiTriggerMatches(trigger, message) {
+  return !!trigger &&
+    trigger.type === message.type &&
+    trigger.number === message.number &&
+    (trigger.channel === null || trigger.channel === message.channel);
+}
+
+// Resolves with { trigger, device } for the next press from any input, or null after the timeout
+function startMidiLearn() {
+  cancelMidiLearn();
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      midiLearn = null;
+      resolve(null);
+    }, MIDI_LEARN_TIMEOUT_MS);
+    midiLearn = { resolve, timer };
+  });
+}
+
+function cancelMidiLearn() {
+  if (!midiLearn) return;
+  clearTimeout(midiLearn.timer);
+  midiLearn.resolve(null);
+  midiLearn = null;
+}
+
+// Resolves with what happened ({ learned } / { mapping, result } / { error }) or null when ignored
+async function handleMidiMessage(bytes, device = null) {
+  const message = parseMidiMessage(bytes);
+  if (!message || message.value === 0) return null;
+
+  if (midiLearn) {
+    const { resolve, timer } = midiLearn;
+    clearTimeout(timer);
+    midiLearn = null;
+    const learned = { trigger: { type: message.type, channel: message.channel, number: message.number }, device: device || null };
+    resolve(learned);
+    return { learned };
+  }
+
+  const prefs = loadPreferences();
+  if (prefs.midiEnabled !== true) return null;
+  const mapping = getMidiMappingsFromPrefs(prefs).find(m =>
+    midiTriggerMatches(m.trigger, message) && (!m.device || m.device === device));
+  if (!mapping) return null;
+
+  const label = `${message.type} ${message.number} ch${message.channel}${device ? ` (${device})` : ''}`;
+  try {
+    const result = await runControlCommand(mapping.action, mapping.arg ?? undefined, { source: 'MIDI' });
+    logInfo(`[MIDI] ${label} -> ${mapping.action}${mapping.arg ? ` ${mapping.arg}` : ''}: ${result?.message || 'OK'}`);
+    return { mapping, result };
+  } catch (error) {
+    logWarn(`[MIDI] ${label} -> ${mapping.action} failed: ${error.apiCode || 'INTERNAL_ERROR'} ${error.message}`);
+    return { mapping, error: { code: error.apiCode || 'INTERNAL_ERROR', message: error.message } };
+  }
+}
+
+// ----------------------------
+// Global hotkeys (keyboard and USB presentation clickers)
+// ----------------------------
+// Registered with Electron's globalShortcut, so they work whichever window (or app) has focus.
+// Optional (prefs.hotkeysEnabled); prefs.hotkeys: [{ id, accelerator, action, arg }] with action one
+// of HOTKEY_ACTIONS and arg the preset reference for 'preset'. Each press runs the HTTP route's
+// handler (runControlCommand), so backups follow exactly as they do for Companion.
+// A global shortcut takes the key away from every other app, so nothing is bound out of the box.
+const HOTKEY_ACTIONS = ['next', 'prev', 'blackout', 'reload', 'preset'];
+
+// Accelerators this app registered, so we never unregister someone else's
+let registeredHotkeys = [];
+// [{ accelerator, reason }] from the last apply
+let hotkeyFailures = [];
+
+function normalizeHotkeys(list) {
+  const hotkeys = [];
+  (Array.isArray(list) ? list : []).forEach((raw) => {
+    if (!raw || typeof raw !== 'object' || !HOTKEY_ACTIONS.includes(raw.action)) return;
+    const arg = raw.arg === undefined || raw.arg === null ? '' : String(raw.arg).trim();
+    hotkeys.push({
+      id: String(raw.id || '').trim() || 'h-' + crypto.randomBytes(4).toString('hex'),
+      accelerator: String(raw.accelerator || '').trim() || null,
+      action: raw.action,
+      arg: arg || null
+    });
+  });
+  return hotkeys;
+}
+
+function getHotkeysFromPrefs(prefs) {
+  return normalizeHotkeys(prefs?.hotkeys);
+}
+
+async function runHotkey(hotkey) {
+  try {
+    const result = await runControlCommand(hotkey.action, hotkey.arg ?? undefined, { source: 'Hotkey' });
+    logInfo(`[Hotkey] ${hotkey.accelerator} -> ${hotkey.action}${hotkey.arg ? ` ${hotkey.arg}` : ''}: ${result?.message || 'OK'}`);
+    return result;
+  } catch (error) {
+    logWarn(`[Hotkey] ${hotkey.accelerator} -> ${hotkey.action} failed: ${error.apiCode || 'INTERNAL_ERROR'} ${error.message}`);
+    return null;
+  }
+}
+
+function unregisterHotkeys() {
+  registeredHotkeys.forEach((accelerator) => {
+    try {
+      globalShortcut.unregister(accelerator);
+    } catch (e) {
+      // already gone
+    }
+  });
+  registeredHotkeys = [];
+}
+
+// Re-register everything from preferences; called at startup and after Settings saves
+function applyHotkeySettings() {
+  unregisterHotkeys();
+  hotkeyFailures = [];
+  const prefs = loadPreferences();
+  if (prefs.hotkeysEnabled !== true) return;
+
+  getHotkeysFromPrefs(prefs).forEach((hotkey) => {
+    const { accelerator } = hotkey;
+    if (!accelerator) return;
+    if (registeredHotkeys.includes(accelerator)) {
+      hotkeyFailures.push({ accelerator, reason: 'Bound to more than one action' });
+      return;
+    }
+    try {
+      // false when another app (or the OS) already owns the shortcut
+      if (globalShortcut.register(accelerator, () => { runHotkey(hotkey); })) {
+        registeredHotkeys.push(accelerator);
+      } else {
+        hotkeyFailures.push({ accelerator, reason: 'Already in use by another application' });
+      }
+    } catch (error) {
+      hotkeyFailures.push({ accelerator, reason: `Not a valid shortcut (${error.message})` });
+    }
+  });
+
+  if (registeredHotkeys.length) console.log(`[Hotkey] Registered ${registeredHotkeys.join(', ')}`);
+  hotkeyFailures.forEach(f => logWarn(`[Hotkey] Could not register ${f.accelerator}: ${f.reason}`));
+}
+
+function getHotkeyStatus() {
+  return {
+    enabled: loadPreferences().hotkeysEnabled === true,
+    registered: registeredHotkeys.slice(),
+    failed: hotkeyFailures.slice()
+  };
+}
+
+// ----------------------------
+// Confidence monitor (downstage presenter display)
+// ----------------------------
+// An app-rendered window for a downstage or lectern monitor: current and next slide (captured from
+// the presenter view with captureSlidePreviewsFromNotesWindow), speaker notes, a clock, the
+// stagetimer countdown and operator messages. Google's notes popup stays where
+// setSpeakerNotesFullscreen put it; the monitor only reads from it, so previews and notes need the
+// notes window open. Optional (prefs.confidenceMonitorEnabled) on prefs.confidenceMonitorDisplayId.
+const CONFIDENCE_PREVIEW_SIZE = 960;
+const CONFIDENCE_REFRESH_DEBOUNCE_MS = 300;
+const CONFIDENCE_STAGETIMER_POLL_MS = 5000;
+const CONFIDENCE_REFRESH_EVENTS = new Set(['slide-changed', 'presentation-opened', 'presentation-closed', 'notes-opened', 'notes-closed']);
+
+let confidenceWindow = null;
+let confidenceRefreshTimer = null;
+let confidenceRefreshing = false;
+let confidenceRefreshQueued = false;
+let confidenceStagetimerTimer = null;
+// Last slides and stagetimer state pushed to the page (the operator message is read on every push)
+let confidenceState = { slides: null, stagetimer: null };
+
+// Page shell; main.js pushes state with updateMonitor(). The clock and a running countdown tick
+// in the page so they stay smooth between pushes.
+const CONFIDENCE_MONITOR_HTML = `<!DOCTYPE html>
+<html><head><meta charset="UTF-8"><title>Confidence Monitor</title><style>
+  * { box-sizing: border-box; }
+  html, body { margin: 0; width: 100%; height: 100%; overflow: hidden; cursor: none; background: #000; color: #fff;
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; }
+  body { display: grid; grid-template-rows: auto 1fr auto; gap: 2vh; padding: 2vh 2vw; }
+  header { display: flex; align-items: baseline; justify-content: space-between; font-size: 5vh; font-weight: 600; }
+  #countdown.over { color: #ff4d4d; }
+  #countdown.paused { color: #ffbf00; }
+  main { display: grid; grid-template-columns: 3fr 2fr; gap: 2vw; min-height: 0; }
+  .preview { width: 100%; aspect-ratio: 16 / 9; background: #111; border: 2px solid #333; object-fit: contain; }
+  .label { font-size: 2.4vh; color: #999; text-transform: uppercase; letter-spacing: 0.1em; margin: 0 0 0.8vh; }
+  #side { display: flex; flex-direction: column; min-height: 0; }
+  #notes { flex: 1; overflow: hidden; margin-top: 2vh; font-size: 3.6vh; line-height: 1.35; white-space: pre-wrap; color: #eee; }
+  #hint { color: #777; font-size: 3vh; }
+  #messages:empty { display: none; }
+  #messages div { padding: 1.5vh 2vw; font-size: 5vh; font-weight: 700; text-align: center; border-radius: 1vh; margin-top: 1vh; }
+  #messages .operator { font-size: 7vh; }
+  #messages .flash { animation: flash 1s steps(2, start) infinite; }
+  @keyframes flash { to { visibility: hidden; } }
+</style></head><body>
+  <header><span id="slide">No presentation</span><span id="countdown"></span><span id="clock"></span></header>
+  <main>
+    <div><p class="label">Current</p><img id="current" class="preview" alt=""></div>
+    <div id="side"><p class="label">Next</p><img id="next" class="preview" alt=""><div id="notes"></div></div>
+  </main>
+  <section id="messages"></section>
+<script>
+  var timer = null;
+
+  function pad(n) { return (n < 10 ? '0' : '') + n; }
+
+  function formatRemaining(ms) {
+    var total = Math.floor(ms / 1000);
+    var sign = total < 0 ? '-' : '';
+    var abs = Math.abs(total);
+    var h = Math.floor(abs / 3600), m = Math.floor((abs % 3600) / 60), s = abs % 60;
+    return sign + (h > 0 ? h + ':' + pad(m) : m) + ':' + pad(s);
+  }
+
+  function tick() {
+    var now = new Date();
+    document.getElementById('clock').textContent = pad(now.getHours()) + ':' + pad(now.getMinutes()) + ':' + pad(now.getSeconds());
+    var el = document.getElementById('countdown');
+    if (!timer) { el.textContent = ''; return; }
+    var remaining = timer.running ? timer.remainingMs - (Date.now() - timer.receivedAt) : timer.remainingMs;
+    el.textContent = formatRemaining(remaining);
+    el.className = remaining < 0 ? 'over' : (timer.running ? '' : 'paused');
+  }
+
+  function setPreview(id, src) {
+    var img = document.getElementById(id);
+    img.style.visibility = src ? 'visible' : 'hidden';
+    if (src) img.src = src;
+  }
+
+  function updateMonitor(state) {
+    var slides = state.slides || {};
+    var slide = document.getElementById('slide');
+    if (!slides.presentationOpen) slide.textContent = 'No presentation';
+    else if (slides.currentSlide) slide.textContent = 'Slide ' + slides.currentSlide + (slides.totalSlides ? ' / ' + slides.totalSlides : '');
+    else slide.textContent = 'Presentation open';
+    setPreview('current', slides.current);
+    setPreview('next', slides.next);
+    var notes = document.getElementById('notes');
+    if (slides.presentationOpen && !slides.notesOpen) {
+      notes.innerHTML = '<span id="hint">Open speaker notes to see previews and notes here.</span>';
+    } else {
+      notes.textContent = slides.notes || '';
+    }
+
+    var stagetimer = state.stagetimer;
+    timer = stagetimer ? { running: stagetimer.running, remainingMs: stagetimer.remainingMs, receivedAt: Date.now() } : null;
+
+    var messages = document.getElementById('messages');
+    messages.innerHTML = '';
+    // Operator message first and largest
+    var operator = state.message;
+    if (operator) {
+      var colors = { white: ['#fff', '#000'], green: ['#2e7d32', '#fff'], yellow: ['#ffc107', '#000'], red: ['#d32f2f', '#fff'] };
+      var color = colors[operator.color] || colors.white;
+      var banner = document.createElement('div');
+      banner.className = 'operator' + (operator.flash ? ' flash' : '');
+      banner.textContent = operator.text;
+      banner.style.background = color[0];
+      banner.style.color = color[1];
+      messages.appendChild(banner);
+    }
+    ((stagetimer && stagetimer.messages) || []).forEach(function (m) {
+      var div = document.createElement('div');
+      div.textContent = m.uppercase ? String(m.text).toUpperCase() : m.text;
+      div.style.background = m.color || 'white';
+      div.style.color = '#000';
+      messages.appendChild(div);
+    });
+    tick();
+  }
+
+  setInterval(tick, 500);
+  tick();
+</script></body></html>`;
+
+function getConfidenceDisplay(prefs) {
+  const displays = screen.getAllDisplays();
+  return displays.find(d => d.id === Number(prefs.confidenceMonitorDisplayId)) ||
+    displays.find(d => d.id === Number(prefs.notesDisplayId)) ||
+    displays[0];
+}
+
+async function pushConfidenceState() {
+  const win = confidenceWindow;
+  if (!win || win.isDestroyed()) return;
+  try {
+    const state = { ...confidenceState, message: getCurrentPresenterMessage() };
+    await win.webContents.executeJavaScript(`updateMonitor(${JSON.stringify(state)})`);
+  } catch (error) {
+    logDebug('[Confidence] Could not update the monitor:', error.message);
+  }
+}
+
+// Slide number, previews and notes; previews and notes come from the presenter view when it's open
+async function collectConfidenceSlides() {
+  const slides = {
+    presentationOpen: !!(presentationWindow && !presentationWindow.isDestroyed()),
+    notesOpen: !!(notesWindow && !notesWindow.isDestroyed()),
+    currentSlide,
+    totalSlides: slideTracking.totalSlides,
+    current: null,
+    next: null,
+    notes: null
+  };
+  if (!slides.notesOpen) return slides;
+
+  try {
+    const previews = await captureSlidePreviewsFromNotesWindow({ maxSize: CONFIDENCE_PREVIEW_SIZE });
+    if (previews.success) {
+      slides.current = previews.current.dataUrl;
+      // Nothing after the last slide
+      slides.next = previews.nextSlide === null ? null : previews.next.dataUrl;
+      if (previews.totalSlides) slides.totalSlides = previews.totalSlides;
+    }
+  } catch (error) {
+    logDebug('[Confidence] Preview capture failed:', error.message);
+  }
+  try {
+    slides.notes = (await invokeApiRoute('GET', '/api/get-speaker-notes')).notes;
+  } catch (error) {
+    logDebug('[Confidence] Notes read failed:', error.message);
+  }
+  return slides;
+}
+
+// One refresh at a time; a request while one runs queues exactly one more
+async function refreshConfidenceMonitor() {
+  if (!confidenceWindow || confidenceWindow.isDestroyed()) return;
+  if (confidenceRefreshing) {
+    confidenceRefreshQueued = true;
+    return;
+  }
+  confidenceRefreshing = true;
+  try {
+    confidenceState.slides = await collectConfidenceSlides();
+    await pushConfidenceState();
+  } finally {
+    confidenceRefreshing = false;
+    if (confidenceRefreshQueued) {
+      confidenceRefreshQueued = false;
+      refreshConfidenceMonitor();
+    }
+  }
+}
+
+function scheduleConfidenceRefresh() {
+  clearTimeout(confidenceRefreshTimer);
+  confidenceRefreshTimer = setTimeout(refreshConfidenceMonitor, CONFIDENCE_REFRESH_DEBOUNCE_MS);
+}
+
+function handleConfidenceEvent(evt) {
+  if (CONFIDENCE_REFRESH_EVENTS.has(evt.type)) scheduleConfidenceRefresh();
+  else if (evt.type === 'message-changed') pushConfidenceState();
+}
+
+// Same data as GET /api/get-stagetimer-status; cleared when stagetimer is off or unreachable
+async function pollConfidenceStagetimer() {
+  const prefs = loadPreferences();
+  let stagetimer = null;
+  if (prefs.stagetimerEnabled !== false && prefs.stagetimerRoomId && prefs.stagetimerApiKey) {
+    try {
+      const status = await invokeApiRoute('GET', '/api/get-stagetimer-status');
+      stagetimer = {
+        running: status.running,
+        remainingMs: status.remainingMs,
+        timerName: status.timerName,
+        messages: status.messages
+      };
+    } catch (error) {
+      logDebug('[Confidence] Stagetimer poll failed:', error.message);
+    }
+  }
+  confidenceState.stagetimer = stagetimer;
+  await pushConfidenceState();
+}
+
+function closeConfidenceMonitor() {
+  eventListeners.delete(handleConfidenceEvent);
+  clearTimeout(confidenceRefreshTimer);
+  clearInterval(confidenceStagetimerTimer);
+  confidenceRefreshTimer = null;
+  confidenceStagetimerTimer = null;
+  const win = confidenceWindow;
+  confidenceWindow = null;
+  if (win && !win.isDestroyed()) win.close();
+}
+
+// Opens (or moves) the monitor to the configured display; closes it when the pref is off
+async function applyConfidenceMonitorSettings() {
+  const prefs = loadPreferences();
+  if (prefs.confidenceMonitorEnabled !== true) {
+    if (confidenceWindow) {
+      closeConfidenceMonitor();
+      console.log('[Confidence] Monitor closed');
+    }
+    return;
+  }
+
+  const display = getConfidenceDisplay(prefs);
+  if (confidenceWindow && !confidenceWindow.isDestroyed()) {
+    confidenceWindow.setBounds(display.bounds);
+    return;
+  }
+
+  const win = createOwnWindow({
+    ...display.bounds,
+    frame: false,
+    show: false,
+    skipTaskbar: true,
+    backgroundColor: '#000000',
+    title: 'Confidence Monitor',
+    webPreferences: { contextIsolation: true, nodeIntegration: false }
+  });
+  win.on('closed', () => {
+    if (confidenceWindow === win) closeConfidenceMonitor();
+  });
+  confidenceWindow = win;
+  eventListeners.add(handleConfidenceEvent);
+  await win.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(CONFIDENCE_MONITOR_HTML)}`);
+  if (confidenceWindow !== win) return;
+  // The deck keeps keyboard focus
+  win.showInactive();
+  console.log(`[Confidence] Monitor open on display ${display.id}`);
+
+  confidenceStagetimerTimer = setInterval(pollConfidenceStagetimer, CONFIDENCE_STAGETIMER_POLL_MS);
+  await refreshConfidenceMonitor();
+  await pollConfidenceStagetimer();
+}
+
+function getConfidenceMonitorStatus() {
+  const prefs = loadPreferences();
+  const open = !!(confidenceWindow && !confidenceWindow.isDestroyed());
+  return {
+    enabled: prefs.confidenceMonitorEnabled === true,
+    open,
+    displayId: open ? getConfidenceDisplay(prefs).id : (Number(prefs.confidenceMonitorDisplayId) || null)
+  };
+}
+
+// GET /api/confidence-monitor - Whether the monitor is up, and on which display
+apiRoute('GET', '/api/confidence-monitor', () => getConfidenceMonitorStatus());
+
+// POST /api/confidence-monitor - Open/close the monitor ({ on }) and/or move it ({ displayId }).
+// Saved to preferences (settings scope). Not mirrored: each machine drives its own monitors.
+apiRoute('POST', '/api/confidence-monitor', async ({ body }) => {
+  const on = readBooleanField(body, 'on');
+  const displayId = readIntegerField(body, 'displayId');
+  if (displayId !== undefined && !screen.getAllDisplays().some(d => d.id === displayId)) {
+    throw apiError('INVALID_REQUEST', `No display with id ${displayId}`);
+  }
+
+  const prefs = loadPreferences();
+  if (on !== undefined) prefs.confidenceMonitorEnabled = on;
+  if (displayId !== undefined) prefs.confidenceMonitorDisplayId = displayId;
+  savePreferences(prefs);
+  await applyConfidenceMonitorSettings();
+
+  const status = getConfidenceMonitorStatus();
+  return { message: status.open ? `Confidence monitor on display ${status.displayId}` : 'Confidence monitor closed', ...status };
+});
+
+// ----------------------------
+// Operator messages (stage manager -> presenter)
+// ----------------------------
+// One message shows at a time on the Web UI Remote tab, the confidence monitor and as a banner over
+// Google's presenter view. It stays until cleared, replaced, acknowledged by the presenter (tapping the
+// banner or the Remote tab button) or, with a duration, until it expires. Kept in memory only; the
+// history is for the operator to see what was sent and whether it was seen.
+const MESSAGE_COLORS = ['white', 'green', 'yellow', 'red'];
+const MESSAGE_MAX_LENGTH = 200;
+const MESSAGE_MAX_DURATION = 3600; // seconds
+const MESSAGE_HISTORY_LIMIT = 50;
+
+// Newest first: [{ id, text, color, flash, duration, sentAt, expiresAt, acknowledgedAt, endedAt, endReason }]
+let presenterMessages = [];
+let presenterMessageSeq = 0;
+let presenterMessageTimer = null;
+
+function getCurrentPresenterMessage() {
+  const latest = presenterMessages[0];
+  return latest && !latest.endedAt ? { ...latest } : null;
+}
+
+function getLatestPresenterMessage() {
+  return presenterMessages[0] ? { ...presenterMessages[0] } : null;
+}
+
+// Banner over the presenter view; tapping it acknowledges (reported on the console channel)
+function showMessageInNotesWindow() {
+  if (!notesWindow || notesWindow.isDestroyed()) return;
+  const current = getCurrentPresenterMessage();
+  notesWindow.webContents.executeJavaScript(`
+    (function () {
+      var message = ${JSON.stringify(current)};
+      var el = document.getElementById('__gso_presenter_message__');
+      if (!message) {
+        if (el) el.remove();
+        return true;
+      }
+      if (!el) {
+        el = document.createElement('div');
+        el.id = '__gso_presenter_message__';
+        el.title = 'Tap to acknowledge';
+        el.style.cssText = 'position:fixed;top:0;left:0;right:0;z-index:2147483647;padding:18px 24px;' +
+          'font:700 32px/1.3 Arial,sans-serif;text-align:center;cursor:pointer;box-shadow:0 4px 16px rgba(0,0,0,.5);';
+        document.body.appendChild(el);
+      }
+      var colors = { white: ['#ffffff', '#000'], green: ['#2e7d32', '#fff'], yellow: ['#ffc107', '#000'], red: ['#d32f2f', '#fff'] };
+      var color = colors[message.color] || colors.white;
+      el.style.background = color[0];
+      el.style.color = color[1];
+      el.textContent = message.text;
+      el.onclick = function () { console.log('${MESSAGE_ACK_MARKER}' + message.id); };
+      el.getAnimations().forEach(function (a) { a.cancel(); });
+      if (message.flash) {
+        el.animate([{ opacity: 1 }, { opacity: 0.2 }], { duration: 500, iterations: Infinity, direction: 'alternate' });
+      }
+      return true;
+    })()
+  `).catch(err => {
+    logDebug('[Message] Could not show the message in the presenter view:', err.message);
+  });
+}
+
+function publishPresenterMessage(reason) {
+  publishEvent('message-changed', { reason, current: getCurrentPresenterMessage() });
+  showMessageInNotesWindow();
+}
+
+// Ends the showing message (cleared, replaced, acknowledged or expired); false when none is showing
+function endPresenterMessage(reason) {
+  clearTimeout(presenterMessageTimer);
+  presenterMessageTimer = null;
+  const latest = presenterMessages[0];
+  if (!latest || latest.endedAt) return false;
+  latest.endedAt = Date.now();
+  latest.endReason = reason;
+  if (reason === 'acknowledged') latest.acknowledgedAt = latest.endedAt;
+  return true;
+}
+
+function sendPresenterMessage({ text, color = 'white', flash = false, duration = null }) {
+  endPresenterMessage('replaced');
+  presenterMessageSeq += 1;
+  const sentAt = Date.now();
+  const message = {
+    id: `msg-${sentAt.toString(36)}-${presenterMessageSeq}`,
+    text,
+    color,
+    flash,
+    duration,
+    sentAt,
+    expiresAt: duration ? sentAt + duration * 1000 : null,
+    acknowledgedAt: null,
+    endedAt: null,
+    endReason: null
+  };
+  presenterMessages = [message, ...presenterMessages].slice(0, MESSAGE_HISTORY_LIMIT);
+  if (duration) {
+    presenterMessageTimer = setTimeout(() => {
+      if (endPresenterMessage('expired')) publishPresenterMessage('expired');
+    }, duration * 1000);
+  }
+  logInfo(`[Message] Sent to presenter: "${text}"`);
+  publishPresenterMessage('sent');
+  return { ...message };
+}
+
+// id (optional) guards against acknowledging a newer message than the one the presenter saw.
+// null when nothing is showing: a repeat (or a backup that never got the message) is not an error
+function acknowledgePresenterMessage(id) {
+  const current = getCurrentPresenterMessage();
+  if (!current) return null;
+  if (id && id !== current.id) throw apiError('CONFLICT', 'That message is no longer showing', { current });
+  endPresenterMessage('acknowledged');
+  logInfo(`[Message] Acknowledged: "${current.text}"`);
+  publishPresenterMessage('acknowledged');
+  return getLatestPresenterMessage();
+}
+
+function readPresenterMessageBody(body) {
+  const text = typeof body.text === 'string' ? body.text.trim() : '';
+  if (!text) throw apiError('INVALID_REQUEST', 'text is required');
+  if (text.length > MESSAGE_MAX_LENGTH) {
+    throw apiError('INVALID_REQUEST', `text must be at most ${MESSAGE_MAX_LENGTH} characters`);
+  }
+  const color = body.color === undefined || body.color === null || body.color === '' ? 'white' : body.color;
+  if (!MESSAGE_COLORS.includes(color)) {
+    throw apiError('INVALID_REQUEST', `color must be one of: ${MESSAGE_COLORS.join(', ')}`);
+  }
+  const duration = readIntegerField(body, 'duration');
+  if (duration !== undefined && (duration < 0 || duration > MESSAGE_MAX_DURATION)) {
+    throw apiError('INVALID_REQUEST', `duration must be between 0 and ${MESSAGE_MAX_DURATION} seconds (0 = until cleared)`);
+  }
+  return { text, color, flash: readBooleanField(body, 'flash') === true, duration: duration || null };
+}
+
+// GET /api/message - The message showing (if any) and the history, newest first
+apiRoute('GET', '/api/message', () => ({
+  current: getCurrentPresenterMessage(),
+  history: presenterMessages.map(m => ({ ...m }))
+}));
+
+// POST /api/message - Show a message to the presenter ({ text, color, flash, duration })
+apiRoute('POST', '/api/message', ({ body }) => {
+  const fields = readPresenterMessageBody(body);
+  const current = sendPresenterMessage(fields);
+
+  sendToBackups('/api/message', fields).catch(err => {
+    console.error('[Backup] Error broadcasting message:', err);
+  });
+
+  return { message: 'Message sent', current };
+});
+
+// POST /api/message/acknowledge - The presenter has seen it ({ id } optional)
+apiRoute('POST', '/api/message/acknowledge', ({ body }) => {
+  const id = body.id === undefined || body.id === null ? null : String(body.id);
+  const acknowledged = acknowledgePresenterMessage(id);
+  if (!acknowledged) return { message: 'No message was showing', acknowledged: null };
+
+  // Backups have their own ids; acknowledge whatever they are showing
+  sendToBackups('/api/message/acknowledge', {}).catch(err => {
+    console.error('[Backup] Error broadcasting message acknowledge:', err);
+  });
+
+  return { message: 'Message acknowledged', acknowledged };
+});
+
+// POST /api/message/clear - Take the message down
+apiRoute('POST', '/api/message/clear', () => {
+  const cleared = endPresenterMessage('cleared');
+  if (cleared) publishPresenterMessage('cleared');
+
+  sendToBackups('/api/message/clear', {}).catch(err => {
+    console.error('[Backup] Error broadcasting message clear:', err);
+  });
+
+  return { message: cleared ? 'Message cleared' : 'No message was showing' };
+});
+
+function startHttpServer() {
+  httpServer = http.createServer(async (req, res) => {
+    // Helpful request logging for diagnosing duplicate/looping calls
+    try {
+      const ua = (req.headers && req.headers['user-agent']) ? String(req.headers['user-agent']) : '';
+      const from = (req.socket && req.socket.remoteAddress) ? String(req.socket.remoteAddress) : '';
+      if (req.method !== 'OPTIONS') {
+        // Very chatty: only emit in verbose mode
+        logDebug(`[API] ${req.method} ${req.url} from ${from}${ua ? ` ua="${ua}"` : ''}`);
+      }
+    } catch (e) {
+      // ignore logging failures
     }
+
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
     
-    // GET /api/presets - Get all preset presentations
-    if (req.method === 'GET' && req.url === '/api/presets') {
-      console.log('[API] GET /api/presets - Loading presets');
-      const prefs = loadPreferences();
-      console.log('[API] Returning presets:', {
-        presentation1: prefs.presentation1 || '',
-        presentation2: prefs.presentation2 || '',
-        presentation3: prefs.presentation3 || ''
-      });
-      res.writeHead(200, { 
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type'
-      });
-      res.end(JSON.stringify({
-        presentation1: prefs.presentation1 || '',
-        presentation2: prefs.presentation2 || '',
-        presentation3: prefs.presentation3 || ''
-      }));
+    if (req.method === 'OPTIONS') {
+      res.writeHead(200);
+      res.end();
       return;
     }
 
-    // GET /api/debug/preferences - Debug endpoint for preferences file
-    if (req.method === 'GET' && req.url === '/api/debug/preferences') {
-      try {
-        const prefsPath = getPreferencesPath();
-        const prefsDir = path.dirname(prefsPath);
-        const exists = fs.existsSync(prefsPath);
-        const dirExists = fs.existsSync(prefsDir);
-        
-        let stats = null;
-        let content = null;
-        let dirWritable = false;
-        
-        if (exists) {
-          stats = fs.statSync(prefsPath);
-          try {
-            content = fs.readFileSync(prefsPath, 'utf8');
-          } catch (e) {
-            content = `Error reading file: ${e.message}`;
-          }
-        }
-        
-        try {
-          fs.accessSync(prefsDir, fs.constants.W_OK);
-          dirWritable = true;
-        } catch (e) {
-          dirWritable = false;
-        }
-        
-        res.writeHead(200, { 
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Methods': 'GET, OPTIONS',
-          'Access-Control-Allow-Headers': 'Content-Type'
-        });
-        res.end(JSON.stringify({
-          path: prefsPath,
-          directory: prefsDir,
-          fileExists: exists,
-          directoryExists: dirExists,
-          directoryWritable: dirWritable,
-          fileSize: stats ? stats.size : null,
-          fileModified: stats ? stats.mtime : null,
-          fileContent: content,
-          preferences: loadPreferences(),
-          platform: process.platform,
-          userData: app.getPath('userData')
-        }));
-      } catch (error) {
-        res.writeHead(500, { 
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Methods': 'GET, OPTIONS',
-          'Access-Control-Allow-Headers': 'Content-Type'
-        });
-        res.end(JSON.stringify({ error: error.message, stack: error.stack }));
-      }
+    // Offline mock decks (mock:<id>) are pages for our own windows, not API calls
+    if (req.method === 'GET' && req.url.startsWith('/mock/')) {
+      handleMockDeckRequest(req, res);
       return;
     }
 
-    // POST /api/stagetimer-settings - Save stagetimer configuration
-    if (req.method === 'POST' && req.url === '/api/stagetimer-settings') {
-      let body = '';
-      req.on('data', chunk => {
-        body += chunk.toString();
-      });
-      req.on('end', () => {
-        try {
-          const data = JSON.parse(body);
-          const prefs = loadPreferences();
-          
-          if (data.roomId !== undefined) {
-            prefs.stagetimerRoomId = data.roomId || null;
-          }
-          if (data.apiKey !== undefined) {
-            prefs.stagetimerApiKey = data.apiKey || null;
-          }
-          if (data.enabled !== undefined) {
-            prefs.stagetimerEnabled = data.enabled !== false;
-          }
-          if (data.visible !== undefined) {
-            prefs.stagetimerVisible = data.visible !== false;
-          } else {
-            // Default to true if not set
-            prefs.stagetimerVisible = true;
-          }
-          
-          savePreferences(prefs);
-          
-          res.writeHead(200, { 
-            'Content-Type': 'application/json',
-            'Access-Control-Allow-Origin': '*'
-          });
-          res.end(JSON.stringify({ success: true, message: 'Stagetimer settings saved' }));
-        } catch (error) {
-          console.error('[API] Error saving stagetimer settings:', error);
-          res.writeHead(500, { 
-            'Content-Type': 'application/json',
-            'Access-Control-Allow-Origin': '*'
-          });
-          res.end(JSON.stringify({ success: false, error: error.message }));
-        }
-      });
-      return;
-    }
-    
-    // GET /api/stagetimer-settings - Get stagetimer configuration
-    if (req.method === 'GET' && req.url === '/api/stagetimer-settings') {
+    // Controller allowlist: restrict who can call the API
+    // If no controllerIps are configured, allow any client.
+    try {
       const prefs = loadPreferences();
-      res.writeHead(200, { 
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*'
-      });
-      res.end(JSON.stringify({
-        roomId: prefs.stagetimerRoomId || '',
-        apiKey: prefs.stagetimerApiKey || '',
-        enabled: prefs.stagetimerEnabled !== false,
-        visible: prefs.stagetimerVisible !== false && prefs.stagetimerVisible !== undefined ? prefs.stagetimerVisible : true
-      }));
+      if (!isControllerAllowedRequest(req, prefs)) {
+        sendApiError(res, 'FORBIDDEN', 'Forbidden', { v2: isApiV2Url(req.url) });
+        return;
+      }
+    } catch (e) {
+      // If allowlist check fails unexpectedly, default to allowing (avoid breaking during startup)
+    }
+
+    // API tokens (only enforced once at least one token is configured)
+    const auth = authorizeApiRequest(req, loadPreferences());
+    if (!auth.ok) {
+      logDebug(`[API] ${auth.statusCode} ${req.method} ${req.url.split('?')[0]}: ${auth.error}`);
+      sendAuthError(req, res, auth);
       return;
     }
-    
-    // POST /api/presets - Set preset presentations
-    if (req.method === 'POST' && req.url === '/api/presets') {
-      let body = '';
-      req.on('data', chunk => {
-        body += chunk.toString();
-      });
-      
-      req.on('end', () => {
-        try {
-          logDebug('[API] POST /api/presets - Received body:', body);
-          const data = JSON.parse(body);
-          logDebug('[API] Parsed data:', data);
-          
-          const prefs = loadPreferences();
-          logDebug('[API] Current preferences before update:', safeStringify(prefs));
-          
-          // Update presets
-          if (data.presentation1 !== undefined) {
-            prefs.presentation1 = data.presentation1;
-            logDebug('[API] Updated presentation1:', data.presentation1);
-          }
-          if (data.presentation2 !== undefined) {
-            prefs.presentation2 = data.presentation2;
-            logDebug('[API] Updated presentation2:', data.presentation2);
-          }
-          if (data.presentation3 !== undefined) {
-            prefs.presentation3 = data.presentation3;
-            logDebug('[API] Updated presentation3:', data.presentation3);
-          }
-          
-          logDebug('[API] Preferences after update:', safeStringify(prefs));
-          savePreferences(prefs);
-          
-          // Verify save by reloading
-          const verifyPrefs = loadPreferences();
-          logDebug('[API] Verification - reloaded preferences:', safeStringify(verifyPrefs));
-          
-          res.writeHead(200, { 
-            'Content-Type': 'application/json',
-            'Access-Control-Allow-Origin': '*',
-            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-            'Access-Control-Allow-Headers': 'Content-Type'
-          });
-          res.end(JSON.stringify({ 
-            success: true, 
-            message: 'Presets saved',
-            saved: {
-              presentation1: verifyPrefs.presentation1 || '',
-              presentation2: verifyPrefs.presentation2 || '',
-              presentation3: verifyPrefs.presentation3 || ''
-            }
-          }));
-        } catch (error) {
-          console.error('[API] Error saving presets:', error);
-          console.error('[API] Error stack:', error.stack);
-          res.writeHead(500, { 
-            'Content-Type': 'application/json',
-            'Access-Control-Allow-Origin': '*',
-            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-            'Access-Control-Allow-Headers': 'Content-Type'
-          });
-          res.end(JSON.stringify({ 
-            error: error.message,
-            code: error.code || 'UNKNOWN',
-            details: process.platform === 'darwin' ? 'Check Console.app for detailed logs' : 'Check console output'
-          }));
+    // Handlers never need ?token=, so drop it once it has been checked
+    req.url = stripTokenFromUrl(req.url);
+
+    // Paired backup: remote commands must be signed by the primary
+    try {
+      const prefs = loadPreferences();
+      if (requiresPrimarySignature(req, prefs)) {
+        const body = await readRequestBody(req);
+        const check = await checkPrimaryCommand(req, body, prefs);
+        if (!check.ok) {
+          sendApiError(res, 'UNSIGNED_COMMAND', `Command not signed by the paired primary: ${check.reason}`, { v2: isApiV2Url(req.url) });
+          return;
         }
-      });
+        req = replayRequestBody(req, body);
+      }
+    } catch (error) {
+      if (error.apiCode) {
+        sendApiError(res, error.apiCode, error.message, { v2: isApiV2Url(req.url) });
+        return;
+      }
+      console.error('[Pairing] Error verifying command:', error);
+      sendApiError(res, 'INVALID_REQUEST', 'Could not verify command', { v2: isApiV2Url(req.url) });
       return;
     }
 
-    // POST /api/open-preset - Open a preset by name (1, 2, or 3)
-    if (req.method === 'POST' && req.url === '/api/open-preset') {
-      let body = '';
-      req.on('data', chunk => {
-        body += chunk.toString();
-      });
-      
-      req.on('end', async () => {
-        try {
-          const data = JSON.parse(body);
-          const presetNumber = parseInt(data.preset, 10);
-          
-          if (isNaN(presetNumber) || presetNumber < 1 || presetNumber > 3) {
-            res.writeHead(400, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Preset must be 1, 2, or 3' }));
-            return;
-          }
-          
-          const prefs = loadPreferences();
-          const presetKey = `presentation${presetNumber}`;
-          const url = prefs[presetKey];
-          
-          if (!url) {
-            res.writeHead(404, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: `Preset ${presetNumber} is not configured` }));
-            return;
-          }
-          
-          // Forward to open-presentation endpoint logic
-          // We'll reuse the same code path
-          console.log(`[API] Opening preset ${presetNumber}: ${url}`);
-          
-          // Close any existing presentation windows
-          try {
-            if (notesWindow && !notesWindow.isDestroyed()) {
-              console.log('[API] Closing existing notes window');
-              notesWindow.removeAllListeners('closed');
-              notesWindow.close();
-              notesWindow = null;
-            }
-            if (presentationWindow && !presentationWindow.isDestroyed()) {
-              console.log('[API] Closing existing presentation window');
-              presentationWindow.removeAllListeners('closed');
-              presentationWindow.close();
-              presentationWindow = null;
-            }
-            currentSlide = null;
-          } catch (error) {
-            console.error('[API] Error closing existing windows:', error.message);
-          }
-          
-          // Load preferences for monitor selection
-          const displays = screen.getAllDisplays();
-          const presentationDisplayId = Number(prefs.presentationDisplayId);
-          const notesDisplayId = Number(prefs.notesDisplayId);
-          const presentationDisplay = displays.find(d => d.id === presentationDisplayId) || displays[0];
-          const notesDisplay = displays.find(d => d.id === notesDisplayId) || displays[0];
-          
-          console.log('[API] Using presentation display:', presentationDisplay.id);
-          console.log('[API] Using notes display:', notesDisplay.id);
-          
-          // Create the presentation window (reuse open-presentation logic)
-          // Note: Don't use fullscreen: true in constructor as it creates a new Space on macOS
-          // We'll use setSimpleFullScreen() after creation to avoid Spaces conflicts
-          presentationWindow = new BrowserWindow({
-            x: presentationDisplay.bounds.x,
-            y: presentationDisplay.bounds.y,
-            width: presentationDisplay.bounds.width,
-            height: presentationDisplay.bounds.height,
-            frame: false,
-            webPreferences: {
-              nodeIntegration: false,
-              contextIsolation: true,
-              partition: GOOGLE_SESSION_PARTITION
-            }
-          });
-          
-          // Set simple fullscreen on macOS to avoid Spaces conflicts
-          if (process.platform === 'darwin') {
-            presentationWindow.setSimpleFullScreen(true);
-          }
-          
-          // Set up window handlers (same as open-presentation)
-          presentationWindow.webContents.setWindowOpenHandler(({ url, frameName, features }) => {
-            const windowOptions = {
-              frame: false,
-              webPreferences: {
-                nodeIntegration: false,
-                contextIsolation: true,
-                partition: GOOGLE_SESSION_PARTITION
-              }
-            };
-            // Use default size from Google Slides (no size/position override)
-            return { action: 'allow', overrideBrowserWindowOptions: windowOptions };
-          });
-          
-          const windowCreatedListener = (event, window) => {
-            if (window !== presentationWindow && window !== mainWindow) {
-              notesWindow = window;
-              window.webContents.on('before-input-event', (event, input) => {
-                if (input.key === 'Escape' && input.type === 'keyDown') {
-                  event.preventDefault();
-                  if (notesWindow && !notesWindow.isDestroyed()) notesWindow.close();
-                  if (presentationWindow && !presentationWindow.isDestroyed()) presentationWindow.close();
-                }
-              });
-              // Set speaker notes window to fullscreen when it loads
-              window.webContents.once('did-finish-load', () => {
-                setSpeakerNotesFullscreen(window);
-              });
-              
-              // Also try when DOM is ready (in case did-finish-load fires too early)
-              window.webContents.once('dom-ready', () => {
-                setTimeout(() => {
-                  setSpeakerNotesFullscreen(window);
-                }, 500);
-              });
-              
-              app.removeListener('browser-window-created', windowCreatedListener);
-            }
-          };
-          app.on('browser-window-created', windowCreatedListener);
-          
-          let sKeyPressed = false;
-          const navigationListener = async (event, navUrl) => {
-            const isPresentMode = (navUrl.includes('/present/') || navUrl.includes('localpresent')) && !navUrl.includes('/presentation/');
-            if (isPresentMode && !sKeyPressed && presentationWindow && !presentationWindow.isDestroyed()) {
-              sKeyPressed = true;
-              await new Promise(resolve => setTimeout(resolve, 300));
-              if (presentationWindow && !presentationWindow.isDestroyed()) {
-                presentationWindow.focus();
-                await new Promise(resolve => setTimeout(resolve, 50));
-                presentationWindow.webContents.sendInputEvent({ type: 'keyDown', keyCode: 'S' });
-                presentationWindow.webContents.sendInputEvent({ type: 'char', keyCode: 's' });
-                presentationWindow.webContents.sendInputEvent({ type: 'keyUp', keyCode: 'S' });
-                presentationWindow.webContents.removeListener('did-navigate', navigationListener);
-              }
-            }
-          };
-          presentationWindow.webContents.on('did-navigate', navigationListener);
-          
-          presentationWindow.webContents.once('did-finish-load', async () => {
-            if (!presentationWindow || presentationWindow.isDestroyed()) return;
-            await new Promise(resolve => setTimeout(resolve, 200));
-            if (presentationWindow && !presentationWindow.isDestroyed()) {
-              presentationWindow.focus();
-              await new Promise(resolve => setTimeout(resolve, 50));
-              presentationWindow.webContents.sendInputEvent({ type: 'keyDown', keyCode: 'F5', modifiers: ['control', 'shift'] });
-              presentationWindow.webContents.sendInputEvent({ type: 'keyUp', keyCode: 'F5', modifiers: ['control', 'shift'] });
-            }
-          });
-          
-          setTimeout(async () => {
-            if (!sKeyPressed && presentationWindow && !presentationWindow.isDestroyed()) {
-              sKeyPressed = true;
-              presentationWindow.focus();
-              await new Promise(resolve => setTimeout(resolve, 50));
-              presentationWindow.webContents.sendInputEvent({ type: 'keyDown', keyCode: 'S' });
-              presentationWindow.webContents.sendInputEvent({ type: 'char', keyCode: 's' });
-              presentationWindow.webContents.sendInputEvent({ type: 'keyUp', keyCode: 'S' });
-              if (presentationWindow && !presentationWindow.isDestroyed()) {
-                presentationWindow.webContents.removeListener('did-navigate', navigationListener);
-              }
-            }
-          }, 1000);
-          
-          presentationWindow.on('closed', () => {
-            presentationWindow = null;
-            currentSlide = null;
-          });
-          
-          presentationWindow.webContents.on('before-input-event', (event, input) => {
-            if (input.key === 'Escape' && input.type === 'keyDown') {
-              event.preventDefault();
-              if (notesWindow && !notesWindow.isDestroyed()) notesWindow.close();
-              if (presentationWindow && !presentationWindow.isDestroyed()) presentationWindow.close();
-            }
-          });
-          
-          const presentUrl = toPresentUrl(url);
-          console.log('[API] Loading PRESENT URL:', presentUrl);
-          lastPresentationUrl = url;
-          currentSlide = 1;
-          presentationWindow.loadURL(presentUrl);
-          presentationWindow.show();
-          
-          // Ensure fullscreen on macOS
-          presentationWindow.once('ready-to-show', () => {
-            if (process.platform === 'darwin' && presentationWindow && !presentationWindow.isDestroyed()) {
-              presentationWindow.setBounds({
-                x: presentationDisplay.bounds.x,
-                y: presentationDisplay.bounds.y,
-                width: presentationDisplay.bounds.width,
-                height: presentationDisplay.bounds.height
-              });
-              setTimeout(() => {
-                if (presentationWindow && !presentationWindow.isDestroyed()) {
-                  // Use setSimpleFullScreen to avoid Spaces conflicts
-                  presentationWindow.setSimpleFullScreen(true);
-                }
-              }, 50);
-            }
-          });
-          
-          if (process.platform === 'darwin') {
-            setTimeout(() => {
-              if (presentationWindow && !presentationWindow.isDestroyed() && !presentationWindow.isSimpleFullScreen()) {
-                presentationWindow.setBounds({
-                  x: presentationDisplay.bounds.x,
-                  y: presentationDisplay.bounds.y,
-                  width: presentationDisplay.bounds.width,
-                  height: presentationDisplay.bounds.height
-                });
-                // Use setSimpleFullScreen to avoid Spaces conflicts
-                presentationWindow.setSimpleFullScreen(true);
-              }
-            }, 200);
-          }
-          
-          // Broadcast to backups (async, don't wait)
-          sendToBackups('/api/open-preset', { preset: presetNumber }).catch(err => {
-            console.error('[Backup] Error broadcasting open-preset:', err);
-          });
-          
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ success: true, message: `Preset ${presetNumber} opened`, url: url }));
-        } catch (error) {
-          res.writeHead(500, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: error.message }));
-        }
-      });
+    // Backup: skip retries of queued primary commands that already ran
+    if (req.method !== 'GET' && loadPreferences().primaryBackupMode === 'backup' && checkPrimarySequence(req, res)) {
       return;
     }
     
-    // 404 for unknown endpoints
-    res.writeHead(404, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ error: 'Not found' }));
+    await handleApiRequest(req, res);
   });
   
   const prefs = loadPreferences();
@@ -4209,15 +9524,251 @@ function startHttpServer() {
       );
     }
   });
+
+  return httpServer;
+}
+
+// Interactive API reference served by the Web UI server at /docs. Built in the browser from
+// /api/openapi.json, so it always matches the running version (and works without internet).
+function getApiDocsPageHtml() {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Google Slides Opener - API</title>
+  <style>
+    * { box-sizing: border-box; }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      margin: 0;
+      background: #f4f5fb;
+      color: #333;
+    }
+    header {
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      color: white;
+      padding: 20px 24px;
+    }
+    header h1 { margin: 0 0 6px; font-size: 24px; }
+    header p { margin: 0; opacity: 0.9; font-size: 14px; }
+    header a { color: white; }
+    main { max-width: 960px; margin: 0 auto; padding: 16px; }
+    .toolbar { display: flex; gap: 8px; flex-wrap: wrap; margin-bottom: 16px; }
+    .toolbar input { flex: 1; min-width: 200px; padding: 8px 10px; border: 1px solid #ccc; border-radius: 6px; font-size: 14px; }
+    h2 { font-size: 18px; margin: 24px 0 8px; color: #555; }
+    details { background: white; border-radius: 8px; margin-bottom: 6px; box-shadow: 0 1px 3px rgba(0,0,0,0.08); }
+    summary { cursor: pointer; padding: 10px 12px; display: flex; gap: 10px; align-items: baseline; list-style: none; }
+    summary::-webkit-details-marker { display: none; }
+    .method { font-family: monospace; font-weight: bold; font-size: 12px; padding: 2px 6px; border-radius: 4px; color: white; min-width: 56px; text-align: center; }
+    .method.get { background: #2f9e44; }
+    .method.post { background: #667eea; }
+    .method.put { background: #e67700; }
+    .method.patch { background: #1098ad; }
+    .method.delete { background: #e03131; }
+    .path { font-family: monospace; font-size: 14px; }
+    .summary { color: #666; font-size: 13px; }
+    .op { padding: 0 12px 12px; font-size: 13px; }
+    .op p { margin: 6px 0; }
+    .meta { color: #888; }
+    .op label { display: block; margin: 8px 0 4px; font-weight: 600; }
+    .op input, .op textarea { width: 100%; padding: 6px 8px; border: 1px solid #ccc; border-radius: 6px; font-family: monospace; font-size: 13px; }
+    .op textarea { min-height: 90px; }
+    .op button { margin-top: 8px; padding: 6px 14px; border: none; border-radius: 6px; background: #667eea; color: white; cursor: pointer; }
+    pre { background: #1e1e1e; color: #d4d4d4; padding: 10px; border-radius: 6px; overflow-x: auto; font-size: 12px; max-height: 360px; }
+    .error { color: #e03131; }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>Google Slides Opener API <span id="version"></span></h1>
+    <p>Every JSON response is <code>{ success, data, error: { code, message } }</code>. Machine-readable: <a href="/api/openapi.json">/api/openapi.json</a> &middot; <a href="/">Back to the Web UI</a></p>
+  </header>
+  <main>
+    <div class="toolbar">
+      <input type="search" id="filter" placeholder="Filter routes (e.g. preset, go-to-slide)">
+      <input type="password" id="token" placeholder="API token (only if tokens are set up)">
+    </div>
+    <div id="routes">Loading...</div>
+  </main>
+  <script>
+    // Same browser storage as the Web UI, so a token entered there works here too
+    const TOKEN_STORAGE_KEY = 'gsoApiToken';
+    const tokenInput = document.getElementById('token');
+    tokenInput.value = localStorage.getItem(TOKEN_STORAGE_KEY) || '';
+    tokenInput.addEventListener('change', () => {
+      localStorage.setItem(TOKEN_STORAGE_KEY, tokenInput.value.trim());
+    });
+
+    let spec = null;
+
+    function resolveRef(schema) {
+      if (schema && schema.$ref) return spec.components.schemas[schema.$ref.split('/').pop()] || {};
+      return schema || {};
+    }
+
+    // Placeholder value for a schema, used to prefill request bodies
+    function exampleFor(schema, depth) {
+      schema = resolveRef(schema);
+      if (depth > 3) return null;
+      if (schema.enum) return schema.enum[0];
+      const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+      if (type === 'object') {
+        const out = {};
+        Object.keys(schema.properties || {}).forEach(key => {
+          out[key] = exampleFor(schema.properties[key], depth + 1);
+        });
+        return out;
+      }
+      if (type === 'array') return [];
+      if (type === 'integer' || type === 'number') return 1;
+      if (type === 'boolean') return false;
+      if (type === 'string') return '';
+      return null;
+    }
+
+    function el(tag, className, text) {
+      const node = document.createElement(tag);
+      if (className) node.className = className;
+      if (text !== undefined) node.textContent = text;
+      return node;
+    }
+
+    function renderOperation(path, method, op) {
+      const details = el('details');
+      details.dataset.search = (method + ' ' + path + ' ' + (op.summary || '') + ' ' + (op.tags || []).join(' ')).toLowerCase();
+      const summary = el('summary');
+      summary.appendChild(el('span', 'method ' + method, method.toUpperCase()));
+      summary.appendChild(el('span', 'path', path));
+      summary.appendChild(el('span', 'summary', op.summary || ''));
+      details.appendChild(summary);
+
+      const body = el('div', 'op');
+      if (op.description) body.appendChild(el('p', '', op.description));
+      body.appendChild(el('p', 'meta', 'Token scope: ' + op['x-scope']));
+      const errors = Object.keys(op.responses)
+        .filter(status => Number(status) >= 400)
+        .map(status => status + ' ' + op.responses[status].description);
+      if (errors.length) body.appendChild(el('p', 'meta', 'Errors: ' + errors.join('; ')));
+
+      const inputs = {};
+      (op.parameters || []).forEach(param => {
+        body.appendChild(el('label', '', param.name + ' (' + param.in + ')'));
+        const input = el('input');
+        inputs[param.name] = { param: param, input: input };
+        body.appendChild(input);
+      });
+
+      let bodyInput = null;
+      if (op.requestBody) {
+        body.appendChild(el('label', '', 'JSON body'));
+        bodyInput = el('textarea');
+        const schema = op.requestBody.content['application/json'].schema;
+        bodyInput.value = JSON.stringify(exampleFor(schema, 0), null, 2);
+        body.appendChild(bodyInput);
+      }
+
+      const send = el('button', '', 'Send');
+      const output = el('pre');
+      output.hidden = true;
+      body.appendChild(send);
+      body.appendChild(output);
+      details.appendChild(body);
+
+      send.addEventListener('click', () => {
+        let url = path;
+        const query = new URLSearchParams();
+        Object.keys(inputs).forEach(name => {
+          const value = inputs[name].input.value;
+          if (inputs[name].param.in === 'path') {
+            url = url.replace('{' + name + '}', encodeURIComponent(value));
+          } else if (value) {
+            query.set(name, value);
+          }
+        });
+        if (query.toString()) url += '?' + query.toString();
+
+        const headers = { 'Content-Type': 'application/json' };
+        const token = tokenInput.value.trim();
+        if (token) headers.Authorization = 'Bearer ' + token;
+
+        output.hidden = false;
+        output.className = '';
+        if (op.responses['200'] && op.responses['200'].content['text/event-stream']) {
+          output.textContent = 'This is a Server-Sent Events stream; open it with EventSource.';
+          return;
+        }
+        output.textContent = 'Sending...';
+        fetch(url, { method: method.toUpperCase(), headers: headers, body: bodyInput ? bodyInput.value : undefined })
+          .then(res => res.text().then(text => {
+            let pretty = text;
+            try {
+              pretty = JSON.stringify(JSON.parse(text), null, 2);
+            } catch (e) {
+              // not JSON; show as-is
+            }
+            output.className = res.ok ? '' : 'error';
+            output.textContent = 'HTTP ' + res.status + '\\n' + pretty;
+          }))
+          .catch(err => {
+            output.className = 'error';
+            output.textContent = err.message;
+          });
+      });
+      return details;
+    }
+
+    function render() {
+      const container = document.getElementById('routes');
+      container.textContent = '';
+      const byTag = {};
+      Object.keys(spec.paths).forEach(path => {
+        Object.keys(spec.paths[path]).forEach(method => {
+          const op = spec.paths[path][method];
+          const tag = (op.tags && op.tags[0]) || 'Other';
+          (byTag[tag] = byTag[tag] || []).push(renderOperation(path, method, op));
+        });
+      });
+      Object.keys(byTag).forEach(tag => {
+        container.appendChild(el('h2', '', tag));
+        byTag[tag].forEach(node => container.appendChild(node));
+      });
+    }
+
+    document.getElementById('filter').addEventListener('input', (event) => {
+      const text = event.target.value.trim().toLowerCase();
+      document.querySelectorAll('#routes details').forEach(node => {
+        node.hidden = !!text && node.dataset.search.indexOf(text) === -1;
+      });
+    });
+
+    fetch('/api/openapi.json')
+      .then(res => {
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        return res.json();
+      })
+      .then(data => {
+        spec = data;
+        document.getElementById('version').textContent = 'v' + spec.info.version;
+        render();
+      })
+      .catch(err => {
+        const container = document.getElementById('routes');
+        container.className = 'error';
+        container.textContent = 'Could not load /api/openapi.json: ' + err.message;
+      });
+  </script>
+</body>
+</html>`;
 }
 
 // Start web UI server for preset management
 function startWebUiServer() {
-  webUiServer = http.createServer((req, res) => {
+  webUiServer = http.createServer(async (req, res) => {
     // Enable CORS
     res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
     
     if (req.method === 'OPTIONS') {
       res.writeHead(200);
@@ -4593,6 +10144,9 @@ function startWebUiServer() {
       opacity: 0.7;
       z-index: 10;
     }
+    .build-number a {
+      color: inherit;
+    }
     /* Remote tab - big buttons for mobile */
     .remote-header {
       display: flex;
@@ -4898,6 +10452,45 @@ function startWebUiServer() {
     .stagetimer-container.critical {
       background: linear-gradient(135deg, #f44336 0%, #d32f2f 100%);
     }
+    /* Operator message to the presenter (Remote tab) */
+    .presenter-message {
+      display: flex;
+      align-items: center;
+      gap: 12px;
+      padding: 14px 16px;
+      border-radius: 12px;
+      margin-bottom: 16px;
+      background: #fff;
+      color: #000;
+      border: 2px solid #e0e0e0;
+    }
+    .presenter-message.green { background: #2e7d32; color: #fff; border-color: #2e7d32; }
+    .presenter-message.yellow { background: #ffc107; color: #000; border-color: #ffc107; }
+    .presenter-message.red { background: #d32f2f; color: #fff; border-color: #d32f2f; }
+    .presenter-message.flash { animation: presenter-message-flash 1s ease-in-out infinite alternate; }
+    @keyframes presenter-message-flash { to { opacity: 0.35; } }
+    .presenter-message-text {
+      flex: 1;
+      font-size: 22px;
+      font-weight: 700;
+      line-height: 1.3;
+    }
+    .presenter-message .btn {
+      width: auto;
+      margin-top: 0;
+      padding: 10px 16px;
+    }
+    .message-history {
+      list-style: none;
+      margin: 0;
+      padding: 0;
+      font-size: 13px;
+      color: #555;
+    }
+    .message-history li {
+      padding: 6px 0;
+      border-bottom: 1px solid #eee;
+    }
     /* Stagetimer messages - absolutely positioned to prevent layout shift */
     .stagetimer-messages {
       position: absolute;
@@ -4943,11 +10536,39 @@ function startWebUiServer() {
       background: rgba(244, 67, 54, 0.3);
       color: #ffcdd2;
     }
-    .stagetimer-message.bold {
-      font-weight: 700;
+    .stagetimer-message.bold {
+      font-weight: 700;
+    }
+    .stagetimer-message.uppercase {
+      text-transform: uppercase;
+    }
+    .live-indicator {
+      font-size: 12px;
+      font-weight: 700;
+      letter-spacing: 0.05em;
+      padding: 4px 10px;
+      border-radius: 4px;
+      color: white;
+      background: #9e9e9e;
+    }
+    .live-indicator.live {
+      background: #f44336;
+    }
+    .failover-banner {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      gap: 12px;
+      margin: 10px 0;
+      padding: 10px 14px;
+      border-radius: 6px;
+      background: #e3f2fd;
+      color: #0d47a1;
+      font-size: 14px;
     }
-    .stagetimer-message.uppercase {
-      text-transform: uppercase;
+    .failover-banner.warning {
+      background: #fff3e0;
+      color: #e65100;
     }
   </style>
 </head>
@@ -4963,7 +10584,12 @@ function startWebUiServer() {
         <polygon points="10 10 12 9 14 10 12 11" fill="white"></polygon>
       </svg>
       ${machineName}
+      <span class="live-indicator" id="live-indicator" style="display: none;"></span>
     </h1>
+    <div class="failover-banner" id="failover-banner" style="display: none;">
+      <span id="failover-banner-text"></span>
+      <button type="button" class="btn" id="btn-failover-action"></button>
+    </div>
     
     <!-- Tabs -->
     <div class="tabs">
@@ -4993,6 +10619,10 @@ function startWebUiServer() {
           </button>
         </div>
       </div>
+      <div class="presenter-message" id="presenter-message" style="display: none;">
+        <div class="presenter-message-text" id="presenter-message-text"></div>
+        <button type="button" class="btn" id="btn-message-ack">Got it</button>
+      </div>
       <div class="stagetimer-container disabled" id="stagetimer-container" style="display: none;">
         <div class="stagetimer-label" id="stagetimer-label">Stage Timer</div>
         <div class="stagetimer-time" id="stagetimer-time">--:--</div>
@@ -5070,14 +10700,84 @@ function startWebUiServer() {
         </div>
       </div>
       
+      <!-- Standby (preloaded deck) -->
+      <div class="controls-section">
+        <h3>Standby</h3>
+        <div id="cue-status" style="color: #666; font-size: 14px; margin-bottom: 10px;">Nothing cued.</div>
+        <div style="display: flex; gap: 10px;">
+          <button type="button" class="btn btn-secondary" id="btn-cue-url" style="flex: 1;" title="Preload the URL above in the background">Cue URL</button>
+          <button type="button" class="btn" id="btn-take" style="flex: 1;" disabled>Take</button>
+          <button type="button" class="btn btn-secondary" id="btn-clear-cue" style="flex: 1;" disabled>Clear</button>
+        </div>
+      </div>
+      
+      <!-- Message to Presenter -->
+      <div class="controls-section">
+        <h3>Message to Presenter</h3>
+        <div class="preset-group">
+          <input type="text" id="message-text" maxlength="200" placeholder="Wrap up" list="message-suggestions" />
+          <datalist id="message-suggestions">
+            <option value="Wrap up"></option>
+            <option value="5 minutes left"></option>
+            <option value="Skip to Q&amp;A"></option>
+            <option value="Slow down"></option>
+            <option value="Speak up"></option>
+          </datalist>
+        </div>
+        <div class="preset-group" style="display: flex; gap: 12px; align-items: center; flex-wrap: wrap;">
+          <select id="message-color">
+            <option value="white">White</option>
+            <option value="green">Green</option>
+            <option value="yellow">Yellow</option>
+            <option value="red">Red</option>
+          </select>
+          <label style="margin: 0;"><input type="checkbox" id="message-flash" /> Flash</label>
+          <label style="margin: 0;">Hide after <input type="number" id="message-duration" min="0" max="3600" placeholder="0" style="width: 70px;" /> s (0 = until cleared)</label>
+        </div>
+        <div style="display: flex; gap: 10px; margin-bottom: 12px;">
+          <button type="button" class="btn" id="btn-message-send" style="flex: 1;">Send</button>
+          <button type="button" class="btn btn-secondary" id="btn-message-clear" style="flex: 1;">Clear</button>
+        </div>
+        <ul class="message-history" id="message-history"></ul>
+      </div>
+      
       <!-- Preset Presentations -->
       <div class="controls-section">
         <h3>Preset Presentations</h3>
+        <div class="preset-group" id="preset-tag-filter-group" style="display: none;">
+          <label for="preset-tag-filter">Filter by tag</label>
+          <select id="preset-tag-filter">
+            <option value="">All presets</option>
+          </select>
+        </div>
         <div id="preset-buttons-container" style="display: flex; flex-direction: column; gap: 10px;">
           <!-- Preset buttons will be dynamically loaded here -->
         </div>
       </div>
       
+      <!-- Show Rundown -->
+      <div class="controls-section">
+        <h3>Show Rundown</h3>
+        <div id="rundown-position" style="color: #666; font-size: 14px; margin-bottom: 10px;">No rundown items.</div>
+        <div style="display: flex; gap: 10px; margin-bottom: 12px;">
+          <button type="button" class="btn btn-secondary" id="btn-rundown-previous" style="flex: 1;">Previous Deck</button>
+          <button type="button" class="btn" id="btn-rundown-next" style="flex: 1;">Next Deck</button>
+        </div>
+        <div id="rundown-editor" style="display: flex; flex-direction: column; gap: 8px; margin-bottom: 12px;">
+          <!-- Rundown rows will be dynamically loaded here -->
+        </div>
+        <div class="preset-group" style="display: flex; gap: 8px; align-items: center;">
+          <select id="rundown-add-preset" style="flex: 1;">
+            <option value="">Add deck from preset...</option>
+          </select>
+          <button type="button" class="btn btn-secondary" id="btn-rundown-add">+ Add Deck</button>
+        </div>
+        <div class="preset-group">
+          <label style="margin: 0;"><input type="checkbox" id="rundown-advance" checked /> Next on the last slide loads the next deck</label>
+        </div>
+        <button type="button" class="btn" id="btn-rundown-save">Save Rundown</button>
+      </div>
+      
       <!-- Speaker Notes Controls -->
       <div class="controls-section">
         <h3>Speaker Notes</h3>
@@ -5190,6 +10890,22 @@ function startWebUiServer() {
           <small style="display: block; margin-top: 5px; color: #888; font-size: 12px;">Primary: Controls backup machines. Backup: Follows primary commands. Standalone: Independent operation.</small>
         </div>
         
+        <div id="web-failover-config" style="display: none; margin-top: 15px;">
+          <div class="preset-group">
+            <label for="web-failover-mode">If the Primary Disappears</label>
+            <select id="web-failover-mode" class="input-field" style="width: 100%; padding: 8px;">
+              <option value="offer">Offer to promote this machine</option>
+              <option value="auto">Promote this machine automatically</option>
+              <option value="off">Do nothing</option>
+            </select>
+          </div>
+          <div class="preset-group">
+            <label for="web-failover-grace">Grace Period (seconds)</label>
+            <input type="number" id="web-failover-grace" class="input-field" min="3" max="600" placeholder="10" />
+            <small style="display: block; margin-top: 5px; color: #888; font-size: 12px;">How long the primary must be unreachable before promotion is offered or performed</small>
+          </div>
+        </div>
+        
         <div id="web-backup-config" style="display: none; margin-top: 15px;">
           <div class="preset-group">
             <label for="web-backup-port">Backup Communication Port</label>
@@ -5201,8 +10917,21 @@ function startWebUiServer() {
             <label>Backup Machines</label>
             <div id="web-backup-ip-list" style="display: flex; flex-direction: column; gap: 10px;"></div>
             <button type="button" class="btn btn-secondary" id="web-add-backup-ip" style="margin-top: 10px;">+ Add backup machine</button>
-            <small style="display: block; margin-top: 5px; color: #888; font-size: 12px;">Enter an IP address or hostname for each backup. Supports any number of backups.</small>
+            <small style="display: block; margin-top: 5px; color: #888; font-size: 12px;">Enter an IP address or hostname for each backup (add :port if its API port differs from the backup port). Supports any number of backups.</small>
+          </div>
+          
+          <div class="preset-group">
+            <label>Discovered Machines</label>
+            <div id="web-discovered-list" style="display: flex; flex-direction: column; gap: 8px;"></div>
+            <button type="button" class="btn btn-secondary" id="btn-web-discovery-scan" style="margin-top: 10px;">Scan network</button>
+            <small style="display: block; margin-top: 5px; color: #888; font-size: 12px;">Other instances on this network (found via mDNS). Add one as a backup, then Save.</small>
+          </div>
+          
+          <div style="display: flex; align-items: center; gap: 10px; margin-top: 12px;">
+            <input type="checkbox" id="web-auto-resync-backups" style="width: auto;" />
+            <label for="web-auto-resync-backups" style="margin: 0; font-weight: normal;">Automatically resync drifted backups</label>
           </div>
+          <small style="display: block; margin-top: 5px; color: #888; font-size: 12px;">Reopens the deck and goes to our slide on a backup that shows a different deck or slide for more than a few seconds. Otherwise use Resync on the backup.</small>
         </div>
         
         <button type="button" class="btn" id="btn-save-primary-backup" style="margin-top: 15px;">Save Primary/Backup Settings</button>
@@ -5234,25 +10963,15 @@ function startWebUiServer() {
       <div class="controls-section" style="margin-top: 40px;">
         <h3>Preset Presentations</h3>
         <div class="info" style="margin-bottom: 15px;">
-          Configure preset presentations. These can be opened from Companion using "Open Presentation 1", "Open Presentation 2", or "Open Presentation 3" actions.
+          Build an ordered list of named presets. Each one can start on a specific slide and with or without speaker notes. They show up in the Controls tab and in Companion's "Open Preset" action.
         </div>
       
       <form id="preset-form">
-      <div class="preset-group">
-        <label for="preset1">Presentation 1</label>
-        <input type="text" id="preset1" name="preset1" placeholder="https://docs.google.com/presentation/d/..." />
-      </div>
-      
-      <div class="preset-group">
-        <label for="preset2">Presentation 2</label>
-        <input type="text" id="preset2" name="preset2" placeholder="https://docs.google.com/presentation/d/..." />
-      </div>
-      
-      <div class="preset-group">
-        <label for="preset3">Presentation 3</label>
-        <input type="text" id="preset3" name="preset3" placeholder="https://docs.google.com/presentation/d/..." />
-      </div>
-      
+        <div id="preset-list-editor" style="display: flex; flex-direction: column; gap: 12px; margin-bottom: 12px;">
+          <!-- Preset rows are rendered here -->
+        </div>
+        <button type="button" class="btn btn-secondary" id="btn-add-preset" style="margin-bottom: 12px;">+ Add Preset</button>
+        <br />
         <button type="submit" class="btn">Save Presets</button>
         <button type="button" class="btn btn-secondary" id="load-btn">Load Current Presets</button>
       </form>
@@ -5315,7 +11034,7 @@ function startWebUiServer() {
     </div>
     
     <div id="status" class="status"></div>
-    <div class="build-number">${versionString}</div>
+    <div class="build-number">${versionString} &middot; <a href="/docs" target="_blank">API docs</a></div>
   </div>
   
   <script>
@@ -5327,6 +11046,54 @@ function startWebUiServer() {
     // This allows the Web UI to work even when only port 80 is accessible from the network
     const API_BASE = '';
     
+    // API token (only needed when tokens are configured in the desktop app).
+    // Open the Web UI once as http://host/?token=... and it is remembered in this browser.
+    const TOKEN_STORAGE_KEY = 'gsoApiToken';
+    (function captureTokenFromUrl() {
+      const params = new URLSearchParams(window.location.search);
+      const fromUrl = params.get('token');
+      if (fromUrl) {
+        localStorage.setItem(TOKEN_STORAGE_KEY, fromUrl);
+        params.delete('token');
+        const rest = params.toString();
+        history.replaceState(null, '', window.location.pathname + (rest ? '?' + rest : '') + window.location.hash);
+      }
+    })();
+    
+    function getApiToken() {
+      return localStorage.getItem(TOKEN_STORAGE_KEY) || '';
+    }
+    
+    // Add the token to every /api call, and ask for one when the server says it's missing or wrong
+    let tokenPromptShown = false;
+    const nativeFetch = window.fetch.bind(window);
+    window.fetch = function(input, init) {
+      const url = typeof input === 'string' ? input : (input && input.url) || '';
+      const token = getApiToken();
+      if (url.indexOf(API_BASE + '/api/') === 0 && token) {
+        init = Object.assign({}, init);
+        init.headers = Object.assign({}, init.headers, { 'Authorization': 'Bearer ' + token });
+      }
+      return nativeFetch(input, init).then(res => {
+        if (res.status === 401 && url.indexOf(API_BASE + '/api/') === 0 && !tokenPromptShown) {
+          tokenPromptShown = true;
+          const entered = window.prompt('This controller requires an API token. Enter the token from the desktop app (Settings > API Tokens):', '');
+          if (entered) {
+            localStorage.setItem(TOKEN_STORAGE_KEY, entered.trim());
+            window.location.reload();
+          }
+        }
+        return res;
+      });
+    };
+    
+    // EventSource can't send headers, so the token goes in the query string
+    function withTokenQuery(url) {
+      const token = getApiToken();
+      if (!token) return url;
+      return url + (url.indexOf('?') === -1 ? '?' : '&') + 'token=' + encodeURIComponent(token);
+    }
+    
     // Debug: Log the API base URL for troubleshooting
     console.log('[Web UI] Using relative API URLs (proxied through Web UI server on port 80)');
     console.log('[Web UI] window.location.hostname:', window.location.hostname);
@@ -5377,6 +11144,9 @@ function startWebUiServer() {
       });
     });
     
+    // Same helper as the desktop app (api-errors.js)
+    const apiErrorMessage = ${getApiErrorMessage};
+    
     function apiCall(endpoint, method = 'POST') {
       const url = API_BASE + endpoint;
       console.log('[Web UI] Making API call:', method, url);
@@ -5385,18 +11155,18 @@ function startWebUiServer() {
         method: method,
         headers: { 'Content-Type': 'application/json' }
       })
-        .then(res => {
+        .then(res => res.json().catch(() => ({})).then(result => {
           if (!res.ok) {
-            throw new Error('HTTP error! status: ' + res.status);
+            throw new Error(apiErrorMessage(result, 'HTTP error! status: ' + res.status));
           }
-          return res.json();
-        })
+          return result;
+        }))
         .then(result => {
           console.log('[Web UI] API response:', result);
           if (result.success !== false) {
             showStatus(result.message || 'Action completed successfully', false);
           } else {
-            showStatus(result.error || 'Action failed', true);
+            showStatus(apiErrorMessage(result, 'Action failed'), true);
           }
           return result;
         })
@@ -5481,7 +11251,7 @@ function startWebUiServer() {
           const placeholderSrc = 'data:image/gif;base64,R0lGODlhAQABAAD/ACwAAAAAAQABAAACADs=';
 
           if (!data || !data.success) {
-            const msg = (data && data.error) ? data.error : 'Previews unavailable';
+            const msg = apiErrorMessage(data, 'Previews unavailable');
             currentLabel.textContent = 'Current Slide (preview unavailable)';
             nextLabel.textContent = 'Next Slide (preview unavailable)';
             if (currentImg) {
@@ -5575,7 +11345,7 @@ function startWebUiServer() {
           .then(res => res.json())
           .then(data => {
             // If notes window is not open, open it first
-            if (!data.success && data.error && data.error.includes('No speaker notes window')) {
+            if (!data.success && data.errorCode === 'NO_NOTES_WINDOW') {
               console.log('[Web UI] Speaker notes not open, opening them first...');
               return apiCall('/api/open-speaker-notes').then(() => {
                 // Wait a moment for notes to open, then show the UI
@@ -5644,7 +11414,7 @@ function startWebUiServer() {
         fetch(API_BASE + '/api/get-slide-previews')
           .then(res => res.json())
           .then(data => {
-            if (!data.success && data.error && data.error.includes('No speaker notes window')) {
+            if (!data.success && data.errorCode === 'NO_NOTES_WINDOW') {
               console.log('[Web UI] Speaker notes not open, opening them first for previews...');
               return apiCall('/api/open-speaker-notes').then(() => {
                 setTimeout(() => {
@@ -5807,141 +11577,647 @@ function startWebUiServer() {
         });
     }
     
-    // Helper function to validate and open presentation
-    function openPresentation(url, withNotes = false) {
-      if (!url) {
-        showStatus('Please enter a Google Slides URL', true);
-        document.getElementById('presentation-url').focus();
+    // Helper function to validate and open presentation
+    function openPresentation(url, withNotes = false) {
+      if (!url) {
+        showStatus('Please enter a Google Slides URL', true);
+        document.getElementById('presentation-url').focus();
+        return;
+      }
+      
+      // Validate it looks like a Google Slides URL (or an offline mock:<id> deck)
+      if (!url.includes('docs.google.com/presentation') && url.indexOf('mock:') !== 0) {
+        showStatus('Please enter a valid Google Slides URL', true);
+        document.getElementById('presentation-url').focus();
+        return;
+      }
+      
+      const endpoint = withNotes ? '/api/open-presentation-with-notes' : '/api/open-presentation';
+      const btnId = withNotes ? 'btn-open-presentation-with-notes' : 'btn-open-presentation';
+      const btn = document.getElementById(btnId);
+      const originalText = btn.innerHTML;
+      
+      // Disable both buttons during request
+      document.getElementById('btn-open-presentation').disabled = true;
+      document.getElementById('btn-open-presentation-with-notes').disabled = true;
+      btn.innerHTML = 'Opening...';
+      
+      fetch(API_BASE + endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ url: url })
+      })
+        .then(res => {
+          if (!res.ok) {
+            return res.json().then(data => {
+              throw new Error(apiErrorMessage(data, 'HTTP error! status: ' + res.status));
+            });
+          }
+          return res.json();
+        })
+        .then(result => {
+          if (result.success) {
+            showStatus(result.message || 'Presentation opened successfully!', false);
+            document.getElementById('presentation-url').value = ''; // Clear the input
+          } else {
+            showStatus('Failed to open: ' + apiErrorMessage(result, 'Unknown error'), true);
+          }
+        })
+        .catch(err => {
+          console.error('Open presentation error:', err);
+          showStatus('Failed to open presentation: ' + err.message + ' (Make sure the app is running)', true);
+        })
+        .finally(() => {
+          document.getElementById('btn-open-presentation').disabled = false;
+          document.getElementById('btn-open-presentation-with-notes').disabled = false;
+          document.getElementById('btn-open-presentation').innerHTML = '<svg class="btn-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="width: 18px; height: 18px; display: inline-block; vertical-align: middle; margin-right: 8px;"><polyline points="5 12 3 12 12 3 21 12 19 12"></polyline><path d="M5 12v7a2 2 0 0 0 2 2h10a2 2 0 0 0 2-2v-7"></path><polyline points="9 21 9 12 15 12 15 21"></polyline></svg>Launch Presentation';
+          document.getElementById('btn-open-presentation-with-notes').innerHTML = '<svg class="btn-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="width: 18px; height: 18px; display: inline-block; vertical-align: middle; margin-right: 8px;"><polyline points="5 12 3 12 12 3 21 12 19 12"></polyline><path d="M5 12v7a2 2 0 0 0 2 2h10a2 2 0 0 0 2-2v-7"></path><polyline points="9 21 9 12 15 12 15 21"></polyline></svg>Launch with Notes';
+        });
+    }
+    
+    // Open presentation button (without notes)
+    document.getElementById('btn-open-presentation').addEventListener('click', () => {
+      const url = document.getElementById('presentation-url').value.trim();
+      openPresentation(url, false);
+    });
+    
+    // Open presentation with notes button
+    document.getElementById('btn-open-presentation-with-notes').addEventListener('click', () => {
+      const url = document.getElementById('presentation-url').value.trim();
+      openPresentation(url, true);
+    });
+    
+    // Start notes button
+    document.getElementById('btn-start-notes').addEventListener('click', () => {
+      apiCall('/api/open-speaker-notes');
+    });
+    
+    // Allow Enter key to trigger open (without notes)
+    document.getElementById('presentation-url').addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') {
+        document.getElementById('btn-open-presentation').click();
+      }
+    });
+    
+    // Speaker notes controls removed from default Controls tab - moved to Settings if needed later
+    
+    // Preset library (ordered list from /api/presets)
+    let presetLibrary = [];
+    
+    function escapeHtml(text) {
+      return String(text == null ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+    }
+    
+    function openPresetById(id) {
+      fetch(API_BASE + '/api/open-preset', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id: id })
+      })
+        .then(res => res.json().then(result => ({ ok: res.ok, result })))
+        .then(({ ok, result }) => {
+          if (ok && result.success) {
+            showStatus(result.message || 'Preset opened', false);
+          } else {
+            showStatus('Failed to open preset: ' + apiErrorMessage(result, 'Unknown error'), true);
+          }
+        })
+        .catch(err => showStatus('Failed to open preset: ' + err.message, true));
+    }
+    
+    // Function to create preset buttons
+    function createPresetButtons(data) {
+      const presets = Array.isArray(data && data.presets) ? data.presets : [];
+      const container = document.getElementById('preset-buttons-container');
+      const filterGroup = document.getElementById('preset-tag-filter-group');
+      const filterSelect = document.getElementById('preset-tag-filter');
+      container.innerHTML = '';
+      
+      // Tag filter (only shown when any preset has tags)
+      const tags = [];
+      presets.forEach(p => (p.tags || []).forEach(t => { if (tags.indexOf(t) === -1) tags.push(t); }));
+      const selectedTag = tags.indexOf(filterSelect.value) !== -1 ? filterSelect.value : '';
+      filterSelect.innerHTML = '<option value="">All presets</option>' +
+        tags.map(t => '<option value="' + escapeHtml(t) + '">' + escapeHtml(t) + '</option>').join('');
+      filterSelect.value = selectedTag;
+      filterGroup.style.display = tags.length ? 'block' : 'none';
+      
+      presets
+        .filter(p => !selectedTag || (p.tags || []).indexOf(selectedTag) !== -1)
+        .forEach(preset => {
+          const presetGroup = document.createElement('div');
+          presetGroup.style.cssText = 'display: flex; gap: 10px; margin-bottom: 10px; align-items: center;';
+          
+          const label = document.createElement('div');
+          label.style.cssText = 'font-weight: 600; color: #333; padding: 12px 0; min-width: 120px; flex: 1; font-size: 14px;';
+          label.textContent = preset.name;
+          const details = document.createElement('div');
+          details.style.cssText = 'font-weight: normal; color: #888; font-size: 12px;';
+          details.textContent = [
+            preset.withNotes ? 'with notes' : 'no notes',
+            preset.startSlide > 1 ? 'starts on slide ' + preset.startSlide : '',
+            (preset.tags || []).join(', ')
+          ].filter(Boolean).join(' · ');
+          label.appendChild(details);
+          
+          const launchBtn = document.createElement('button');
+          launchBtn.type = 'button';
+          launchBtn.className = 'btn';
+          launchBtn.style.cssText = 'flex: 1;';
+          launchBtn.innerHTML = '<svg class="btn-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="width: 18px; height: 18px; display: inline-block; vertical-align: middle; margin-right: 8px;"><polyline points="5 12 3 12 12 3 21 12 19 12"></polyline><path d="M5 12v7a2 2 0 0 0 2 2h10a2 2 0 0 0 2-2v-7"></path><polyline points="9 21 9 12 15 12 15 21"></polyline></svg>Launch';
+          launchBtn.addEventListener('click', () => {
+            openPresetById(preset.id);
+          });
+          
+          const cueBtn = document.createElement('button');
+          cueBtn.type = 'button';
+          cueBtn.className = 'btn btn-secondary';
+          cueBtn.textContent = 'Cue';
+          cueBtn.title = 'Preload in the background, then Take';
+          cueBtn.addEventListener('click', () => {
+            cueCommand('/api/cue', { preset: preset.id });
+          });
+          
+          presetGroup.appendChild(label);
+          presetGroup.appendChild(launchBtn);
+          presetGroup.appendChild(cueBtn);
+          container.appendChild(presetGroup);
+        });
+      
+      if (container.children.length === 0) {
+        container.innerHTML = '<div style="color: #999; font-style: italic; padding: 20px; text-align: center;">' +
+          (presets.length ? 'No presets with this tag.' : 'No preset presentations configured. Go to Settings to add presets.') +
+          '</div>';
+      }
+    }
+    
+    document.getElementById('preset-tag-filter').addEventListener('change', () => {
+      createPresetButtons({ presets: presetLibrary });
+    });
+    
+    // Settings tab: editable preset list
+    function renderPresetEditor() {
+      const editor = document.getElementById('preset-list-editor');
+      editor.innerHTML = '';
+      if (presetLibrary.length === 0) {
+        editor.innerHTML = '<div style="color: #999; font-style: italic;">No presets yet. Click "Add Preset".</div>';
+        return;
+      }
+      presetLibrary.forEach((preset, index) => {
+        const row = document.createElement('div');
+        row.className = 'preset-group';
+        row.style.cssText = 'border: 1px solid #ddd; border-radius: 6px; padding: 10px;';
+        row.innerHTML =
+          '<div style="display: flex; gap: 8px; margin-bottom: 6px;">' +
+            '<input type="text" data-field="name" placeholder="Name (e.g. Keynote)" value="' + escapeHtml(preset.name) + '" style="flex: 1;" />' +
+            '<button type="button" class="btn btn-secondary" data-action="up" title="Move up"' + (index === 0 ? ' disabled' : '') + '>↑</button>' +
+            '<button type="button" class="btn btn-secondary" data-action="down" title="Move down"' + (index === presetLibrary.length - 1 ? ' disabled' : '') + '>↓</button>' +
+            '<button type="button" class="btn btn-secondary" data-action="delete" title="Delete preset">✕</button>' +
+          '</div>' +
+          '<input type="text" data-field="url" placeholder="https://docs.google.com/presentation/d/..." value="' + escapeHtml(preset.url) + '" style="margin-bottom: 6px;" />' +
+          '<div style="display: flex; gap: 8px; align-items: center;">' +
+            '<label style="margin: 0;">Start slide</label>' +
+            '<input type="number" min="1" data-field="startSlide" value="' + escapeHtml(preset.startSlide || 1) + '" style="width: 80px;" />' +
+            '<label style="margin: 0;"><input type="checkbox" data-field="withNotes"' + (preset.withNotes !== false ? ' checked' : '') + ' /> With notes</label>' +
+            '<input type="text" data-field="tags" placeholder="Tags (comma separated)" value="' + escapeHtml((preset.tags || []).join(', ')) + '" style="flex: 1;" />' +
+          '</div>';
+        
+        row.querySelectorAll('[data-field]').forEach(input => {
+          const field = input.getAttribute('data-field');
+          input.addEventListener(input.type === 'checkbox' ? 'change' : 'input', () => {
+            if (field === 'withNotes') preset.withNotes = input.checked;
+            else if (field === 'startSlide') preset.startSlide = parseInt(input.value, 10) || 1;
+            else if (field === 'tags') preset.tags = input.value.split(',').map(t => t.trim()).filter(Boolean);
+            else preset[field] = input.value;
+          });
+        });
+        row.querySelector('[data-action="up"]').addEventListener('click', () => {
+          presetLibrary.splice(index - 1, 0, presetLibrary.splice(index, 1)[0]);
+          renderPresetEditor();
+        });
+        row.querySelector('[data-action="down"]').addEventListener('click', () => {
+          presetLibrary.splice(index + 1, 0, presetLibrary.splice(index, 1)[0]);
+          renderPresetEditor();
+        });
+        row.querySelector('[data-action="delete"]').addEventListener('click', () => {
+          presetLibrary.splice(index, 1);
+          renderPresetEditor();
+        });
+        editor.appendChild(row);
+      });
+    }
+    
+    function applyPresetData(data) {
+      presetLibrary = Array.isArray(data && data.presets) ? data.presets : [];
+      renderPresetEditor();
+      createPresetButtons({ presets: presetLibrary });
+      renderRundownPresetChoices();
+    }
+    
+    // Controls tab: standby deck (preloaded hidden, switched on with Take)
+    function renderCueStatus(cued) {
+      const el = document.getElementById('cue-status');
+      if (!cued) {
+        el.textContent = 'Nothing cued.';
+      } else {
+        el.textContent = 'Cued: ' + (cued.title || cued.url) +
+          (cued.error ? ' (failed: ' + cued.error + ')' : (cued.ready ? ' (ready)' : ' (loading...)'));
+      }
+      document.getElementById('btn-take').disabled = !cued;
+      document.getElementById('btn-clear-cue').disabled = !cued;
+    }
+    
+    function loadCueStatus() {
+      fetch(API_BASE + '/api/cue')
+        .then(res => res.json())
+        .then(data => renderCueStatus(data && data.cued))
+        .catch(err => console.error('[Web UI] Failed to load cue:', err));
+    }
+    
+    function cueCommand(endpoint, body) {
+      fetch(API_BASE + endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body || {})
+      })
+        .then(res => res.json().then(result => ({ ok: res.ok, result })))
+        .then(({ ok, result }) => {
+          if (ok && result.success) {
+            showStatus(result.message || 'Done', false);
+          } else {
+            showStatus('Standby: ' + apiErrorMessage(result, 'Unknown error'), true);
+          }
+          loadCueStatus();
+        })
+        .catch(err => showStatus('Standby: ' + err.message, true));
+    }
+    
+    document.getElementById('btn-cue-url').addEventListener('click', () => {
+      const url = document.getElementById('presentation-url').value.trim();
+      if (!url) {
+        showStatus('Please enter a Google Slides URL', true);
+        return;
+      }
+      cueCommand('/api/cue', { url: url });
+    });
+    
+    document.getElementById('btn-take').addEventListener('click', () => {
+      cueCommand('/api/take');
+    });
+    
+    document.getElementById('btn-clear-cue').addEventListener('click', () => {
+      cueCommand('/api/clear-cue');
+    });
+    
+    loadCueStatus();
+    
+    // Operator messages: banner + "Got it" on the Remote tab, send form and history on Controls
+    let shownMessageId = null;
+    
+    function renderPresenterMessage(data) {
+      const current = data && data.current;
+      const banner = document.getElementById('presenter-message');
+      if (!current) {
+        banner.style.display = 'none';
+        shownMessageId = null;
+      } else {
+        banner.className = 'presenter-message ' + current.color + (current.flash ? ' flash' : '');
+        document.getElementById('presenter-message-text').textContent = current.text;
+        banner.style.display = 'flex';
+        shownMessageId = current.id;
+      }
+      
+      const history = (data && data.history) || [];
+      document.getElementById('message-history').innerHTML = history.slice(0, 10).map(m => {
+        const time = new Date(m.sentAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const state = !m.endedAt ? 'showing' : (m.endReason === 'acknowledged' ? 'seen \u2713' : m.endReason);
+        return '<li>' + escapeHtml(time) + ' &middot; ' + escapeHtml(m.text) + ' <em>(' + escapeHtml(state) + ')</em></li>';
+      }).join('');
+    }
+    
+    function loadPresenterMessage() {
+      fetch(API_BASE + '/api/message')
+        .then(res => res.json())
+        .then(data => renderPresenterMessage(data))
+        .catch(err => console.error('[Web UI] Failed to load message:', err));
+    }
+    
+    function messageCommand(endpoint, body) {
+      fetch(API_BASE + endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body || {})
+      })
+        .then(res => res.json().then(result => ({ ok: res.ok, result })))
+        .then(({ ok, result }) => {
+          if (ok && result.success) {
+            showStatus(result.message || 'Done', false);
+          } else {
+            showStatus('Message: ' + apiErrorMessage(result, 'Unknown error'), true);
+          }
+          loadPresenterMessage();
+        })
+        .catch(err => showStatus('Message: ' + err.message, true));
+    }
+    
+    document.getElementById('btn-message-send').addEventListener('click', () => {
+      const text = document.getElementById('message-text').value.trim();
+      if (!text) {
+        showStatus('Please enter a message', true);
+        return;
+      }
+      messageCommand('/api/message', {
+        text: text,
+        color: document.getElementById('message-color').value,
+        flash: document.getElementById('message-flash').checked,
+        duration: parseInt(document.getElementById('message-duration').value, 10) || 0
+      });
+    });
+    
+    document.getElementById('btn-message-clear').addEventListener('click', () => {
+      messageCommand('/api/message/clear');
+    });
+    
+    document.getElementById('btn-message-ack').addEventListener('click', () => {
+      messageCommand('/api/message/acknowledge', { id: shownMessageId });
+    });
+    
+    loadPresenterMessage();
+    
+    // Which machine is live, and the failover prompt on a backup whose primary went quiet
+    let failoverAction = null;
+    let renderedRole = null;
+    
+    // Promotion/demotion changes the mode on the server; keep the Settings radios current so
+    // saving Primary/Backup settings doesn't switch it back
+    function syncModeRadios(role) {
+      ['primary', 'backup', 'standalone'].forEach(m => {
+        document.getElementById('web-mode-' + m).checked = m === role;
+      });
+      document.getElementById('web-backup-config').style.display = role === 'primary' ? 'block' : 'none';
+      document.getElementById('web-failover-config').style.display = role === 'backup' ? 'block' : 'none';
+      if (role === 'primary') {
+        startWebBackupStatusPolling();
+      } else {
+        stopWebBackupStatusPolling();
+      }
+    }
+    
+    function renderFailover(failover) {
+      const badge = document.getElementById('live-indicator');
+      const banner = document.getElementById('failover-banner');
+      const text = document.getElementById('failover-banner-text');
+      const btn = document.getElementById('btn-failover-action');
+      if (!failover) {
+        badge.style.display = 'none';
+        banner.style.display = 'none';
         return;
       }
+      if (renderedRole && renderedRole !== failover.role) {
+        syncModeRadios(failover.role);
+      }
+      renderedRole = failover.role;
+      badge.style.display = '';
+      badge.className = 'live-indicator' + (failover.live ? ' live' : '');
+      badge.textContent = failover.live ? 'LIVE' : 'BACKUP';
+      badge.title = failover.live
+        ? 'This machine is driving the show (' + failover.role + ')'
+        : 'Following ' + (failover.primaryHost || 'the primary');
       
-      // Validate it looks like a Google Slides URL
-      if (!url.includes('docs.google.com/presentation')) {
-        showStatus('Please enter a valid Google Slides URL', true);
-        document.getElementById('presentation-url').focus();
+      failoverAction = null;
+      if (failover.state === 'primary-lost') {
+        text.textContent = 'Primary ' + (failover.primaryHost || '') + ' is not answering (' +
+          (failover.lastHeartbeatError || 'no heartbeat') + ').' +
+          (failover.mode === 'auto' ? ' Promoting automatically...' : '');
+        btn.textContent = 'Promote this machine';
+        failoverAction = '/api/failover/promote';
+      } else if (failover.state === 'promoted') {
+        text.textContent = 'Promoted to primary' +
+          (failover.previousPrimary ? ' (was following ' + failover.previousPrimary + ')' : '') + '.' +
+          (failover.previousPrimaryBack ? ' The previous primary is back online - two machines are live.' : '');
+        btn.textContent = 'Return to backup';
+        failoverAction = '/api/failover/demote';
+      }
+      banner.style.display = failoverAction ? '' : 'none';
+      banner.classList.toggle('warning', failover.state === 'primary-lost' || !!failover.previousPrimaryBack);
+    }
+    
+    function loadFailover() {
+      fetch(API_BASE + '/api/failover')
+        .then(res => res.json())
+        .then(renderFailover)
+        .catch(err => console.error('[Web UI] Failed to load failover state:', err));
+    }
+    
+    document.getElementById('btn-failover-action').addEventListener('click', async () => {
+      if (!failoverAction) return;
+      if (failoverAction === '/api/failover/promote' && !confirm('Make this machine the primary?')) return;
+      try {
+        const res = await fetch(API_BASE + failoverAction, { method: 'POST' });
+        const result = await res.json();
+        if (result.success) {
+          showStatus(failoverAction === '/api/failover/promote' ? 'This machine is now primary' : 'Back to backup mode', false);
+        } else {
+          showStatus('Failover: ' + apiErrorMessage(result, 'Unknown error'), true);
+        }
+      } catch (error) {
+        showStatus('Failover: ' + error.message, true);
+      }
+      loadFailover();
+    });
+    
+    loadFailover();
+    
+    // Controls tab: show rundown (ordered decks, "Next Deck" advances through them)
+    let rundownState = { items: [], currentIndex: -1, advanceOnLastSlide: true };
+    let rundownDirty = false;
+    
+    function renderRundownPresetChoices() {
+      const select = document.getElementById('rundown-add-preset');
+      select.innerHTML = '<option value="">Add deck from preset...</option><option value="__url">Blank (enter URL)</option>' +
+        presetLibrary.map(p => '<option value="' + escapeHtml(p.id) + '">' + escapeHtml(p.name) + '</option>').join('');
+    }
+    
+    function renderRundownPosition() {
+      const el = document.getElementById('rundown-position');
+      const items = rundownState.items;
+      const current = items[rundownState.currentIndex];
+      const next = items[rundownState.currentIndex + 1];
+      if (items.length === 0) {
+        el.textContent = 'No rundown items.';
+      } else {
+        el.textContent = (current ? 'Now: ' + current.title + ' (' + (rundownState.currentIndex + 1) + '/' + items.length + ')' : 'Not started') +
+          ' · Next: ' + (next ? next.title : 'end of rundown');
+      }
+      document.getElementById('btn-rundown-previous').disabled = rundownState.currentIndex <= 0;
+      document.getElementById('btn-rundown-next').disabled = !next;
+    }
+    
+    function renderRundownEditor() {
+      const editor = document.getElementById('rundown-editor');
+      editor.innerHTML = '';
+      document.getElementById('rundown-advance').checked = rundownState.advanceOnLastSlide !== false;
+      renderRundownPosition();
+      if (rundownState.items.length === 0) {
+        editor.innerHTML = '<div style="color: #999; font-style: italic;">Add decks from your presets (or by URL) to build a running order.</div>';
         return;
       }
-      
-      const endpoint = withNotes ? '/api/open-presentation-with-notes' : '/api/open-presentation';
-      const btnId = withNotes ? 'btn-open-presentation-with-notes' : 'btn-open-presentation';
-      const btn = document.getElementById(btnId);
-      const originalText = btn.innerHTML;
-      
-      // Disable both buttons during request
-      document.getElementById('btn-open-presentation').disabled = true;
-      document.getElementById('btn-open-presentation-with-notes').disabled = true;
-      btn.innerHTML = 'Opening...';
-      
+      rundownState.items.forEach((item, index) => {
+        const isCurrent = index === rundownState.currentIndex;
+        const row = document.createElement('div');
+        row.className = 'preset-group';
+        row.style.cssText = 'border: 1px solid ' + (isCurrent ? '#4CAF50' : '#ddd') + '; border-radius: 6px; padding: 10px;';
+        row.innerHTML =
+          '<div style="display: flex; gap: 8px; margin-bottom: 6px; align-items: center;">' +
+            '<span style="font-weight: 600; min-width: 24px;">' + (index + 1) + '.</span>' +
+            '<input type="text" data-field="title" placeholder="Deck title" value="' + escapeHtml(item.title) + '" style="flex: 1;" />' +
+            '<button type="button" class="btn" data-action="go" title="Load this deck now">Go</button>' +
+            '<button type="button" class="btn btn-secondary" data-action="up" title="Move up"' + (index === 0 ? ' disabled' : '') + '>↑</button>' +
+            '<button type="button" class="btn btn-secondary" data-action="down" title="Move down"' + (index === rundownState.items.length - 1 ? ' disabled' : '') + '>↓</button>' +
+            '<button type="button" class="btn btn-secondary" data-action="delete" title="Remove from rundown">✕</button>' +
+          '</div>' +
+          '<input type="text" data-field="url" placeholder="https://docs.google.com/presentation/d/..." value="' + escapeHtml(item.url) + '" style="margin-bottom: 6px;" />' +
+          '<div style="display: flex; gap: 8px; align-items: center;">' +
+            '<label style="margin: 0;">Start slide</label>' +
+            '<input type="number" min="1" data-field="startSlide" value="' + escapeHtml(item.startSlide || 1) + '" style="width: 80px;" />' +
+            '<label style="margin: 0;"><input type="checkbox" data-field="withNotes"' + (item.withNotes !== false ? ' checked' : '') + ' /> With notes</label>' +
+          '</div>';
+        
+        row.querySelectorAll('[data-field]').forEach(input => {
+          const field = input.getAttribute('data-field');
+          input.addEventListener(input.type === 'checkbox' ? 'change' : 'input', () => {
+            if (field === 'withNotes') item.withNotes = input.checked;
+            else if (field === 'startSlide') item.startSlide = parseInt(input.value, 10) || 1;
+            else item[field] = input.value;
+            rundownDirty = true;
+          });
+        });
+        row.querySelector('[data-action="go"]').addEventListener('click', () => {
+          if (rundownDirty) {
+            showStatus('Save the rundown before loading a deck from it', true);
+            return;
+          }
+          rundownCommand('/api/rundown/go', { index: index });
+        });
+        row.querySelector('[data-action="up"]').addEventListener('click', () => {
+          moveRundownItem(index, index - 1);
+        });
+        row.querySelector('[data-action="down"]').addEventListener('click', () => {
+          moveRundownItem(index, index + 1);
+        });
+        row.querySelector('[data-action="delete"]').addEventListener('click', () => {
+          const currentItem = rundownState.items[rundownState.currentIndex];
+          rundownState.items.splice(index, 1);
+          rundownState.currentIndex = currentItem ? rundownState.items.indexOf(currentItem) : -1;
+          rundownDirty = true;
+          renderRundownEditor();
+        });
+        editor.appendChild(row);
+      });
+    }
+    
+    function moveRundownItem(from, to) {
+      const currentItem = rundownState.items[rundownState.currentIndex];
+      rundownState.items.splice(to, 0, rundownState.items.splice(from, 1)[0]);
+      rundownState.currentIndex = currentItem ? rundownState.items.indexOf(currentItem) : -1;
+      rundownDirty = true;
+      renderRundownEditor();
+    }
+    
+    function loadRundown() {
+      return fetch(API_BASE + '/api/rundown')
+        .then(res => res.json())
+        .then(data => {
+          if (data && data.rundown) {
+            rundownState = data.rundown;
+            rundownDirty = false;
+            renderRundownEditor();
+          }
+        })
+        .catch(err => console.error('[Web UI] Failed to load rundown:', err));
+    }
+    
+    function rundownCommand(endpoint, body) {
       fetch(API_BASE + endpoint, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ url: url })
+        body: JSON.stringify(body || {})
       })
-        .then(res => {
-          if (!res.ok) {
-            return res.json().then(data => {
-              throw new Error(data.error || 'HTTP error! status: ' + res.status);
-            });
-          }
-          return res.json();
-        })
-        .then(result => {
-          if (result.success) {
-            showStatus(result.message || 'Presentation opened successfully!', false);
-            document.getElementById('presentation-url').value = ''; // Clear the input
+        .then(res => res.json().then(result => ({ ok: res.ok, result })))
+        .then(({ ok, result }) => {
+          if (ok && result.success) {
+            showStatus(result.message || 'Rundown updated', false);
+            loadRundown();
           } else {
-            showStatus('Failed to open: ' + (result.error || 'Unknown error'), true);
+            showStatus('Rundown: ' + apiErrorMessage(result, 'Unknown error'), true);
           }
         })
-        .catch(err => {
-          console.error('Open presentation error:', err);
-          showStatus('Failed to open presentation: ' + err.message + ' (Make sure the app is running)', true);
-        })
-        .finally(() => {
-          document.getElementById('btn-open-presentation').disabled = false;
-          document.getElementById('btn-open-presentation-with-notes').disabled = false;
-          document.getElementById('btn-open-presentation').innerHTML = '<svg class="btn-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="width: 18px; height: 18px; display: inline-block; vertical-align: middle; margin-right: 8px;"><polyline points="5 12 3 12 12 3 21 12 19 12"></polyline><path d="M5 12v7a2 2 0 0 0 2 2h10a2 2 0 0 0 2-2v-7"></path><polyline points="9 21 9 12 15 12 15 21"></polyline></svg>Launch Presentation';
-          document.getElementById('btn-open-presentation-with-notes').innerHTML = '<svg class="btn-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="width: 18px; height: 18px; display: inline-block; vertical-align: middle; margin-right: 8px;"><polyline points="5 12 3 12 12 3 21 12 19 12"></polyline><path d="M5 12v7a2 2 0 0 0 2 2h10a2 2 0 0 0 2-2v-7"></path><polyline points="9 21 9 12 15 12 15 21"></polyline></svg>Launch with Notes';
-        });
+        .catch(err => showStatus('Rundown: ' + err.message, true));
     }
     
-    // Open presentation button (without notes)
-    document.getElementById('btn-open-presentation').addEventListener('click', () => {
-      const url = document.getElementById('presentation-url').value.trim();
-      openPresentation(url, false);
+    document.getElementById('btn-rundown-next').addEventListener('click', () => {
+      rundownCommand('/api/rundown/next');
     });
     
-    // Open presentation with notes button
-    document.getElementById('btn-open-presentation-with-notes').addEventListener('click', () => {
-      const url = document.getElementById('presentation-url').value.trim();
-      openPresentation(url, true);
+    document.getElementById('btn-rundown-previous').addEventListener('click', () => {
+      rundownCommand('/api/rundown/previous');
     });
     
-    // Start notes button
-    document.getElementById('btn-start-notes').addEventListener('click', () => {
-      apiCall('/api/open-speaker-notes');
+    document.getElementById('rundown-advance').addEventListener('change', (e) => {
+      rundownState.advanceOnLastSlide = e.target.checked;
+      rundownDirty = true;
     });
     
-    // Allow Enter key to trigger open (without notes)
-    document.getElementById('presentation-url').addEventListener('keypress', (e) => {
-      if (e.key === 'Enter') {
-        document.getElementById('btn-open-presentation').click();
+    document.getElementById('btn-rundown-add').addEventListener('click', () => {
+      const select = document.getElementById('rundown-add-preset');
+      const preset = presetLibrary.find(p => p.id === select.value);
+      if (preset) {
+        rundownState.items.push({ title: preset.name, url: preset.url, startSlide: preset.startSlide || 1, withNotes: preset.withNotes !== false });
+      } else if (select.value === '__url') {
+        rundownState.items.push({ title: '', url: '', startSlide: 1, withNotes: true });
+      } else {
+        showStatus('Pick a preset (or "Blank") to add', true);
+        return;
       }
+      select.value = '';
+      rundownDirty = true;
+      renderRundownEditor();
     });
     
-    // Speaker notes controls removed from default Controls tab - moved to Settings if needed later
+    document.getElementById('btn-rundown-save').addEventListener('click', () => {
+      fetch(API_BASE + '/api/rundown', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          items: rundownState.items,
+          currentIndex: rundownState.currentIndex,
+          advanceOnLastSlide: rundownState.advanceOnLastSlide !== false
+        })
+      })
+        .then(res => res.json().then(result => ({ ok: res.ok, result })))
+        .then(({ ok, result }) => {
+          if (ok && result.success) {
+            rundownState = result.rundown;
+            rundownDirty = false;
+            renderRundownEditor();
+            showStatus('Rundown saved', false);
+          } else {
+            showStatus('Failed to save rundown: ' + apiErrorMessage(result, 'Unknown error'), true);
+          }
+        })
+        .catch(err => showStatus('Failed to save rundown: ' + err.message, true));
+    });
     
-    // Function to create preset buttons
-    function createPresetButtons(presets) {
-      const container = document.getElementById('preset-buttons-container');
-      container.innerHTML = '';
-      
-      for (let i = 1; i <= 3; i++) {
-        const presetUrl = presets[\`presentation\${i}\`];
-        if (!presetUrl || presetUrl.trim() === '') {
-          continue; // Skip empty presets
-        }
-        
-        const presetGroup = document.createElement('div');
-        presetGroup.style.cssText = 'display: flex; gap: 10px; margin-bottom: 10px;';
-        
-        const label = document.createElement('div');
-        label.textContent = \`Presentation \${i}:\`;
-        label.style.cssText = 'font-weight: 600; color: #333; padding: 12px 0; min-width: 120px; font-size: 14px;';
-        
-        const buttonGroup = document.createElement('div');
-        buttonGroup.style.cssText = 'display: flex; gap: 10px; flex: 1;';
-        
-        const launchBtn = document.createElement('button');
-        launchBtn.type = 'button';
-        launchBtn.className = 'btn';
-        launchBtn.style.cssText = 'flex: 1;';
-        launchBtn.innerHTML = '<svg class="btn-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="width: 18px; height: 18px; display: inline-block; vertical-align: middle; margin-right: 8px;"><polyline points="5 12 3 12 12 3 21 12 19 12"></polyline><path d="M5 12v7a2 2 0 0 0 2 2h10a2 2 0 0 0 2-2v-7"></path><polyline points="9 21 9 12 15 12 15 21"></polyline></svg>Launch';
-        launchBtn.addEventListener('click', () => {
-          openPresentation(presetUrl, false);
-        });
-        
-        const launchWithNotesBtn = document.createElement('button');
-        launchWithNotesBtn.type = 'button';
-        launchWithNotesBtn.className = 'btn';
-        launchWithNotesBtn.style.cssText = 'flex: 1;';
-        launchWithNotesBtn.innerHTML = '<svg class="btn-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="width: 18px; height: 18px; display: inline-block; vertical-align: middle; margin-right: 8px;"><polyline points="5 12 3 12 12 3 21 12 19 12"></polyline><path d="M5 12v7a2 2 0 0 0 2 2h10a2 2 0 0 0 2-2v-7"></path><polyline points="9 21 9 12 15 12 15 21"></polyline></svg>Launch with Notes';
-        launchWithNotesBtn.addEventListener('click', () => {
-          openPresentation(presetUrl, true);
-        });
-        
-        buttonGroup.appendChild(launchBtn);
-        buttonGroup.appendChild(launchWithNotesBtn);
-        
-        presetGroup.appendChild(label);
-        presetGroup.appendChild(buttonGroup);
-        container.appendChild(presetGroup);
-      }
-      
-      if (container.children.length === 0) {
-        container.innerHTML = '<div style="color: #999; font-style: italic; padding: 20px; text-align: center;">No preset presentations configured. Go to Settings to add presets.</div>';
-      }
-    }
+    loadRundown();
+    
+    document.getElementById('btn-add-preset').addEventListener('click', () => {
+      presetLibrary.push({ name: '', url: '', startSlide: 1, withNotes: true, tags: [] });
+      renderPresetEditor();
+    });
     
     // Test API connection on page load
     fetch(API_BASE + '/api/status')
@@ -5965,11 +12241,8 @@ function startWebUiServer() {
         return res.json();
       })
       .then(data => {
-        document.getElementById('preset1').value = data.presentation1 || '';
-        document.getElementById('preset2').value = data.presentation2 || '';
-        document.getElementById('preset3').value = data.presentation3 || '';
-        // Create preset buttons in Controls tab
-        createPresetButtons(data);
+        // Fill the Settings editor and create preset buttons in Controls tab
+        applyPresetData(data);
       })
       .catch(err => {
         console.error('[Web UI] Failed to connect to API:', err);
@@ -5986,13 +12259,70 @@ function startWebUiServer() {
         }
       });
     
-    // Poll for slide updates every 2 seconds
-    let slideUpdateInterval = setInterval(updateSlideButtons, 2000);
+    // Live updates: subscribe to the event stream, fall back to polling every 2 seconds if it's unavailable
+    let slideUpdateInterval = null;
+    let apiEventSource = null;
     
-    // Clear interval when page unloads
-    window.addEventListener('beforeunload', () => {
+    function startSlidePolling() {
+      if (!slideUpdateInterval) {
+        slideUpdateInterval = setInterval(() => {
+          updateSlideButtons();
+          loadPresenterMessage();
+        }, 2000);
+      }
+    }
+    
+    function stopSlidePolling() {
       if (slideUpdateInterval) {
         clearInterval(slideUpdateInterval);
+        slideUpdateInterval = null;
+      }
+    }
+    
+    function connectEventStream() {
+      if (typeof EventSource === 'undefined') {
+        startSlidePolling();
+        return;
+      }
+      apiEventSource = new EventSource(withTokenQuery(API_BASE + '/api/events'));
+      apiEventSource.onopen = () => {
+        console.log('[Web UI] Event stream connected');
+        stopSlidePolling();
+        updateSlideButtons();
+        loadPresenterMessage();
+      };
+      apiEventSource.onerror = () => {
+        // EventSource reconnects on its own; keep the UI fresh in the meantime
+        startSlidePolling();
+      };
+      ['slide-changed', 'presentation-opened', 'presentation-closed', 'notes-opened', 'notes-closed'].forEach(type => {
+        apiEventSource.addEventListener(type, () => updateSlideButtons());
+      });
+      apiEventSource.addEventListener('backup-status-changed', () => {
+        if (webBackupStatusInterval) {
+          updateWebBackupStatus();
+        }
+      });
+      apiEventSource.addEventListener('cue-changed', () => loadCueStatus());
+      apiEventSource.addEventListener('message-changed', () => loadPresenterMessage());
+      apiEventSource.addEventListener('failover-changed', () => loadFailover());
+      apiEventSource.addEventListener('discovery-changed', () => loadWebDiscoveredInstances(false));
+      apiEventSource.addEventListener('rundown-changed', () => {
+        // Don't throw away unsaved edits; the position line is refreshed on save
+        if (!rundownDirty) {
+          loadRundown();
+        }
+      });
+    }
+    
+    connectEventStream();
+    
+    // Clear interval when page unloads
+    window.addEventListener('beforeunload', () => {
+      stopSlidePolling();
+      if (apiEventSource) {
+        apiEventSource.close();
+        apiEventSource = null;
       }
       if (window.notesRefreshInterval) {
         clearInterval(window.notesRefreshInterval);
@@ -6014,12 +12344,8 @@ function startWebUiServer() {
           return res.json();
         })
         .then(data => {
-          document.getElementById('preset1').value = data.presentation1 || '';
-          document.getElementById('preset2').value = data.presentation2 || '';
-          document.getElementById('preset3').value = data.presentation3 || '';
+          applyPresetData(data);
           showStatus('Presets loaded', false);
-          // Update preset buttons in Controls tab
-          createPresetButtons(data);
         })
         .catch(err => {
           console.error('Load error:', err);
@@ -6103,7 +12429,7 @@ function startWebUiServer() {
               updateStagetimerDisplay(null, enabled ? 'Please configure Room ID and API Key' : 'Disabled');
             }
           } else {
-            showStatus('Failed to save: ' + (result.error || 'Unknown error'), true);
+            showStatus('Failed to save: ' + apiErrorMessage(result, 'Unknown error'), true);
           }
         })
         .catch(err => {
@@ -6619,6 +12945,9 @@ function startWebUiServer() {
     
     // Function to load all settings
     let webBackupStatusByIp = {};
+    let webBackupPairingByIp = {};
+    let webBackupSyncByIp = {};
+    let webBackupMissedByIp = {};
     let webBackupHandlersAttached = false;
 
     function normalizeWebBackupIps(ips) {
@@ -6658,10 +12987,36 @@ function startWebUiServer() {
         el.textContent = '-';
         el.style.background = 'transparent';
         el.style.color = '#888';
+        el.title = '';
+        return;
+      }
+      const missed = webBackupMissedByIp[v] || 0;
+      el.title = missed ? missed + ' command(s) never reached this backup this session' : '';
+      const pairing = webBackupPairingByIp[v];
+      if (status === 'connected' && (pairing === 'mismatch' || pairing === 'unpaired')) {
+        // Reachable, but it will refuse our commands
+        el.textContent = pairing === 'mismatch' ? 'Key mismatch' : 'Not paired';
+        el.style.background = '#ff9800';
+        el.style.color = 'white';
+        return;
+      }
+      const sync = webBackupSyncByIp[v];
+      if (status === 'connected' && sync && (sync.sync === 'drifted' || sync.sync === 'wrong-deck')) {
+        el.textContent = sync.sync === 'wrong-deck'
+          ? 'Wrong deck'
+          : 'Drifted (slide ' + (sync.backupSlide != null ? sync.backupSlide : '?') + ')';
+        el.style.background = '#ff9800';
+        el.style.color = 'white';
+        return;
+      }
+      if (status === 'connected' && sync && sync.sync === 'in-sync') {
+        el.textContent = 'In sync';
+        el.style.background = '#4caf50';
+        el.style.color = 'white';
         return;
       }
       if (status === 'connected') {
-        el.textContent = 'Connected';
+        el.textContent = pairing === 'ok' ? 'Paired' : 'Connected';
         el.style.background = '#4caf50';
         el.style.color = 'white';
         return;
@@ -6714,6 +13069,13 @@ function startWebUiServer() {
       badge.style.minWidth = '90px';
       badge.style.textAlign = 'center';
 
+      const resyncBtn = document.createElement('button');
+      resyncBtn.type = 'button';
+      resyncBtn.className = 'btn btn-secondary';
+      resyncBtn.textContent = 'Resync';
+      resyncBtn.title = 'Open our deck on this backup and go to our slide';
+      resyncBtn.style.padding = '8px 10px';
+
       const removeBtn = document.createElement('button');
       removeBtn.type = 'button';
       removeBtn.className = 'btn btn-secondary';
@@ -6721,6 +13083,17 @@ function startWebUiServer() {
       removeBtn.style.padding = '8px 10px';
       removeBtn.style.minWidth = '88px';
 
+      resyncBtn.addEventListener('click', async () => {
+        const ip = String(input.value || '').trim();
+        if (!ip) return;
+        resyncBtn.disabled = true;
+        try {
+          await resyncWebBackup(ip);
+        } finally {
+          resyncBtn.disabled = false;
+        }
+      });
+
       removeBtn.addEventListener('click', () => {
         const rows = list.querySelectorAll('[data-web-backup-row="true"]');
         if (rows.length <= 1) {
@@ -6738,6 +13111,7 @@ function startWebUiServer() {
 
       row.appendChild(input);
       row.appendChild(badge);
+      row.appendChild(resyncBtn);
       row.appendChild(removeBtn);
       list.appendChild(row);
 
@@ -6773,7 +13147,7 @@ function startWebUiServer() {
       try {
         // Load displays
         const displaysRes = await fetch(API_BASE + '/api/displays');
-        const displays = await displaysRes.json();
+        const displays = (await displaysRes.json()).data || [];
         
         const presentationSelect = document.getElementById('web-presentation-display');
         const notesSelect = document.getElementById('web-notes-display');
@@ -6815,19 +13189,25 @@ function startWebUiServer() {
         document.getElementById('web-mode-standalone').checked = mode === 'standalone';
         
         const backupConfig = document.getElementById('web-backup-config');
+        const failoverConfig = document.getElementById('web-failover-config');
         if (mode === 'primary') {
           backupConfig.style.display = 'block';
         } else {
           backupConfig.style.display = 'none';
         }
+        failoverConfig.style.display = mode === 'backup' ? 'block' : 'none';
+        document.getElementById('web-failover-mode').value = prefs.failoverMode || 'offer';
+        document.getElementById('web-failover-grace').value = prefs.failoverGraceSeconds || '';
         
         // Set backup configuration (unlimited). Fallback to legacy fields if present.
         document.getElementById('web-backup-port').value = prefs.backupPort || '9595';
+        document.getElementById('web-auto-resync-backups').checked = prefs.autoResyncBackups === true;
         const legacyIps = [prefs.backupIp1, prefs.backupIp2, prefs.backupIp3].filter(v => v && String(v).trim() !== '');
         const backupIps = Array.isArray(prefs.backupIps) ? prefs.backupIps : legacyIps;
         attachWebBackupHandlersOnce();
         renderWebBackupIpList(backupIps);
         refreshWebBackupStatusBadges();
+        loadWebDiscoveredInstances(false);
         
         // Set network ports
         document.getElementById('web-api-port').value = prefs.apiPort || '9595';
@@ -6843,16 +13223,19 @@ function startWebUiServer() {
         document.getElementById('web-mode-primary').addEventListener('change', () => {
           if (document.getElementById('web-mode-primary').checked) {
             backupConfig.style.display = 'block';
+            failoverConfig.style.display = 'none';
           }
         });
         document.getElementById('web-mode-backup').addEventListener('change', () => {
           if (document.getElementById('web-mode-backup').checked) {
             backupConfig.style.display = 'none';
+            failoverConfig.style.display = 'block';
           }
         });
         document.getElementById('web-mode-standalone').addEventListener('change', () => {
           if (document.getElementById('web-mode-standalone').checked) {
             backupConfig.style.display = 'none';
+            failoverConfig.style.display = 'none';
           }
         });
         
@@ -6884,7 +13267,7 @@ function startWebUiServer() {
         if (result.success) {
           showStatus('Monitor settings saved', false);
         } else {
-          showStatus('Failed to save monitor settings: ' + (result.error || 'Unknown error'), true);
+          showStatus('Failed to save monitor settings: ' + apiErrorMessage(result, 'Unknown error'), true);
         }
       } catch (error) {
         showStatus('Failed to save monitor settings: ' + error.message, true);
@@ -6912,7 +13295,7 @@ function startWebUiServer() {
             window.location.reload();
           }, 1000);
         } else {
-          showStatus('Failed to save machine name: ' + (result.error || 'Unknown error'), true);
+          showStatus('Failed to save machine name: ' + apiErrorMessage(result, 'Unknown error'), true);
         }
       } catch (error) {
         showStatus('Failed to save machine name: ' + error.message, true);
@@ -6936,9 +13319,19 @@ function startWebUiServer() {
         }
         
         const prefs = { primaryBackupMode: mode };
+        if (mode === 'backup') {
+          const grace = document.getElementById('web-failover-grace').value;
+          if (grace !== '' && (isNaN(parseInt(grace)) || parseInt(grace) < 3 || parseInt(grace) > 600)) {
+            showStatus('Grace period must be between 3 and 600 seconds', true);
+            return;
+          }
+          prefs.failoverMode = document.getElementById('web-failover-mode').value;
+          prefs.failoverGraceSeconds = grace === '' ? null : parseInt(grace);
+        }
         if (mode === 'primary') {
           prefs.backupPort = backupPort;
           prefs.backupIps = getWebBackupIpsFromUi();
+          prefs.autoResyncBackups = document.getElementById('web-auto-resync-backups').checked;
         }
         
         const res = await fetch(API_BASE + '/api/preferences', {
@@ -6950,6 +13343,7 @@ function startWebUiServer() {
         const result = await res.json();
         if (result.success) {
           showStatus('Primary/Backup settings saved', false);
+          loadFailover();
           
           // Restart backup status polling if needed
           if (mode === 'primary') {
@@ -6958,7 +13352,7 @@ function startWebUiServer() {
             stopWebBackupStatusPolling();
           }
         } else {
-          showStatus('Failed to save Primary/Backup settings: ' + (result.error || 'Unknown error'), true);
+          showStatus('Failed to save Primary/Backup settings: ' + apiErrorMessage(result, 'Unknown error'), true);
         }
       } catch (error) {
         showStatus('Failed to save Primary/Backup settings: ' + error.message, true);
@@ -6996,7 +13390,7 @@ function startWebUiServer() {
         if (result.success) {
           showStatus('Port settings saved. Please restart the app for changes to take effect.', false);
         } else {
-          showStatus('Failed to save port settings: ' + (result.error || 'Unknown error'), true);
+          showStatus('Failed to save port settings: ' + apiErrorMessage(result, 'Unknown error'), true);
         }
       } catch (error) {
         showStatus('Failed to save port settings: ' + error.message, true);
@@ -7022,7 +13416,7 @@ function startWebUiServer() {
           if (result.success) {
             showStatus('Logging settings saved', false);
           } else {
-            showStatus('Failed to save logging settings: ' + (result.error || 'Unknown error'), true);
+            showStatus('Failed to save logging settings: ' + apiErrorMessage(result, 'Unknown error'), true);
           }
         } catch (error) {
           showStatus('Failed to save logging settings: ' + error.message, true);
@@ -7057,11 +13451,17 @@ function startWebUiServer() {
 
         // Normalize into { ip -> status } and refresh the badges
         webBackupStatusByIp = {};
+        webBackupPairingByIp = {};
+        webBackupSyncByIp = {};
+        webBackupMissedByIp = {};
         if (data && Array.isArray(data.backups)) {
           data.backups.forEach((b) => {
             const ip = String(b?.ip || '').trim();
             if (!ip) return;
             webBackupStatusByIp[ip] = b?.status || null;
+            webBackupPairingByIp[ip] = b?.pairing || null;
+            webBackupSyncByIp[ip] = b?.sync ? { sync: b.sync, backupSlide: b.backupSlide } : null;
+            webBackupMissedByIp[ip] = b?.missedCommands || 0;
           });
         }
         refreshWebBackupStatusBadges();
@@ -7070,6 +13470,111 @@ function startWebUiServer() {
       }
     }
     
+    // Instances found on the LAN via mDNS
+    let webDiscoveredInstances = [];
+    let webDiscoveryNote = null;
+    
+    function renderWebDiscoveredInstances() {
+      const list = document.getElementById('web-discovered-list');
+      if (!list) return;
+      list.innerHTML = '';
+      if (webDiscoveryNote || webDiscoveredInstances.length === 0) {
+        const empty = document.createElement('small');
+        empty.style.color = '#888';
+        empty.textContent = webDiscoveryNote || 'No other instances found yet. Click Scan network.';
+        list.appendChild(empty);
+        return;
+      }
+      const backupIps = getWebBackupIpsFromUi();
+      webDiscoveredInstances.forEach((instance) => {
+        const row = document.createElement('div');
+        row.style.display = 'flex';
+        row.style.gap = '10px';
+        row.style.alignItems = 'center';
+        
+        const label = document.createElement('span');
+        label.style.flex = '1';
+        const port = instance.apiPort && instance.apiPort !== 9595 ? ':' + instance.apiPort : '';
+        label.textContent = instance.name + ' - ' + (instance.role || 'unknown') + ' - ' + instance.address + port +
+          (instance.version ? ' (v' + instance.version + ')' : '');
+        row.appendChild(label);
+        
+        if (instance.role !== 'primary') {
+          // Keep the advertised API port when it isn't the backup port configured here
+          const backupPort = parseInt(document.getElementById('web-backup-port').value, 10) || 9595;
+          const entry = instance.apiPort && instance.apiPort !== backupPort ? instance.address + ':' + instance.apiPort : instance.address;
+          const added = backupIps.includes(entry);
+          const btn = document.createElement('button');
+          btn.type = 'button';
+          btn.className = 'btn btn-secondary';
+          btn.style.padding = '8px 10px';
+          btn.textContent = added ? 'Added' : 'Add as backup';
+          btn.disabled = added;
+          btn.addEventListener('click', () => {
+            const blank = getWebBackupIpInputs().find((el) => !String(el.value || '').trim());
+            if (blank) {
+              blank.value = entry;
+            } else {
+              addWebBackupIpRow(entry);
+            }
+            refreshWebBackupStatusBadges();
+            renderWebDiscoveredInstances();
+            showStatus('Added ' + instance.name + ' - click Save to apply', false);
+          });
+          row.appendChild(btn);
+        }
+        list.appendChild(row);
+      });
+    }
+    
+    async function loadWebDiscoveredInstances(scan) {
+      const btn = document.getElementById('btn-web-discovery-scan');
+      if (scan) {
+        btn.disabled = true;
+        btn.textContent = 'Scanning...';
+      }
+      try {
+        const res = await fetch(API_BASE + (scan ? '/api/discovery/refresh' : '/api/discovery'), { method: scan ? 'POST' : 'GET' });
+        const body = await res.json();
+        if (!res.ok) {
+          throw new Error(apiErrorMessage(body, 'Discovery request failed'));
+        }
+        const data = body.data || {};
+        webDiscoveredInstances = Array.isArray(data.instances) ? data.instances : [];
+        webDiscoveryNote = data.enabled ? null : 'Discovery is off' + (data.error ? ' (' + data.error + ')' : '');
+        renderWebDiscoveredInstances();
+      } catch (error) {
+        if (scan) showStatus('Scan failed: ' + error.message, true);
+      } finally {
+        btn.disabled = false;
+        btn.textContent = 'Scan network';
+      }
+    }
+    
+    document.getElementById('btn-web-discovery-scan').addEventListener('click', () => loadWebDiscoveredInstances(true));
+    
+    async function resyncWebBackup(ip) {
+      try {
+        showStatus('Resyncing ' + ip + '...', false);
+        const response = await fetch(API_BASE + '/api/backup-resync', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ ip: ip })
+        });
+        const data = await response.json();
+        // A failed resync still lists per-backup results, under errorDetails
+        const results = data.success ? data.data.results : (data.errorDetails && data.errorDetails.results);
+        const result = Array.isArray(results) ? results[0] : null;
+        if (!response.ok || !result || !result.success) {
+          throw new Error((result && result.error) || apiErrorMessage(data, 'Resync failed'));
+        }
+        showStatus('Resynced ' + ip, false);
+      } catch (error) {
+        showStatus('Resync of ' + ip + ' failed: ' + error.message, true);
+      }
+      updateWebBackupStatus();
+    }
+    
     // Update visibility in real-time when settings change
     document.getElementById('stagetimer-visible').addEventListener('change', () => {
       stagetimerVisible = document.getElementById('stagetimer-visible').checked;
@@ -7093,35 +13598,38 @@ function startWebUiServer() {
     form.addEventListener('submit', (e) => {
       e.preventDefault();
       
+      // Rows without a URL are dropped; everything else is saved in the order shown
       const data = {
-        presentation1: document.getElementById('preset1').value.trim(),
-        presentation2: document.getElementById('preset2').value.trim(),
-        presentation3: document.getElementById('preset3').value.trim()
+        presets: presetLibrary
+          .filter(p => (p.url || '').trim())
+          .map(p => ({
+            id: p.id,
+            name: (p.name || '').trim(),
+            url: p.url.trim(),
+            startSlide: p.startSlide || 1,
+            withNotes: p.withNotes !== false,
+            tags: p.tags || []
+          }))
       };
       
       fetch(API_BASE + '/api/presets', {
-        method: 'POST',
+        method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(data)
       })
-        .then(res => {
-          if (!res.ok) {
+        .then(res => res.json().then(result => {
+          if (!res.ok && !result.error) {
             throw new Error('HTTP error! status: ' + res.status);
           }
-          return res.json();
-        })
+          return result;
+        }))
         .then(result => {
           if (result.success) {
             showStatus('Presets saved successfully!', false);
-            // Reload presets to update the preset buttons
-            fetch(API_BASE + '/api/presets')
-              .then(res => res.json())
-              .then(data => {
-                createPresetButtons(data);
-              })
-              .catch(err => console.error('Failed to reload presets:', err));
+            // Saved list comes back with ids; refresh editor + preset buttons
+            applyPresetData(result);
           } else {
-            showStatus('Failed to save: ' + (result.error || 'Unknown error'), true);
+            showStatus('Failed to save: ' + apiErrorMessage(result, 'Unknown error'), true);
           }
         })
         .catch(err => {
@@ -7142,44 +13650,97 @@ function startWebUiServer() {
       return;
     }
     
+    // Interactive API reference (reads /api/openapi.json through the proxy below)
+    if (req.method === 'GET' && (reqPath === '/docs' || reqPath === '/docs/')) {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(getApiDocsPageHtml());
+      return;
+    }
+
     // Proxy API requests to the API server (so Web UI can work over port 80 only)
     if (req.url.startsWith('/api/')) {
       const prefs = loadPreferences();
       const apiPort = prefs.apiPort || DEFAULT_API_PORT;
       
-      // Forward the request to the API server
+      // Check the browser's token here too, so rejected calls never reach the API server
+      const auth = authorizeApiRequest(req, prefs);
+      if (!auth.ok) {
+        sendAuthError(req, res, auth);
+        return;
+      }
+
+      // Paired backup: the API only sees this proxy's loopback address, so check the LAN caller here
+      let body = null;
+      try {
+        if (requiresPrimarySignature(req, prefs)) {
+          body = await readRequestBody(req);
+          const check = await checkPrimaryCommand(req, body, prefs);
+          if (!check.ok) {
+            sendApiError(res, 'UNSIGNED_COMMAND', `Command not signed by the paired primary: ${check.reason}`, { v2: isApiV2Url(req.url) });
+            return;
+          }
+        }
+      } catch (error) {
+        if (error.apiCode) {
+          sendApiError(res, error.apiCode, error.message, { v2: isApiV2Url(req.url) });
+          return;
+        }
+        console.error('[Pairing] Error verifying proxied command:', error);
+        sendApiError(res, 'INVALID_REQUEST', 'Could not verify command', { v2: isApiV2Url(req.url) });
+        return;
+      }
+      
+      // Forward the request to the API server (with the caller's token; the API re-checks it)
+      const proxyHeaders = {
+        'Content-Type': req.headers['content-type'] || 'application/json'
+      };
+      if (req.headers.authorization) {
+        proxyHeaders.Authorization = req.headers.authorization;
+      }
       const apiReq = http.request({
         hostname: '127.0.0.1',
         port: apiPort,
         path: req.url,
         method: req.method,
-        headers: {
-          'Content-Type': req.headers['content-type'] || 'application/json'
-        }
+        headers: proxyHeaders
       }, (apiRes) => {
         // Copy response headers
-        res.writeHead(apiRes.statusCode, {
+        const headers = {
           'Content-Type': apiRes.headers['content-type'] || 'application/json',
           'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-          'Access-Control-Allow-Headers': 'Content-Type'
-        });
+          'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+        };
+        if (apiRes.headers['cache-control']) {
+          headers['Cache-Control'] = apiRes.headers['cache-control'];
+        }
+        res.writeHead(apiRes.statusCode, headers);
         
         // Pipe the response
         apiRes.pipe(res);
       });
       
+      // Long-lived responses (/api/events): drop the upstream connection when the browser goes away
+      res.on('close', () => {
+        if (!apiReq.destroyed) apiReq.destroy();
+      });
+      
       apiReq.on('error', (err) => {
+        // Response already started (e.g. client closed an event stream) - nothing left to report
+        if (res.headersSent) {
+          res.end();
+          return;
+        }
         console.error('[Web UI] Proxy error:', err);
-        res.writeHead(502, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ 
-          success: false, 
-          error: 'Cannot connect to API server: ' + err.message 
-        }));
+        sendApiError(res, 'UPSTREAM_ERROR', 'Cannot connect to API server: ' + err.message, { v2: isApiV2Url(req.url) });
       });
       
-      // Forward request body if present
-      req.pipe(apiReq);
+      // Forward request body if present (already read when the pairing check needed it)
+      if (body !== null) {
+        apiReq.end(body);
+      } else {
+        req.pipe(apiReq);
+      }
       return;
     }
     
@@ -7209,6 +13770,8 @@ function startWebUiServer() {
       );
     }
   });
+
+  return webUiServer;
 }
 
 app.whenReady().then(() => {
@@ -7219,6 +13782,27 @@ app.whenReady().then(() => {
   // Start backup status polling if in primary mode
   startBackupStatusPolling();
 
+  // Watch window/slide/login state and push changes to /api/events subscribers
+  startStateWatcher();
+
+  // Backups: watch the primary and offer/perform promotion if it disappears
+  startFailoverMonitor();
+
+  // Advertise this instance on the LAN and collect the others for the Settings pickers
+  startDiscovery();
+
+  // Optional OSC control surface (Settings > OSC Control)
+  applyOscSettings();
+
+  // Optional TCP/UDP line protocol for room controllers (Settings > Text Control)
+  applyTextControlSettings();
+
+  // Optional global hotkeys for keyboards and clickers (Settings > Hotkeys)
+  applyHotkeySettings();
+
+  // Optional confidence monitor for a downstage display (Settings > Confidence Monitor)
+  applyConfidenceMonitorSettings();
+
   app.on('activate', () => {
     if (BrowserWindow.getAllWindows().length === 0) {
       createWindow();
@@ -7233,6 +13817,15 @@ app.on('window-all-closed', () => {
 });
 
 app.on('before-quit', () => {
+  stopStateWatcher();
+  stopFailoverMonitor();
+  stopDiscovery();
+  stopOscServer();
+  stopTextControlServer();
+  unregisterHotkeys();
+  closeConfidenceMonitor();
+  closeEventStreamClients();
+  clearCue();
   if (httpServer) {
     console.log('[API] Shutting down HTTP server');
     httpServer.close();
@@ -7242,3 +13835,24 @@ app.on('before-quit', () => {
     webUiServer.close();
   }
 });
+
+// The API test harness (test/) loads this file with a stubbed electron module and drives the servers directly
+module.exports = {
+  startHttpServer,
+  startWebUiServer,
+  applyOscSettings,
+  stopOscServer,
+  getOscStatus,
+  encodeOscMessage,
+  decodeOscPacket,
+  decodeDnsPacket,
+  applyTextControlSettings,
+  stopTextControlServer,
+  getTextControlStatus,
+  handleMidiMessage,
+  startMidiLearn,
+  applyHotkeySettings,
+  getHotkeyStatus,
+  applyConfidenceMonitorSettings,
+  closeConfidenceMonitor
+};
@@ -11,6 +11,20 @@ contextBridge.exposeInMainWorld('electronAPI', {
   savePreferences: (prefs) => ipcRenderer.invoke('save-preferences', prefs),
   getNetworkInfo: () => ipcRenderer.invoke('get-network-info'),
   getBuildInfo: () => ipcRenderer.invoke('get-build-info'),
+  generateApiToken: () => ipcRenderer.invoke('generate-api-token'),
+  generatePairingKey: () => ipcRenderer.invoke('generate-pairing-key'),
+  getApiAuthHeaders: () => ipcRenderer.invoke('get-api-auth-headers'),
+  getOscStatus: () => ipcRenderer.invoke('get-osc-status'),
+  getTextControlStatus: () => ipcRenderer.invoke('get-text-control-status'),
+  sendMidiMessage: (message) => ipcRenderer.send('midi-message', message),
+  startMidiLearn: () => ipcRenderer.invoke('midi-learn-start'),
+  cancelMidiLearn: () => ipcRenderer.invoke('midi-learn-cancel'),
+  getHotkeyStatus: () => ipcRenderer.invoke('get-hotkey-status'),
+  chooseSlateImage: () => ipcRenderer.invoke('choose-slate-image'),
+  onRoleChanged: (callback) => {
+    if (typeof callback !== 'function') return;
+    ipcRenderer.on('role-changed', (_event, data) => callback(data));
+  },
 
   // Debug logs (desktop UI)
   getLogBuffer: () => ipcRenderer.invoke('get-log-buffer'),
@@ -1,11 +1,13 @@
 // DOM Elements
 const presentationDisplay = document.getElementById('presentation-display');
+const confidenceDisplay = document.getElementById('confidence-display');
 const notesDisplay = document.getElementById('notes-display');
 const machineNameInput = document.getElementById('machine-name');
 const apiPortInput = document.getElementById('api-port');
 const webUiPortInput = document.getElementById('web-ui-port');
 const signinBtn = document.getElementById('signin-btn');
 const testBtn = document.getElementById('test-btn');
+const mockDeckBtn = document.getElementById('mock-deck-btn');
 const statusMessage = document.getElementById('status-message');
 const modePrimary = document.getElementById('mode-primary');
 const modeBackup = document.getElementById('mode-backup');
@@ -14,9 +16,8 @@ const backupConfig = document.getElementById('backup-config');
 const backupPortInput = document.getElementById('backup-port');
 const backupIpList = document.getElementById('backup-ip-list');
 const addBackupIpBtn = document.getElementById('add-backup-ip');
-const preset1Input = document.getElementById('preset1');
-const preset2Input = document.getElementById('preset2');
-const preset3Input = document.getElementById('preset3');
+const presetList = document.getElementById('preset-list');
+const addPresetBtn = document.getElementById('add-preset');
 const savePresetsBtn = document.getElementById('save-presets-btn');
 const loadPresetsBtn = document.getElementById('load-presets-btn');
 const stagetimerRoomIdInput = document.getElementById('stagetimer-room-id');
@@ -29,14 +30,81 @@ const verboseLoggingCheckbox = document.getElementById('verbose-logging');
 const webUiDebugConsoleEnabledCheckbox = document.getElementById('web-ui-debug-console-enabled');
 const controllerIpList = document.getElementById('controller-ip-list');
 const addControllerIpBtn = document.getElementById('add-controller-ip');
+const apiTokenList = document.getElementById('api-token-list');
+const addApiTokenBtn = document.getElementById('add-api-token');
+const backupApiTokenInput = document.getElementById('backup-api-token');
+const autoResyncBackupsCheckbox = document.getElementById('auto-resync-backups');
+const pairingConfig = document.getElementById('pairing-config');
+const pairingKeyInput = document.getElementById('pairing-key');
+const showPairingKeyBtn = document.getElementById('show-pairing-key');
+const generatePairingKeyBtn = document.getElementById('generate-pairing-key');
+const primaryHostGroup = document.getElementById('primary-host-group');
+const primaryHostInput = document.getElementById('primary-host');
+const failoverConfig = document.getElementById('failover-config');
+const discoveryGroup = document.getElementById('discovery-group');
+const discoveredList = document.getElementById('discovered-list');
+const discoveryScanBtn = document.getElementById('discovery-scan');
+const failoverModeSelect = document.getElementById('failover-mode');
+const failoverGraceInput = document.getElementById('failover-grace');
 const debugLogsConsole = document.getElementById('debug-logs-console');
 const debugLogsClearBtn = document.getElementById('debug-logs-clear');
 const debugLogsSaveBtn = document.getElementById('debug-logs-save');
+const oscEnabledCheckbox = document.getElementById('osc-enabled');
+const oscPortInput = document.getElementById('osc-port');
+const oscFeedbackTargetsInput = document.getElementById('osc-feedback-targets');
+const oscStatusText = document.getElementById('osc-status');
+const textControlEnabledCheckbox = document.getElementById('text-control-enabled');
+const textControlPortInput = document.getElementById('text-control-port');
+const textControlStatusText = document.getElementById('text-control-status');
+const midiEnabledCheckbox = document.getElementById('midi-enabled');
+const midiInputsText = document.getElementById('midi-inputs');
+const midiMappingList = document.getElementById('midi-mapping-list');
+const addMidiMappingBtn = document.getElementById('add-midi-mapping');
+const hotkeysEnabledCheckbox = document.getElementById('hotkeys-enabled');
+const hotkeyList = document.getElementById('hotkey-list');
+const addHotkeyBtn = document.getElementById('add-hotkey');
+const hotkeyStatusText = document.getElementById('hotkey-status');
+const slateTextInput = document.getElementById('slate-text');
+const slateImageInput = document.getElementById('slate-image');
+const chooseSlateImageBtn = document.getElementById('choose-slate-image');
+const clearSlateImageBtn = document.getElementById('clear-slate-image');
 
 let isSignedIn = false;
 
+// MIDI mappings (desktop-only). Web MIDI runs in this window; main.js matches and dispatches.
+let midiMappings = [];
+let midiAccess = null;
+const MIDI_ACTIONS = {
+  next: 'Next slide',
+  prev: 'Previous slide',
+  goto: 'Go to slide',
+  preset: 'Open preset',
+  video: 'Toggle video'
+};
+
+// Global hotkeys (desktop-only), registered by main.js with globalShortcut
+let hotkeys = [];
+const HOTKEY_ACTIONS = {
+  next: 'Next slide',
+  prev: 'Previous slide',
+  blackout: 'Black screen',
+  reload: 'Reload presentation',
+  preset: 'Open preset'
+};
+
+// API tokens (desktop-only; the HTTP API never returns the secrets)
+let apiTokens = [];
+const API_TOKEN_SCOPES = ['read', 'control', 'settings'];
+
 // Backup status (keyed by IP/hostname string)
 let backupStatusByIp = {};
+let backupPairingByIp = {};
+let backupSyncByIp = {};
+let backupMissedByIp = {};
+
+// Instances found on the LAN (GET/POST /api/discovery)
+let discoveredInstances = [];
+let discoveryNote = null;
 
 function appendDebugLogLine(line) {
   if (!debugLogsConsole) return;
@@ -138,6 +206,8 @@ async function saveControllerAllowlistPreferences() {
     await window.electronAPI.savePreferences({
       controllerIps: getControllerIpsFromUi()
     });
+    await refreshOscStatus();
+    await refreshTextControlStatus();
     showStatus('Controller allowlist saved', 'info');
   } catch (error) {
     console.error('Failed to save controller allowlist:', error);
@@ -189,6 +259,506 @@ function addControllerIpRow(initialValue = '') {
   controllerIpList.appendChild(row);
 }
 
+async function saveMidiMappings() {
+  try {
+    await window.electronAPI.savePreferences({ midiMappings });
+    showStatus('MIDI mappings saved', 'info');
+  } catch (error) {
+    console.error('Failed to save MIDI mappings:', error);
+    showStatus('Failed to save MIDI mappings', 'error');
+  }
+}
+
+function describeMidiTrigger(entry) {
+  if (!entry.trigger) return 'Not learned yet';
+  const { type, number, channel } = entry.trigger;
+  const kind = type === 'note' ? 'Note' : type === 'cc' ? 'CC' : 'Program';
+  const parts = [`${kind} ${number}`, channel ? `ch ${channel}` : 'any channel'];
+  if (entry.device) parts.push(entry.device);
+  return parts.join(' \u00b7 ');
+}
+
+function addMidiMappingRow(entry) {
+  if (!midiMappingList) return;
+
+  const row = document.createElement('div');
+  row.style.display = 'flex';
+  row.style.gap = '10px';
+  row.style.alignItems = 'center';
+  row.style.flexWrap = 'wrap';
+
+  const actionSelect = document.createElement('select');
+  actionSelect.className = 'input-field';
+  actionSelect.style.flex = '0 0 150px';
+  Object.keys(MIDI_ACTIONS).forEach((action) => {
+    const option = document.createElement('option');
+    option.value = action;
+    option.textContent = MIDI_ACTIONS[action];
+    actionSelect.appendChild(option);
+  });
+  actionSelect.value = entry.action;
+
+  const argInput = document.createElement('input');
+  argInput.type = 'text';
+  argInput.className = 'input-field';
+  argInput.style.flex = '1';
+  argInput.style.minWidth = '100px';
+  argInput.value = entry.arg || '';
+
+  const updateArgInput = () => {
+    argInput.style.display = entry.action === 'goto' || entry.action === 'preset' ? '' : 'none';
+    argInput.placeholder = entry.action === 'goto' ? 'Slide number or title' : 'Preset name';
+  };
+  updateArgInput();
+
+  const triggerLabel = document.createElement('small');
+  triggerLabel.className = 'field-hint';
+  triggerLabel.style.flex = '1';
+  triggerLabel.style.minWidth = '140px';
+  triggerLabel.textContent = describeMidiTrigger(entry);
+
+  const learnBtn = document.createElement('button');
+  learnBtn.type = 'button';
+  learnBtn.className = 'btn btn-secondary';
+  learnBtn.textContent = 'Learn';
+  learnBtn.style.padding = '8px 10px';
+
+  const removeBtn = document.createElement('button');
+  removeBtn.type = 'button';
+  removeBtn.className = 'btn btn-secondary';
+  removeBtn.textContent = 'Remove';
+  removeBtn.style.padding = '8px 10px';
+
+  actionSelect.addEventListener('change', () => {
+    entry.action = actionSelect.value;
+    updateArgInput();
+    saveMidiMappings();
+  });
+  argInput.addEventListener('change', () => {
+    entry.arg = argInput.value.trim() || null;
+    saveMidiMappings();
+  });
+
+  learnBtn.addEventListener('click', async () => {
+    if (learnBtn.dataset.learning === 'true') {
+      await window.electronAPI.cancelMidiLearn();
+      return;
+    }
+    if (!midiAccess) {
+      showStatus('Turn on "Listen to MIDI inputs" first', 'error');
+      return;
+    }
+    learnBtn.dataset.learning = 'true';
+    learnBtn.textContent = 'Cancel';
+    triggerLabel.textContent = 'Press a pad, key or pedal...';
+    try {
+      const learned = await window.electronAPI.startMidiLearn();
+      if (learned) {
+        entry.trigger = learned.trigger;
+        entry.device = learned.device;
+        await saveMidiMappings();
+      }
+    } catch (error) {
+      console.error('MIDI learn failed:', error);
+    } finally {
+      learnBtn.dataset.learning = 'false';
+      learnBtn.textContent = 'Learn';
+      triggerLabel.textContent = describeMidiTrigger(entry);
+    }
+  });
+
+  removeBtn.addEventListener('click', async () => {
+    midiMappings = midiMappings.filter(m => m !== entry);
+    renderMidiMappingList();
+    await saveMidiMappings();
+  });
+
+  row.appendChild(actionSelect);
+  row.appendChild(argInput);
+  row.appendChild(triggerLabel);
+  row.appendChild(learnBtn);
+  row.appendChild(removeBtn);
+  midiMappingList.appendChild(row);
+}
+
+function renderMidiMappingList() {
+  if (!midiMappingList) return;
+  midiMappingList.innerHTML = '';
+  if (midiMappings.length === 0) {
+    const empty = document.createElement('small');
+    empty.className = 'field-hint';
+    empty.textContent = 'No mappings yet.';
+    midiMappingList.appendChild(empty);
+    return;
+  }
+  midiMappings.forEach((entry) => addMidiMappingRow(entry));
+}
+
+// Forward every input's messages to the main process; re-run when devices are plugged in or out
+function bindMidiInputs() {
+  if (!midiAccess) return;
+  const names = [];
+  midiAccess.inputs.forEach((input) => {
+    names.push(input.name);
+    input.onmidimessage = (event) => {
+      window.electronAPI.sendMidiMessage({ data: Array.from(event.data), device: input.name });
+    };
+  });
+  if (midiInputsText) {
+    midiInputsText.textContent = names.length ? `Inputs: ${names.join(', ')}` : 'No MIDI inputs found. Plug one in; it is picked up automatically.';
+  }
+}
+
+async function setMidiListening(enabled) {
+  if (!enabled) {
+    if (midiAccess) {
+      midiAccess.onstatechange = null;
+      midiAccess.inputs.forEach((input) => { input.onmidimessage = null; });
+      midiAccess = null;
+    }
+    if (midiInputsText) midiInputsText.textContent = '';
+    return;
+  }
+  if (midiAccess) return;
+  if (!navigator.requestMIDIAccess) {
+    if (midiInputsText) midiInputsText.textContent = 'MIDI is not available on this system.';
+    return;
+  }
+  try {
+    midiAccess = await navigator.requestMIDIAccess();
+    midiAccess.onstatechange = bindMidiInputs;
+    bindMidiInputs();
+  } catch (error) {
+    console.error('Failed to open MIDI inputs:', error);
+    if (midiInputsText) midiInputsText.textContent = `Could not open MIDI inputs: ${error.message}`;
+  }
+}
+
+async function saveMidiEnabled() {
+  try {
+    await window.electronAPI.savePreferences({ midiEnabled: midiEnabledCheckbox.checked });
+    await setMidiListening(midiEnabledCheckbox.checked);
+    showStatus(midiEnabledCheckbox.checked ? 'MIDI control on' : 'MIDI control off', 'info');
+  } catch (error) {
+    console.error('Failed to save MIDI preference:', error);
+    showStatus('Failed to save MIDI setting', 'error');
+  }
+}
+
+// KeyboardEvent -> Electron accelerator ('CommandOrControl+Shift+B', 'PageDown'), or null for a lone modifier
+function acceleratorFromKeyEvent(event) {
+  const named = {
+    ArrowRight: 'Right',
+    ArrowLeft: 'Left',
+    ArrowUp: 'Up',
+    ArrowDown: 'Down',
+    ' ': 'Space',
+    '+': 'Plus',
+    Escape: 'Escape',
+    Enter: 'Return'
+  };
+  if (['Control', 'Shift', 'Alt', 'Meta'].includes(event.key)) return null;
+  let key = named[event.key] || event.key;
+  if (key.length === 1) key = key.toUpperCase();
+  const parts = [];
+  if (event.ctrlKey || event.metaKey) parts.push('CommandOrControl');
+  if (event.altKey) parts.push('Alt');
+  if (event.shiftKey) parts.push('Shift');
+  parts.push(key);
+  return parts.join('+');
+}
+
+async function saveHotkeys(message = 'Hotkeys saved') {
+  try {
+    await window.electronAPI.savePreferences({ hotkeys });
+    await refreshHotkeyStatus();
+    showStatus(message, 'info');
+  } catch (error) {
+    console.error('Failed to save hotkeys:', error);
+    showStatus('Failed to save hotkeys', 'error');
+  }
+}
+
+async function refreshHotkeyStatus() {
+  if (!hotkeyStatusText) return;
+  try {
+    const status = await window.electronAPI.getHotkeyStatus();
+    const lines = [];
+    if (status.enabled) {
+      lines.push(status.registered.length ? `Active: ${status.registered.join(', ')}` : 'No hotkeys active');
+    } else {
+      lines.push('Off');
+    }
+    status.failed.forEach(f => lines.push(`${f.accelerator}: ${f.reason}`));
+    hotkeyStatusText.textContent = lines.join(' \u00b7 ');
+  } catch (error) {
+    console.error('Failed to read hotkey status:', error);
+  }
+}
+
+function addHotkeyRow(entry) {
+  if (!hotkeyList) return;
+
+  const row = document.createElement('div');
+  row.style.display = 'flex';
+  row.style.gap = '10px';
+  row.style.alignItems = 'center';
+  row.style.flexWrap = 'wrap';
+
+  const keyInput = document.createElement('input');
+  keyInput.type = 'text';
+  keyInput.className = 'input-field';
+  keyInput.readOnly = true;
+  keyInput.placeholder = 'Click, then press keys';
+  keyInput.value = entry.accelerator || '';
+  keyInput.style.flex = '0 0 190px';
+  keyInput.style.fontFamily = 'monospace';
+
+  const actionSelect = document.createElement('select');
+  actionSelect.className = 'input-field';
+  actionSelect.style.flex = '0 0 170px';
+  Object.keys(HOTKEY_ACTIONS).forEach((action) => {
+    const option = document.createElement('option');
+    option.value = action;
+    option.textContent = HOTKEY_ACTIONS[action];
+    actionSelect.appendChild(option);
+  });
+  actionSelect.value = entry.action;
+
+  const argInput = document.createElement('input');
+  argInput.type = 'text';
+  argInput.className = 'input-field';
+  argInput.placeholder = 'Preset name';
+  argInput.value = entry.arg || '';
+  argInput.style.flex = '1';
+  argInput.style.minWidth = '100px';
+  argInput.style.display = entry.action === 'preset' ? '' : 'none';
+
+  const removeBtn = document.createElement('button');
+  removeBtn.type = 'button';
+  removeBtn.className = 'btn btn-secondary';
+  removeBtn.textContent = 'Remove';
+  removeBtn.style.padding = '8px 10px';
+
+  // Recording: the next key combination typed into the box becomes the shortcut (Backspace clears it)
+  keyInput.addEventListener('keydown', (event) => {
+    event.preventDefault();
+    if (event.key === 'Backspace' || event.key === 'Delete') {
+      keyInput.value = '';
+      entry.accelerator = null;
+      saveHotkeys();
+      return;
+    }
+    const accelerator = acceleratorFromKeyEvent(event);
+    if (!accelerator) return;
+    keyInput.value = accelerator;
+    entry.accelerator = accelerator;
+    keyInput.blur();
+    saveHotkeys(`Hotkey set to ${accelerator}`);
+  });
+
+  actionSelect.addEventListener('change', () => {
+    entry.action = actionSelect.value;
+    argInput.style.display = entry.action === 'preset' ? '' : 'none';
+    saveHotkeys();
+  });
+  argInput.addEventListener('change', () => {
+    entry.arg = argInput.value.trim() || null;
+    saveHotkeys();
+  });
+  removeBtn.addEventListener('click', async () => {
+    hotkeys = hotkeys.filter(h => h !== entry);
+    renderHotkeyList();
+    await saveHotkeys();
+  });
+
+  row.appendChild(keyInput);
+  row.appendChild(actionSelect);
+  row.appendChild(argInput);
+  row.appendChild(removeBtn);
+  hotkeyList.appendChild(row);
+}
+
+function renderHotkeyList() {
+  if (!hotkeyList) return;
+  hotkeyList.innerHTML = '';
+  if (hotkeys.length === 0) {
+    const empty = document.createElement('small');
+    empty.className = 'field-hint';
+    empty.textContent = 'No hotkeys yet.';
+    hotkeyList.appendChild(empty);
+    return;
+  }
+  hotkeys.forEach((entry) => addHotkeyRow(entry));
+}
+
+async function saveHotkeysEnabled() {
+  try {
+    await window.electronAPI.savePreferences({ hotkeysEnabled: hotkeysEnabledCheckbox.checked });
+    await refreshHotkeyStatus();
+    showStatus(hotkeysEnabledCheckbox.checked ? 'Hotkeys on' : 'Hotkeys off', 'info');
+  } catch (error) {
+    console.error('Failed to save hotkey preference:', error);
+    showStatus('Failed to save hotkey setting', 'error');
+  }
+}
+
+// Slate cover settings (the image path is desktop-only)
+async function saveSlatePreferences() {
+  try {
+    await window.electronAPI.savePreferences({
+      slateText: slateTextInput.value.trim() || null,
+      slateImage: slateImageInput.value || null
+    });
+    showStatus('Slate settings saved', 'info');
+  } catch (error) {
+    console.error('Failed to save slate preferences:', error);
+    showStatus('Failed to save slate settings', 'error');
+  }
+}
+
+async function chooseSlateImage() {
+  try {
+    const result = await window.electronAPI.chooseSlateImage();
+    if (!result || !result.success) return;
+    slateImageInput.value = result.filePath;
+    await saveSlatePreferences();
+  } catch (error) {
+    console.error('Failed to choose slate image:', error);
+    showStatus('Failed to choose slate image', 'error');
+  }
+}
+
+async function saveApiTokens() {
+  try {
+    await window.electronAPI.savePreferences({ apiTokens });
+    await refreshOscStatus();
+    await refreshTextControlStatus();
+    showStatus(apiTokens.length ? 'API tokens saved (tokens are required)' : 'API tokens saved (API is open)', 'info');
+  } catch (error) {
+    console.error('Failed to save API tokens:', error);
+    showStatus('Failed to save API tokens', 'error');
+  }
+}
+
+function addApiTokenRow(entry) {
+  if (!apiTokenList) return;
+
+  const row = document.createElement('div');
+  row.style.display = 'flex';
+  row.style.flexDirection = 'column';
+  row.style.gap = '6px';
+  row.style.padding = '10px';
+  row.style.border = '1px solid rgba(128, 128, 128, 0.3)';
+  row.style.borderRadius = '6px';
+
+  const top = document.createElement('div');
+  top.style.display = 'flex';
+  top.style.gap = '10px';
+  top.style.alignItems = 'center';
+
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.className = 'input-field';
+  nameInput.placeholder = 'Name (e.g. Companion)';
+  nameInput.value = entry.name || '';
+  nameInput.style.flex = '1';
+  nameInput.addEventListener('change', () => {
+    entry.name = nameInput.value.trim();
+    saveApiTokens();
+  });
+
+  const revokeBtn = document.createElement('button');
+  revokeBtn.type = 'button';
+  revokeBtn.className = 'btn btn-secondary';
+  revokeBtn.textContent = 'Revoke';
+  revokeBtn.style.padding = '8px 10px';
+  revokeBtn.addEventListener('click', async () => {
+    if (!confirm(`Revoke "${entry.name || 'this token'}"? Clients using it will lose access.`)) return;
+    apiTokens = apiTokens.filter(t => t !== entry);
+    renderApiTokenList();
+    await saveApiTokens();
+  });
+
+  top.appendChild(nameInput);
+  top.appendChild(revokeBtn);
+
+  const tokenRow = document.createElement('div');
+  tokenRow.style.display = 'flex';
+  tokenRow.style.gap = '10px';
+  tokenRow.style.alignItems = 'center';
+
+  const tokenInput = document.createElement('input');
+  tokenInput.type = 'text';
+  tokenInput.className = 'input-field';
+  tokenInput.readOnly = true;
+  tokenInput.value = entry.token;
+  tokenInput.style.flex = '1';
+  tokenInput.style.fontFamily = 'monospace';
+
+  const copyBtn = document.createElement('button');
+  copyBtn.type = 'button';
+  copyBtn.className = 'btn btn-secondary';
+  copyBtn.textContent = 'Copy';
+  copyBtn.style.padding = '8px 10px';
+  copyBtn.addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(entry.token);
+      showStatus('Token copied', 'info');
+    } catch (error) {
+      tokenInput.select();
+    }
+  });
+
+  tokenRow.appendChild(tokenInput);
+  tokenRow.appendChild(copyBtn);
+
+  const scopes = document.createElement('div');
+  scopes.style.display = 'flex';
+  scopes.style.gap = '16px';
+  API_TOKEN_SCOPES.forEach((scope) => {
+    const label = document.createElement('label');
+    label.style.display = 'flex';
+    label.style.alignItems = 'center';
+    label.style.gap = '6px';
+    label.style.cursor = 'pointer';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = (entry.scopes || []).includes(scope);
+    checkbox.addEventListener('change', () => {
+      const next = API_TOKEN_SCOPES.filter(s => (s === scope ? checkbox.checked : (entry.scopes || []).includes(s)));
+      if (next.length === 0) {
+        checkbox.checked = true;
+        showStatus('A token needs at least one scope', 'error');
+        return;
+      }
+      entry.scopes = next;
+      saveApiTokens();
+    });
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(scope));
+    scopes.appendChild(label);
+  });
+
+  row.appendChild(top);
+  row.appendChild(tokenRow);
+  row.appendChild(scopes);
+  apiTokenList.appendChild(row);
+}
+
+function renderApiTokenList() {
+  if (!apiTokenList) return;
+  apiTokenList.innerHTML = '';
+  if (apiTokens.length === 0) {
+    const empty = document.createElement('small');
+    empty.className = 'field-hint';
+    empty.textContent = 'No tokens: the API does not require authentication.';
+    apiTokenList.appendChild(empty);
+    return;
+  }
+  apiTokens.forEach((entry) => addApiTokenRow(entry));
+}
+
 function renderControllerIpList(ips = []) {
   if (!controllerIpList) return;
   controllerIpList.innerHTML = '';
@@ -209,6 +779,7 @@ async function initDisplays() {
     // Clear existing options
     presentationDisplay.innerHTML = '';
     notesDisplay.innerHTML = '';
+    confidenceDisplay.innerHTML = '<option value="">Off</option>';
     
     // Add display options
     displays.forEach(display => {
@@ -221,6 +792,11 @@ async function initDisplays() {
       option2.value = display.id;
       option2.textContent = display.label + (display.primary ? ' (Primary)' : '');
       notesDisplay.appendChild(option2);
+
+      const option3 = document.createElement('option');
+      option3.value = display.id;
+      option3.textContent = display.label + (display.primary ? ' (Primary)' : '');
+      confidenceDisplay.appendChild(option3);
     });
     
     // Restore saved preferences or use defaults
@@ -234,6 +810,10 @@ async function initDisplays() {
       // Select different displays by default if available and no preference saved
       notesDisplay.selectedIndex = 1;
     }
+
+    if (preferences.confidenceMonitorEnabled === true && preferences.confidenceMonitorDisplayId) {
+      confidenceDisplay.value = preferences.confidenceMonitorDisplayId;
+    }
     
     // Restore machine name
     if (preferences.machineName) {
@@ -262,17 +842,11 @@ async function initDisplays() {
     }
     
     // Restore primary/backup mode
-    const mode = preferences.primaryBackupMode || 'standalone';
-    if (mode === 'primary') {
-      modePrimary.checked = true;
-      backupConfig.style.display = 'block';
-    } else if (mode === 'backup') {
-      modeBackup.checked = true;
-      backupConfig.style.display = 'none';
-    } else {
-      modeStandalone.checked = true;
-      backupConfig.style.display = 'none';
-    }
+    applyPrimaryBackupMode(preferences.primaryBackupMode || 'standalone');
+    if (pairingKeyInput) pairingKeyInput.value = preferences.pairingKey || '';
+    if (primaryHostInput) primaryHostInput.value = preferences.primaryHost || '';
+    if (failoverModeSelect) failoverModeSelect.value = preferences.failoverMode || 'offer';
+    if (failoverGraceInput) failoverGraceInput.value = preferences.failoverGraceSeconds || '';
     
     // Restore backup configuration
     if (preferences.backupPort) {
@@ -286,14 +860,64 @@ async function initDisplays() {
     const backupIps = Array.isArray(preferences.backupIps) ? preferences.backupIps : legacyIps;
     renderBackupIpList(backupIps);
     refreshBackupStatusBadges();
+    loadDiscoveredInstances();
 
     // Restore controller allowlist (desktop-only)
     const controllerIps = Array.isArray(preferences.controllerIps) ? preferences.controllerIps : [];
     renderControllerIpList(controllerIps);
+
+    // Restore API tokens (desktop-only)
+    apiTokens = Array.isArray(preferences.apiTokens) ? preferences.apiTokens : [];
+    renderApiTokenList();
+    if (backupApiTokenInput) {
+      backupApiTokenInput.value = preferences.backupApiToken || '';
+    }
+    if (autoResyncBackupsCheckbox) {
+      autoResyncBackupsCheckbox.checked = preferences.autoResyncBackups === true;
+    }
+
+    // Restore OSC control (desktop-only)
+    if (oscEnabledCheckbox) {
+      oscEnabledCheckbox.checked = preferences.oscEnabled === true;
+      oscPortInput.value = preferences.oscPort || '';
+      const targets = Array.isArray(preferences.oscFeedbackTargets) ? preferences.oscFeedbackTargets : [];
+      oscFeedbackTargetsInput.value = targets.join(', ');
+      refreshOscStatus();
+    }
+
+    // Restore MIDI control (desktop-only)
+    midiMappings = Array.isArray(preferences.midiMappings) ? preferences.midiMappings : [];
+    renderMidiMappingList();
+    if (midiEnabledCheckbox) {
+      midiEnabledCheckbox.checked = preferences.midiEnabled === true;
+      setMidiListening(midiEnabledCheckbox.checked);
+    }
+
+    // Restore global hotkeys (desktop-only)
+    hotkeys = Array.isArray(preferences.hotkeys) ? preferences.hotkeys : [];
+    renderHotkeyList();
+    if (hotkeysEnabledCheckbox) {
+      hotkeysEnabledCheckbox.checked = preferences.hotkeysEnabled === true;
+      refreshHotkeyStatus();
+    }
+
+    // Restore slate cover settings
+    if (slateTextInput) {
+      slateTextInput.value = preferences.slateText || '';
+      slateImageInput.value = preferences.slateImage || '';
+    }
+
+    // Restore text control (desktop-only)
+    if (textControlEnabledCheckbox) {
+      textControlEnabledCheckbox.checked = preferences.textControlEnabled === true;
+      textControlPortInput.value = preferences.textControlPort || '';
+      refreshTextControlStatus();
+    }
     
     // Save preferences when selections change
     presentationDisplay.addEventListener('change', saveMonitorPreferences);
     notesDisplay.addEventListener('change', saveMonitorPreferences);
+    confidenceDisplay.addEventListener('change', saveMonitorPreferences);
     machineNameInput.addEventListener('change', saveMachineName);
     apiPortInput.addEventListener('change', savePortPreferences);
     webUiPortInput.addEventListener('change', savePortPreferences);
@@ -303,11 +927,51 @@ async function initDisplays() {
     if (webUiDebugConsoleEnabledCheckbox) {
       webUiDebugConsoleEnabledCheckbox.addEventListener('change', saveWebUiDebugConsolePreference);
     }
+    if (oscEnabledCheckbox) {
+      oscEnabledCheckbox.addEventListener('change', saveOscPreferences);
+      oscPortInput.addEventListener('change', saveOscPreferences);
+      oscFeedbackTargetsInput.addEventListener('change', saveOscPreferences);
+    }
+    if (midiEnabledCheckbox) {
+      midiEnabledCheckbox.addEventListener('change', saveMidiEnabled);
+    }
+    if (addMidiMappingBtn) {
+      addMidiMappingBtn.addEventListener('click', async () => {
+        const entry = { id: `m-${Date.now().toString(36)}`, action: 'next', arg: null, trigger: null, device: null };
+        midiMappings.push(entry);
+        renderMidiMappingList();
+        await saveMidiMappings();
+      });
+    }
+    if (hotkeysEnabledCheckbox) {
+      hotkeysEnabledCheckbox.addEventListener('change', saveHotkeysEnabled);
+    }
+    if (addHotkeyBtn) {
+      addHotkeyBtn.addEventListener('click', async () => {
+        const entry = { id: `h-${Date.now().toString(36)}`, accelerator: null, action: 'next', arg: null };
+        hotkeys.push(entry);
+        renderHotkeyList();
+        await saveHotkeys();
+      });
+    }
+    if (slateTextInput) {
+      slateTextInput.addEventListener('change', saveSlatePreferences);
+      chooseSlateImageBtn.addEventListener('click', chooseSlateImage);
+      clearSlateImageBtn.addEventListener('click', async () => {
+        slateImageInput.value = '';
+        await saveSlatePreferences();
+      });
+    }
+    if (textControlEnabledCheckbox) {
+      textControlEnabledCheckbox.addEventListener('change', saveTextControlPreferences);
+      textControlPortInput.addEventListener('change', saveTextControlPreferences);
+    }
     
     // Primary/Backup mode change handlers
     modePrimary.addEventListener('change', () => {
       if (modePrimary.checked) {
         backupConfig.style.display = 'block';
+        updatePairingVisibility();
         savePrimaryBackupPreferences();
       }
     });
@@ -315,6 +979,7 @@ async function initDisplays() {
     modeBackup.addEventListener('change', () => {
       if (modeBackup.checked) {
         backupConfig.style.display = 'none';
+        updatePairingVisibility();
         savePrimaryBackupPreferences();
       }
     });
@@ -322,6 +987,7 @@ async function initDisplays() {
     modeStandalone.addEventListener('change', () => {
       if (modeStandalone.checked) {
         backupConfig.style.display = 'none';
+        updatePairingVisibility();
         savePrimaryBackupPreferences();
       }
     });
@@ -337,6 +1003,64 @@ async function initDisplays() {
       });
     }
 
+    if (addApiTokenBtn) {
+      addApiTokenBtn.addEventListener('click', async () => {
+        const token = await window.electronAPI.generateApiToken();
+        apiTokens.push({ name: '', token, scopes: ['read', 'control'], createdAt: Date.now() });
+        renderApiTokenList();
+        await saveApiTokens();
+      });
+    }
+    if (backupApiTokenInput) {
+      backupApiTokenInput.addEventListener('change', savePrimaryBackupPreferences);
+    }
+    if (autoResyncBackupsCheckbox) {
+      autoResyncBackupsCheckbox.addEventListener('change', savePrimaryBackupPreferences);
+    }
+    if (pairingKeyInput) {
+      pairingKeyInput.addEventListener('change', savePairingPreferences);
+    }
+    if (primaryHostInput) {
+      primaryHostInput.addEventListener('change', savePairingPreferences);
+    }
+    if (discoveryScanBtn) {
+      discoveryScanBtn.addEventListener('click', scanDiscoveredInstances);
+    }
+    if (failoverModeSelect) {
+      failoverModeSelect.addEventListener('change', saveFailoverPreferences);
+    }
+    if (failoverGraceInput) {
+      failoverGraceInput.addEventListener('change', saveFailoverPreferences);
+    }
+    // Failover promotion/demotion changes the mode behind our back; keep the radios current
+    // so the next save here doesn't switch it back
+    if (window.electronAPI.onRoleChanged) {
+      window.electronAPI.onRoleChanged(({ role }) => {
+        applyPrimaryBackupMode(role);
+        if (role === 'primary') {
+          startBackupStatusPolling();
+        } else {
+          stopBackupStatusPolling();
+        }
+        showStatus(role === 'primary' ? 'This machine was promoted to primary' : 'This machine is a backup again', 'info');
+      });
+    }
+    if (showPairingKeyBtn && pairingKeyInput) {
+      showPairingKeyBtn.addEventListener('click', () => {
+        const hidden = pairingKeyInput.type === 'password';
+        pairingKeyInput.type = hidden ? 'text' : 'password';
+        showPairingKeyBtn.textContent = hidden ? 'Hide' : 'Show';
+      });
+    }
+    if (generatePairingKeyBtn && pairingKeyInput) {
+      generatePairingKeyBtn.addEventListener('click', async () => {
+        if (pairingKeyInput.value && !confirm('Replace the current pairing key? Every paired machine will need the new key.')) return;
+        pairingKeyInput.value = await window.electronAPI.generatePairingKey();
+        pairingKeyInput.type = 'text';
+        if (showPairingKeyBtn) showPairingKeyBtn.textContent = 'Hide';
+        await savePairingPreferences();
+      });
+    }
     if (addControllerIpBtn) {
       addControllerIpBtn.addEventListener('click', async () => {
         addControllerIpRow('');
@@ -363,6 +1087,7 @@ async function initDisplays() {
     // Set up event handlers for presets
     savePresetsBtn.addEventListener('click', savePresets);
     loadPresetsBtn.addEventListener('click', loadPresets);
+    addPresetBtn.addEventListener('click', () => addPresetRow());
     
     // Set up event handlers for stagetimer
     saveStagetimerBtn.addEventListener('click', saveStagetimerSettings);
@@ -407,10 +1132,36 @@ function setBackupStatusBadge(el, ip) {
     el.textContent = '-';
     el.style.background = 'transparent';
     el.style.color = 'var(--text-secondary)';
+    el.title = '';
+    return;
+  }
+  const missed = backupMissedByIp[v] || 0;
+  el.title = missed ? `${missed} command(s) never reached this backup this session` : '';
+  const pairing = backupPairingByIp[v];
+  if (status === 'connected' && (pairing === 'mismatch' || pairing === 'unpaired')) {
+    // Reachable, but it will refuse our commands
+    el.textContent = pairing === 'mismatch' ? 'Key mismatch' : 'Not paired';
+    el.style.background = '#ff9800';
+    el.style.color = 'white';
+    return;
+  }
+  const sync = backupSyncByIp[v];
+  if (status === 'connected' && sync && (sync.sync === 'drifted' || sync.sync === 'wrong-deck')) {
+    el.textContent = sync.sync === 'wrong-deck'
+      ? 'Wrong deck'
+      : `Drifted (slide ${sync.backupSlide ?? '?'})`;
+    el.style.background = '#ff9800';
+    el.style.color = 'white';
+    return;
+  }
+  if (status === 'connected' && sync && sync.sync === 'in-sync') {
+    el.textContent = 'In sync';
+    el.style.background = '#4caf50';
+    el.style.color = 'white';
     return;
   }
   if (status === 'connected') {
-    el.textContent = 'Connected';
+    el.textContent = pairing === 'ok' ? 'Paired' : 'Connected';
     el.style.background = '#4caf50';
     el.style.color = 'white';
     return;
@@ -461,6 +1212,13 @@ function addBackupIpRow(initialValue = '') {
   badge.style.minWidth = '90px';
   badge.style.textAlign = 'center';
 
+  const resyncBtn = document.createElement('button');
+  resyncBtn.type = 'button';
+  resyncBtn.className = 'btn btn-secondary';
+  resyncBtn.textContent = 'Resync';
+  resyncBtn.title = 'Open our deck on this backup and go to our slide';
+  resyncBtn.style.padding = '8px 10px';
+
   const removeBtn = document.createElement('button');
   removeBtn.type = 'button';
   removeBtn.className = 'btn btn-secondary';
@@ -468,6 +1226,17 @@ function addBackupIpRow(initialValue = '') {
   removeBtn.style.padding = '8px 10px';
   removeBtn.style.minWidth = '88px';
 
+  resyncBtn.addEventListener('click', async () => {
+    const ip = String(input.value || '').trim();
+    if (!ip) return;
+    resyncBtn.disabled = true;
+    try {
+      await resyncBackup(ip);
+    } finally {
+      resyncBtn.disabled = false;
+    }
+  });
+
   removeBtn.addEventListener('click', async () => {
     // If it's the last row, just clear it (cleaner UX)
     const rows = backupIpList.querySelectorAll('[data-backup-row="true"]');
@@ -489,6 +1258,7 @@ function addBackupIpRow(initialValue = '') {
 
   row.appendChild(input);
   row.appendChild(badge);
+  row.appendChild(resyncBtn);
   row.appendChild(removeBtn);
   backupIpList.appendChild(row);
 
@@ -564,7 +1334,10 @@ async function saveMonitorPreferences() {
   try {
     await window.electronAPI.savePreferences({
       presentationDisplayId: presentationDisplay.value,
-      notesDisplayId: notesDisplay.value
+      notesDisplayId: notesDisplay.value,
+      // "Off" keeps the last display so turning it back on (API or here) goes to the same place
+      confidenceMonitorEnabled: !!confidenceDisplay.value,
+      ...(confidenceDisplay.value ? { confidenceMonitorDisplayId: confidenceDisplay.value } : {})
     });
   } catch (error) {
     console.error('Failed to save preferences:', error);
@@ -617,6 +1390,89 @@ async function saveMachineName() {
   }
 }
 
+// Save OSC control preferences (applied immediately, no restart)
+async function saveOscPreferences() {
+  try {
+    const rawPort = String(oscPortInput.value || '').trim();
+    const oscPort = rawPort ? parseInt(rawPort, 10) : null;
+    if (rawPort && (isNaN(oscPort) || oscPort < 1024 || oscPort > 65535)) {
+      showStatus('OSC port must be between 1024 and 65535', 'error');
+      return;
+    }
+
+    await window.electronAPI.savePreferences({
+      oscEnabled: oscEnabledCheckbox.checked,
+      oscPort: oscPort,
+      oscFeedbackTargets: oscFeedbackTargetsInput.value
+    });
+
+    await refreshOscStatus();
+    showStatus('OSC settings saved', 'info');
+  } catch (error) {
+    console.error('Failed to save OSC preferences:', error);
+    showStatus('Failed to save OSC settings', 'error');
+  }
+}
+
+// OSC and text control have no API tokens; the controller allowlist is their only gate
+const UNRESTRICTED_LISTENER_WARNING = '. Warning: any device on the network can send commands; add controllers to the allowlist.';
+
+async function refreshOscStatus() {
+  if (!oscStatusText) return;
+  try {
+    const status = await window.electronAPI.getOscStatus();
+    if (status.error) {
+      oscStatusText.textContent = `Not listening: ${status.error}`;
+    } else if (status.listening) {
+      oscStatusText.textContent = `Listening on UDP port ${status.port}` + (status.unrestricted ? UNRESTRICTED_LISTENER_WARNING : '');
+    } else {
+      oscStatusText.textContent = status.enabled ? 'Starting...' : 'Off';
+    }
+  } catch (error) {
+    console.error('Failed to read OSC status:', error);
+  }
+}
+
+// Save text control preferences (applied immediately, no restart)
+async function saveTextControlPreferences() {
+  try {
+    const rawPort = String(textControlPortInput.value || '').trim();
+    const textControlPort = rawPort ? parseInt(rawPort, 10) : null;
+    if (rawPort && (isNaN(textControlPort) || textControlPort < 1024 || textControlPort > 65535)) {
+      showStatus('Text control port must be between 1024 and 65535', 'error');
+      return;
+    }
+
+    await window.electronAPI.savePreferences({
+      textControlEnabled: textControlEnabledCheckbox.checked,
+      textControlPort: textControlPort
+    });
+
+    await refreshTextControlStatus();
+    showStatus('Text control settings saved', 'info');
+  } catch (error) {
+    console.error('Failed to save text control preferences:', error);
+    showStatus('Failed to save text control settings', 'error');
+  }
+}
+
+async function refreshTextControlStatus() {
+  if (!textControlStatusText) return;
+  try {
+    const status = await window.electronAPI.getTextControlStatus();
+    if (status.error) {
+      textControlStatusText.textContent = `Not listening: ${status.error}`;
+    } else if (status.listening) {
+      const clients = status.clients === 1 ? '1 controller connected' : `${status.clients} controllers connected`;
+      textControlStatusText.textContent = `Listening on TCP/UDP port ${status.port} (${clients})` + (status.unrestricted ? UNRESTRICTED_LISTENER_WARNING : '');
+    } else {
+      textControlStatusText.textContent = status.enabled ? 'Starting...' : 'Off';
+    }
+  } catch (error) {
+    console.error('Failed to read text control status:', error);
+  }
+}
+
 // Save logging preferences
 async function saveLoggingPreferences() {
   try {
@@ -643,6 +1499,187 @@ async function saveWebUiDebugConsolePreference() {
 }
 
 // Save primary/backup preferences
+// Pairing applies to primary and backup; the primary's address is only set on backups
+function applyPrimaryBackupMode(mode) {
+  if (mode === 'primary') {
+    modePrimary.checked = true;
+    backupConfig.style.display = 'block';
+  } else if (mode === 'backup') {
+    modeBackup.checked = true;
+    backupConfig.style.display = 'none';
+  } else {
+    modeStandalone.checked = true;
+    backupConfig.style.display = 'none';
+  }
+  updatePairingVisibility();
+}
+
+function updatePairingVisibility() {
+  if (pairingConfig) {
+    pairingConfig.style.display = modeStandalone.checked ? 'none' : 'block';
+  }
+  if (primaryHostGroup) {
+    primaryHostGroup.style.display = modeBackup.checked ? 'block' : 'none';
+  }
+  if (failoverConfig) {
+    failoverConfig.style.display = modeBackup.checked ? 'block' : 'none';
+  }
+  if (discoveryGroup) {
+    discoveryGroup.style.display = modeStandalone.checked ? 'none' : 'block';
+    renderDiscoveredInstances();
+  }
+}
+
+async function fetchDiscovery(method, endpoint) {
+  const preferences = await window.electronAPI.getPreferences();
+  const apiPort = preferences.apiPort || 9595;
+  const response = await fetch(`http://127.0.0.1:${apiPort}${endpoint}`, {
+    method,
+    headers: await window.electronAPI.getApiAuthHeaders()
+  });
+  const body = await response.json();
+  if (!response.ok) {
+    throw new Error(getApiErrorMessage(body, 'Discovery request failed'));
+  }
+  const data = body.data || {};
+  discoveredInstances = Array.isArray(data.instances) ? data.instances : [];
+  discoveryNote = data.enabled ? null : `Discovery is off${data.error ? ` (${data.error})` : ''}`;
+  renderDiscoveredInstances();
+}
+
+async function loadDiscoveredInstances() {
+  try {
+    await fetchDiscovery('GET', '/api/discovery');
+  } catch (error) {
+    console.error('Failed to load discovered machines:', error);
+  }
+}
+
+async function scanDiscoveredInstances() {
+  if (discoveryScanBtn) {
+    discoveryScanBtn.disabled = true;
+    discoveryScanBtn.textContent = 'Scanning...';
+  }
+  try {
+    await fetchDiscovery('POST', '/api/discovery/refresh');
+  } catch (error) {
+    console.error('Failed to scan for machines:', error);
+    showStatus('Failed to scan the network', 'error');
+  } finally {
+    if (discoveryScanBtn) {
+      discoveryScanBtn.disabled = false;
+      discoveryScanBtn.textContent = 'Scan network';
+    }
+  }
+}
+
+// Backup list entry for a discovered instance: host:port when its API isn't on the backup port set here
+function getDiscoveredBackupEntry(instance) {
+  const backupPort = parseInt(backupPortInput.value, 10) || 9595;
+  return instance.apiPort && instance.apiPort !== backupPort ? `${instance.address}:${instance.apiPort}` : instance.address;
+}
+
+async function addDiscoveredBackup(entry) {
+  // Reuse the blank row the list keeps around, otherwise add one
+  const blank = getBackupIpInputs().find((el) => !String(el.value || '').trim());
+  if (blank) {
+    blank.value = entry;
+  } else {
+    addBackupIpRow(entry);
+  }
+  await savePrimaryBackupPreferences();
+  refreshBackupStatusBadges();
+  renderDiscoveredInstances();
+}
+
+async function useDiscoveredPrimary(address) {
+  if (!primaryHostInput) return;
+  primaryHostInput.value = address;
+  await savePairingPreferences();
+  renderDiscoveredInstances();
+}
+
+function renderDiscoveredInstances() {
+  if (!discoveredList) return;
+  discoveredList.innerHTML = '';
+
+  if (discoveryNote || discoveredInstances.length === 0) {
+    const empty = document.createElement('small');
+    empty.className = 'field-hint';
+    empty.textContent = discoveryNote || 'No other instances found yet. Click Scan network.';
+    discoveredList.appendChild(empty);
+    return;
+  }
+
+  const backupIps = getBackupIpsFromUi();
+  discoveredInstances.forEach((instance) => {
+    const row = document.createElement('div');
+    row.style.display = 'flex';
+    row.style.gap = '10px';
+    row.style.alignItems = 'center';
+
+    const label = document.createElement('span');
+    label.style.flex = '1';
+    const port = instance.apiPort && instance.apiPort !== 9595 ? `:${instance.apiPort}` : '';
+    label.textContent = `${instance.name} - ${instance.role || 'unknown'} - ${instance.address}${port}` +
+      (instance.version ? ` (v${instance.version})` : '');
+    row.appendChild(label);
+
+    let button = null;
+    if (modePrimary.checked && instance.role !== 'primary') {
+      const entry = getDiscoveredBackupEntry(instance);
+      button = document.createElement('button');
+      button.textContent = backupIps.includes(entry) ? 'Added' : 'Add as backup';
+      button.disabled = backupIps.includes(entry);
+      button.addEventListener('click', () => addDiscoveredBackup(entry));
+    } else if (modeBackup.checked && instance.role === 'primary') {
+      const current = primaryHostInput ? primaryHostInput.value.trim() : '';
+      button = document.createElement('button');
+      button.textContent = current === instance.address ? 'Primary' : 'Use as primary';
+      button.disabled = current === instance.address;
+      button.addEventListener('click', () => useDiscoveredPrimary(instance.address));
+    }
+    if (button) {
+      button.type = 'button';
+      button.className = 'btn btn-secondary';
+      button.style.padding = '8px 10px';
+      row.appendChild(button);
+    }
+    discoveredList.appendChild(row);
+  });
+}
+
+async function saveFailoverPreferences() {
+  try {
+    const grace = parseInt(failoverGraceInput ? failoverGraceInput.value : '', 10);
+    if (failoverGraceInput && failoverGraceInput.value !== '' && (isNaN(grace) || grace < 3 || grace > 600)) {
+      showStatus('Grace period must be between 3 and 600 seconds', 'error');
+      return;
+    }
+    await window.electronAPI.savePreferences({
+      failoverMode: failoverModeSelect ? failoverModeSelect.value : 'offer',
+      failoverGraceSeconds: isNaN(grace) ? null : grace
+    });
+    showStatus('Failover settings saved', 'info');
+  } catch (error) {
+    console.error('Failed to save failover settings:', error);
+    showStatus('Failed to save failover settings', 'error');
+  }
+}
+
+async function savePairingPreferences() {
+  try {
+    await window.electronAPI.savePreferences({
+      pairingKey: pairingKeyInput ? pairingKeyInput.value.trim() : '',
+      primaryHost: primaryHostInput ? primaryHostInput.value.trim() : ''
+    });
+    showStatus('Pairing settings saved', 'info');
+  } catch (error) {
+    console.error('Failed to save pairing settings:', error);
+    showStatus('Failed to save pairing settings', 'error');
+  }
+}
+
 async function savePrimaryBackupPreferences() {
   try {
     let mode = 'standalone';
@@ -664,6 +1701,8 @@ async function savePrimaryBackupPreferences() {
     if (mode === 'primary') {
       prefs.backupPort = backupPort;
       prefs.backupIps = getBackupIpsFromUi();
+      prefs.backupApiToken = backupApiTokenInput ? backupApiTokenInput.value.trim() : '';
+      prefs.autoResyncBackups = autoResyncBackupsCheckbox ? autoResyncBackupsCheckbox.checked : false;
     }
     
     await window.electronAPI.savePreferences(prefs);
@@ -705,7 +1744,9 @@ async function updateBackupStatus() {
     const preferences = await window.electronAPI.getPreferences();
     const apiPort = preferences.apiPort || 9595;
     
-    const response = await fetch(`http://127.0.0.1:${apiPort}/api/backup-status`);
+    const response = await fetch(`http://127.0.0.1:${apiPort}/api/backup-status`, {
+      headers: await window.electronAPI.getApiAuthHeaders()
+    });
     if (!response.ok) {
       throw new Error('Failed to fetch backup status');
     }
@@ -713,11 +1754,17 @@ async function updateBackupStatus() {
 
     // Normalize into { ip -> status }
     backupStatusByIp = {};
+    backupPairingByIp = {};
+    backupSyncByIp = {};
+    backupMissedByIp = {};
     if (data && Array.isArray(data.backups)) {
       data.backups.forEach((b) => {
         const ip = String(b?.ip || '').trim();
         if (!ip) return;
         backupStatusByIp[ip] = b?.status || null;
+        backupPairingByIp[ip] = b?.pairing || null;
+        backupSyncByIp[ip] = b?.sync ? { sync: b.sync, backupSlide: b.backupSlide } : null;
+        backupMissedByIp[ip] = b?.missedCommands || 0;
       });
     }
     refreshBackupStatusBadges();
@@ -726,13 +1773,157 @@ async function updateBackupStatus() {
   }
 }
 
+async function resyncBackup(ip) {
+  try {
+    const preferences = await window.electronAPI.getPreferences();
+    const apiPort = preferences.apiPort || 9595;
+
+    showStatus(`Resyncing ${ip}...`, 'info');
+    const response = await fetch(`http://127.0.0.1:${apiPort}/api/backup-resync`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(await window.electronAPI.getApiAuthHeaders()) },
+      body: JSON.stringify({ ip })
+    });
+    const data = await response.json();
+    // A failed resync still lists per-backup results, under errorDetails
+    const results = data.success ? data.data.results : data.errorDetails?.results;
+    const result = Array.isArray(results) ? results[0] : null;
+    if (!response.ok || !result || !result.success) {
+      throw new Error(result?.error || getApiErrorMessage(data, 'Resync failed'));
+    }
+    showStatus(`Resynced ${ip}`, 'success');
+  } catch (error) {
+    console.error('Failed to resync backup:', error);
+    showStatus(`Resync of ${ip} failed: ${error.message}`, 'error');
+  }
+  updateBackupStatus();
+}
+
 // Preset Presentations Functions
+function addPresetRow(preset = {}) {
+  if (!presetList) return;
+
+  const row = document.createElement('div');
+  row.setAttribute('data-preset-row', 'true');
+  if (preset.id) row.setAttribute('data-preset-id', preset.id);
+  row.style.display = 'flex';
+  row.style.flexDirection = 'column';
+  row.style.gap = '6px';
+  row.style.padding = '10px';
+  row.style.border = '1px solid rgba(0, 0, 0, 0.12)';
+  row.style.borderRadius = '6px';
+
+  const top = document.createElement('div');
+  top.style.display = 'flex';
+  top.style.gap = '8px';
+
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.className = 'input-field';
+  nameInput.placeholder = 'Name (e.g. Keynote)';
+  nameInput.value = preset.name || '';
+  nameInput.setAttribute('data-preset-field', 'name');
+  nameInput.style.flex = '1';
+
+  const makeButton = (label, title, onClick) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'btn btn-secondary';
+    btn.textContent = label;
+    btn.title = title;
+    btn.style.padding = '8px 10px';
+    btn.addEventListener('click', onClick);
+    return btn;
+  };
+
+  const upBtn = makeButton('↑', 'Move up', () => {
+    if (row.previousElementSibling) presetList.insertBefore(row, row.previousElementSibling);
+  });
+  const downBtn = makeButton('↓', 'Move down', () => {
+    if (row.nextElementSibling) presetList.insertBefore(row.nextElementSibling, row);
+  });
+  const removeBtn = makeButton('Remove', 'Remove preset', () => row.remove());
+
+  top.appendChild(nameInput);
+  top.appendChild(upBtn);
+  top.appendChild(downBtn);
+  top.appendChild(removeBtn);
+
+  const urlInput = document.createElement('input');
+  urlInput.type = 'text';
+  urlInput.className = 'input-field';
+  urlInput.placeholder = 'https://docs.google.com/presentation/d/...';
+  urlInput.value = preset.url || '';
+  urlInput.setAttribute('data-preset-field', 'url');
+
+  const options = document.createElement('div');
+  options.style.display = 'flex';
+  options.style.gap = '8px';
+  options.style.alignItems = 'center';
+
+  const startLabel = document.createElement('label');
+  startLabel.textContent = 'Start slide';
+  const startInput = document.createElement('input');
+  startInput.type = 'number';
+  startInput.min = '1';
+  startInput.className = 'input-field';
+  startInput.value = preset.startSlide || 1;
+  startInput.setAttribute('data-preset-field', 'startSlide');
+  startInput.style.width = '80px';
+
+  const notesLabel = document.createElement('label');
+  const notesInput = document.createElement('input');
+  notesInput.type = 'checkbox';
+  notesInput.checked = preset.withNotes !== false;
+  notesInput.setAttribute('data-preset-field', 'withNotes');
+  notesLabel.appendChild(notesInput);
+  notesLabel.appendChild(document.createTextNode(' With notes'));
+
+  const tagsInput = document.createElement('input');
+  tagsInput.type = 'text';
+  tagsInput.className = 'input-field';
+  tagsInput.placeholder = 'Tags (comma separated)';
+  tagsInput.value = Array.isArray(preset.tags) ? preset.tags.join(', ') : '';
+  tagsInput.setAttribute('data-preset-field', 'tags');
+  tagsInput.style.flex = '1';
+
+  options.appendChild(startLabel);
+  options.appendChild(startInput);
+  options.appendChild(notesLabel);
+  options.appendChild(tagsInput);
+
+  row.appendChild(top);
+  row.appendChild(urlInput);
+  row.appendChild(options);
+  presetList.appendChild(row);
+}
+
+function readPresetRows() {
+  return Array.from(presetList.querySelectorAll('[data-preset-row="true"]'))
+    .map((row) => {
+      const field = (name) => row.querySelector(`[data-preset-field="${name}"]`);
+      return {
+        id: row.getAttribute('data-preset-id') || undefined,
+        name: field('name').value.trim(),
+        url: field('url').value.trim(),
+        startSlide: parseInt(field('startSlide').value, 10) || 1,
+        withNotes: field('withNotes').checked,
+        tags: field('tags').value.split(',').map(t => t.trim()).filter(Boolean)
+      };
+    })
+    .filter(preset => preset.url);
+}
+
 async function loadPresets() {
   try {
     const preferences = await window.electronAPI.getPreferences();
-    preset1Input.value = preferences.presentation1 || '';
-    preset2Input.value = preferences.presentation2 || '';
-    preset3Input.value = preferences.presentation3 || '';
+    presetList.innerHTML = '';
+    const presets = Array.isArray(preferences.presets) ? preferences.presets : [];
+    if (presets.length === 0) {
+      addPresetRow();
+      return;
+    }
+    presets.forEach((preset) => addPresetRow(preset));
   } catch (error) {
     console.error('Failed to load presets:', error);
   }
@@ -740,13 +1931,9 @@ async function loadPresets() {
 
 async function savePresets() {
   try {
-    const prefs = {
-      presentation1: preset1Input.value.trim(),
-      presentation2: preset2Input.value.trim(),
-      presentation3: preset3Input.value.trim()
-    };
-    
-    await window.electronAPI.savePreferences(prefs);
+    await window.electronAPI.savePreferences({ presets: readPresetRows() });
+    // Reload so new rows pick up their generated ids
+    await loadPresets();
     showStatus('Presets saved successfully', 'info');
   } catch (error) {
     console.error('Failed to save presets:', error);
@@ -760,7 +1947,9 @@ async function loadStagetimerSettings() {
     const preferences = await window.electronAPI.getPreferences();
     const apiPort = preferences.apiPort || 9595;
     
-    const response = await fetch(`http://127.0.0.1:${apiPort}/api/stagetimer-settings`);
+    const response = await fetch(`http://127.0.0.1:${apiPort}/api/stagetimer-settings`, {
+      headers: await window.electronAPI.getApiAuthHeaders()
+    });
     if (!response.ok) {
       throw new Error('Failed to fetch stagetimer settings');
     }
@@ -795,7 +1984,7 @@ async function saveStagetimerSettings() {
     
     const response = await fetch(`http://127.0.0.1:${apiPort}/api/stagetimer-settings`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', ...(await window.electronAPI.getApiAuthHeaders()) },
       body: JSON.stringify(settings)
     });
     
@@ -807,7 +1996,7 @@ async function saveStagetimerSettings() {
     if (result.success) {
       showStatus('Stagetimer settings saved successfully', 'info');
     } else {
-      showStatus('Failed to save stagetimer settings: ' + (result.error || 'Unknown error'), 'error');
+      showStatus('Failed to save stagetimer settings: ' + getApiErrorMessage(result, 'Unknown error'), 'error');
     }
   } catch (error) {
     console.error('Failed to save stagetimer settings:', error);
@@ -913,6 +2102,29 @@ testBtn.addEventListener('click', async () => {
   }
 });
 
+// Open the built-in offline mock deck (with presenter view) through the local API, like the Web UI does
+mockDeckBtn.addEventListener('click', async () => {
+  mockDeckBtn.disabled = true;
+  try {
+    const preferences = await window.electronAPI.getPreferences();
+    const apiPort = preferences.apiPort || 9595;
+    const response = await fetch(`http://127.0.0.1:${apiPort}/api/open-presentation-with-notes`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(await window.electronAPI.getApiAuthHeaders()) },
+      body: JSON.stringify({ url: 'mock:demo' })
+    });
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      throw new Error(getApiErrorMessage(data, 'Failed to open offline test deck'));
+    }
+    showStatus('Offline test deck opened', 'success');
+  } catch (error) {
+    showStatus(`Failed to open offline test deck: ${error.message}`, 'error');
+  } finally {
+    mockDeckBtn.disabled = false;
+  }
+});
+
 // Check sign-in status on load
 async function checkSignInStatus() {
   try {
@@ -0,0 +1,145 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startApi } = require('./helpers/api-harness');
+
+let api;
+
+before(async () => {
+  api = await startApi();
+});
+
+after(async () => {
+  await api.stop();
+});
+
+// A backup that records every command; answer(command) returns the HTTP status to reply with
+async function startFakeBackup(answer = () => 200) {
+  const commands = [];
+  const server = http.createServer((req, res) => {
+    let text = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { text += chunk; });
+    req.on('end', () => {
+      if (req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true, data: null, error: null, presentationOpen: false }));
+        return;
+      }
+      const command = {
+        path: req.url,
+        body: text ? JSON.parse(text) : null,
+        session: req.headers['x-gso-session'],
+        seq: Number(req.headers['x-gso-seq'])
+      };
+      commands.push(command);
+      const status = answer(command);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: status < 400, data: null, error: status < 400 ? null : 'Refused' }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { commands, address: `127.0.0.1:${server.address().port}`, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+async function backupStatus() {
+  return (await api.request('GET', '/api/backup-status')).body.backups[0];
+}
+
+// Empties the queues: a mirrored command after the backup list is cleared drops them
+async function stopMirroring() {
+  api.writePrefs({ backupIps: [] });
+  await api.request('POST', '/api/output', { body: { mode: 'live' } });
+  api.writePrefs({ primaryBackupMode: 'standalone' });
+}
+
+test('queued commands reach a backup in order, and a failed one is retried before the next', async () => {
+  let failures = 1;
+  const backup = await startFakeBackup(() => (failures-- > 0 ? 503 : 200));
+  api.writePrefs({ primaryBackupMode: 'primary', backupIps: [backup.address] });
+  try {
+    for (const mode of ['blackout', 'whiteout', 'live']) {
+      await api.request('POST', '/api/output', { body: { mode } });
+    }
+    await api.waitFor(() => backup.commands.length === 4);
+
+    assert.deepEqual(backup.commands.map(c => c.body.mode), ['blackout', 'blackout', 'whiteout', 'live']);
+    const [first, retry, second, third] = backup.commands;
+    assert.equal(retry.seq, first.seq);
+    assert.deepEqual([second.seq, third.seq], [first.seq + 1, first.seq + 2]);
+    assert.ok(backup.commands.every(c => c.session && c.session === first.session));
+
+    const status = await backupStatus();
+    assert.equal(status.deliveredCommands, 3);
+    assert.equal(status.retriedCommands, 1);
+    assert.equal(status.missedCommands, 0);
+    assert.equal(status.lastDeliveredSeq, third.seq);
+  } finally {
+    await stopMirroring();
+    await backup.close();
+  }
+});
+
+test('a command the backup refuses (4xx) is missed without a retry', async () => {
+  const backup = await startFakeBackup(() => 409);
+  api.writePrefs({ primaryBackupMode: 'primary', backupIps: [backup.address] });
+  try {
+    await api.request('POST', '/api/output', { body: { mode: 'slate' } });
+    await api.waitFor(async () => (await backupStatus()).missedCommands === 1);
+    // Time enough for the first retry, had there been one
+    await new Promise(resolve => setTimeout(resolve, 400));
+
+    assert.equal(backup.commands.length, 1);
+    const status = await backupStatus();
+    assert.equal(status.retriedCommands, 0);
+    assert.equal(status.lastMissed.endpoint, '/api/output');
+    assert.equal(status.lastMissed.seq, backup.commands[0].seq);
+  } finally {
+    await stopMirroring();
+    await backup.close();
+  }
+});
+
+test('a backup that is down drops the oldest commands once its queue is full', async () => {
+  // A port nobody listens on: every attempt fails at once, so the first command keeps retrying
+  const closed = await startFakeBackup();
+  await closed.close();
+  api.writePrefs({ primaryBackupMode: 'primary', backupIps: [closed.address] });
+  try {
+    for (let i = 0; i < 55; i++) {
+      await api.request('POST', '/api/output', { body: { mode: i % 2 ? 'live' : 'blackout' } });
+    }
+    const status = await backupStatus();
+    assert.equal(status.queuedCommands, 50);
+    assert.equal(status.missedCommands, 5);
+    assert.equal(status.lastMissed.error, 'Queue full');
+    assert.equal(status.deliveredCommands, 0);
+  } finally {
+    await stopMirroring();
+  }
+});
+
+test('a backup runs each queued command once, however often it is retried', async () => {
+  api.writePrefs({ primaryBackupMode: 'backup' });
+  const headers = { 'X-GSO-Session': 'primary-run-1', 'X-GSO-Seq': '7' };
+  try {
+    const first = await api.request('POST', '/api/blackout', { headers });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.outputMode, 'blackout');
+
+    // The primary never saw the answer and sends #7 again: a second toggle would uncover the deck
+    const repeat = await api.request('POST', '/api/blackout', { headers });
+    assert.equal(repeat.status, 200);
+    assert.equal(repeat.body.duplicate, true);
+    assert.equal((await api.request('GET', '/api/output')).body.outputMode, 'blackout');
+
+    // Older numbers are repeats too; a new primary run starts counting again
+    const older = await api.request('POST', '/api/blackout', { headers: { ...headers, 'X-GSO-Seq': '6' } });
+    assert.equal(older.body.duplicate, true);
+    const restarted = await api.request('POST', '/api/blackout', { headers: { 'X-GSO-Session': 'primary-run-2', 'X-GSO-Seq': '1' } });
+    assert.equal(restarted.body.outputMode, 'live');
+  } finally {
+    api.writePrefs({ primaryBackupMode: 'standalone' });
+    await api.request('POST', '/api/output', { body: { mode: 'live' } });
+  }
+});
@@ -0,0 +1,93 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./helpers/api-harness');
+
+let api;
+
+function monitorWindow() {
+  return api.electron.windows.find(w => !w.isDestroyed() && decodeURIComponent(w.webContents.getURL()).includes('<title>Confidence Monitor</title>'));
+}
+
+// The state passed to updateMonitor() in the monitor window
+function lastMonitorState() {
+  const script = monitorWindow().webContents.scripts.filter(code => code.startsWith('updateMonitor(')).pop();
+  return script ? JSON.parse(script.slice('updateMonitor('.length, -1)) : null;
+}
+
+before(async () => {
+  api = await startApi({ totalSlides: 6 });
+});
+
+after(async () => {
+  api.main.closeConfidenceMonitor();
+  await api.stop();
+});
+
+test('the monitor opens on the chosen display without taking focus, and is saved', async () => {
+  const res = await api.request('POST', '/api/confidence-monitor', { body: { on: true, displayId: 2 } });
+  assert.equal(res.status, 200);
+  assert.deepEqual(
+    { enabled: res.body.enabled, open: res.body.open, displayId: res.body.displayId },
+    { enabled: true, open: true, displayId: 2 }
+  );
+
+  const win = monitorWindow();
+  assert.equal(win.getBounds().x, 1920);
+  assert.ok(win.isVisible());
+  assert.equal(api.readPrefs().confidenceMonitorEnabled, true);
+  assert.equal(api.readPrefs().confidenceMonitorDisplayId, 2);
+
+  const state = await api.waitFor(lastMonitorState);
+  assert.equal(state.slides.presentationOpen, false);
+  assert.equal(state.stagetimer, null);
+
+  const bad = await api.request('POST', '/api/confidence-monitor', { body: { displayId: 99 } });
+  assert.equal(bad.status, 400);
+});
+
+test('current and next slide and notes follow the presenter view', async () => {
+  await api.request('POST', '/api/open-presentation-with-notes', { body: { url: 'mock:demo' } });
+  await api.waitFor(async () => (await api.request('GET', '/api/status')).body.notesOpen);
+  // The notes popup was adopted as the notes window, not the monitor
+  assert.ok(monitorWindow());
+
+  await api.request('POST', '/api/go-to-slide', { body: { slide: 3 } });
+  const state = await api.waitFor(() => {
+    const s = lastMonitorState();
+    return s.slides.currentSlide === 3 && s.slides.notes === 'Notes for slide 3' ? s : null;
+  });
+  assert.equal(state.slides.totalSlides, 6);
+  assert.match(state.slides.current, /^data:image\/png/);
+  assert.match(state.slides.next, /^data:image\/png/);
+
+  // Nothing after the last slide
+  await api.request('POST', '/api/go-to-slide', { body: { slide: 6 } });
+  const last = await api.waitFor(() => {
+    const s = lastMonitorState();
+    return s.slides.currentSlide === 6 && s.slides.notes === 'Notes for slide 6' ? s : null;
+  });
+  assert.equal(last.slides.next, null);
+
+  // notes-closed comes from the state watcher, which the harness doesn't run; a slide change refreshes too
+  await api.request('POST', '/api/close-speaker-notes');
+  await api.request('POST', '/api/go-to-slide', { body: { slide: 5 } });
+  const noNotes = await api.waitFor(() => {
+    const s = lastMonitorState();
+    return s.slides.notesOpen === false ? s : null;
+  });
+  assert.equal(noNotes.slides.presentationOpen, true);
+  assert.equal(noNotes.slides.current, null);
+});
+
+test('moving and closing the monitor', async () => {
+  const win = monitorWindow();
+  const moved = await api.request('POST', '/api/confidence-monitor', { body: { displayId: 1 } });
+  assert.equal(moved.body.displayId, 1);
+  assert.equal(monitorWindow(), win);
+  assert.equal(win.getBounds().x, 0);
+
+  const closed = await api.request('POST', '/api/confidence-monitor', { body: { on: false } });
+  assert.equal(closed.body.open, false);
+  assert.equal(monitorWindow(), undefined);
+  assert.equal((await api.request('GET', '/api/confidence-monitor')).body.displayId, 1);
+});
@@ -0,0 +1,103 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startApi } = require('./helpers/api-harness');
+
+let api;
+
+// Opens GET /api/events and collects parsed events; next(type) waits for the next one of that type
+function openEventStream(query = '') {
+  return new Promise((resolve, reject) => {
+    const events = [];
+    const waiting = [];
+    const req = http.get({ host: '127.0.0.1', port: api.port, path: `/api/events${query}`, agent: false }, (res) => {
+      let buffer = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        let idx;
+        while ((idx = buffer.indexOf('\n\n')) !== -1) {
+          const block = buffer.slice(0, idx);
+          buffer = buffer.slice(idx + 2);
+          const data = block.split('\n').find(line => line.startsWith('data: '));
+          if (!data) continue;
+          events.push(JSON.parse(data.slice(6)));
+          waiting.splice(0).forEach(check => check());
+        }
+      });
+
+      function next(type, timeoutMs = 3000) {
+        return new Promise((resolveEvent, rejectEvent) => {
+          const timer = setTimeout(() => rejectEvent(new Error(`no ${type} event`)), timeoutMs);
+          const check = () => {
+            const i = events.findIndex(evt => evt.type === type);
+            if (i === -1) return waiting.push(check);
+            clearTimeout(timer);
+            resolveEvent(events.splice(i, 1)[0]);
+          };
+          check();
+        });
+      }
+
+      resolve({ res, events, next, close: () => req.destroy() });
+    });
+    req.on('error', reject);
+  });
+}
+
+before(async () => {
+  api = await startApi();
+});
+
+after(async () => {
+  await api.stop();
+});
+
+test('GET /api/events is an event stream that starts with a hello snapshot', async () => {
+  const stream = await openEventStream();
+  try {
+    assert.equal(stream.res.statusCode, 200);
+    assert.equal(stream.res.headers['content-type'], 'text/event-stream');
+    assert.equal(stream.res.headers['cache-control'], 'no-cache');
+
+    const hello = await stream.next('hello');
+    assert.ok(hello.data.types.includes('slide-changed'));
+    assert.equal(hello.data.state.presentationOpen, false);
+  } finally {
+    stream.close();
+  }
+});
+
+test('state changes are pushed with increasing ids', async () => {
+  const stream = await openEventStream();
+  try {
+    await stream.next('hello');
+    await api.request('POST', '/api/blackout', { body: { on: true } });
+    const covered = await stream.next('output-changed');
+    assert.deepEqual(covered.data, { mode: 'blackout' });
+
+    await api.request('POST', '/api/blackout', { body: { on: false } });
+    const live = await stream.next('output-changed');
+    assert.deepEqual(live.data, { mode: 'live' });
+    assert.ok(live.id > covered.id);
+  } finally {
+    stream.close();
+  }
+});
+
+test('?types= only sends the listed events', async () => {
+  const stream = await openEventStream('?types=slide-changed');
+  try {
+    await stream.next('hello');
+    await api.request('POST', '/api/blackout', { body: { on: true } });
+    await api.request('POST', '/api/open-presentation', { body: { url: 'mock:demo' } });
+
+    const slide = await stream.next('slide-changed');
+    assert.equal(slide.data.currentSlide, 1);
+    assert.ok(stream.events.every(evt => evt.type === 'slide-changed'));
+  } finally {
+    stream.close();
+    await api.request('POST', '/api/output', { body: { mode: 'live' } });
+    await api.request('POST', '/api/close-presentation');
+  }
+});
@@ -0,0 +1,81 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./helpers/api-harness');
+
+let api;
+
+async function currentSlide() {
+  return (await api.request('GET', '/api/status')).body.currentSlide;
+}
+
+// Fires the shortcut like the OS would, then lets the command finish
+async function press(accelerator) {
+  const callback = api.electron.shortcuts.get(accelerator);
+  assert.ok(callback, `${accelerator} is not registered`);
+  callback();
+  await new Promise(resolve => setTimeout(resolve, 50));
+}
+
+before(async () => {
+  api = await startApi({
+    totalSlides: 10,
+    prefs: {
+      hotkeysEnabled: true,
+      presets: [{ id: 'p-keynote', name: 'Keynote', url: 'mock:keynote' }],
+      hotkeys: [
+        { id: 'h-next', accelerator: 'PageDown', action: 'next' },
+        { id: 'h-prev', accelerator: 'PageUp', action: 'prev' },
+        { id: 'h-black', accelerator: 'B', action: 'blackout' },
+        { id: 'h-keynote', accelerator: 'CommandOrControl+Shift+1', action: 'preset', arg: 'keynote' },
+        { id: 'h-taken', accelerator: 'F5', action: 'reload' },
+        { id: 'h-bad', accelerator: 'Ctrl + Banana', action: 'next' },
+        { id: 'h-twice', accelerator: 'PageDown', action: 'prev' },
+        { id: 'h-unbound', accelerator: '', action: 'next' }
+      ]
+    }
+  });
+  api.electron.takenShortcuts.add('F5');
+  api.main.applyHotkeySettings();
+});
+
+after(async () => {
+  api.writePrefs({ hotkeysEnabled: false });
+  api.main.applyHotkeySettings();
+  await api.stop();
+});
+
+test('hotkeys register, and refused ones are reported', () => {
+  const status = api.main.getHotkeyStatus();
+  assert.equal(status.enabled, true);
+  assert.deepEqual(status.registered, ['PageDown', 'PageUp', 'B', 'CommandOrControl+Shift+1']);
+  assert.deepEqual(status.failed.map(f => f.accelerator), ['F5', 'Ctrl + Banana', 'PageDown']);
+  assert.match(status.failed[0].reason, /in use/);
+});
+
+test('hotkeys run the same handlers as the HTTP API', async () => {
+  await press('CommandOrControl+Shift+1');
+  await api.waitFor(async () => (await currentSlide()) === 1);
+
+  await press('PageDown');
+  await press('PageDown');
+  assert.equal(await currentSlide(), 3);
+  await press('PageUp');
+  assert.equal(await currentSlide(), 2);
+
+  // Toggles, like POST /api/blackout without a body
+  await press('B');
+  assert.equal((await api.request('GET', '/api/output')).body.outputMode, 'blackout');
+  await press('B');
+  assert.equal((await api.request('GET', '/api/output')).body.outputMode, 'live');
+});
+
+test('hotkey settings are desktop-only, and turning them off releases the keys', async () => {
+  await api.request('POST', '/api/preferences', { body: { hotkeysEnabled: false, hotkeys: [] } });
+  assert.equal(api.readPrefs().hotkeysEnabled, true);
+  assert.equal(api.readPrefs().hotkeys.length, 8);
+
+  api.writePrefs({ hotkeysEnabled: false });
+  api.main.applyHotkeySettings();
+  assert.deepEqual(api.main.getHotkeyStatus().registered, []);
+  assert.deepEqual([...api.electron.shortcuts.keys()], []);
+});
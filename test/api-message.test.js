@@ -0,0 +1,142 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startApi } = require('./helpers/api-harness');
+
+let api;
+
+function notesWindow() {
+  return api.electron.windows.find(w => !w.isDestroyed() && /\/presenter(\?|$)/.test(w.webContents.getURL()));
+}
+
+function monitorWindow() {
+  return api.electron.windows.find(w => !w.isDestroyed() && decodeURIComponent(w.webContents.getURL()).includes('<title>Confidence Monitor</title>'));
+}
+
+async function messages() {
+  return (await api.request('GET', '/api/message')).body;
+}
+
+before(async () => {
+  api = await startApi();
+});
+
+after(async () => {
+  api.main.closeConfidenceMonitor();
+  await api.stop();
+});
+
+test('POST /api/message validates text, color, flash and duration', async () => {
+  for (const body of [{}, { text: '   ' }, { text: 'x'.repeat(201) }, { text: 'Hi', color: 'purple' }, { text: 'Hi', flash: 'yes' }, { text: 'Hi', duration: 7200 }, { text: 'Hi', duration: 1.5 }]) {
+    const res = await api.request('POST', '/api/message', { body });
+    assert.equal(res.status, 400, JSON.stringify(body));
+    assert.equal(res.body.errorCode, 'INVALID_REQUEST');
+  }
+  const { current, history } = await messages();
+  assert.deepEqual({ current, history }, { current: null, history: [] });
+});
+
+test('a new message replaces the one showing, and both are in the history', async () => {
+  const first = await api.request('POST', '/api/message', { body: { text: 'Wrap up' } });
+  assert.equal(first.status, 200);
+  assert.equal(first.body.current.color, 'white');
+  assert.equal(first.body.current.flash, false);
+  assert.equal(first.body.current.expiresAt, null);
+
+  const second = await api.request('POST', '/api/message', { body: { text: ' Skip to Q&A ', color: 'red', flash: true } });
+  const { current, history } = await messages();
+  assert.equal(current.id, second.body.current.id);
+  assert.equal(current.text, 'Skip to Q&A');
+  assert.deepEqual(history.map(m => [m.text, m.endReason]), [['Skip to Q&A', null], ['Wrap up', 'replaced']]);
+
+  const status = (await api.request('GET', '/api/status')).body;
+  assert.equal(status.presenterMessage.id, current.id);
+});
+
+test('acknowledging needs the message that is showing', async () => {
+  const { current } = await messages();
+  const stale = await api.request('POST', '/api/message/acknowledge', { body: { id: 'msg-old' } });
+  assert.equal(stale.status, 409);
+  assert.equal(stale.body.errorDetails.current.id, current.id);
+
+  const ack = await api.request('POST', '/api/message/acknowledge', { body: { id: current.id } });
+  assert.equal(ack.status, 200);
+  assert.equal(ack.body.acknowledged.endReason, 'acknowledged');
+  assert.ok(ack.body.acknowledged.acknowledgedAt);
+  assert.equal((await messages()).current, null);
+
+  // The operator still sees that it was acknowledged
+  assert.equal((await api.request('GET', '/api/status')).body.presenterMessage.endReason, 'acknowledged');
+
+  // A second tap (or a backup that never showed it) is answered, not refused
+  const again = await api.request('POST', '/api/message/acknowledge');
+  assert.equal(again.status, 200);
+  assert.equal(again.body.acknowledged, null);
+  assert.equal((await messages()).history[0].acknowledgedAt, ack.body.acknowledged.acknowledgedAt);
+});
+
+test('only an acknowledgement that took a message down is mirrored to backups', async () => {
+  const received = [];
+  const backup = http.createServer((req, res) => {
+    received.push(req.url);
+    req.resume();
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, data: null, error: null }));
+  });
+  await new Promise(resolve => backup.listen(0, '127.0.0.1', resolve));
+  api.writePrefs({ primaryBackupMode: 'primary', backupIps: [`127.0.0.1:${backup.address().port}`] });
+  try {
+    await api.request('POST', '/api/message', { body: { text: 'Questions next' } });
+    await api.request('POST', '/api/message/acknowledge');
+    await api.request('POST', '/api/message/acknowledge');
+    await api.waitFor(() => received.includes('/api/message/acknowledge'));
+    // Time enough for the second one, had it been sent
+    await new Promise(resolve => setTimeout(resolve, 200));
+    assert.deepEqual(received, ['/api/message', '/api/message/acknowledge']);
+  } finally {
+    api.writePrefs({ primaryBackupMode: 'standalone', backupIps: [] });
+    await new Promise(resolve => backup.close(resolve));
+  }
+});
+
+test('messages with a duration expire, and clear takes one down', async () => {
+  await api.request('POST', '/api/message', { body: { text: 'Two minutes', duration: 1 } });
+  const expired = await api.waitFor(async () => {
+    const { history } = await messages();
+    return history[0].endReason === 'expired' ? history[0] : null;
+  });
+  assert.equal(expired.text, 'Two minutes');
+
+  await api.request('POST', '/api/message', { body: { text: 'Stand by' } });
+  const cleared = await api.request('POST', '/api/message/clear');
+  assert.equal(cleared.body.message, 'Message cleared');
+  assert.equal((await messages()).history[0].endReason, 'cleared');
+  assert.equal((await api.request('POST', '/api/message/clear')).body.message, 'No message was showing');
+});
+
+test('the presenter view shows a banner, and tapping it acknowledges', async () => {
+  await api.request('POST', '/api/open-presentation-with-notes', { body: { url: 'mock:demo' } });
+  await api.waitFor(async () => (await api.request('GET', '/api/status')).body.notesOpen);
+
+  const sent = (await api.request('POST', '/api/message', { body: { text: 'Slow down', color: 'yellow' } })).body.current;
+  const banner = notesWindow().webContents.scripts.filter(code => code.includes('__gso_presenter_message__')).pop();
+  assert.ok(banner.includes('"text":"Slow down"'));
+
+  // The banner's click handler logs the marker on the console channel
+  notesWindow().webContents.emit('console-message', {}, 1, `__GSO_MESSAGE_ACK__${sent.id}`);
+  await api.waitFor(async () => (await messages()).history[0].endReason === 'acknowledged');
+  const removed = notesWindow().webContents.scripts.filter(code => code.includes('__gso_presenter_message__')).pop();
+  assert.ok(removed.includes('var message = null;'));
+});
+
+test('the confidence monitor shows the message', async () => {
+  await api.request('POST', '/api/confidence-monitor', { body: { on: true } });
+  await api.request('POST', '/api/message', { body: { text: '5 minutes left', flash: true } });
+  const state = await api.waitFor(() => {
+    const script = monitorWindow().webContents.scripts.filter(code => code.startsWith('updateMonitor(')).pop();
+    const parsed = script && JSON.parse(script.slice('updateMonitor('.length, -1));
+    return parsed && parsed.message ? parsed : null;
+  });
+  assert.equal(state.message.text, '5 minutes left');
+  assert.equal(state.message.flash, true);
+});
@@ -0,0 +1,85 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./helpers/api-harness');
+
+let api;
+
+// Raw bytes as Web MIDI delivers them (channel is 1-based here, 0-based on the wire)
+const noteOn = (note, channel = 1, velocity = 100) => [0x90 + channel - 1, note, velocity];
+const noteOff = (note, channel = 1) => [0x80 + channel - 1, note, 0];
+const cc = (number, value, channel = 1) => [0xb0 + channel - 1, number, value];
+const programChange = (program, channel = 1) => [0xc0 + channel - 1, program];
+
+async function currentSlide() {
+  return (await api.request('GET', '/api/status')).body.currentSlide;
+}
+
+before(async () => {
+  api = await startApi({
+    totalSlides: 10,
+    prefs: {
+      midiEnabled: true,
+      presets: [{ id: 'p-keynote', name: 'Keynote', url: 'mock:keynote' }],
+      midiMappings: [
+        { id: 'm-next', action: 'next', trigger: { type: 'note', channel: null, number: 64 }, device: 'Pedal' },
+        { id: 'm-prev', action: 'prev', trigger: { type: 'note', channel: 1, number: 62 } },
+        { id: 'm-goto', action: 'goto', arg: '7', trigger: { type: 'cc', channel: 10, number: 20 } },
+        { id: 'm-preset', action: 'preset', arg: 'keynote', trigger: { type: 'program', channel: null, number: 3 } },
+        { id: 'm-unbound', action: 'video', trigger: null }
+      ]
+    }
+  });
+});
+
+after(async () => {
+  await api.stop();
+});
+
+test('mapped presses run the same handlers as the HTTP API', async () => {
+  const closed = await api.main.handleMidiMessage(noteOn(62));
+  assert.equal(closed.error.code, 'NO_PRESENTATION');
+
+  const opened = await api.main.handleMidiMessage(programChange(3, 5));
+  assert.equal(opened.mapping.id, 'm-preset');
+  await api.waitFor(async () => (await currentSlide()) === 1);
+
+  await api.main.handleMidiMessage(cc(20, 127, 10));
+  assert.equal(await currentSlide(), 7);
+
+  // Any channel, but only from the learned device
+  assert.equal(await api.main.handleMidiMessage(noteOn(64, 3), 'Keyboard'), null);
+  const next = await api.main.handleMidiMessage(noteOn(64, 3), 'Pedal');
+  assert.equal(next.mapping.id, 'm-next');
+  assert.equal(await currentSlide(), 8);
+
+  await api.main.handleMidiMessage(noteOn(62, 1));
+  assert.equal(await currentSlide(), 7);
+});
+
+test('releases, other channels and unmapped messages are ignored', async () => {
+  for (const bytes of [noteOff(62), noteOn(62, 1, 0), cc(20, 0, 10), noteOn(62, 2), cc(21, 127, 10), [0xf8]]) {
+    assert.equal(await api.main.handleMidiMessage(bytes), null, JSON.stringify(bytes));
+  }
+  assert.equal(await currentSlide(), 7);
+});
+
+test('learn mode captures the next press instead of running it', async () => {
+  const learning = api.main.startMidiLearn();
+  assert.equal(await api.main.handleMidiMessage(noteOff(40)), null);
+  // Matches the "prev" mapping, but learning takes it
+  const handled = await api.main.handleMidiMessage(noteOn(62, 1), 'Pad');
+  assert.deepEqual(handled, { learned: { trigger: { type: 'note', channel: 1, number: 62 }, device: 'Pad' } });
+  assert.deepEqual(await learning, handled.learned);
+  assert.equal(await currentSlide(), 7);
+});
+
+test('MIDI is off unless enabled, and its settings are desktop-only', async () => {
+  const res = await api.request('POST', '/api/preferences', { body: { midiEnabled: false, midiMappings: [] } });
+  assert.equal(res.status, 200);
+  assert.equal(api.readPrefs().midiEnabled, true);
+  assert.equal(api.readPrefs().midiMappings.length, 5);
+
+  api.writePrefs({ midiEnabled: false });
+  assert.equal(await api.main.handleMidiMessage(noteOn(62)), null);
+  assert.equal(await currentSlide(), 7);
+});
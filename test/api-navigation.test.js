@@ -0,0 +1,260 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startApi } = require('./helpers/api-harness');
+
+let api;
+
+before(async () => {
+  api = await startApi({ totalSlides: 12 });
+});
+
+after(async () => {
+  await api.stop();
+});
+
+async function status() {
+  return (await api.request('GET', '/api/status')).body;
+}
+
+function presentationWindow() {
+  return api.electron.windows.find(w => !w.isDestroyed() && /\/present(\?|$)/.test(w.webContents.getURL()));
+}
+
+test('control routes are 404 while nothing is open', async () => {
+  for (const route of ['/api/next-slide', '/api/previous-slide', '/api/toggle-video', '/api/open-speaker-notes', '/api/reload-presentation']) {
+    const res = await api.request('POST', route);
+    assert.equal(res.status, 404, route);
+    assert.equal(res.body.errorCode, 'NO_PRESENTATION', route);
+    assert.equal(res.body.error, 'No presentation is open', route);
+  }
+
+  const goTo = await api.request('POST', '/api/go-to-slide', { body: { slide: 2 } });
+  assert.equal(goTo.status, 404);
+  assert.equal(goTo.body.errorCode, 'NO_PRESENTATION');
+
+  for (const route of ['/api/close-speaker-notes', '/api/scroll-notes-down', '/api/scroll-notes-up', '/api/zoom-in-notes', '/api/zoom-out-notes']) {
+    const res = await api.request('POST', route);
+    assert.equal(res.status, 404, route);
+    assert.equal(res.body.errorCode, 'NO_NOTES_WINDOW', route);
+  }
+});
+
+test('POST /api/open-presentation requires a url', async () => {
+  const res = await api.request('POST', '/api/open-presentation', { body: {} });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, 'URL is required');
+  assert.equal(res.body.errorCode, 'INVALID_REQUEST');
+
+  const withNotes = await api.request('POST', '/api/open-presentation-with-notes', { body: { url: '' } });
+  assert.equal(withNotes.status, 400);
+});
+
+test('POST /api/open-presentation-with-notes opens the deck and its presenter view', async () => {
+  const res = await api.request('POST', '/api/open-presentation-with-notes', { body: { url: 'mock:demo' } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.success, true);
+
+  const state = await api.waitFor(async () => {
+    const s = await status();
+    return s.presentationOpen && s.notesOpen && s.currentSlide === 1 ? s : null;
+  });
+  assert.equal(state.presentationUrl, 'mock:demo');
+  assert.equal(state.totalSlides, 12);
+  assert.equal(state.slideTracking.confidence, 'high');
+  assert.equal(state.presentationTitle, 'Fake deck');
+  assert.match(presentationWindow().webContents.getURL(), /\/mock\/presentation\/d\/demo\/present\?slides=10$/);
+});
+
+test('next/previous follow the slide the page reports', async () => {
+  const next = await api.request('POST', '/api/next-slide');
+  assert.equal(next.status, 200);
+  await api.waitFor(async () => (await status()).currentSlide === 2);
+
+  const keys = presentationWindow().webContents.inputEvents.filter(e => e.type === 'keyDown').map(e => e.keyCode);
+  assert.ok(keys.includes('Right'));
+
+  const previous = await api.request('POST', '/api/previous-slide');
+  assert.equal(previous.status, 200);
+  await api.waitFor(async () => (await status()).currentSlide === 1);
+});
+
+test('POST /api/go-to-slide jumps by number, page id and title and verifies arrival', async () => {
+  const typed = await api.request('POST', '/api/go-to-slide', { body: { slide: 7 } });
+  assert.equal(typed.status, 200);
+  assert.equal(typed.body.toSlide, 7);
+  assert.equal(typed.body.verified, true);
+  assert.equal(typed.body.method, 'type');
+
+  // Slide 2 was seen earlier, so its page id is known and the fragment is used
+  const fragment = await api.request('POST', '/api/go-to-slide', { body: { slide: 2 } });
+  assert.equal(fragment.status, 200);
+  assert.equal(fragment.body.method, 'fragment');
+  assert.equal(fragment.body.pageId, 'p2');
+
+  const byPage = await api.request('POST', '/api/go-to-slide', { body: { pageId: 'p7' } });
+  assert.equal(byPage.status, 200);
+  assert.equal(byPage.body.toSlide, 7);
+
+  const byTitle = await api.request('POST', '/api/go-to-slide', { body: { title: 'Slide 2' } });
+  assert.equal(byTitle.status, 200);
+  assert.equal(byTitle.body.toSlide, 2);
+
+  const already = await api.request('POST', '/api/go-to-slide', { body: { slide: 2 } });
+  assert.equal(already.status, 200);
+  assert.equal(already.body.method, 'none');
+
+  const index = await api.request('GET', '/api/deck-index');
+  assert.deepEqual(index.body.slides.map(s => s.slide), [1, 2, 7]);
+});
+
+test('POST /api/go-to-slide rejects bad targets', async () => {
+  const cases = [
+    [{ slide: 0 }, 400],
+    [{ slide: 'abc' }, 400],
+    [{ slide: 99 }, 400],
+    [{ slide: 3, mode: 'teleport' }, 400],
+    [{}, 400],
+    [{ title: 'Nothing like this' }, 404],
+    [{ title: 'Slide' }, 409]
+  ];
+  for (const [body, expected] of cases) {
+    const res = await api.request('POST', '/api/go-to-slide', { body });
+    assert.equal(res.status, expected, JSON.stringify(body));
+    assert.ok(res.body.error, JSON.stringify(body));
+  }
+});
+
+test('presenter view routes read and drive the notes window', async () => {
+  const notes = await api.request('GET', '/api/get-speaker-notes');
+  assert.equal(notes.status, 200);
+  assert.equal(notes.body.success, true);
+  assert.equal(notes.body.notes, 'Notes for slide 2');
+
+  const previews = await api.request('GET', '/api/get-slide-previews');
+  assert.equal(previews.status, 200);
+  assert.equal(previews.body.success, true);
+  assert.equal(previews.body.currentSlide, 2);
+  assert.equal(previews.body.nextSlide, 3);
+  assert.match(previews.body.current.dataUrl, /^data:image\/png/);
+
+  for (const route of ['/api/scroll-notes-down', '/api/scroll-notes-up', '/api/zoom-in-notes', '/api/zoom-out-notes']) {
+    const res = await api.request('POST', route);
+    assert.equal(res.status, 200, route);
+    assert.equal(res.body.success, true, route);
+  }
+});
+
+test('POST /api/toggle-video presses k in the slideshow', async () => {
+  const res = await api.request('POST', '/api/toggle-video');
+  assert.equal(res.status, 200);
+  const keys = presentationWindow().webContents.inputEvents.map(e => e.keyCode);
+  assert.ok(keys.includes('K'));
+});
+
+test('speaker notes can be closed and reopened', async () => {
+  const close = await api.request('POST', '/api/close-speaker-notes');
+  assert.equal(close.status, 200);
+  assert.equal((await status()).notesOpen, false);
+
+  const closeAgain = await api.request('POST', '/api/close-speaker-notes');
+  assert.equal(closeAgain.status, 404);
+
+  const open = await api.request('POST', '/api/open-speaker-notes');
+  assert.equal(open.status, 200);
+});
+
+test('POST /api/close-presentation closes the deck', async () => {
+  const res = await api.request('POST', '/api/close-presentation');
+  assert.equal(res.status, 200);
+  await api.waitFor(async () => !(await status()).presentationOpen);
+
+  const next = await api.request('POST', '/api/next-slide');
+  assert.equal(next.status, 404);
+});
+
+test('POST /api/open-presentation opens a deck without notes', async () => {
+  const res = await api.request('POST', '/api/open-presentation', {
+    body: { url: 'https://docs.google.com/presentation/d/abc123/edit' }
+  });
+  assert.equal(res.status, 200);
+  const state = await api.waitFor(async () => {
+    const s = await status();
+    return s.presentationOpen && s.currentSlide === 1 ? s : null;
+  });
+  assert.equal(state.presentationUrl, 'https://docs.google.com/presentation/d/abc123/edit');
+  assert.equal(presentationWindow().webContents.getURL(), 'https://docs.google.com/presentation/d/abc123/present');
+
+  await api.request('POST', '/api/close-presentation');
+});
+
+test('go-to-slide answers NO_PRESENTATION when the deck closes mid-jump', async () => {
+  await api.request('POST', '/api/open-presentation', { body: { url: 'mock:demo' } });
+  await api.waitFor(async () => (await status()).currentSlide === 1);
+
+  // The deck goes away as the number is typed, before it can report arriving
+  const contents = presentationWindow().webContents;
+  const sendInputEvent = contents.sendInputEvent.bind(contents);
+  contents.sendInputEvent = (event) => {
+    if (event.keyCode === 'Return') contents.win.close();
+    else sendInputEvent(event);
+  };
+
+  const res = await api.request('POST', '/api/go-to-slide', { body: { slide: 5, mode: 'type' } });
+  assert.equal(res.status, 404);
+  assert.equal(res.body.errorCode, 'NO_PRESENTATION');
+  assert.equal(presentationWindow(), undefined);
+});
+
+test("a late 'closed' from the replaced deck leaves the new deck alone", async () => {
+  await api.request('POST', '/api/open-presentation', { body: { url: 'mock:first' } });
+  await api.waitFor(async () => (await status()).currentSlide === 1);
+
+  // The presenter closes the deck, and Electron delivers its 'closed' only after the next deck is up
+  const first = presentationWindow();
+  first.destroyed = true;
+  await api.request('POST', '/api/open-presentation-with-notes', { body: { url: 'mock:second' } });
+  await api.waitFor(async () => (await status()).presentationUrl === 'mock:second' && (await status()).currentSlide === 1);
+  await api.request('POST', '/api/next-slide');
+  first.emit('closed');
+
+  const state = await status();
+  assert.equal(state.presentationOpen, true);
+  assert.equal(state.currentSlide, 2);
+
+  await api.request('POST', '/api/close-presentation');
+});
+
+test('go-to-slide is sent to backups only once this machine reached the slide', async () => {
+  const received = [];
+  const backup = http.createServer((req, res) => {
+    received.push(req.url);
+    req.resume();
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, data: null, error: null }));
+  });
+  await new Promise(resolve => backup.listen(0, '127.0.0.1', resolve));
+  await api.request('POST', '/api/open-presentation', { body: { url: 'mock:demo' } });
+  await api.waitFor(async () => (await status()).currentSlide === 1);
+  api.writePrefs({ primaryBackupMode: 'primary', backupIps: [`127.0.0.1:${backup.address().port}`] });
+
+  try {
+    // The deck ignores the typed number, so the jump can't be confirmed
+    const contents = presentationWindow().webContents;
+    const sendInputEvent = contents.sendInputEvent.bind(contents);
+    contents.sendInputEvent = () => {};
+    const missed = await api.request('POST', '/api/go-to-slide', { body: { slide: 5, mode: 'type' } });
+    assert.equal(missed.status, 504);
+    assert.equal(missed.body.errorCode, 'SLIDE_NOT_REACHED');
+
+    contents.sendInputEvent = sendInputEvent;
+    const reached = await api.request('POST', '/api/go-to-slide', { body: { slide: 6, mode: 'type' } });
+    assert.equal(reached.status, 200);
+    await api.waitFor(() => received.includes('/api/go-to-slide'));
+    assert.equal(received.filter(url => url === '/api/go-to-slide').length, 1);
+  } finally {
+    api.writePrefs({ primaryBackupMode: 'standalone', backupIps: [] });
+    await api.request('POST', '/api/close-presentation');
+    await new Promise(resolve => backup.close(resolve));
+  }
+});
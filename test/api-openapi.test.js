@@ -0,0 +1,72 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./helpers/api-harness');
+
+const pkg = require('../package.json');
+
+let api;
+
+before(async () => {
+  api = await startApi();
+});
+
+after(async () => {
+  await api.stop();
+});
+
+test('GET /api/openapi.json is a plain OpenAPI document', async () => {
+  const res = await api.request('GET', '/api/openapi.json');
+  assert.equal(res.status, 200);
+  assert.match(res.headers['content-type'], /application\/json/);
+  assert.equal(res.body.openapi, '3.1.0');
+  assert.equal(res.body.info.version, pkg.version);
+  assert.equal(res.body.success, undefined);
+  assert.ok(res.body.components.schemas.Error.properties.code.enum.includes('PRESET_NOT_FOUND'));
+});
+
+test('every route is documented', async () => {
+  const { body: spec } = await api.request('GET', '/api/openapi.json');
+  for (const [path, ops] of Object.entries(spec.paths)) {
+    for (const [method, op] of Object.entries(ops)) {
+      assert.equal(op['x-undocumented'], undefined, `${method.toUpperCase()} ${path} has no description`);
+      assert.ok(op.summary, `${method.toUpperCase()} ${path} has no summary`);
+      assert.ok(['read', 'control', 'settings'].includes(op['x-scope']));
+    }
+  }
+
+  const preset = spec.paths['/api/presets/{id}'];
+  assert.deepEqual(Object.keys(preset).sort(), ['delete', 'get', 'post', 'put']);
+  assert.equal(preset.put.parameters[0].in, 'path');
+  assert.equal(preset.put.parameters[0].name, 'id');
+  assert.ok(spec.paths['/api/v2/presets'].post.responses['201']);
+  assert.equal(spec.paths['/api/presets'].post.responses['201'], undefined);
+  assert.ok(spec.paths['/api/go-to-slide'].post.requestBody);
+  assert.ok(spec.paths['/api/go-to-slide'].post.responses['400']);
+});
+
+test('every documented path is served by the router', async () => {
+  const { body: spec } = await api.request('GET', '/api/openapi.json');
+  for (const [path, ops] of Object.entries(spec.paths)) {
+    // An unused method proves the path exists without running its handler
+    const res = await api.request('TRACE', path.replace(/\{[^}]+\}/g, 'x'));
+    assert.equal(res.status, 405, `TRACE ${path}`);
+    assert.deepEqual(
+      res.headers.allow.split(', ').sort(),
+      Object.keys(ops).map(m => m.toUpperCase()).sort(),
+      `Allow header for ${path}`
+    );
+  }
+});
+
+test('the description is readable without an API token', async () => {
+  api.writePrefs({ apiTokens: [{ name: 'Companion', token: 'gso_companion', scopes: ['read', 'control'] }] });
+  try {
+    assert.equal((await api.request('GET', '/api/status')).status, 401);
+    const res = await api.request('GET', '/api/openapi.json');
+    assert.equal(res.status, 200);
+    assert.ok(res.body.components.securitySchemes.bearerToken);
+    assert.deepEqual(res.body.security, [{ bearerToken: [] }, { queryToken: [] }, {}]);
+  } finally {
+    api.writePrefs({ apiTokens: [] });
+  }
+});
@@ -0,0 +1,160 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const dgram = require('dgram');
+const { startApi } = require('./helpers/api-harness');
+
+let api;
+let oscPort;
+let feedback;
+const received = [];
+
+function getFreeUdpPort() {
+  return new Promise((resolve) => {
+    const socket = dgram.createSocket('udp4');
+    socket.bind(0, '127.0.0.1', () => {
+      const { port } = socket.address();
+      socket.close(() => resolve(port));
+    });
+  });
+}
+
+// Sends one OSC packet from a fresh socket and collects anything sent back to it
+function sendOsc(address, args = [], { wait = 150 } = {}) {
+  const packet = Buffer.isBuffer(address) ? address : api.main.encodeOscMessage(address, args);
+  return new Promise((resolve) => {
+    const socket = dgram.createSocket('udp4');
+    const replies = [];
+    socket.on('message', msg => replies.push(...api.main.decodeOscPacket(msg)));
+    socket.send(packet, oscPort, '127.0.0.1', () => {
+      setTimeout(() => socket.close(() => resolve(replies)), wait);
+    });
+  });
+}
+
+async function currentSlide() {
+  return (await api.request('GET', '/api/status')).body.currentSlide;
+}
+
+before(async () => {
+  oscPort = await getFreeUdpPort();
+  feedback = dgram.createSocket('udp4');
+  feedback.on('message', msg => received.push(...api.main.decodeOscPacket(msg)));
+  await new Promise(resolve => feedback.bind(0, '127.0.0.1', resolve));
+
+  api = await startApi({
+    totalSlides: 8,
+    prefs: {
+      oscEnabled: true,
+      oscPort,
+      oscFeedbackTargets: [`127.0.0.1:${feedback.address().port}`],
+      presets: [{ id: 'p-osc', name: 'Keynote', url: 'mock:keynote', withNotes: true }]
+    }
+  });
+  api.main.applyOscSettings();
+  await api.waitFor(() => api.main.getOscStatus().listening);
+});
+
+after(async () => {
+  api.main.stopOscServer();
+  feedback.close();
+  await api.stop();
+});
+
+test('OSC messages encode and decode, including bundles', () => {
+  const { encodeOscMessage, decodeOscPacket } = api.main;
+  const message = encodeOscMessage('/gslide/goto', [12, 'Q&A', 1.5, true, null]);
+  assert.equal(message.length % 4, 0);
+  assert.deepEqual(decodeOscPacket(message), [{ address: '/gslide/goto', args: [12, 'Q&A', 1.5, true, null] }]);
+
+  const first = encodeOscMessage('/gslide/next');
+  const second = encodeOscMessage('/gslide/prev', [1]);
+  const size = (b) => { const out = Buffer.alloc(4); out.writeInt32BE(b.length); return out; };
+  const bundle = Buffer.concat([Buffer.from('#bundle\0'), Buffer.alloc(8), size(first), first, size(second), second]);
+  assert.deepEqual(decodeOscPacket(bundle).map(m => m.address), ['/gslide/next', '/gslide/prev']);
+
+  assert.throws(() => decodeOscPacket(Buffer.from('not osc')));
+});
+
+test('/gslide/preset opens a preset', async () => {
+  await sendOsc('/gslide/preset', ['keynote']);
+  await api.waitFor(async () => (await api.request('GET', '/api/status')).body.presentationUrl === 'mock:keynote');
+  await api.waitFor(async () => (await currentSlide()) === 1);
+});
+
+test('/gslide/next, /gslide/prev and /gslide/goto drive the deck', async () => {
+  await sendOsc('/gslide/next', [1]);
+  await api.waitFor(async () => (await currentSlide()) === 2);
+
+  // Button release (0) is ignored
+  await sendOsc('/gslide/next', [0]);
+  await sendOsc('/gslide/prev', [1.0]);
+  await api.waitFor(async () => (await currentSlide()) === 1);
+
+  await sendOsc('/gslide/goto', [5.0]);
+  await api.waitFor(async () => (await currentSlide()) === 5);
+
+  await sendOsc('/gslide/goto', ['Slide 2']);
+  await api.waitFor(async () => (await currentSlide()) === 2);
+
+  await api.waitFor(() => received.some(m => m.address === '/gslide/slide' && m.args[0] === 5 && m.args[1] === 8));
+});
+
+test('failed commands are answered with /gslide/error', async () => {
+  const replies = await sendOsc('/gslide/preset', ['nope']);
+  assert.deepEqual(replies.map(m => m.address), ['/gslide/error']);
+  assert.equal(replies[0].args[0], 'PRESET_NOT_FOUND');
+
+  const unknown = await sendOsc('/gslide/launch-rockets');
+  assert.deepEqual(unknown, []);
+});
+
+test('OSC senders on this machine pass the controller allowlist, like HTTP', async () => {
+  api.writePrefs({ controllerIps: ['10.9.9.9'] });
+  try {
+    await sendOsc('/gslide/goto', [3]);
+    await api.waitFor(async () => (await currentSlide()) === 3);
+  } finally {
+    api.writePrefs({ controllerIps: [] });
+  }
+});
+
+test('OSC settings are desktop-only and the listener follows them', async () => {
+  const res = await api.request('POST', '/api/preferences', { body: { oscEnabled: false, oscPort: 7000 } });
+  assert.equal(res.status, 200);
+  assert.equal(api.readPrefs().oscEnabled, true);
+  assert.equal(api.readPrefs().oscPort, oscPort);
+
+  api.writePrefs({ oscEnabled: false });
+  api.main.applyOscSettings();
+  assert.equal(api.main.getOscStatus().listening, false);
+
+  // The port is free again
+  await new Promise((resolve, reject) => {
+    const socket = dgram.createSocket('udp4');
+    socket.once('error', reject);
+    socket.bind(oscPort, '0.0.0.0', () => socket.close(resolve));
+  });
+
+  api.writePrefs({ oscEnabled: true });
+  api.main.applyOscSettings();
+  await api.waitFor(() => api.main.getOscStatus().listening);
+});
+
+test('with API tokens the listener needs a controller allowlist', async () => {
+  api.writePrefs({ apiTokens: [{ name: 'Companion', token: 'gso_osc_token_0001', scopes: ['read', 'control'] }] });
+  try {
+    api.main.applyOscSettings();
+    const blocked = api.main.getOscStatus();
+    assert.equal(blocked.listening, false);
+    assert.match(blocked.error, /allowlist/);
+
+    api.writePrefs({ controllerIps: ['127.0.0.1'] });
+    api.main.applyOscSettings();
+    await api.waitFor(() => api.main.getOscStatus().listening);
+    assert.equal(api.main.getOscStatus().error, null);
+    assert.equal(api.main.getOscStatus().unrestricted, false);
+  } finally {
+    api.writePrefs({ apiTokens: [], controllerIps: [] });
+  }
+  assert.equal(api.main.getOscStatus().unrestricted, true);
+});
@@ -0,0 +1,142 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startApi } = require('./helpers/api-harness');
+
+let api;
+let slateDir;
+
+function outputWindow() {
+  return api.electron.windows.find(w => !w.isDestroyed() && w.webContents.getURL().startsWith('data:text/html'));
+}
+
+// The cover passed to showCover() in the cover window
+function lastCover() {
+  const script = outputWindow().webContents.scripts.filter(code => code.startsWith('showCover(')).pop();
+  return JSON.parse(script.slice('showCover('.length, -1));
+}
+
+async function outputMode() {
+  return (await api.request('GET', '/api/output')).body.outputMode;
+}
+
+before(async () => {
+  slateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gso-slate-'));
+  api = await startApi();
+});
+
+after(async () => {
+  await api.stop();
+  fs.rmSync(slateDir, { recursive: true, force: true });
+});
+
+test('blackout and whiteout cover the display without a deck, and toggle', async () => {
+  const black = await api.request('POST', '/api/blackout');
+  assert.equal(black.status, 200);
+  assert.equal(black.body.outputMode, 'blackout');
+  const win = outputWindow();
+  assert.equal(win.alwaysOnTop, 'screen-saver');
+  assert.equal(win.options.focusable, false);
+  assert.ok(win.isVisible());
+  assert.deepEqual(lastCover(), { mode: 'blackout' });
+
+  // Switching covers reuses the window
+  const white = await api.request('POST', '/api/whiteout', { body: { on: true } });
+  assert.equal(white.body.outputMode, 'whiteout');
+  assert.equal(outputWindow(), win);
+  assert.deepEqual(lastCover(), { mode: 'whiteout' });
+
+  // Turning off a cover that isn't showing leaves the other one
+  await api.request('POST', '/api/blackout', { body: { on: false } });
+  assert.equal(await outputMode(), 'whiteout');
+
+  await api.request('POST', '/api/whiteout');
+  assert.equal(await outputMode(), 'live');
+  assert.equal(outputWindow(), undefined);
+
+  const bad = await api.request('POST', '/api/blackout', { body: { on: 'yes' } });
+  assert.equal(bad.status, 400);
+});
+
+test('freeze holds a captured frame while the deck moves on', async () => {
+  const noDeck = await api.request('POST', '/api/freeze', { body: { on: true } });
+  assert.equal(noDeck.body.errorCode, 'NO_PRESENTATION');
+  assert.equal(await outputMode(), 'live');
+
+  await api.request('POST', '/api/open-presentation', { body: { url: 'mock:demo' } });
+  await api.waitFor(async () => (await api.request('GET', '/api/status')).body.currentSlide === 1);
+
+  await api.request('POST', '/api/freeze', { body: { on: true } });
+  assert.equal(lastCover().mode, 'freeze');
+  assert.match(lastCover().image, /^data:image\/png;base64,/);
+
+  // Slides still change underneath and are tracked
+  const next = await api.request('POST', '/api/next-slide');
+  assert.equal(next.status, 200, JSON.stringify(next.body));
+  const status = await api.waitFor(async () => {
+    const body = (await api.request('GET', '/api/status')).body;
+    return body.currentSlide === 2 ? body : null;
+  });
+  assert.equal(status.outputMode, 'freeze');
+
+  await api.request('POST', '/api/output', { body: { mode: 'live' } });
+  assert.equal(outputWindow(), undefined);
+});
+
+test('the slate shows the configured image, or the holding text', async () => {
+  await api.request('POST', '/api/slate', { body: { on: true } });
+  assert.deepEqual(lastCover(), { mode: 'slate', text: 'Please stand by' });
+
+  api.writePrefs({ slateText: 'Back in 5' });
+  await api.request('POST', '/api/output', { body: { mode: 'live' } });
+  await api.request('POST', '/api/slate', { body: { on: true } });
+  assert.deepEqual(lastCover(), { mode: 'slate', text: 'Back in 5' });
+
+  const image = path.join(slateDir, 'logo.png');
+  fs.writeFileSync(image, Buffer.from('fake png'));
+  api.writePrefs({ slateImage: image });
+  await api.request('POST', '/api/output', { body: { mode: 'live' } });
+  await api.request('POST', '/api/slate', { body: { on: true } });
+  assert.deepEqual(lastCover(), { mode: 'slate', image: `data:image/png;base64,${Buffer.from('fake png').toString('base64')}` });
+
+  // The slate image is a local file, so only the desktop app may set it
+  await api.request('POST', '/api/preferences', { body: { slateImage: '/etc/passwd', slateText: 'Doors open' } });
+  assert.equal(api.readPrefs().slateImage, image);
+  assert.equal(api.readPrefs().slateText, 'Doors open');
+
+  await api.request('POST', '/api/slate', { body: { on: false } });
+  assert.equal(await outputMode(), 'live');
+});
+
+test('POST /api/output validates the mode, and closing the cover window resets it', async () => {
+  const bad = await api.request('POST', '/api/output', { body: { mode: 'purple' } });
+  assert.equal(bad.status, 400);
+  assert.equal(bad.body.errorCode, 'INVALID_REQUEST');
+
+  await api.request('POST', '/api/output', { body: { mode: 'blackout' } });
+  outputWindow().close();
+  assert.equal(await outputMode(), 'live');
+});
+
+test('quick successive covers share one window, and two toggles end live', async () => {
+  const dataWindows = () => api.electron.windows.filter(w => w.webContents.getURL().startsWith('data:text/html'));
+  const before = dataWindows().length;
+
+  // Handed to the server in the same tick, so the second starts while the first is still working
+  const [black, white] = await Promise.all([
+    api.inject('POST', '/api/blackout', { body: { on: true } }),
+    api.inject('POST', '/api/whiteout', { body: { on: true } })
+  ]);
+  assert.equal(black.status, 200);
+  assert.equal(white.status, 200);
+  assert.equal(dataWindows().length, before + 1);
+  assert.equal(await outputMode(), 'whiteout');
+  assert.deepEqual(lastCover(), { mode: 'whiteout' });
+
+  await api.request('POST', '/api/output', { body: { mode: 'live' } });
+  await Promise.all([api.inject('POST', '/api/blackout', { body: {} }), api.inject('POST', '/api/blackout', { body: {} })]);
+  assert.equal(await outputMode(), 'live');
+  assert.equal(outputWindow(), undefined);
+});
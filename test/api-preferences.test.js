@@ -0,0 +1,89 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./helpers/api-harness');
+
+let api;
+
+before(async () => {
+  api = await startApi({
+    prefs: {
+      machineName: 'Stage Left',
+      pairingKey: 'secret-pairing-key',
+      backupApiToken: 'backup-token',
+      controllerIps: ['10.0.0.0/8']
+    }
+  });
+});
+
+after(async () => {
+  await api.stop();
+});
+
+test('GET /api/preferences redacts secrets', async () => {
+  const res = await api.request('GET', '/api/preferences');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.machineName, 'Stage Left');
+  assert.equal(res.body.pairingKey, '********');
+  assert.equal(res.body.backupApiToken, '********');
+  assert.deepEqual(res.body.apiTokens, []);
+});
+
+test('POST /api/preferences merges and saves', async () => {
+  const res = await api.request('POST', '/api/preferences', { body: { machineName: 'Stage Right', notesDisplayId: 2 } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.success, true);
+
+  const saved = api.readPrefs();
+  assert.equal(saved.machineName, 'Stage Right');
+  assert.equal(saved.notesDisplayId, 2);
+  // Untouched keys survive the merge
+  assert.equal(saved.pairingKey, 'secret-pairing-key');
+});
+
+test('POST /api/preferences ignores desktop-only settings', async () => {
+  const res = await api.request('POST', '/api/preferences', {
+    body: {
+      controllerIps: ['0.0.0.0/0'],
+      apiTokens: [{ name: 'sneaky', token: 'gso_sneaky', scopes: ['settings'] }],
+      pairingKey: 'replaced',
+      backupApiToken: 'replaced',
+      primaryHost: '10.9.9.9',
+      webUiDebugConsoleEnabled: true
+    }
+  });
+  assert.equal(res.status, 200);
+
+  const saved = api.readPrefs();
+  assert.deepEqual(saved.controllerIps, ['10.0.0.0/8']);
+  assert.deepEqual(saved.apiTokens, []);
+  assert.equal(saved.pairingKey, 'secret-pairing-key');
+  assert.equal(saved.backupApiToken, 'backup-token');
+  assert.equal(saved.primaryHost, undefined);
+  assert.equal(saved.webUiDebugConsoleEnabled, undefined);
+});
+
+test('stagetimer settings round-trip', async () => {
+  const saved = await api.request('POST', '/api/stagetimer-settings', {
+    body: { roomId: 'ROOM1', apiKey: 'KEY1', enabled: false }
+  });
+  assert.equal(saved.status, 200);
+  assert.equal(saved.body.success, true);
+
+  const res = await api.request('GET', '/api/stagetimer-settings');
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.data, { roomId: 'ROOM1', apiKey: 'KEY1', enabled: false, visible: true });
+
+  await api.request('POST', '/api/stagetimer-settings', { body: { visible: false } });
+  const prefs = api.readPrefs();
+  assert.equal(prefs.stagetimerVisible, false);
+  assert.equal(prefs.stagetimerRoomId, 'ROOM1');
+});
+
+test('GET /api/debug/preferences describes the preferences file', async () => {
+  const res = await api.request('GET', '/api/debug/preferences');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.fileExists, true);
+  assert.equal(res.body.directoryWritable, true);
+  assert.equal(res.body.preferences.pairingKey, '********');
+  assert.doesNotMatch(res.body.fileContent, /secret-pairing-key/);
+});
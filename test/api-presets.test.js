@@ -0,0 +1,195 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./helpers/api-harness');
+
+const DECK_A = 'https://docs.google.com/presentation/d/deckA/edit';
+const DECK_B = 'https://docs.google.com/presentation/d/deckB/edit';
+
+let api;
+
+before(async () => {
+  api = await startApi();
+});
+
+after(async () => {
+  await api.stop();
+});
+
+test('GET /api/presets starts empty with legacy keys', async () => {
+  const res = await api.request('GET', '/api/presets');
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.presets, []);
+  assert.equal(res.body.presentation1, '');
+});
+
+test('preset CRUD through /api/presets and /api/presets/:id', async () => {
+  const created = await api.request('POST', '/api/presets', {
+    body: { name: 'Keynote', url: DECK_A, startSlide: 3, withNotes: true, tags: ['day1'] }
+  });
+  assert.equal(created.status, 200);
+  const id = created.body.preset.id;
+  assert.equal(created.body.preset.name, 'Keynote');
+  assert.equal(created.body.preset.startSlide, 3);
+  assert.equal(created.body.presentation1, DECK_A);
+
+  const fetched = await api.request('GET', `/api/presets/${id}`);
+  assert.equal(fetched.status, 200);
+  assert.equal(fetched.body.preset.url, DECK_A);
+
+  const byName = await api.request('GET', '/api/presets/keynote');
+  assert.equal(byName.status, 200);
+  assert.equal(byName.body.preset.id, id);
+
+  const updated = await api.request('PUT', `/api/presets/${id}`, { body: { name: 'Opening keynote' } });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.preset.name, 'Opening keynote');
+  assert.equal(updated.body.preset.url, DECK_A);
+
+  const second = await api.request('POST', '/api/presets', { body: { name: 'Panel', url: DECK_B } });
+  assert.equal(second.status, 200);
+
+  // Whole-list PUT reorders and keeps ids
+  const list = (await api.request('GET', '/api/presets')).body.presets;
+  const reordered = await api.request('PUT', '/api/presets', { body: { presets: [list[1], list[0]] } });
+  assert.equal(reordered.status, 200);
+  assert.deepEqual(reordered.body.presets.map(p => p.name), ['Panel', 'Opening keynote']);
+  assert.equal(reordered.body.presets[1].id, id);
+
+  const removed = await api.request('DELETE', `/api/presets/${id}`);
+  assert.equal(removed.status, 200);
+  assert.equal((await api.request('GET', `/api/presets/${id}`)).status, 404);
+  assert.equal(api.readPrefs().presets.length, 1);
+});
+
+test('legacy presentation3 alone is refused while it would become an earlier preset', async () => {
+  // One preset: presentation3 would land in slot 2
+  const res = await api.request('POST', '/api/presets', { body: { presentation3: DECK_B } });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.errorCode, 'INVALID_REQUEST');
+  assert.equal(api.readPrefs().presets.length, 1);
+});
+
+test('legacy presentation1-3 bodies still update the first presets', async () => {
+  const res = await api.request('POST', '/api/presets', { body: { presentation2: DECK_A } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.presentation2, DECK_A);
+  assert.equal(res.body.presets.length, 2);
+
+  const third = await api.request('POST', '/api/presets', { body: { presentation3: DECK_B } });
+  assert.equal(third.status, 200);
+  assert.equal(third.body.presentation3, DECK_B);
+
+  // Clearing a slot with presets after it would move them up
+  const clearedFirst = await api.request('POST', '/api/presets', { body: { presentation1: '' } });
+  assert.equal(clearedFirst.status, 400);
+  assert.equal(api.readPrefs().presets[1].url, DECK_A);
+
+  const clearedLast = await api.request('POST', '/api/presets', { body: { presentation3: '' } });
+  assert.equal(clearedLast.status, 200);
+  assert.equal(clearedLast.body.presentation3, '');
+  assert.equal(clearedLast.body.presets.length, 2);
+});
+
+test('preset validation errors are 400', async () => {
+  const cases = [
+    ['POST', '/api/presets', { name: 'No url' }],
+    ['POST', '/api/presets', { name: 'Bad url', url: 'ftp://example.com/deck' }],
+    ['POST', '/api/presets', { name: 'Bad start', url: DECK_A, startSlide: 0 }],
+    ['PUT', '/api/presets', { name: 'Not a list' }]
+  ];
+  for (const [method, route, body] of cases) {
+    const res = await api.request(method, route, { body });
+    assert.equal(res.status, 400, JSON.stringify(body));
+    assert.equal(res.body.success, false);
+    assert.equal(res.body.errorCode, 'INVALID_REQUEST');
+  }
+
+  const missing = await api.request('PUT', '/api/presets/p-nope', { body: { name: 'x' } });
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.errorCode, 'PRESET_NOT_FOUND');
+});
+
+test('mock: decks are accepted as preset urls', async () => {
+  const res = await api.request('POST', '/api/presets', { body: { name: 'Offline', url: 'mock:demo' } });
+  assert.equal(res.status, 200);
+});
+
+test('POST /api/open-preset opens by name and reports unknown presets', async () => {
+  const missing = await api.request('POST', '/api/open-preset', { body: { preset: 'Nope' } });
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.errorCode, 'PRESET_NOT_FOUND');
+
+  const noRef = await api.request('POST', '/api/open-preset', { body: {} });
+  assert.equal(noRef.status, 400);
+  assert.equal(noRef.body.errorCode, 'INVALID_REQUEST');
+  assert.match(noRef.body.error, /required/);
+
+  const opened = await api.request('POST', '/api/open-preset', { body: { name: 'Offline' } });
+  assert.equal(opened.status, 200);
+  assert.equal(opened.body.url, 'mock:demo');
+  await api.waitFor(async () => (await api.request('GET', '/api/status')).body.presentationOpen);
+
+  await api.request('POST', '/api/close-presentation');
+});
+
+test('rundown can be saved, stepped through and validated', async () => {
+  const saved = await api.request('PUT', '/api/rundown', {
+    body: { items: [{ title: 'Open', url: 'mock:open' }, { title: 'Close', url: 'mock:close', startSlide: 1 }] }
+  });
+  assert.equal(saved.status, 200);
+  assert.equal(saved.body.rundown.items.length, 2);
+
+  const bad = await api.request('PUT', '/api/rundown', { body: { items: 'nope' } });
+  assert.equal(bad.status, 400);
+
+  const badItem = await api.request('PUT', '/api/rundown', { body: { items: [{ title: 'No url' }] } });
+  assert.equal(badItem.status, 400);
+
+  const first = await api.request('POST', '/api/rundown/go', { body: { index: 0 } });
+  assert.equal(first.status, 200);
+  assert.equal(first.body.item.title, 'Open');
+
+  const previous = await api.request('POST', '/api/rundown/previous');
+  assert.equal(previous.status, 409);
+  assert.equal(previous.body.errorCode, 'CONFLICT');
+
+  const next = await api.request('POST', '/api/rundown/next');
+  assert.equal(next.status, 200);
+  assert.equal(next.body.item.title, 'Close');
+
+  const invalid = await api.request('POST', '/api/rundown/go', { body: { index: -3 } });
+  assert.equal(invalid.status, 400);
+
+  await api.request('POST', '/api/close-presentation');
+});
+
+test('cue, take and clear-cue', async () => {
+  const noTarget = await api.request('POST', '/api/cue', { body: {} });
+  assert.equal(noTarget.status, 400);
+
+  const unknownPreset = await api.request('POST', '/api/cue', { body: { preset: 'Nope' } });
+  assert.equal(unknownPreset.status, 404);
+
+  const nothingCued = await api.request('POST', '/api/take');
+  assert.equal(nothingCued.status, 409);
+  assert.equal(nothingCued.body.errorCode, 'CONFLICT');
+
+  const cued = await api.request('POST', '/api/cue', { body: { url: 'mock:next', title: 'Next up' } });
+  assert.equal(cued.status, 200);
+  assert.equal(cued.body.cued.title, 'Next up');
+  assert.equal((await api.request('GET', '/api/cue')).body.cued.url, 'mock:next');
+
+  const cleared = await api.request('POST', '/api/clear-cue');
+  assert.equal(cleared.status, 200);
+  assert.equal((await api.request('GET', '/api/cue')).body.cued, null);
+
+  await api.request('POST', '/api/cue', { body: { url: 'mock:next' } });
+  const taken = await api.request('POST', '/api/take');
+  assert.equal(taken.status, 200);
+  assert.equal(taken.body.taken.url, 'mock:next');
+  const state = (await api.request('GET', '/api/status')).body;
+  assert.equal(state.presentationOpen, true);
+  assert.equal(state.presentationUrl, 'mock:next');
+
+  await api.request('POST', '/api/close-presentation');
+});
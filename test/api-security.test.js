@@ -0,0 +1,212 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./helpers/api-harness');
+
+const READ_TOKEN = 'gso_read_token_0001';
+const CONTROL_TOKEN = 'gso_control_token_0002';
+
+let api;
+
+before(async () => {
+  api = await startApi();
+});
+
+after(async () => {
+  await api.stop();
+});
+
+test('controller allowlist: unlisted remotes get 403, listed and local ones pass', async () => {
+  // No allowlist configured: anyone may call
+  assert.equal((await api.inject('GET', '/api/status', { remoteAddress: '203.0.113.7' })).status, 200);
+
+  api.writePrefs({ controllerIps: ['192.168.10.0/24', '10.1.2.3'] });
+  try {
+    const denied = await api.inject('GET', '/api/status', { remoteAddress: '203.0.113.7' });
+    assert.equal(denied.status, 403);
+    assert.equal(denied.body.errorCode, 'FORBIDDEN');
+
+    const deniedPost = await api.inject('POST', '/api/next-slide', { remoteAddress: '::ffff:192.168.11.5' });
+    assert.equal(deniedPost.status, 403);
+
+    assert.equal((await api.inject('GET', '/api/status', { remoteAddress: '::ffff:192.168.10.44' })).status, 200);
+    assert.equal((await api.inject('GET', '/api/status', { remoteAddress: '10.1.2.3' })).status, 200);
+    // The desktop app and local tooling are always allowed
+    assert.equal((await api.inject('GET', '/api/status', { remoteAddress: '::ffff:127.0.0.1' })).status, 200);
+  } finally {
+    api.writePrefs({ controllerIps: [] });
+  }
+});
+
+test('API tokens: missing, wrong and under-scoped tokens are refused', async () => {
+  api.writePrefs({
+    apiTokens: [
+      { name: 'Dashboard', token: READ_TOKEN, scopes: ['read'] },
+      { name: 'Companion', token: CONTROL_TOKEN, scopes: ['read', 'control'] }
+    ]
+  });
+  try {
+    const missing = await api.request('GET', '/api/status');
+    assert.equal(missing.status, 401);
+    assert.match(missing.headers['www-authenticate'], /Bearer/);
+    assert.equal(missing.body.errorCode, 'AUTH_REQUIRED');
+
+    const wrong = await api.request('GET', '/api/status', { headers: { Authorization: 'Bearer nope' } });
+    assert.equal(wrong.status, 401);
+    assert.equal(wrong.body.errorCode, 'INVALID_TOKEN');
+
+    const read = await api.request('GET', '/api/status', { headers: { Authorization: `Bearer ${READ_TOKEN}` } });
+    assert.equal(read.status, 200);
+
+    const readViaQuery = await api.request('GET', `/api/status?token=${READ_TOKEN}`);
+    assert.equal(readViaQuery.status, 200);
+
+    const control = await api.request('POST', '/api/next-slide', { headers: { Authorization: `Bearer ${READ_TOKEN}` } });
+    assert.equal(control.status, 403);
+    assert.equal(control.body.errorCode, 'INSUFFICIENT_SCOPE');
+
+    const settings = await api.request('POST', '/api/preferences', {
+      body: { machineName: 'x' },
+      headers: { Authorization: `Bearer ${CONTROL_TOKEN}` }
+    });
+    assert.equal(settings.status, 403);
+
+    // Saved to preferences, so not a control command
+    const monitor = await api.request('POST', '/api/confidence-monitor', {
+      body: { on: true },
+      headers: { Authorization: `Bearer ${CONTROL_TOKEN}` }
+    });
+    assert.equal(monitor.status, 403);
+    assert.equal(monitor.body.errorCode, 'INSUFFICIENT_SCOPE');
+    assert.notEqual(api.readPrefs().confidenceMonitorEnabled, true);
+
+    // Allowed through auth; fails later only because no deck is open
+    const next = await api.request('POST', '/api/next-slide', { headers: { Authorization: `Bearer ${CONTROL_TOKEN}` } });
+    assert.equal(next.status, 404);
+
+    // Failover heartbeat stays open so backups can probe without a token
+    assert.equal((await api.request('GET', '/api/heartbeat')).status, 200);
+  } finally {
+    api.writePrefs({ apiTokens: [] });
+  }
+});
+
+test('paired backup refuses unsigned commands from the network', async () => {
+  api.writePrefs({ primaryBackupMode: 'backup', pairingKey: 'pairing-secret', primaryHost: '10.0.0.1' });
+  try {
+    const unsigned = await api.inject('POST', '/api/next-slide', { remoteAddress: '10.0.0.1', body: {} });
+    assert.equal(unsigned.status, 401);
+    assert.equal(unsigned.body.errorCode, 'UNSIGNED_COMMAND');
+    assert.match(unsigned.body.error, /not signed/);
+
+    // Reads and local callers are not affected
+    assert.equal((await api.inject('GET', '/api/status', { remoteAddress: '10.0.0.1' })).status, 200);
+    assert.equal((await api.inject('POST', '/api/next-slide', { remoteAddress: '127.0.0.1', body: {} })).status, 404);
+  } finally {
+    api.writePrefs({ primaryBackupMode: 'standalone', pairingKey: null, primaryHost: null });
+  }
+});
+
+test('paired backup: the Web UI proxy refuses unsigned commands from LAN browsers', async () => {
+  const webUi = await api.startWebUi();
+  api.writePrefs({ primaryBackupMode: 'backup', pairingKey: 'pairing-secret', primaryHost: '10.0.0.1' });
+  try {
+    const unsigned = await api.inject('POST', '/api/next-slide', { target: webUi, remoteAddress: '192.168.1.50', body: {} });
+    assert.equal(unsigned.status, 401);
+    assert.equal(unsigned.body.errorCode, 'UNSIGNED_COMMAND');
+
+    // Reads still go through, and so does the operator at this machine
+    const read = await api.inject('GET', '/api/status', { target: webUi, remoteAddress: '192.168.1.50' });
+    assert.equal(read.status, 200);
+    assert.equal(read.body.success, true);
+    const local = await api.inject('POST', '/api/next-slide', { target: webUi, remoteAddress: '127.0.0.1', body: {} });
+    assert.equal(local.status, 404);
+  } finally {
+    api.writePrefs({ primaryBackupMode: 'standalone', pairingKey: null, primaryHost: null });
+  }
+});
+
+test('paired backup: remote promote/demote need a settings-scope token', async () => {
+  const SETTINGS_TOKEN = 'gso_settings_token_0003';
+  api.writePrefs({ primaryBackupMode: 'backup', pairingKey: 'pairing-secret', primaryHost: '10.0.0.1' });
+  try {
+    const open = await api.inject('POST', '/api/failover/promote', { remoteAddress: '192.168.1.50', body: {} });
+    assert.equal(open.status, 401);
+    assert.equal(open.body.errorCode, 'UNSIGNED_COMMAND');
+    assert.equal(api.readPrefs().primaryBackupMode, 'backup');
+
+    api.writePrefs({
+      apiTokens: [
+        { name: 'Companion', token: CONTROL_TOKEN, scopes: ['read', 'control'] },
+        { name: 'Stage manager', token: SETTINGS_TOKEN, scopes: ['read', 'control', 'settings'] }
+      ]
+    });
+    const control = await api.inject('POST', '/api/failover/promote', {
+      remoteAddress: '192.168.1.50',
+      headers: { authorization: `Bearer ${CONTROL_TOKEN}` },
+      body: {}
+    });
+    assert.equal(control.status, 403);
+    assert.equal(control.body.errorCode, 'INSUFFICIENT_SCOPE');
+
+    const promoted = await api.inject('POST', '/api/failover/promote', {
+      remoteAddress: '192.168.1.50',
+      headers: { authorization: `Bearer ${SETTINGS_TOKEN}` },
+      body: {}
+    });
+    assert.equal(promoted.status, 200);
+    assert.equal(api.readPrefs().primaryBackupMode, 'primary');
+
+    const demoted = await api.inject('POST', '/api/failover/demote', {
+      remoteAddress: '192.168.1.50',
+      headers: { authorization: `Bearer ${SETTINGS_TOKEN}` },
+      body: {}
+    });
+    assert.equal(demoted.status, 200);
+    assert.equal(api.readPrefs().primaryBackupMode, 'backup');
+  } finally {
+    api.writePrefs({ primaryBackupMode: 'standalone', pairingKey: null, primaryHost: null, apiTokens: [] });
+  }
+});
+
+test('malformed JSON bodies are rejected without crashing the server', async () => {
+  const cases = [
+    ['POST', '/api/open-presentation'],
+    ['POST', '/api/open-presentation-with-notes'],
+    ['POST', '/api/go-to-slide'],
+    ['POST', '/api/preferences'],
+    ['POST', '/api/stagetimer-settings'],
+    ['POST', '/api/presets'],
+    ['PUT', '/api/presets'],
+    ['PUT', '/api/rundown'],
+    ['POST', '/api/rundown/go'],
+    ['POST', '/api/open-preset'],
+    ['POST', '/api/cue'],
+    ['POST', '/api/backup-resync']
+  ];
+  for (const [method, route] of cases) {
+    const res = await api.request(method, route, { body: '{"url": ', raw: true });
+    assert.equal(res.status, 400, `${method} ${route}`);
+    assert.equal(res.body.errorCode, 'INVALID_JSON', `${method} ${route}`);
+  }
+
+  await api.request('POST', '/api/presets', { body: { name: 'Target', url: 'mock:target' } });
+  const presetUpdate = await api.request('PUT', '/api/presets/Target', { body: '{nope', raw: true });
+  assert.equal(presetUpdate.status, 400);
+
+  const notAnObject = await api.request('POST', '/api/preferences', { body: '[1, 2]', raw: true });
+  assert.equal(notAnObject.status, 400);
+  assert.equal(notAnObject.body.errorCode, 'INVALID_JSON');
+
+  // Still serving afterwards
+  assert.equal((await api.request('GET', '/api/status')).status, 200);
+});
+
+test('oversized bodies are refused with 413', async () => {
+  const huge = JSON.stringify({ name: 'x'.repeat(1024 * 1024 + 16) });
+  const res = await api.request('POST', '/api/preferences', { body: huge, raw: true });
+  assert.equal(res.status, 413);
+  assert.equal(res.body.errorCode, 'PAYLOAD_TOO_LARGE');
+  assert.equal(api.readPrefs().name, undefined);
+
+  assert.equal((await api.request('GET', '/api/status')).status, 200);
+});
@@ -0,0 +1,228 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const https = require('https');
+const { EventEmitter } = require('events');
+const { Readable } = require('stream');
+const { startApi } = require('./helpers/api-harness');
+
+const pkg = require('../package.json');
+
+let api;
+
+before(async () => {
+  api = await startApi();
+});
+
+after(async () => {
+  await api.stop();
+});
+
+test('GET /api/status reports an idle app', async () => {
+  const res = await api.request('GET', '/api/status');
+  assert.equal(res.status, 200);
+  assert.equal(res.headers['access-control-allow-origin'], '*');
+  assert.equal(res.body.success, true);
+  assert.equal(res.body.error, null);
+  assert.equal(res.body.data.presentationOpen, false);
+  // Older clients read the same fields from the top level
+  assert.equal(res.body.status, 'ok');
+  assert.equal(res.body.version, pkg.version);
+  assert.equal(res.body.presentationOpen, false);
+  assert.equal(res.body.notesOpen, false);
+  assert.equal(res.body.currentSlide, null);
+  assert.equal(res.body.loginState, false);
+  assert.equal(res.body.slideTracking.source, null);
+});
+
+test('GET /api/heartbeat answers with role and machine name', async () => {
+  const res = await api.request('GET', '/api/heartbeat');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, 'ok');
+  assert.equal(res.body.role, 'standalone');
+  assert.equal(typeof res.body.machineName, 'string');
+});
+
+test('GET /api/displays lists the stubbed screens', async () => {
+  const res = await api.request('GET', '/api/displays');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.data.length, 2);
+  assert.equal(res.body.data[0].primary, true);
+  assert.equal(res.body.data[0].label, '1920x1080 @ (0, 0)');
+});
+
+test('read-only state routes answer without a presentation', async () => {
+  const deck = await api.request('GET', '/api/deck-index');
+  assert.equal(deck.status, 200);
+  assert.deepEqual(deck.body.slides, []);
+
+  const cue = await api.request('GET', '/api/cue');
+  assert.equal(cue.status, 200);
+  assert.equal(cue.body.cued, null);
+
+  const rundown = await api.request('GET', '/api/rundown');
+  assert.equal(rundown.status, 200);
+  assert.deepEqual(rundown.body.rundown.items, []);
+
+  const backups = await api.request('GET', '/api/backup-status');
+  assert.equal(backups.status, 200);
+  assert.deepEqual(backups.body.backups, []);
+
+  const failover = await api.request('GET', '/api/failover');
+  assert.equal(failover.status, 200);
+  assert.equal(failover.body.role, 'standalone');
+
+  const discovery = await api.request('GET', '/api/discovery');
+  assert.equal(discovery.status, 200);
+  assert.ok(Array.isArray(discovery.body.instances));
+});
+
+test('presenter view routes explain that no notes window is open', async () => {
+  const notes = await api.request('GET', '/api/get-speaker-notes');
+  assert.equal(notes.status, 404);
+  assert.equal(notes.body.success, false);
+  assert.equal(notes.body.errorCode, 'NO_NOTES_WINDOW');
+  assert.match(notes.body.error, /No speaker notes window/);
+
+  const previews = await api.request('GET', '/api/get-slide-previews');
+  assert.equal(previews.status, 404);
+  assert.equal(previews.body.errorCode, 'NO_NOTES_WINDOW');
+});
+
+test('GET /api/get-stagetimer-status reports missing configuration', async () => {
+  const res = await api.request('GET', '/api/get-stagetimer-status');
+  assert.equal(res.status, 409);
+  assert.equal(res.body.success, false);
+  assert.equal(res.body.errorCode, 'NOT_CONFIGURED');
+  assert.equal(res.body.errorDetails.configured, false);
+});
+
+// stagetimer.io's answer to a bad key; stubbed so the test never leaves this machine
+function stagetimerRejects(hosts) {
+  return (url, onResponse) => {
+    hosts.push(new URL(url).host);
+    const req = new EventEmitter();
+    req.setTimeout = () => req;
+    req.destroy = () => {};
+    const res = Readable.from([JSON.stringify({ ok: false, message: 'Invalid API key' })]);
+    res.statusCode = 200;
+    process.nextTick(() => onResponse(res));
+    return req;
+  };
+}
+
+test('GET /api/get-stagetimer-status reports stagetimer.io failures as UPSTREAM_ERROR', async (t) => {
+  const hosts = [];
+  t.mock.method(https, 'get', stagetimerRejects(hosts));
+  api.writePrefs({ stagetimerRoomId: 'room', stagetimerApiKey: 'not-a-key' });
+  try {
+    const res = await api.request('GET', '/api/get-stagetimer-status');
+    assert.equal(res.status, 502);
+    assert.equal(res.body.errorCode, 'UPSTREAM_ERROR');
+    assert.equal(res.body.error, 'Invalid API key');
+    assert.deepEqual([...new Set(hosts)], ['api.stagetimer.io']);
+  } finally {
+    api.writePrefs({ stagetimerRoomId: null, stagetimerApiKey: null });
+  }
+});
+
+test('failover promote/demote are refused outside backup mode', async () => {
+  const promote = await api.request('POST', '/api/failover/promote');
+  assert.equal(promote.status, 409);
+  assert.equal(promote.body.success, false);
+  assert.equal(promote.body.errorCode, 'CONFLICT');
+
+  const demote = await api.request('POST', '/api/failover/demote');
+  assert.equal(demote.status, 409);
+});
+
+test('POST /api/backup-resync needs primary mode', async () => {
+  const res = await api.request('POST', '/api/backup-resync', { body: {} });
+  assert.equal(res.status, 409);
+  assert.equal(res.body.errorCode, 'CONFLICT');
+});
+
+test('OPTIONS preflight is answered with CORS headers', async () => {
+  const res = await api.request('OPTIONS', '/api/next-slide');
+  assert.equal(res.status, 200);
+  assert.match(res.headers['access-control-allow-methods'], /POST/);
+  assert.match(res.headers['access-control-allow-headers'], /Authorization/);
+});
+
+test('unknown routes are 404 and wrong methods 405', async () => {
+  const unknown = await api.request('GET', '/api/does-not-exist');
+  assert.equal(unknown.status, 404);
+  assert.deepEqual(unknown.body, {
+    success: false,
+    data: null,
+    error: 'No such endpoint: GET /api/does-not-exist',
+    errorCode: 'NOT_FOUND'
+  });
+
+  // /api/v2 errors are objects
+  const unknownV2 = await api.request('GET', '/api/v2/does-not-exist');
+  assert.equal(unknownV2.status, 404);
+  assert.deepEqual(unknownV2.body, {
+    success: false,
+    data: null,
+    error: { code: 'NOT_FOUND', message: 'No such endpoint: GET /api/v2/does-not-exist' }
+  });
+
+  const wrongMethod = await api.request('GET', '/api/next-slide');
+  assert.equal(wrongMethod.status, 405);
+  assert.equal(wrongMethod.headers.allow, 'POST');
+  assert.equal(wrongMethod.body.errorCode, 'METHOD_NOT_ALLOWED');
+
+  // Query strings don't change which route answers
+  assert.equal((await api.request('GET', '/api/status?verbose=1')).status, 200);
+});
+
+test('GET /mock/... serves the offline test deck pages', async () => {
+  const present = await api.request('GET', '/mock/presentation/d/demo/present?slides=4');
+  assert.equal(present.status, 200);
+  assert.match(present.headers['content-type'], /text\/html/);
+  assert.match(present.text, /Mock deck demo - Google Slides/);
+
+  const presenter = await api.request('GET', '/mock/presentation/d/demo/presenter');
+  assert.equal(presenter.status, 200);
+  assert.match(presenter.text, /punch-viewer-speakernotes-text-body-scrollable/);
+
+  const missing = await api.request('GET', '/mock/presentation/d/demo/edit');
+  assert.equal(missing.status, 404);
+});
+
+test('backups listed as host:port are reached on that port', async () => {
+  const backup = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, data: null, error: null, presentationOpen: false }));
+  });
+  await new Promise(resolve => backup.listen(0, '127.0.0.1', resolve));
+  // backupPort points nowhere, so only the entry's own port can answer
+  api.writePrefs({ primaryBackupMode: 'primary', backupPort: 1, backupIps: [`127.0.0.1:${backup.address().port}`] });
+  try {
+    const res = await api.request('GET', '/api/backup-status');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.backups.length, 1);
+    assert.equal(res.body.backups[0].status, 'connected');
+  } finally {
+    api.writePrefs({ primaryBackupMode: 'standalone', backupPort: null, backupIps: [] });
+    await new Promise(resolve => backup.close(resolve));
+  }
+});
+
+test('mDNS names may have many labels, but compression pointer loops are refused', () => {
+  const header = Buffer.from([0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0]);
+  const typeAndClass = Buffer.from([0, 12, 0, 1]);
+  const labels = Array.from({ length: 25 }, (_, i) => `l${i}`);
+  const longName = Buffer.concat([
+    ...labels.map(label => Buffer.concat([Buffer.from([label.length]), Buffer.from(label)])),
+    Buffer.from([0])
+  ]);
+  const packet = api.main.decodeDnsPacket(Buffer.concat([header, longName, typeAndClass]));
+  assert.equal(packet.questions[0].name, labels.join('.'));
+  assert.equal(packet.questions[0].type, 12);
+
+  // A pointer to itself (offset 12)
+  const loop = Buffer.concat([header, Buffer.from([0xc0, 12]), typeAndClass]);
+  assert.throws(() => api.main.decodeDnsPacket(loop), /compression pointers/);
+});
@@ -0,0 +1,199 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const dgram = require('dgram');
+const net = require('net');
+const { startApi } = require('./helpers/api-harness');
+
+let api;
+let port;
+let client;
+const lines = [];
+
+function getFreePort() {
+  return new Promise((resolve) => {
+    const server = net.createServer();
+    server.listen(0, '127.0.0.1', () => {
+      const { port: free } = server.address();
+      server.close(() => resolve(free));
+    });
+  });
+}
+
+// Resolves with the next line the server sends that isn't an unsolicited STATUS broadcast
+async function send(command) {
+  const start = lines.length;
+  client.write(`${command}\r\n`);
+  return api.waitFor(() => lines.slice(start).find(line => !line.startsWith('STATUS ') || /^STATUS\??$/i.test(command)));
+}
+
+function connect() {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(port, '127.0.0.1', () => resolve(socket));
+    socket.once('error', reject);
+  });
+}
+
+before(async () => {
+  port = await getFreePort();
+  api = await startApi({
+    totalSlides: 12,
+    prefs: {
+      textControlEnabled: true,
+      textControlPort: port,
+      presets: [{ id: 'p-keynote', name: 'Keynote', url: 'mock:keynote' }]
+    }
+  });
+  api.main.applyTextControlSettings();
+  await api.waitFor(() => api.main.getTextControlStatus().listening);
+
+  client = await connect();
+  let buffered = '';
+  client.setEncoding('utf8');
+  client.on('data', (chunk) => {
+    buffered += chunk;
+    const parts = buffered.split('\r\n');
+    buffered = parts.pop();
+    lines.push(...parts);
+  });
+});
+
+after(async () => {
+  client.destroy();
+  api.main.stopTextControlServer();
+  await api.stop();
+});
+
+test('STATUS? reports the state before anything is open', async () => {
+  assert.equal(await send('STATUS?'), 'STATUS PRESENTATION=CLOSED SLIDE=0 TOTAL=0 NOTES=CLOSED');
+  assert.equal(await send('NEXT'), 'ERROR NO_PRESENTATION No presentation is open');
+});
+
+test('PRESET, NEXT, PREV and GOTO drive the deck and answer with the new state', async () => {
+  const opened = await send('PRESET keynote');
+  assert.match(opened, /^OK PRESENTATION=OPEN /);
+  await api.waitFor(async () => (await api.request('GET', '/api/status')).body.currentSlide === 1);
+
+  assert.match(await send('next'), /^OK PRESENTATION=OPEN SLIDE=2 TOTAL=12 /);
+  assert.match(await send('GOTO 9'), /^OK PRESENTATION=OPEN SLIDE=9 /);
+  assert.match(await send('PREV'), /SLIDE=8 /);
+  // Titles come from the deck index, which knows the slides visited so far
+  assert.match(await send('goto Slide 2'), /SLIDE=2 /);
+  assert.equal(await send('STATUS?'), 'STATUS PRESENTATION=OPEN SLIDE=2 TOTAL=12 NOTES=CLOSED');
+});
+
+test('errors use the HTTP API codes', async () => {
+  assert.equal(await send('PRESET nope'), 'ERROR PRESET_NOT_FOUND Preset "nope" not found');
+  assert.equal(await send('LAUNCH rockets'), 'ERROR NOT_FOUND Unknown command: LAUNCH');
+  assert.match(await send('GOTO'), /^ERROR INVALID_REQUEST /);
+});
+
+test('several commands in one packet are answered in order', async () => {
+  const start = lines.length;
+  client.write('GOTO 5\nNEXT\rSTATUS?\r\n');
+  const oks = await api.waitFor(() => {
+    const found = lines.slice(start).filter(line => line.startsWith('OK '));
+    return found.length >= 2 ? found : null;
+  });
+  assert.match(oks[0], /SLIDE=5 /);
+  assert.match(oks[1], /SLIDE=6 /);
+  // STATUS? comes after both (broadcasts for the slide changes may be interleaved)
+  const afterNext = lines.indexOf(oks[1], start);
+  await api.waitFor(() => lines.slice(afterNext).includes('STATUS PRESENTATION=OPEN SLIDE=6 TOTAL=12 NOTES=CLOSED'));
+});
+
+test('connected clients are told when the slide changes elsewhere', async () => {
+  const start = lines.length;
+  await api.request('POST', '/api/go-to-slide', { body: { slide: 11 } });
+  await api.waitFor(() => lines.slice(start).includes('STATUS PRESENTATION=OPEN SLIDE=11 TOTAL=12 NOTES=CLOSED'));
+});
+
+test('UDP datagrams to the same port get their reply', async () => {
+  const socket = dgram.createSocket('udp4');
+  try {
+    const reply = await new Promise((resolve) => {
+      socket.once('message', msg => resolve(msg.toString()));
+      socket.send('STATUS?\r\n', port, '127.0.0.1');
+    });
+    assert.equal(reply, 'STATUS PRESENTATION=OPEN SLIDE=11 TOTAL=12 NOTES=CLOSED\r\n');
+  } finally {
+    socket.close();
+  }
+});
+
+test('UDP senders outside the controller allowlist get no reply', async () => {
+  // 127.0.0.2 is still this machine, but only 127.0.0.1 counts as local
+  const socket = dgram.createSocket('udp4');
+  await new Promise(resolve => socket.bind(0, '127.0.0.2', resolve));
+  const replies = [];
+  socket.on('message', msg => replies.push(msg.toString()));
+  api.writePrefs({ controllerIps: ['192.0.2.50'] });
+  try {
+    socket.send('NEXT\r\n', port, '127.0.0.1');
+    await new Promise(resolve => setTimeout(resolve, 300));
+    assert.deepEqual(replies, []);
+    assert.match((await send('STATUS?')), /SLIDE=11 /);
+
+    api.writePrefs({ controllerIps: ['192.0.2.50', '127.0.0.2'] });
+    socket.send('STATUS?\r\n', port, '127.0.0.1');
+    await api.waitFor(() => replies.length === 1);
+    assert.match(replies[0], /^STATUS PRESENTATION=OPEN SLIDE=11 /);
+  } finally {
+    api.writePrefs({ controllerIps: [] });
+    socket.close();
+  }
+});
+
+test('an over-long line is refused once and the connection is dropped', async () => {
+  const socket = await connect();
+  let received = '';
+  socket.setEncoding('utf8');
+  socket.on('data', (chunk) => { received += chunk; });
+  let closed = false;
+  socket.once('close', () => { closed = true; });
+  socket.on('error', () => {});
+
+  // The sender keeps going after the limit; the rest is neither buffered nor run
+  socket.write('x'.repeat(600));
+  socket.write('NEXT\r\n'.repeat(50));
+  await api.waitFor(() => closed);
+  assert.equal(received, 'ERROR INVALID_REQUEST Line longer than 512 characters\r\n');
+  assert.equal(api.main.getTextControlStatus().clients, 1);
+  assert.match(await send('STATUS?'), /SLIDE=11 /);
+});
+
+test('text control settings are desktop-only and the server follows them', async () => {
+  await api.request('POST', '/api/preferences', { body: { textControlEnabled: false } });
+  assert.equal(api.readPrefs().textControlEnabled, true);
+  assert.equal(api.main.getTextControlStatus().clients, 1);
+
+  api.writePrefs({ textControlEnabled: false });
+  api.main.applyTextControlSettings();
+  assert.deepEqual(
+    { listening: api.main.getTextControlStatus().listening, clients: api.main.getTextControlStatus().clients },
+    { listening: false, clients: 0 }
+  );
+  await assert.rejects(connect());
+
+  api.writePrefs({ textControlEnabled: true });
+  api.main.applyTextControlSettings();
+  await api.waitFor(() => api.main.getTextControlStatus().listening);
+  client = await connect();
+  client.destroy();
+});
+
+test('with API tokens the server needs a controller allowlist', async () => {
+  api.writePrefs({ apiTokens: [{ name: 'Companion', token: 'gso_text_token_0001', scopes: ['read', 'control'] }] });
+  try {
+    api.main.applyTextControlSettings();
+    assert.equal(api.main.getTextControlStatus().listening, false);
+    assert.match(api.main.getTextControlStatus().error, /allowlist/);
+    await assert.rejects(connect());
+
+    api.writePrefs({ controllerIps: ['127.0.0.1'] });
+    api.main.applyTextControlSettings();
+    await api.waitFor(() => api.main.getTextControlStatus().listening);
+    assert.equal(api.main.getTextControlStatus().error, null);
+  } finally {
+    api.writePrefs({ apiTokens: [], controllerIps: [] });
+  }
+});
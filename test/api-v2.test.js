@@ -0,0 +1,204 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./helpers/api-harness');
+
+let api;
+
+before(async () => {
+  api = await startApi({ totalSlides: 12 });
+});
+
+after(async () => {
+  await api.stop();
+});
+
+function notesWindow() {
+  return api.electron.windows.find(w => !w.isDestroyed() && /\/presenter(\?|$)/.test(w.webContents.getURL()));
+}
+
+test('v2 state routes answer while nothing is open', async () => {
+  const presentation = await api.request('GET', '/api/v2/presentation');
+  assert.equal(presentation.status, 200);
+  assert.equal(presentation.body.data.open, false);
+  assert.equal(presentation.body.data.url, null);
+  assert.equal(presentation.body.data.slide.currentSlide, null);
+  // v2 answers are the bare envelope
+  assert.deepEqual(Object.keys(presentation.body).sort(), ['data', 'error', 'success']);
+
+  const notes = await api.request('GET', '/api/v2/notes');
+  assert.deepEqual(notes.body.data, { open: false, text: null, zoomLevel: 0 });
+
+  const slide = await api.request('GET', '/api/v2/presentation/slide');
+  assert.equal(slide.status, 404);
+  assert.equal(slide.body.error.code, 'NO_PRESENTATION');
+
+  const step = await api.request('PUT', '/api/v2/presentation/slide', { body: { offset: 1 } });
+  assert.equal(step.body.error.code, 'NO_PRESENTATION');
+});
+
+test('PUT /api/v2/presentation opens a deck with notes', async () => {
+  const missing = await api.request('PUT', '/api/v2/presentation', { body: { notes: true } });
+  assert.equal(missing.status, 400);
+  assert.equal(missing.body.error.code, 'INVALID_REQUEST');
+
+  const badFlag = await api.request('PUT', '/api/v2/presentation', { body: { url: 'mock:demo', notes: 'yes' } });
+  assert.equal(badFlag.status, 400);
+
+  const res = await api.request('PUT', '/api/v2/presentation', { body: { url: 'mock:demo', notes: true } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.data.presentation.open, true);
+  assert.equal(res.body.data.presentation.url, 'mock:demo');
+
+  const state = await api.waitFor(async () => {
+    const { data } = (await api.request('GET', '/api/v2/presentation')).body;
+    return data.notesOpen && data.slide.currentSlide === 1 ? data : null;
+  });
+  assert.equal(state.slide.totalSlides, 12);
+  assert.equal(state.slide.confidence, 'high');
+});
+
+test('PUT /api/v2/presentation/slide goes to a slide or steps by offset', async () => {
+  const jump = await api.request('PUT', '/api/v2/presentation/slide', { body: { slide: 5 } });
+  assert.equal(jump.status, 200);
+  assert.equal(jump.body.data.toSlide, 5);
+  assert.equal(jump.body.data.slide.currentSlide, 5);
+
+  const next = await api.request('PUT', '/api/v2/presentation/slide', { body: { offset: 1 } });
+  assert.equal(next.status, 200);
+  await api.waitFor(async () => (await api.request('GET', '/api/v2/presentation/slide')).body.data.currentSlide === 6);
+
+  const back = await api.request('PUT', '/api/v2/presentation/slide', { body: { offset: -3 } });
+  assert.equal(back.status, 200);
+  assert.equal(back.body.data.toSlide, 3);
+
+  const slide = await api.request('GET', '/api/v2/presentation/slide');
+  assert.equal(slide.body.data.currentSlide, 3);
+  assert.equal(slide.body.data.title, 'Slide 3');
+
+  const cases = [
+    { offset: 0 },
+    { offset: 'two' },
+    { offset: 1, slide: 4 },
+    { slide: 0 },
+    {}
+  ];
+  for (const body of cases) {
+    const res = await api.request('PUT', '/api/v2/presentation/slide', { body });
+    assert.equal(res.status, 400, JSON.stringify(body));
+    assert.equal(res.body.error.code, 'INVALID_REQUEST', JSON.stringify(body));
+  }
+});
+
+test('/api/v2/notes reads, zooms and scrolls the presenter view', async () => {
+  const read = await api.request('GET', '/api/v2/notes');
+  assert.equal(read.status, 200);
+  assert.deepEqual(read.body.data, { open: true, text: 'Notes for slide 3', zoomLevel: 0 });
+
+  const zoom = await api.request('PATCH', '/api/v2/notes', { body: { zoomLevel: 3 } });
+  assert.equal(zoom.status, 200);
+  assert.equal(zoom.body.data.zoomLevel, 3);
+  assert.equal(notesWindow().webContents.zoom, 3);
+
+  const zoomOut = await api.request('PATCH', '/api/v2/notes', { body: { zoomBy: -2, scrollBy: -300 } });
+  assert.equal(zoomOut.status, 200);
+  assert.equal(zoomOut.body.data.zoomLevel, 1);
+  assert.equal(zoomOut.body.data.scrolledBy, -300);
+  assert.equal(notesWindow().webContents.zoom, 1);
+  assert.ok(notesWindow().webContents.scripts.some(code => code.includes('scrollBy(0, -300)')));
+
+  // The /api routes count towards the same level
+  await api.request('POST', '/api/zoom-in-notes');
+  assert.equal((await api.request('GET', '/api/v2/notes')).body.data.zoomLevel, 2);
+
+  const cases = [
+    {},
+    { zoomLevel: 1, zoomBy: 1 },
+    { zoomLevel: 20 },
+    { zoomBy: 1.5 },
+    { scrollBy: 20000 },
+    { open: 'no' },
+    { open: false, scrollBy: 100 }
+  ];
+  for (const body of cases) {
+    const res = await api.request('PATCH', '/api/v2/notes', { body });
+    assert.equal(res.status, 400, JSON.stringify(body));
+  }
+});
+
+test('PATCH /api/v2/notes closes and reopens the notes', async () => {
+  const close = await api.request('PATCH', '/api/v2/notes', { body: { open: false } });
+  assert.equal(close.status, 200);
+  assert.equal(close.body.data.open, false);
+  assert.equal((await api.request('GET', '/api/v2/notes')).body.data.open, false);
+
+  const zoomClosed = await api.request('PATCH', '/api/v2/notes', { body: { zoomBy: 1 } });
+  assert.equal(zoomClosed.status, 404);
+  assert.equal(zoomClosed.body.error.code, 'NO_NOTES_WINDOW');
+
+  const tooMuch = await api.request('PATCH', '/api/v2/notes', { body: { open: true, zoomBy: 1 } });
+  assert.equal(tooMuch.status, 409);
+
+  const open = await api.request('PATCH', '/api/v2/notes', { body: { open: true } });
+  assert.equal(open.status, 200);
+  // A new notes window starts back at zoom level 0
+  assert.equal(open.body.data.zoomLevel, 0);
+});
+
+test('/api/v2/presets creates, edits, opens and deletes presets', async () => {
+  const created = await api.request('POST', '/api/v2/presets', {
+    body: { name: 'Keynote', url: 'mock:keynote', startSlide: 2 }
+  });
+  assert.equal(created.status, 201);
+  const { preset } = created.body.data;
+  assert.equal(preset.name, 'Keynote');
+  assert.equal(created.body.preset, undefined);
+
+  const legacy = await api.request('POST', '/api/v2/presets', { body: { presentation1: 'mock:old' } });
+  assert.equal(legacy.status, 400);
+
+  const list = await api.request('GET', '/api/v2/presets');
+  assert.deepEqual(list.body.data.presets.map(p => p.id), [preset.id]);
+
+  const byName = await api.request('GET', '/api/v2/presets/keynote');
+  assert.equal(byName.body.data.preset.id, preset.id);
+
+  const patched = await api.request('PATCH', `/api/v2/presets/${preset.id}`, { body: { withNotes: false } });
+  assert.equal(patched.status, 200);
+  assert.equal(patched.body.data.preset.withNotes, false);
+  assert.equal(patched.body.data.preset.url, 'mock:keynote');
+
+  const opened = await api.request('POST', `/api/v2/presets/${preset.id}/open`, { body: { startSlide: 4 } });
+  assert.equal(opened.status, 200);
+  assert.equal(opened.body.data.preset.id, preset.id);
+  assert.equal(opened.body.data.startSlide, 4);
+  await api.waitFor(async () => (await api.request('GET', '/api/v2/presentation')).body.data.url === 'mock:keynote');
+
+  const removed = await api.request('DELETE', `/api/v2/presets/${preset.id}`);
+  assert.equal(removed.status, 200);
+  assert.equal(removed.body.data.preset.id, preset.id);
+
+  for (const [method, path] of [['GET', '/api/v2/presets/nope'], ['PATCH', '/api/v2/presets/nope'], ['POST', '/api/v2/presets/nope/open']]) {
+    const res = await api.request(method, path, { body: {} });
+    assert.equal(res.status, 404, `${method} ${path}`);
+    assert.equal(res.body.error.code, 'PRESET_NOT_FOUND', `${method} ${path}`);
+  }
+});
+
+test('v2 routes need the same token scopes as /api', async () => {
+  api.writePrefs({ apiTokens: [{ name: 'Companion', token: 'gso_control', scopes: ['read', 'control'] }] });
+  const headers = { Authorization: 'Bearer gso_control' };
+  try {
+    const edit = await api.request('POST', '/api/v2/presets', { body: { url: 'mock:x' }, headers });
+    assert.equal(edit.status, 403);
+    assert.equal(edit.body.error.code, 'INSUFFICIENT_SCOPE');
+
+    // Opening a preset is control; this one doesn't exist, which proves auth let it through
+    const open = await api.request('POST', '/api/v2/presets/missing/open', { headers });
+    assert.equal(open.body.error.code, 'PRESET_NOT_FOUND');
+
+    const close = await api.request('DELETE', '/api/v2/presentation', { headers });
+    assert.equal(close.status, 200);
+  } finally {
+    api.writePrefs({ apiTokens: [] });
+  }
+});
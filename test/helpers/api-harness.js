@@ -0,0 +1,189 @@
+/**
+ * Boots main.js's API server under plain Node with the electron stub, against a throwaway
+ * preferences directory. One server per test file (node --test runs each file in its own process).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const net = require('net');
+const Module = require('module');
+const { Readable } = require('stream');
+const { createElectronStub } = require('./electron-stub');
+
+const MAIN_PATH = path.join(__dirname, '..', '..', 'main.js');
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// prefs: initial preferences.json contents (apiPort is filled in)
+async function startApi({ prefs = {}, totalSlides = 10 } = {}) {
+  const userData = fs.mkdtempSync(path.join(os.tmpdir(), 'gso-test-'));
+  const port = await getFreePort();
+  const prefsPath = path.join(userData, 'preferences.json');
+  fs.writeFileSync(prefsPath, JSON.stringify({ ...prefs, apiPort: port }, null, 2));
+
+  const electron = createElectronStub({ userData, totalSlides });
+  const originalLoad = Module._load;
+  Module._load = function (request, parent, isMain) {
+    if (request === 'electron') return electron;
+    return originalLoad.call(this, request, parent, isMain);
+  };
+
+  // main.js tees console output into its log buffer; keep test output readable unless asked for
+  const quiet = !process.env.GSO_TEST_LOGS;
+  const saved = { log: console.log, warn: console.warn, error: console.error };
+  if (quiet) {
+    console.log = () => {};
+    console.warn = () => {};
+    console.error = () => {};
+  }
+
+  let main;
+  try {
+    main = require(MAIN_PATH);
+  } finally {
+    Module._load = originalLoad;
+  }
+
+  const server = main.startHttpServer();
+  await new Promise((resolve, reject) => {
+    if (server.listening) return resolve();
+    server.once('listening', resolve);
+    server.once('error', reject);
+  });
+
+  function request(method, urlPath, { body, headers = {}, raw = false } = {}) {
+    const payload = body === undefined ? null : (raw ? String(body) : JSON.stringify(body));
+    return new Promise((resolve, reject) => {
+      const req = http.request({
+        host: '127.0.0.1',
+        port,
+        method,
+        path: urlPath,
+        agent: false,
+        headers: {
+          ...(payload !== null ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {}),
+          ...headers
+        }
+      }, (res) => {
+        let text = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => { text += chunk; });
+        res.on('end', () => {
+          let json = null;
+          try {
+            json = text ? JSON.parse(text) : null;
+          } catch (e) {
+            // not JSON (e.g. mock deck pages)
+          }
+          resolve({ status: res.statusCode, headers: res.headers, body: json, text });
+        });
+      });
+      req.setTimeout(20000, () => req.destroy(new Error(`${method} ${urlPath} timed out`)));
+      req.on('error', reject);
+      if (payload !== null) req.write(payload);
+      req.end();
+    });
+  }
+
+  // Hands a request straight to the server's handler with a chosen remote address, for the
+  // controller allowlist (real connections from this process always come from 127.0.0.1)
+  // (target: another server from this process, e.g. the Web UI server from startWebUi())
+  function inject(method, urlPath, { remoteAddress = '127.0.0.1', body, headers = {}, target = server } = {}) {
+    return new Promise((resolve) => {
+      const payload = body === undefined ? [] : [Buffer.from(JSON.stringify(body))];
+      const req = Readable.from(payload);
+      req.method = method;
+      req.url = urlPath;
+      req.headers = headers;
+      req.socket = { remoteAddress };
+
+      const res = new (require('events').EventEmitter)();
+      res.statusCode = 200;
+      res.headersSent = false;
+      res.headers = {};
+      res.setHeader = (name, value) => { res.headers[String(name).toLowerCase()] = value; };
+      res.getHeader = (name) => res.headers[String(name).toLowerCase()];
+      res.writeHead = (status, headersIn = {}) => {
+        res.statusCode = status;
+        Object.entries(headersIn).forEach(([k, v]) => res.setHeader(k, v));
+        res.headersSent = true;
+        return res;
+      };
+      // Streamed writes (e.g. the Web UI proxy piping the API's reply) are collected until end()
+      const chunks = [];
+      res.write = (chunk) => {
+        chunks.push(String(chunk));
+        return true;
+      };
+      res.end = (last = '') => {
+        const text = chunks.join('') + String(last);
+        res.headersSent = true;
+        let json = null;
+        try {
+          json = text ? JSON.parse(text) : null;
+        } catch (e) {
+          // not JSON
+        }
+        resolve({ status: res.statusCode, headers: res.headers, body: json, text: String(text) });
+        res.emit('close');
+      };
+      target.emit('request', req, res);
+    });
+  }
+
+  // Starts the Web UI server (and its /api proxy to this API) on a free port
+  let webUiServer = null;
+  async function startWebUi() {
+    writePrefs({ webUiPort: await getFreePort() });
+    webUiServer = main.startWebUiServer();
+    await new Promise((resolve, reject) => {
+      if (webUiServer.listening) return resolve();
+      webUiServer.once('listening', resolve);
+      webUiServer.once('error', reject);
+    });
+    return webUiServer;
+  }
+
+  function readPrefs() {
+    return JSON.parse(fs.readFileSync(prefsPath, 'utf8'));
+  }
+
+  function writePrefs(changes) {
+    fs.writeFileSync(prefsPath, JSON.stringify({ ...readPrefs(), ...changes }, null, 2));
+  }
+
+  // Polls fn until it returns something truthy (e.g. a status field settling after an async step)
+  async function waitFor(fn, { timeout = 5000, interval = 25 } = {}) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+      const value = await fn();
+      if (value) return value;
+      if (Date.now() > deadline) throw new Error('waitFor timed out');
+      await new Promise(resolve => setTimeout(resolve, interval));
+    }
+  }
+
+  async function stop() {
+    await new Promise(resolve => server.close(() => resolve()));
+    if (webUiServer) await new Promise(resolve => webUiServer.close(() => resolve()));
+    electron.windows.forEach(win => win.close());
+    if (quiet) Object.assign(console, saved);
+    fs.rmSync(userData, { recursive: true, force: true });
+  }
+
+  return { port, main, electron, request, inject, startWebUi, readPrefs, writePrefs, waitFor, stop };
+}
+
+module.exports = { startApi };
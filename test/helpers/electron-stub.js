@@ -0,0 +1,245 @@
+/**
+ * Minimal stand-in for the parts of the electron module main.js uses, so the API server can run
+ * under plain Node. BrowserWindow/webContents behave like a tiny Slides deck: arrow keys and
+ * number + Enter move between slides and report through the same console-message channel as the
+ * injected slide observer, "s" opens a presenter view popup via the window open handler, and
+ * executeJavaScript answers the presenter-view scrapes (notes, zoom, scroll, previews, status).
+ */
+
+const { EventEmitter } = require('events');
+
+const SLIDE_OBSERVER_MARKER = '__GSO_SLIDE_STATE__';
+const DEFAULT_DISPLAYS = [
+  { id: 1, bounds: { x: 0, y: 0, width: 1920, height: 1080 } },
+  { id: 2, bounds: { x: 1920, y: 0, width: 1920, height: 1080 } }
+];
+
+function isDeckUrl(url) {
+  return /docs\.google\.com\/presentation\/|\/mock\/presentation\//.test(String(url || ''));
+}
+
+function createFakeImage() {
+  return {
+    getSize: () => ({ width: 320, height: 180 }),
+    resize() { return this; },
+    toDataURL: () => 'data:image/png;base64,AAAA',
+    isEmpty: () => false
+  };
+}
+
+function createElectronStub({ userData, totalSlides = 10, displays = DEFAULT_DISPLAYS } = {}) {
+  const app = new EventEmitter();
+  const windows = [];
+  const dialogs = [];
+
+  class FakeWebContents extends EventEmitter {
+    constructor(win) {
+      super();
+      this.win = win;
+      this.url = '';
+      this.inputEvents = [];
+      this.scripts = [];
+      this.sent = [];
+      this.windowOpenHandler = null;
+      this.slide = 1;
+      this.totalSlides = totalSlides;
+      this.typed = '';
+      this.zoom = 0;
+      this.popup = null;
+    }
+
+    getURL() { return this.url; }
+    isLoading() { return false; }
+    openDevTools() {}
+    send(channel, ...args) { this.sent.push({ channel, args }); }
+    setWindowOpenHandler(handler) { this.windowOpenHandler = handler; }
+    capturePage() { return Promise.resolve(createFakeImage()); }
+
+    load(url) {
+      this.url = url;
+      setImmediate(() => {
+        if (this.win.isDestroyed()) return;
+        this.emit('did-navigate', {}, url);
+        this.emit('dom-ready');
+        this.emit('did-finish-load');
+        this.report();
+      });
+    }
+
+    // Same channel the injected slide observer uses
+    report() {
+      if (this.win.isDestroyed() || !isDeckUrl(this.url)) return;
+      const state = { current: this.slide, total: this.totalSlides, pageId: `p${this.slide}`, title: `Slide ${this.slide}`, slides: null };
+      this.emit('console-message', {}, 1, SLIDE_OBSERVER_MARKER + JSON.stringify(state));
+    }
+
+    goTo(slide) {
+      this.slide = Math.max(1, Math.min(this.totalSlides, slide));
+      this.report();
+      if (this.popup && !this.popup.isDestroyed()) {
+        this.popup.webContents.slide = this.slide;
+        this.popup.webContents.report();
+      }
+    }
+
+    sendInputEvent(event) {
+      this.inputEvents.push(event);
+      if (event.type !== 'keyDown') return;
+      const key = String(event.keyCode);
+      if (/^[0-9]$/.test(key)) {
+        this.typed += key;
+        return;
+      }
+      const typed = this.typed;
+      this.typed = '';
+      if (key === 'Return' && typed) this.goTo(parseInt(typed, 10));
+      else if (key === 'Right') this.goTo(this.slide + 1);
+      else if (key === 'Left') this.goTo(this.slide - 1);
+      else if (key === 'S') this.openPresenterView();
+    }
+
+    openPresenterView() {
+      if ((this.popup && !this.popup.isDestroyed()) || !this.windowOpenHandler) return;
+      const url = this.url.replace(/\/present(\?|$)/, '/presenter$1');
+      const decision = this.windowOpenHandler({ url, frameName: '', features: '' });
+      if (!decision || decision.action !== 'allow') return;
+      this.popup = new BrowserWindow(decision.overrideBrowserWindowOptions || {});
+      this.popup.webContents.slide = this.slide;
+      this.popup.loadURL(url);
+    }
+
+    executeJavaScript(code) {
+      this.scripts.push(code);
+      const source = String(code);
+      let result;
+      const fragment = source.match(/location\.hash = "slide=id\.p(\d+)"/);
+      if (fragment) {
+        this.goTo(parseInt(fragment[1], 10));
+      } else if (source.includes('Current slide') && source.includes('getBoundingClientRect')) {
+        result = {
+          ok: true,
+          current: { x: 10, y: 90, width: 640, height: 360 },
+          next: { x: 10, y: 480, width: 320, height: 180 },
+          currentSlide: this.slide,
+          totalSlides: this.totalSlides
+        };
+      } else if (source.includes('Zoom in') || source.includes('Zoom out')) {
+        this.zoom += source.includes('Zoom in') ? 1 : -1;
+        result = { success: true };
+      } else if (source.includes('scrollBy')) {
+        result = { success: true, scrolled: true };
+      } else if (source.includes('punch-viewer-speakernotes-text-body-scrollable')) {
+        result = `Notes for slide ${this.slide}`;
+      } else if (source.includes('Presenter view - ')) {
+        result = { current: this.slide, total: this.totalSlides, title: 'Fake deck', timer: '00:01:02' };
+      }
+      return Promise.resolve(result);
+    }
+  }
+
+  class BrowserWindow extends EventEmitter {
+    constructor(options = {}) {
+      super();
+      this.options = options;
+      this.destroyed = false;
+      this.visible = options.show !== false;
+      this.bounds = {
+        x: options.x || 0,
+        y: options.y || 0,
+        width: options.width || 800,
+        height: options.height || 600
+      };
+      this.webContents = new FakeWebContents(this);
+      windows.push(this);
+      app.emit('web-contents-created', {}, this.webContents);
+      app.emit('browser-window-created', {}, this);
+    }
+
+    static getAllWindows() {
+      return windows.filter(w => !w.destroyed);
+    }
+
+    loadURL(url) {
+      this.webContents.load(url);
+      return Promise.resolve();
+    }
+
+    loadFile(file) {
+      this.webContents.load(`file://${file}`);
+      return Promise.resolve();
+    }
+
+    isDestroyed() { return this.destroyed; }
+    isVisible() { return this.visible; }
+    show() { this.visible = true; }
+    showInactive() { this.visible = true; }
+    hide() { this.visible = false; }
+    setAlwaysOnTop(flag, level) { this.alwaysOnTop = flag ? level || 'floating' : false; }
+    focus() {}
+    setSimpleFullScreen() {}
+    setFullScreen() {}
+    setBounds(bounds) { this.bounds = { ...this.bounds, ...bounds }; }
+    getBounds() { return { ...this.bounds }; }
+    getTitle() { return 'Fake deck - Google Slides'; }
+
+    close() {
+      if (this.destroyed) return;
+      this.destroyed = true;
+      this.emit('closed');
+    }
+  }
+
+  app.getPath = () => userData;
+  app.getAppPath = () => process.cwd();
+  app.getVersion = () => '0.0.0-test';
+  app.quit = () => {};
+  // Never resolves: the harness starts the API server itself, without the desktop window
+  app.whenReady = () => new Promise(() => {});
+
+  // accelerator -> callback; takenShortcuts are owned by "another app"
+  const shortcuts = new Map();
+  const takenShortcuts = new Set();
+  const globalShortcut = {
+    register(accelerator, callback) {
+      if (!/^((CommandOrControl|Control|Alt|Shift|Super)\+)*([A-Z0-9.]|F\d{1,2}|PageUp|PageDown|Right|Left|Space)$/.test(accelerator)) {
+        throw new Error(`Invalid accelerator "${accelerator}"`);
+      }
+      if (takenShortcuts.has(accelerator) || shortcuts.has(accelerator)) return false;
+      shortcuts.set(accelerator, callback);
+      return true;
+    },
+    unregister(accelerator) { shortcuts.delete(accelerator); }
+  };
+
+  const cookies = [];
+  const googleSession = {
+    cookies: { get: async () => cookies.slice() },
+    clearStorageData: async () => { cookies.length = 0; }
+  };
+
+  return {
+    app,
+    BrowserWindow,
+    ipcMain: { handle() {}, on() {}, removeHandler() {} },
+    screen: {
+      getAllDisplays: () => displays,
+      getPrimaryDisplay: () => displays[0],
+      getDisplayMatching: () => displays[0]
+    },
+    session: { fromPartition: () => googleSession },
+    dialog: {
+      showErrorBox: (title, message) => { dialogs.push({ title, message }); },
+      showSaveDialog: async () => ({ canceled: true })
+    },
+    nativeImage: { createFromPath: () => ({ isEmpty: () => true }) },
+    globalShortcut,
+    // Test-only handles
+    windows,
+    shortcuts,
+    takenShortcuts,
+    dialogs,
+    cookies
+  };
+}
+
+module.exports = { createElectronStub, SLIDE_OBSERVER_MARKER };